@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { User } from '../src/models/User.js';
+
+dotenv.config();
+
+// Marks accounts created before email verification existed as verified. They never received a
+// verification email, and donors among them would otherwise be refused at POST /api/donations.
+// Accounts created since have emailVerified stored, true or false, and are left alone.
+// Run it once, right after deploying email verification; running it again changes nothing.
+// Usage: node scripts/backfillEmailVerified.js
+const backfillEmailVerified = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected...');
+
+        // The raw collection, as the schema default would report the missing field as false
+        const result = await User.collection.updateMany(
+            { emailVerified: { $exists: false } },
+            { $set: { emailVerified: true } }
+        );
+
+        console.log(`Marked ${result.modifiedCount} existing account(s) as email verified.`);
+    } catch (error) {
+        console.error('Error backfilling email verification:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+backfillEmailVerified();
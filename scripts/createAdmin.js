@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { User, Admin } from '../src/models/User.js';
+import { SUPER_ADMIN_LEVEL } from '../src/config/permissions.js';
+
+dotenv.config();
+
+// Creates the first administrator as a super admin; everyone after that is invited from the admin dashboard.
+// Run against an existing admin's email to promote that admin to the given level instead.
+// Usage: ADMIN_PASSWORD=... node scripts/createAdmin.js <email> "<name>" [permissionsLevel]
+const createAdmin = async () => {
+    const [email, name, permissionsLevel] = process.argv.slice(2);
+    const password = process.env.ADMIN_PASSWORD;
+
+    const level = parseInt(permissionsLevel, 10) || SUPER_ADMIN_LEVEL;
+
+    if (!email) {
+        console.error('Usage: ADMIN_PASSWORD=<password> node scripts/createAdmin.js <email> "<name>" [permissionsLevel]');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected...');
+
+        const existing = await User.findOne({ email: email.toLowerCase() });
+        if (existing?.role === 'admin') {
+            await Admin.updateOne({ _id: existing._id }, { $set: { permissionsLevel: level } });
+            console.log(`Admin ${existing.email} now has permissions level ${level}.`);
+            return;
+        }
+        if (existing) {
+            console.error(`A ${existing.role} with email ${email} already exists.`);
+            process.exitCode = 1;
+            return;
+        }
+        if (!name || !password) {
+            console.error('A name and ADMIN_PASSWORD are required to create a new admin.');
+            process.exitCode = 1;
+            return;
+        }
+
+        const admin = await Admin.create({
+            name,
+            email,
+            password,
+            role: 'admin',
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+            permissionsLevel: level
+        });
+
+        console.log(`Admin ${admin.email} created (${admin._id}).`);
+    } catch (error) {
+        console.error('Error creating admin:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+createAdmin();
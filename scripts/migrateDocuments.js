@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { readFile, unlink } from 'fs/promises';
+import path from 'path';
+import { User } from '../src/models/User.js';
+import { storeDocument } from '../src/utils/documentStorage.js';
+
+dotenv.config();
+
+// Moves verification documents uploaded before document storage existed (file paths under uploads/)
+// into document storage and replaces the paths on each user with Document IDs.
+// Files that are missing or are not PDF/JPEG/PNG are reported and dropped from the user.
+// Usage: node scripts/migrateDocuments.js [--delete-originals]
+const migrateDocuments = async () => {
+    const deleteOriginals = process.argv.includes('--delete-originals');
+    const stats = { users: 0, moved: 0, skipped: 0 };
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('MongoDB Connected...');
+
+        // Read the raw collection: the old string paths no longer cast to the schema's ObjectIds
+        const cursor = User.collection.find(
+            { verificationDocuments: { $elemMatch: { $type: 'string' } } },
+            { projection: { role: 1, email: 1, verificationDocuments: 1 } }
+        );
+
+        for await (const user of cursor) {
+            const documentIds = [];
+
+            for (const entry of user.verificationDocuments) {
+                if (typeof entry !== 'string') {
+                    documentIds.push(entry);
+                    continue;
+                }
+
+                const filePath = path.resolve(process.cwd(), entry);
+                try {
+                    const buffer = await readFile(filePath);
+                    const document = await storeDocument(
+                        // Drop the Date.now() prefix the old upload middleware added
+                        { buffer, originalname: path.basename(entry).replace(/^\d+-/, '') },
+                        { owner: user._id, purpose: `${user.role}_verification` }
+                    );
+                    documentIds.push(document._id);
+                    stats.moved++;
+
+                    if (deleteOriginals) {
+                        await unlink(filePath);
+                    }
+                } catch (error) {
+                    console.warn(`Skipped ${entry} for ${user.email}: ${error.message}`);
+                    stats.skipped++;
+                }
+            }
+
+            await User.collection.updateOne({ _id: user._id }, { $set: { verificationDocuments: documentIds } });
+            stats.users++;
+        }
+
+        console.log(`Migrated ${stats.moved} document(s) for ${stats.users} user(s); ${stats.skipped} skipped.`);
+    } catch (error) {
+        console.error('Error migrating documents:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+migrateDocuments();
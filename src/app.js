@@ -7,14 +7,35 @@ import categoryRoutes from './routes/categoryRoutes.js';
 import availabilityRoutes from './routes/availabilityRoutes.js';
 import charityRoutes from './routes/charityRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
+import batchRoutes from './routes/batchRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import documentRoutes from './routes/documentRoutes.js';
+import { registerJobs } from './jobs/index.js';
+import { startJobWorker } from './utils/jobQueue.js';
+import { getRequestBodyComponents } from './schemas/index.js';
+import { requestId } from './middleware/requestIdMiddleware.js';
+import { notFound, errorHandler } from './middleware/errorMiddleware.js';
 import swaggerJsdoc from 'swagger-jsdoc';
 import swaggerUi from 'swagger-ui-express';
 import path from 'path';
 
 connectDB();
+registerJobs();
+
+// Set JOB_WORKER_ENABLED=false when jobs are processed by a separate `npm run worker` process
+if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    startJobWorker().catch(error => console.error('Failed to start job worker:', error));
+}
 
 const app = express();
 
+// Behind a reverse proxy or load balancer, set TRUST_PROXY (the number of proxies, or addresses
+// such as 'loopback') so that req.ip, which rate limits count by, is the client's address
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 const swaggerOptions = {
     definition: {
         openapi: '3.0.0',
@@ -40,6 +61,33 @@ const swaggerOptions = {
                     bearerFormat: 'JWT',
                 },
             },
+            schemas: {
+                // Every error response, whatever the status (see src/utils/errors.js)
+                ErrorResponse: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean', example: false },
+                        message: { type: 'string' },
+                        code: { type: 'string', example: 'NOT_FOUND', description: 'Machine-readable error code' },
+                        requestId: { type: 'string', description: 'Also sent in the X-Request-Id header; quote it when reporting a problem' },
+                        errors: {
+                            type: 'array',
+                            description: 'For VALIDATION_ERROR, each invalid field',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                    required: ['success', 'message', 'code', 'requestId'],
+                },
+                // Request bodies come from the same schemas the routes validate against (src/schemas)
+                ...getRequestBodyComponents(),
+            },
         },
     },
     apis: ['./src/routes/*.js', './src/controllers/*.js'],
@@ -47,7 +95,8 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
-app.use(cors());
+app.use(requestId);
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json());
 
 // Swagger UI Route
@@ -59,19 +108,30 @@ app.use('/api/availability', availabilityRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/charity', charityRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/batches', batchRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/documents', documentRoutes);
 
-app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
+// Only profile pictures are public; verification documents are served by /api/documents
+app.use('/uploads/profilePictures', express.static(path.join(process.cwd(), 'uploads', 'profilePictures')));
 
 app.get('/', (req, res) => res.send('API Running'));
 
 app.get('/health', (req, res) => {
     res.status(200).json({
+        success: true,
         message: 'Server is running',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString(),
+        data: {
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString(),
+        }
     });
 });
 
+// Last, so that unknown routes and errors from every route above get the error envelope
+app.use(notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => console.log(`Server started on port ${PORT}. API docs available at http://localhost:${PORT}/api-docs`));
@@ -0,0 +1,21 @@
+// Kinds of verification document. `expires` documents must be uploaded with their expiry date.
+
+export const VERIFICATION_DOCUMENT_TYPES = {
+  driving_licence: { label: 'Driving licence', expires: true },
+  background_check: { label: 'Certificate of good conduct', expires: true },
+  national_id: { label: 'National ID or passport', expires: false },
+  registration_certificate: { label: 'Registration certificate', expires: false },
+  other: { label: 'Other document', expires: false }
+};
+
+export const VERIFICATION_DOCUMENT_TYPE_KEYS = Object.keys(VERIFICATION_DOCUMENT_TYPES);
+
+// Transport modes that need a valid driving licence
+export const MOTORISED_TRANSPORT = ['car', 'motorcycle'];
+
+// Document types a volunteer must keep valid to take pickups. A volunteer whose newest
+// accepted document of one of these types has expired is suspended from pickups.
+export const requiredVolunteerDocumentTypes = (volunteer) => [
+  'background_check',
+  ...(MOTORISED_TRANSPORT.includes(volunteer.transportationMode) ? ['driving_licence'] : [])
+];
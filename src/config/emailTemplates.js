@@ -0,0 +1,795 @@
+// Built-in email templates. Admins can override any of them per locale through
+// /api/admin/email-templates; the stored copy wins over the one here.
+//
+// `{{name}}` inserts an HTML-escaped variable, `{{{name}}}` inserts it as-is.
+// Layouts wrap a template's output through their `{{{body}}}` variable.
+
+const button = (href, label) =>
+  `<a href="${href}" style="background:#005AA7;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;font-weight:bold;">${label}</a>`;
+
+const emailTemplates = {
+  'layout.default': {
+    description: 'Standard frame with greeting and footer used by most emails',
+    variables: ['body'],
+    layout: null,
+    locales: {
+      en: {
+        subject: '',
+        html: `
+<h2 style="color:#005AA7;font-family:sans-serif;">Hello from {{appName}}!</h2>
+{{{body}}}
+<hr style="border:none;border-top:1px solid #eee;margin:24px 0;">
+<p style="font-size:13px;color:#888;font-family:sans-serif;">
+    This is an automated notification from <b>{{appName}}</b>.<br>
+    If you have questions, reply to this email or contact our support team at <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.<br>
+    <span style="color:#005AA7;">Thank you for making a difference!</span>
+</p>`,
+        text: `Hello from {{appName}}!
+
+{{{body}}}
+
+--
+This is an automated notification from {{appName}}. If you have questions, contact {{supportEmail}}.
+Thank you for making a difference!`
+      },
+      sw: {
+        subject: '',
+        html: `
+<h2 style="color:#005AA7;font-family:sans-serif;">Salamu kutoka {{appName}}!</h2>
+{{{body}}}
+<hr style="border:none;border-top:1px solid #eee;margin:24px 0;">
+<p style="font-size:13px;color:#888;font-family:sans-serif;">
+    Huu ni ujumbe wa kiotomatiki kutoka <b>{{appName}}</b>.<br>
+    Ikiwa una maswali, jibu barua pepe hii au wasiliana na timu yetu ya msaada kupitia <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.<br>
+    <span style="color:#005AA7;">Asante kwa kuleta mabadiliko!</span>
+</p>`,
+        text: `Salamu kutoka {{appName}}!
+
+{{{body}}}
+
+--
+Huu ni ujumbe wa kiotomatiki kutoka {{appName}}. Ikiwa una maswali, wasiliana na {{supportEmail}}.
+Asante kwa kuleta mabadiliko!`
+      }
+    }
+  },
+
+  notification: {
+    description: 'Fallback for notifications without a dedicated template',
+    variables: ['name', 'title', 'message'],
+    sample: { name: 'Jane', title: 'Pickup accepted', message: 'A volunteer has accepted the pickup from Westlands, Nairobi.' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: '{{title}}',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>{{title}}</strong><br>
+    {{message}}<br><br>
+    ${button('{{frontendUrl}}', 'Open {{appName}}')}
+</p>`,
+        text: `{{title}}
+
+{{message}}
+
+Open {{appName}}: {{frontendUrl}}`
+      },
+      sw: {
+        subject: '{{title}}',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>{{title}}</strong><br>
+    {{message}}<br><br>
+    ${button('{{frontendUrl}}', 'Fungua {{appName}}')}
+</p>`,
+        text: `{{title}}
+
+{{message}}
+
+Fungua {{appName}}: {{frontendUrl}}`
+      }
+    }
+  },
+
+  charity_verification_approved: {
+    description: 'Sent to a charity when an admin approves its application',
+    variables: ['name', 'charityName'],
+    sample: { name: 'Jane', charityName: 'Hope Children\'s Home' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: '🎉 Your Charity Application Has Been Approved!',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Congratulations!</strong><br>
+    Your charity <b>{{charityName}}</b> has been
+    <span style="color:green;font-weight:bold;">approved</span> by our team.<br>
+</p>`,
+        text: 'Congratulations, your charity "{{charityName}}" has been approved! You can now access all features on {{appName}}.'
+      },
+      sw: {
+        subject: '🎉 Ombi la Shirika Lako la Hisani Limeidhinishwa!',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Hongera!</strong><br>
+    Shirika lako la hisani <b>{{charityName}}</b>
+    <span style="color:green;font-weight:bold;">limeidhinishwa</span> na timu yetu.<br>
+</p>`,
+        text: 'Hongera, shirika lako la hisani "{{charityName}}" limeidhinishwa! Sasa unaweza kutumia huduma zote za {{appName}}.'
+      }
+    }
+  },
+
+  charity_verification_rejected: {
+    description: 'Sent to a charity when an admin rejects its application',
+    variables: ['name', 'charityName', 'reason', 'applicationUrl'],
+    sample: {
+      name: 'Jane',
+      charityName: 'Hope Children\'s Home',
+      reason: 'The registration certificate has expired.',
+      applicationUrl: 'https://example.org/account/verification'
+    },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your Charity Application Has Been Rejected',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>We're sorry.</strong><br>
+    Unfortunately, your charity <b>{{charityName}}</b> was
+    <span style="color:red;font-weight:bold;">not approved</span> at this time.<br><br>
+    <b>Reason:</b> {{reason}}<br><br>
+    You can update your application, add documents and resubmit it.<br><br>
+    ${button('{{applicationUrl}}', 'Update Application')}<br><br>
+    If you believe this is a mistake, please reply to this email or contact our support team at {{supportEmail}}.
+</p>`,
+        text: `We regret to inform you that your charity "{{charityName}}" was not approved.
+
+Reason: {{reason}}
+
+You can update your application, add documents and resubmit it at {{applicationUrl}}. For help, contact support at {{supportEmail}}.`
+      },
+      sw: {
+        subject: 'Ombi la Shirika Lako la Hisani Halikuidhinishwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Samahani.</strong><br>
+    Kwa bahati mbaya, shirika lako la hisani <b>{{charityName}}</b>
+    <span style="color:red;font-weight:bold;">halikuidhinishwa</span> kwa sasa.<br><br>
+    <b>Sababu:</b> {{reason}}<br><br>
+    Unaweza kusasisha ombi lako, kuongeza nyaraka na kulituma tena.<br><br>
+    ${button('{{applicationUrl}}', 'Sasisha Ombi')}<br><br>
+    Ikiwa unaamini hili ni kosa, tafadhali jibu barua pepe hii au wasiliana na timu yetu ya msaada kupitia {{supportEmail}}.
+</p>`,
+        text: `Tunasikitika kukujulisha kwamba shirika lako la hisani "{{charityName}}" halikuidhinishwa.
+
+Sababu: {{reason}}
+
+Unaweza kusasisha ombi lako, kuongeza nyaraka na kulituma tena kupitia {{applicationUrl}}. Kwa msaada, wasiliana nasi kupitia {{supportEmail}}.`
+      }
+    }
+  },
+
+  volunteer_verification_approved: {
+    description: 'Sent to a volunteer when an admin approves their application',
+    variables: ['name'],
+    sample: { name: 'John' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: '🎉 Your Volunteer Application Has Been Approved!',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Congratulations!</strong><br>
+    Your volunteer application has been
+    <span style="color:green;font-weight:bold;">approved</span> by our team.<br>
+</p>`,
+        text: 'Congratulations, your volunteer application has been approved! You can now access all features on {{appName}}.'
+      },
+      sw: {
+        subject: '🎉 Ombi Lako la Kujitolea Limeidhinishwa!',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Hongera!</strong><br>
+    Ombi lako la kujitolea
+    <span style="color:green;font-weight:bold;">limeidhinishwa</span> na timu yetu.<br>
+</p>`,
+        text: 'Hongera, ombi lako la kujitolea limeidhinishwa! Sasa unaweza kutumia huduma zote za {{appName}}.'
+      }
+    }
+  },
+
+  volunteer_verification_rejected: {
+    description: 'Sent to a volunteer when an admin rejects their application',
+    variables: ['name', 'reason', 'applicationUrl'],
+    sample: {
+      name: 'John',
+      reason: 'The ID document could not be read.',
+      applicationUrl: 'https://example.org/account/verification'
+    },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your Volunteer Application Has Been Rejected',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>We're sorry.</strong><br>
+    Unfortunately, your volunteer application was
+    <span style="color:red;font-weight:bold;">not approved</span> at this time.<br><br>
+    <b>Reason:</b> {{reason}}<br><br>
+    You can update your application, add documents and resubmit it.<br><br>
+    ${button('{{applicationUrl}}', 'Update Application')}<br><br>
+    If you believe this is a mistake, please reply to this email or contact our support team at {{supportEmail}}.
+</p>`,
+        text: `We regret to inform you that your volunteer application was not approved.
+
+Reason: {{reason}}
+
+You can update your application, add documents and resubmit it at {{applicationUrl}}. For help, contact support at {{supportEmail}}.`
+      },
+      sw: {
+        subject: 'Ombi Lako la Kujitolea Halikuidhinishwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    <strong>Samahani.</strong><br>
+    Kwa bahati mbaya, ombi lako la kujitolea
+    <span style="color:red;font-weight:bold;">halikuidhinishwa</span> kwa sasa.<br><br>
+    <b>Sababu:</b> {{reason}}<br><br>
+    Unaweza kusasisha ombi lako, kuongeza nyaraka na kulituma tena.<br><br>
+    ${button('{{applicationUrl}}', 'Sasisha Ombi')}<br><br>
+    Ikiwa unaamini hili ni kosa, tafadhali jibu barua pepe hii au wasiliana na timu yetu ya msaada kupitia {{supportEmail}}.
+</p>`,
+        text: `Tunasikitika kukujulisha kwamba ombi lako la kujitolea halikuidhinishwa.
+
+Sababu: {{reason}}
+
+Unaweza kusasisha ombi lako, kuongeza nyaraka na kulituma tena kupitia {{applicationUrl}}. Kwa msaada, wasiliana nasi kupitia {{supportEmail}}.`
+      }
+    }
+  },
+
+  verification_documents_requested: {
+    description: 'Sent to a charity or volunteer when a reviewer asks for more documents',
+    variables: ['name', 'reason', 'applicationUrl'],
+    sample: {
+      name: 'Jane',
+      reason: 'Please upload your current registration certificate.',
+      applicationUrl: 'https://example.org/account/verification'
+    },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'More information needed for your application',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Our team is reviewing your application and needs a little more information:<br><br>
+    <b>{{reason}}</b><br><br>
+    Please sign in, upload the documents and resubmit your application.<br><br>
+    ${button('{{applicationUrl}}', 'Update Application')}
+</p>`,
+        text: `Hi {{name}},
+
+Our team is reviewing your application and needs a little more information:
+
+{{reason}}
+
+Please sign in, upload the documents and resubmit your application: {{applicationUrl}}`
+      },
+      sw: {
+        subject: 'Tunahitaji maelezo zaidi kuhusu ombi lako',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Timu yetu inakagua ombi lako na inahitaji maelezo zaidi:<br><br>
+    <b>{{reason}}</b><br><br>
+    Tafadhali ingia, pakia nyaraka hizo na utume ombi lako tena.<br><br>
+    ${button('{{applicationUrl}}', 'Sasisha Ombi')}
+</p>`,
+        text: `Habari {{name}},
+
+Timu yetu inakagua ombi lako na inahitaji maelezo zaidi:
+
+{{reason}}
+
+Tafadhali ingia, pakia nyaraka hizo na utume ombi lako tena: {{applicationUrl}}`
+      }
+    }
+  },
+
+  document_expiry_reminder: {
+    description: 'Sent to a volunteer as a required document (driving licence, certificate of good conduct) nears its expiry date',
+    variables: ['name', 'documentLabel', 'expiresOn', 'daysLeft', 'applicationUrl'],
+    sample: {
+      name: 'Jane',
+      documentLabel: 'Driving licence',
+      expiresOn: '2025-07-01',
+      daysLeft: 30,
+      applicationUrl: 'https://example.org/account/verification'
+    },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Reminder: {{documentLabel}} expires in {{daysLeft}} day(s)',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    The <b>{{documentLabel}}</b> we hold for you expires on <b>{{expiresOn}}</b>.<br><br>
+    Please upload a renewed copy before then. Volunteers whose documents have expired cannot take pickups until the renewal is accepted.<br><br>
+    ${button('{{applicationUrl}}', 'Upload Renewal')}
+</p>`,
+        text: `Hi {{name}},
+
+The {{documentLabel}} we hold for you expires on {{expiresOn}}.
+
+Please upload a renewed copy before then. Volunteers whose documents have expired cannot take pickups until the renewal is accepted: {{applicationUrl}}`
+      },
+      sw: {
+        subject: '{{documentLabel}} yako itaisha muda baada ya siku {{daysLeft}}',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    <b>{{documentLabel}}</b> yako tuliyonayo itaisha muda tarehe <b>{{expiresOn}}</b>.<br><br>
+    Tafadhali pakia nakala mpya kabla ya tarehe hiyo. Wajitolea ambao nyaraka zao zimeisha muda hawawezi kuchukua michango hadi nakala mpya ikubaliwe.<br><br>
+    ${button('{{applicationUrl}}', 'Pakia Nakala Mpya')}
+</p>`,
+        text: `Habari {{name}},
+
+{{documentLabel}} yako tuliyonayo itaisha muda tarehe {{expiresOn}}.
+
+Tafadhali pakia nakala mpya kabla ya tarehe hiyo. Wajitolea ambao nyaraka zao zimeisha muda hawawezi kuchukua michango hadi nakala mpya ikubaliwe: {{applicationUrl}}`
+      }
+    }
+  },
+
+  volunteer_documents_lapsed: {
+    description: 'Sent to a volunteer who can no longer take pickups because a required document has expired',
+    variables: ['name', 'documentLabels', 'applicationUrl'],
+    sample: {
+      name: 'Jane',
+      documentLabels: 'Driving licence',
+      applicationUrl: 'https://example.org/account/verification'
+    },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your documents have expired',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    These documents on file have expired: <b>{{documentLabels}}</b>.<br><br>
+    You cannot take pickups until you upload renewed copies and our team accepts them.<br><br>
+    ${button('{{applicationUrl}}', 'Upload Renewal')}
+</p>`,
+        text: `Hi {{name}},
+
+These documents on file have expired: {{documentLabels}}.
+
+You cannot take pickups until you upload renewed copies and our team accepts them: {{applicationUrl}}`
+      },
+      sw: {
+        subject: 'Nyaraka zako zimeisha muda',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Nyaraka hizi tulizonazo zimeisha muda: <b>{{documentLabels}}</b>.<br><br>
+    Huwezi kuchukua michango hadi upakie nakala mpya na timu yetu izikubali.<br><br>
+    ${button('{{applicationUrl}}', 'Pakia Nakala Mpya')}
+</p>`,
+        text: `Habari {{name}},
+
+Nyaraka hizi tulizonazo zimeisha muda: {{documentLabels}}.
+
+Huwezi kuchukua michango hadi upakie nakala mpya na timu yetu izikubali: {{applicationUrl}}`
+      }
+    }
+  },
+
+  account_suspended: {
+    description: 'Sent when an administrator suspends an account',
+    variables: ['name', 'reason', 'suspendedUntil'],
+    sample: { name: 'Jane', reason: 'Repeated missed pickups.', suspendedUntil: '2025-07-01' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your Generous Hands account has been suspended',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Your account has been suspended until {{suspendedUntil}} and you have been signed out.<br><br>
+    <b>Reason:</b> {{reason}}<br><br>
+    If you think this is a mistake, please contact us at {{supportEmail}}.
+</p>`,
+        text: `Hi {{name}},
+
+Your account has been suspended until {{suspendedUntil}} and you have been signed out.
+
+Reason: {{reason}}
+
+If you think this is a mistake, please contact us at {{supportEmail}}.`
+      },
+      sw: {
+        subject: 'Akaunti yako ya Generous Hands imesimamishwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Akaunti yako imesimamishwa hadi {{suspendedUntil}} na umeondolewa kwenye akaunti.<br><br>
+    <b>Sababu:</b> {{reason}}<br><br>
+    Ikiwa unadhani hili ni kosa, tafadhali wasiliana nasi kupitia {{supportEmail}}.
+</p>`,
+        text: `Habari {{name}},
+
+Akaunti yako imesimamishwa hadi {{suspendedUntil}} na umeondolewa kwenye akaunti.
+
+Sababu: {{reason}}
+
+Ikiwa unadhani hili ni kosa, tafadhali wasiliana nasi kupitia {{supportEmail}}.`
+      }
+    }
+  },
+
+  account_reactivated: {
+    description: 'Sent when a suspension is lifted by an administrator or runs out',
+    variables: ['name'],
+    sample: { name: 'Jane' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your Generous Hands account is active again',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Your account has been reactivated. You can sign in again.<br><br>
+    ${button('{{frontendUrl}}/login', 'Sign In')}
+</p>`,
+        text: `Hi {{name}},
+
+Your account has been reactivated. You can sign in again: {{frontendUrl}}/login`
+      },
+      sw: {
+        subject: 'Akaunti yako ya Generous Hands inatumika tena',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Akaunti yako imerejeshwa. Unaweza kuingia tena.<br><br>
+    ${button('{{frontendUrl}}/login', 'Ingia')}
+</p>`,
+        text: `Habari {{name}},
+
+Akaunti yako imerejeshwa. Unaweza kuingia tena: {{frontendUrl}}/login`
+      }
+    }
+  },
+
+  account_deleted: {
+    description: 'Sent to the old address when an account is deleted',
+    variables: ['name'],
+    sample: { name: 'Jane' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your Generous Hands account has been deleted',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Your account and the personal details we held about you have been deleted. Donations and pickups you were part of are kept without your details.<br><br>
+    Thank you for being part of Generous Hands.
+</p>`,
+        text: `Hi {{name}},
+
+Your account and the personal details we held about you have been deleted. Donations and pickups you were part of are kept without your details.
+
+Thank you for being part of Generous Hands.`
+      },
+      sw: {
+        subject: 'Akaunti yako ya Generous Hands imefutwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Akaunti yako na taarifa zako binafsi tulizokuwa nazo zimefutwa. Michango na usafirishaji uliohusika nao umehifadhiwa bila taarifa zako.<br><br>
+    Asante kwa kuwa sehemu ya Generous Hands.
+</p>`,
+        text: `Habari {{name}},
+
+Akaunti yako na taarifa zako binafsi tulizokuwa nazo zimefutwa. Michango na usafirishaji uliohusika nao umehifadhiwa bila taarifa zako.
+
+Asante kwa kuwa sehemu ya Generous Hands.`
+      }
+    }
+  },
+
+  email_verification: {
+    description: 'Sent after registration (and on request) with the link that confirms the email address',
+    variables: ['name', 'verifyUrl', 'expiresInHours'],
+    sample: { name: 'Jane', verifyUrl: 'https://example.org/verify-email?token=sample', expiresInHours: 24 },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Please confirm your email address',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Please confirm that this is your email address so we can keep you updated about your donations and account.<br><br>
+    ${button('{{verifyUrl}}', 'Confirm Email')}<br><br>
+    This link expires in {{expiresInHours}} hours. If you did not create an account, you can ignore this email.
+</p>`,
+        text: `Hi {{name}},
+
+Please confirm your email address by opening this link:
+{{verifyUrl}}
+
+The link expires in {{expiresInHours}} hours. If you did not create an account, you can ignore this email.`
+      },
+      sw: {
+        subject: 'Tafadhali thibitisha anwani yako ya barua pepe',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Tafadhali thibitisha kwamba hii ni anwani yako ya barua pepe ili tuweze kukujulisha kuhusu michango na akaunti yako.<br><br>
+    ${button('{{verifyUrl}}', 'Thibitisha Barua Pepe')}<br><br>
+    Kiungo hiki kitaisha muda baada ya saa {{expiresInHours}}. Ikiwa hukufungua akaunti, unaweza kupuuza barua pepe hii.
+</p>`,
+        text: `Habari {{name}},
+
+Tafadhali thibitisha anwani yako ya barua pepe kwa kufungua kiungo hiki:
+{{verifyUrl}}
+
+Kiungo kitaisha muda baada ya saa {{expiresInHours}}. Ikiwa hukufungua akaunti, unaweza kupuuza barua pepe hii.`
+      }
+    }
+  },
+
+  password_reset: {
+    description: 'Sent when someone asks to reset the password of an account',
+    variables: ['name', 'resetUrl', 'expiresInMinutes'],
+    sample: { name: 'Jane', resetUrl: 'https://example.org/reset-password?token=sample', expiresInMinutes: 60 },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Reset your password',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    We received a request to reset the password for your account.<br><br>
+    ${button('{{resetUrl}}', 'Reset Password')}<br><br>
+    This link can be used once and expires in {{expiresInMinutes}} minutes.
+    If you did not ask for a new password, you can ignore this email; your password will not change.
+</p>`,
+        text: `Hi {{name}},
+
+We received a request to reset the password for your account. Open this link to choose a new one:
+{{resetUrl}}
+
+The link can be used once and expires in {{expiresInMinutes}} minutes. If you did not ask for a new password, you can ignore this email.`
+      },
+      sw: {
+        subject: 'Weka upya nenosiri lako',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Tumepokea ombi la kuweka upya nenosiri la akaunti yako.<br><br>
+    ${button('{{resetUrl}}', 'Weka Upya Nenosiri')}<br><br>
+    Kiungo hiki kinaweza kutumika mara moja tu na kitaisha muda baada ya dakika {{expiresInMinutes}}.
+    Ikiwa hukuomba nenosiri jipya, unaweza kupuuza barua pepe hii; nenosiri lako halitabadilika.
+</p>`,
+        text: `Habari {{name}},
+
+Tumepokea ombi la kuweka upya nenosiri la akaunti yako. Fungua kiungo hiki kuchagua jipya:
+{{resetUrl}}
+
+Kiungo kinaweza kutumika mara moja tu na kitaisha muda baada ya dakika {{expiresInMinutes}}. Ikiwa hukuomba nenosiri jipya, unaweza kupuuza barua pepe hii.`
+      }
+    }
+  },
+
+  password_changed: {
+    description: 'Sent after the password of an account was changed or reset',
+    variables: ['name'],
+    sample: { name: 'Jane' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your password was changed',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    The password for your account was just changed and you have been signed out of your other devices.<br>
+    If this was not you, please reset your password right away and contact us at {{supportEmail}}.
+</p>`,
+        text: 'Hi {{name}}, the password for your account was just changed and you have been signed out of your other devices. If this was not you, please reset your password right away and contact us at {{supportEmail}}.'
+      },
+      sw: {
+        subject: 'Nenosiri lako limebadilishwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Nenosiri la akaunti yako limebadilishwa sasa hivi na umetolewa kwenye vifaa vyako vingine.<br>
+    Ikiwa si wewe, tafadhali weka upya nenosiri lako mara moja na uwasiliane nasi kupitia {{supportEmail}}.
+</p>`,
+        text: 'Habari {{name}}, nenosiri la akaunti yako limebadilishwa sasa hivi na umetolewa kwenye vifaa vyako vingine. Ikiwa si wewe, tafadhali weka upya nenosiri lako mara moja na uwasiliane nasi kupitia {{supportEmail}}.'
+      }
+    }
+  },
+
+  account_locked: {
+    description: 'Sent when an account is locked after too many failed logins, with a link that unlocks it',
+    variables: ['name', 'lockedUntil', 'unlockUrl'],
+    sample: { name: 'Jane', lockedUntil: '2025-07-01 14:30 UTC', unlockUrl: 'https://example.org/unlock-account?token=sample' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Your account was locked after failed sign-in attempts',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Someone entered the wrong password for your account several times, so we have locked it until {{lockedUntil}}.<br><br>
+    If it was you, you can unlock it now:<br><br>
+    ${button('{{unlockUrl}}', 'Unlock Account')}<br><br>
+    If it was not you, please <a href="{{frontendUrl}}/forgot-password">reset your password</a>; that also unlocks the account.
+</p>`,
+        text: `Hi {{name}},
+
+Someone entered the wrong password for your account several times, so we have locked it until {{lockedUntil}}.
+
+If it was you, open this link to unlock it now:
+{{unlockUrl}}
+
+If it was not you, please reset your password at {{frontendUrl}}/forgot-password; that also unlocks the account.`
+      },
+      sw: {
+        subject: 'Akaunti yako imefungwa baada ya majaribio ya kuingia yaliyoshindwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Mtu aliingiza nenosiri lisilo sahihi la akaunti yako mara kadhaa, kwa hivyo tumeifunga hadi {{lockedUntil}}.<br><br>
+    Ikiwa ni wewe, unaweza kuifungua sasa:<br><br>
+    ${button('{{unlockUrl}}', 'Fungua Akaunti')}<br><br>
+    Ikiwa si wewe, tafadhali <a href="{{frontendUrl}}/forgot-password">weka upya nenosiri lako</a>; hilo pia hufungua akaunti.
+</p>`,
+        text: `Habari {{name}},
+
+Mtu aliingiza nenosiri lisilo sahihi la akaunti yako mara kadhaa, kwa hivyo tumeifunga hadi {{lockedUntil}}.
+
+Ikiwa ni wewe, fungua kiungo hiki ili kuifungua sasa:
+{{unlockUrl}}
+
+Ikiwa si wewe, tafadhali weka upya nenosiri lako kupitia {{frontendUrl}}/forgot-password; hilo pia hufungua akaunti.`
+      }
+    }
+  },
+
+  two_factor_disabled: {
+    description: 'Sent when two-factor authentication is turned off for an account, by its owner or an administrator',
+    variables: ['name'],
+    sample: { name: 'Jane' },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'Two-factor authentication was turned off',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    Two-factor authentication was just turned off for your account, so a password alone now signs you in.<br>
+    If this was not you, please reset your password right away and contact us at {{supportEmail}}.
+</p>`,
+        text: 'Hi {{name}}, two-factor authentication was just turned off for your account, so a password alone now signs you in. If this was not you, please reset your password right away and contact us at {{supportEmail}}.'
+      },
+      sw: {
+        subject: 'Uthibitishaji wa hatua mbili umezimwa',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    Uthibitishaji wa hatua mbili umezimwa sasa hivi kwenye akaunti yako, kwa hivyo nenosiri pekee sasa linatosha kuingia.<br>
+    Ikiwa si wewe, tafadhali weka upya nenosiri lako mara moja na uwasiliane nasi kupitia {{supportEmail}}.
+</p>`,
+        text: 'Habari {{name}}, uthibitishaji wa hatua mbili umezimwa sasa hivi kwenye akaunti yako, kwa hivyo nenosiri pekee sasa linatosha kuingia. Ikiwa si wewe, tafadhali weka upya nenosiri lako mara moja na uwasiliane nasi kupitia {{supportEmail}}.'
+      }
+    }
+  },
+
+  admin_invitation: {
+    description: 'Sent when an admin invites someone to become an administrator',
+    variables: ['name', 'inviterName', 'inviteUrl', 'expiresInDays'],
+    sample: { name: 'Jane', inviterName: 'Admin 1', inviteUrl: 'https://example.org/admin-invitation?token=sample', expiresInDays: 7 },
+    layout: 'layout.default',
+    locales: {
+      en: {
+        subject: 'You have been invited to administer {{appName}}',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Hi {{name}},<br>
+    {{inviterName}} has invited you to join {{appName}} as an administrator.
+    Open the link below to choose your password and activate your account.<br><br>
+    ${button('{{inviteUrl}}', 'Accept Invitation')}<br><br>
+    The invitation expires in {{expiresInDays}} days. If you were not expecting it, you can ignore this email.
+</p>`,
+        text: `Hi {{name}},
+
+{{inviterName}} has invited you to join {{appName}} as an administrator. Open this link to choose your password and activate your account:
+{{inviteUrl}}
+
+The invitation expires in {{expiresInDays}} days. If you were not expecting it, you can ignore this email.`
+      },
+      sw: {
+        subject: 'Umealikwa kuwa msimamizi wa {{appName}}',
+        html: `
+<p style="font-size:16px;font-family:sans-serif;">
+    Habari {{name}},<br>
+    {{inviterName}} amekualika ujiunge na {{appName}} kama msimamizi.
+    Fungua kiungo kilicho hapa chini kuchagua nenosiri lako na kuwezesha akaunti yako.<br><br>
+    ${button('{{inviteUrl}}', 'Kubali Mwaliko')}<br><br>
+    Mwaliko huu utaisha muda baada ya siku {{expiresInDays}}. Ikiwa haukuutarajia, unaweza kupuuza barua pepe hii.
+</p>`,
+        text: `Habari {{name}},
+
+{{inviterName}} amekualika ujiunge na {{appName}} kama msimamizi. Fungua kiungo hiki kuchagua nenosiri lako na kuwezesha akaunti yako:
+{{inviteUrl}}
+
+Mwaliko utaisha muda baada ya siku {{expiresInDays}}. Ikiwa haukuutarajia, unaweza kupuuza barua pepe hii.`
+      }
+    }
+  },
+
+  donation_thank_you: {
+    description: 'Sent to the donor when a charity confirms a delivery, with the charity\'s thank-you note',
+    variables: ['name', 'charityName', 'thankYouNote'],
+    sample: { name: 'Jane', charityName: 'Hope Children\'s Home', thankYouNote: 'The blankets arrived just in time for the cold season. Thank you!' },
+    layout: null,
+    locales: {
+      en: {
+        subject: 'A Thank You For Your Recent Donation to {{charityName}}!',
+        html: `
+<div style="font-family: sans-serif; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+    <h2 style="color: #005AA7;">Dear {{name}},</h2>
+    <p>We are writing to express our sincerest gratitude for your recent donation. The items you provided have been safely received by <b>{{charityName}}</b>.</p>
+    <h3 style="color: #333; border-bottom: 2px solid #005AA7; padding-bottom: 5px;">A Note From the Charity:</h3>
+    <blockquote style="border-left: 4px solid #005AA7; padding-left: 15px; margin-left: 0; font-style: italic; color: #333;">
+        <p>{{thankYouNote}}</p>
+    </blockquote>
+    <p>Your support makes a huge difference in our community and allows us to continue our work. We are incredibly grateful for your generosity.</p>
+    <p>Warmly,</p>
+    <p><b>The Team at {{appName}} & {{charityName}}</b></p>
+</div>`,
+        text: `Dear {{name}},
+
+We are writing to express our sincerest gratitude for your recent donation. The items you provided have been safely received by {{charityName}}.
+
+A note from the charity:
+"{{thankYouNote}}"
+
+Your support makes a huge difference in our community and allows us to continue our work. We are incredibly grateful for your generosity.
+
+Warmly,
+The Team at {{appName}} & {{charityName}}`
+      },
+      sw: {
+        subject: 'Asante kwa Mchango Wako wa Hivi Karibuni kwa {{charityName}}!',
+        html: `
+<div style="font-family: sans-serif; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
+    <h2 style="color: #005AA7;">Mpendwa {{name}},</h2>
+    <p>Tunakuandikia kutoa shukrani zetu za dhati kwa mchango wako wa hivi karibuni. Vitu ulivyotoa vimepokelewa salama na <b>{{charityName}}</b>.</p>
+    <h3 style="color: #333; border-bottom: 2px solid #005AA7; padding-bottom: 5px;">Ujumbe Kutoka kwa Shirika la Hisani:</h3>
+    <blockquote style="border-left: 4px solid #005AA7; padding-left: 15px; margin-left: 0; font-style: italic; color: #333;">
+        <p>{{thankYouNote}}</p>
+    </blockquote>
+    <p>Msaada wako unaleta tofauti kubwa katika jamii yetu na unatuwezesha kuendelea na kazi yetu. Tunashukuru sana kwa ukarimu wako.</p>
+    <p>Kwa upendo,</p>
+    <p><b>Timu ya {{appName}} na {{charityName}}</b></p>
+</div>`,
+        text: `Mpendwa {{name}},
+
+Tunakuandikia kutoa shukrani zetu za dhati kwa mchango wako wa hivi karibuni. Vitu ulivyotoa vimepokelewa salama na {{charityName}}.
+
+Ujumbe kutoka kwa shirika la hisani:
+"{{thankYouNote}}"
+
+Msaada wako unaleta tofauti kubwa katika jamii yetu na unatuwezesha kuendelea na kazi yetu. Tunashukuru sana kwa ukarimu wako.
+
+Kwa upendo,
+Timu ya {{appName}} na {{charityName}}`
+      }
+    }
+  }
+};
+
+export default emailTemplates;
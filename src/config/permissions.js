@@ -0,0 +1,56 @@
+// Permissions that can be granted to administrators, and the built-in admin roles.
+// Custom roles (AdminRole documents) combine the same permissions.
+
+export const PERMISSIONS = {
+  'users:read': 'View user accounts and verification queues',
+  'users:verify': 'Approve or reject charity and volunteer applications',
+  'users:manage': 'Suspend, reactivate and delete user accounts',
+  'categories:write': 'Create, edit and delete donation categories',
+  'reports:read': 'View dashboards and reports',
+  'reports:export': 'Download report exports',
+  'donations:override': 'Assign, cancel and reopen pickups and manage batches on behalf of users',
+  'notifications:read': 'View the outbound notification delivery log',
+  'email_templates:write': 'Edit email templates',
+  'jobs:manage': 'Monitor, retry and cancel background jobs',
+  'admins:manage': 'Invite administrators and manage admin roles'
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+export const BUILT_IN_ROLES = {
+  super_admin: {
+    name: 'Super admin',
+    description: 'Every permission, including managing other administrators',
+    permissions: PERMISSION_KEYS
+  },
+  admin: {
+    name: 'Administrator',
+    description: 'Every permission except managing other administrators',
+    permissions: PERMISSION_KEYS.filter(permission => permission !== 'admins:manage')
+  },
+  verifier: {
+    name: 'Verifier',
+    description: 'Reviews charity and volunteer applications',
+    permissions: ['users:read', 'users:verify']
+  },
+  content_manager: {
+    name: 'Content manager',
+    description: 'Maintains donation categories and email copy',
+    permissions: ['categories:write', 'email_templates:write']
+  },
+  analyst: {
+    name: 'Analyst',
+    description: 'Views and exports reports',
+    permissions: ['reports:read', 'reports:export']
+  },
+  operations: {
+    name: 'Operations',
+    description: 'Keeps pickups moving and watches deliveries and jobs',
+    permissions: ['users:read', 'donations:override', 'notifications:read', 'jobs:manage']
+  }
+};
+
+// Admin.permissionsLevel is seniority: level 2 and above are super admins. Below that,
+// admins get the permissions of their roles, or the 'admin' role if none are assigned.
+export const SUPER_ADMIN_LEVEL = 2;
+export const DEFAULT_ADMIN_ROLE = 'admin';
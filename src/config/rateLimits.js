@@ -0,0 +1,52 @@
+// Request limits per route group. Each group has one or more buckets:
+//   ip      - counts requests from one client address
+//   account - counts requests for one email address, whatever address they come from
+// A request is refused once any of its buckets is full. Every limit can be changed with
+// RATE_LIMIT_<GROUP>_<BUCKET>_MAX and RATE_LIMIT_<GROUP>_<BUCKET>_WINDOW_MINUTES,
+// e.g. RATE_LIMIT_LOGIN_IP_MAX=50 or RATE_LIMIT_ADDRESS_SEARCH_IP_WINDOW_MINUTES=5.
+
+const MINUTE = 60 * 1000;
+
+const bucket = (group, by, { max, windowMinutes }) => {
+  const prefix = `RATE_LIMIT_${group.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}_${by.toUpperCase()}`;
+  return {
+    by,
+    max: parseInt(process.env[`${prefix}_MAX`], 10) || max,
+    windowMs: (parseFloat(process.env[`${prefix}_WINDOW_MINUTES`]) || windowMinutes) * MINUTE
+  };
+};
+
+const DEFAULTS = {
+  // Failed logins only; the lockout in utils/loginLockout.js guards each account as well
+  login: {
+    skipSuccessfulRequests: true,
+    buckets: { ip: { max: 20, windowMinutes: 15 }, account: { max: 10, windowMinutes: 15 } }
+  },
+  // Endpoints that check a two-factor code; at login, wrong codes also count towards the lockout
+  twoFactor: {
+    skipSuccessfulRequests: true,
+    buckets: { ip: { max: 20, windowMinutes: 15 } }
+  },
+  register: {
+    buckets: { ip: { max: 10, windowMinutes: 60 } }
+  },
+  // Requests that send an email: password reset and email verification links
+  accountEmail: {
+    buckets: { ip: { max: 10, windowMinutes: 60 }, account: { max: 3, windowMinutes: 60 } }
+  },
+  // Endpoints that take an emailed token
+  emailToken: {
+    buckets: { ip: { max: 20, windowMinutes: 15 } }
+  },
+  // Proxied to Nominatim, which allows about one request per second for the whole service
+  addressSearch: {
+    buckets: { ip: { max: 30, windowMinutes: 1 } }
+  }
+};
+
+export const RATE_LIMIT_GROUPS = Object.fromEntries(
+  Object.entries(DEFAULTS).map(([group, { buckets, ...options }]) => [group, {
+    ...options,
+    buckets: Object.entries(buckets).map(([by, limits]) => bucket(group, by, limits))
+  }])
+);
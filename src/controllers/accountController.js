@@ -0,0 +1,180 @@
+import { User } from '../models/User.js';
+import {
+    suspendAccount,
+    reactivateAccount,
+    findDeletionBlockers,
+    deleteAccount,
+    buildPersonalDataExport
+} from '../utils/accountLifecycle.js';
+import { sendTemplateEmail } from '../utils/sendEmail.js';
+import { TWO_FACTOR_SECRET_FIELDS, disableTwoFactor, isTwoFactorRequired, verifySecondFactor } from '../utils/twoFactor.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } from '../utils/errors.js';
+
+// Load the account an admin wants to act on. Admins cannot act on themselves
+// or on admins at or above their own level.
+const findManagedUser = async (req, verb) => {
+    if (req.params.id === req.user._id.toString()) {
+        throw new BadRequestError(`You cannot ${verb} your own account`);
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user || user.deletedAt) {
+        throw new NotFoundError('User not found');
+    }
+    if (user.role === 'admin' && (user.permissionsLevel || 1) >= (req.user.permissionsLevel || 1)) {
+        throw new ForbiddenError(`You can only ${verb} admins below your own level`);
+    }
+    return user;
+};
+
+const accountSummary = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    isActive: user.isActive,
+    suspension: user.suspension
+});
+
+// @desc    Suspend a user account
+// @route   POST /api/admin/users/:id/suspend
+// @access  Private/Admin (users:manage)
+const suspendUser = async (req, res) => {
+    const { reason } = req.body;
+
+    let expiresAt;
+    if (req.body.expiresAt) {
+        expiresAt = new Date(req.body.expiresAt);
+        if (expiresAt <= new Date()) {
+            throw new BadRequestError('expiresAt must be a date in the future');
+        }
+    }
+
+    const user = await findManagedUser(req, 'suspend');
+
+    const updated = await suspendAccount(user, { reason, expiresAt, actor: req.user });
+
+    res.json({
+        success: true,
+        message: expiresAt
+            ? `${updated.name} is suspended until ${expiresAt.toISOString()}`
+            : `${updated.name} is suspended until the suspension is lifted`,
+        data: accountSummary(updated)
+    });
+};
+
+// @desc    Lift a suspension or reactivate a deactivated account
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private/Admin (users:manage)
+const reactivateUser = async (req, res) => {
+    const user = await findManagedUser(req, 'reactivate');
+
+    if (user.isActive !== false) {
+        throw new BadRequestError('This account is already active');
+    }
+
+    const updated = await reactivateAccount(user._id, { actor: req.user });
+    if (!updated) {
+        throw new ConflictError('The account was changed at the same time. Reload it and try again.');
+    }
+
+    res.json({ success: true, message: `${updated.name} can sign in again`, data: accountSummary(updated) });
+};
+
+// @desc    Delete a user account and remove their personal data
+// @route   DELETE /api/admin/users/:id
+// @access  Private/Admin (users:manage)
+const deleteUser = async (req, res) => {
+    const user = await findManagedUser(req, 'delete');
+
+    const blockers = await findDeletionBlockers(user);
+    if (blockers.length > 0) {
+        throw new ConflictError('The account cannot be deleted yet', { details: { blockers } });
+    }
+
+    await deleteAccount(user, { actor: req.user });
+
+    res.json({ success: true, message: 'The account has been deleted and its personal data removed' });
+};
+
+// @desc    Turn off two-factor authentication for a user who lost their device and recovery codes
+// @route   DELETE /api/admin/users/:id/2fa
+// @access  Private/Admin (users:manage)
+const resetUserTwoFactor = async (req, res) => {
+    const user = await findManagedUser(req, 'reset two-factor authentication for');
+
+    if (!user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is not on for this account');
+    }
+
+    await disableTwoFactor(user._id);
+
+    sendTemplateEmail(user, 'two_factor_disabled').catch(emailError =>
+        console.error('Failed to send two-factor disabled email:', emailError)
+    );
+
+    res.json({
+        success: true,
+        message: isTwoFactorRequired(user)
+            ? `${user.name} will set up two-factor authentication again at their next login`
+            : `Two-factor authentication is off for ${user.name}`,
+        data: accountSummary(user)
+    });
+};
+
+// @desc    Delete your own account and personal data
+// @route   DELETE /api/auth/me
+// @access  Private (verified or not)
+const deleteMyAccount = async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.role === 'admin') {
+        throw new ForbiddenError('Admin accounts are deleted by another administrator');
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+    if (!(await user.matchPassword(password))) {
+        throw new UnauthorizedError('Password is incorrect');
+    }
+    // As for turning two-factor authentication off, the password alone is not enough
+    if (user.twoFactor?.enabled) {
+        if (!code && !recoveryCode) {
+            throw new BadRequestError('Please confirm with a code or recovery code');
+        }
+        if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+            throw new UnauthorizedError('Invalid authentication code');
+        }
+    }
+
+    const blockers = await findDeletionBlockers(user);
+    if (blockers.length > 0) {
+        throw new ConflictError('Your account cannot be deleted yet', { details: { blockers } });
+    }
+
+    await deleteAccount(user, { actor: user });
+
+    res.json({ success: true, message: 'Your account has been deleted and your personal data removed' });
+};
+
+// @desc    Download everything held about the current user
+// @route   GET /api/auth/me/export
+// @access  Private (verified or not)
+const exportMyData = async (req, res) => {
+    const data = await buildPersonalDataExport(req.user._id);
+
+    // A file download, so the export itself is the body rather than the usual `{ success, data }`
+    res.set({
+        'Content-Disposition': `attachment; filename="generous-hands-data-${req.user._id}.json"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.json(data);
+};
+
+export {
+    suspendUser,
+    reactivateUser,
+    deleteUser,
+    resetUserTwoFactor,
+    deleteMyAccount,
+    exportMyData
+};
@@ -0,0 +1,496 @@
+import crypto from 'crypto';
+import AdminInvitation from '../models/AdminInvitation.js';
+import { User, Admin } from '../models/User.js';
+import { sendTemplateEmail } from '../utils/sendEmail.js';
+import { createTwoFactorChallenge } from '../utils/twoFactor.js';
+import { checkGrant } from '../utils/permissions.js';
+import { AppError, BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Invitations
+ *   description: Invite new administrators; admin accounts cannot be self-registered
+ *
+ * components:
+ *   schemas:
+ *     AdminInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         name:
+ *           type: string
+ *         permissionsLevel:
+ *           type: integer
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         invitedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         lastSentAt:
+ *           type: string
+ *           format: date-time
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.ADMIN_INVITATION_EXPIRE_DAYS, 10) || 7;
+
+const newToken = () => crypto.randomBytes(32).toString('hex');
+
+const expiryDate = () => new Date(Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Pending invitations past their expiry are reported as expired
+const withCurrentStatus = (invitation) => ({
+    ...invitation,
+    status: invitation.status === 'pending' && invitation.expiresAt <= new Date() ? 'expired' : invitation.status
+});
+
+const sendInvitationEmail = (invitation, token, inviter, language) => sendTemplateEmail(
+    { email: invitation.email, name: invitation.name || invitation.email, preferredLanguage: language },
+    'admin_invitation',
+    {
+        inviterName: inviter.name,
+        inviteUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin-invitation?token=${token}`,
+        expiresInDays: INVITATION_EXPIRE_DAYS
+    }
+);
+
+/**
+ * @swagger
+ * /admin/invitations:
+ *   post:
+ *     summary: Invite someone to become an administrator
+ *     tags: [Admin Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation created and emailed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminInvitation'
+ *       400:
+ *         description: Invalid email
+ *       403:
+ *         description: The invitation would grant more than the inviting admin holds
+ *       409:
+ *         description: An account or an open invitation already exists for this email
+ *       500:
+ *         description: Server error or the invitation email could not be sent
+ *   get:
+ *     summary: List admin invitations
+ *     tags: [Admin Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminInvitation'
+ *       500:
+ *         description: Server error
+ */
+export const createInvitation = async (req, res) => {
+    const { email, name, permissionsLevel, roles, language } = req.body;
+
+    if (await User.exists({ email })) {
+        throw new ConflictError('An account with this email already exists.');
+    }
+
+    const refused = await checkGrant(req.user, { roles, permissionsLevel });
+    if (refused) {
+        throw new ForbiddenError(refused);
+    }
+
+    // Lapsed invitations no longer block a new one
+    await AdminInvitation.updateMany(
+        { email, status: 'pending', expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+
+    const token = newToken();
+    let invitation;
+    try {
+        invitation = await AdminInvitation.create({
+            email,
+            name,
+            permissionsLevel,
+            roles: [...new Set(roles)],
+            tokenHash: User.hashToken(token),
+            expiresAt: expiryDate(),
+            invitedBy: req.user._id,
+            lastSentAt: new Date()
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('An invitation for this email is already pending. Resend or revoke it instead.');
+        }
+        throw error;
+    }
+
+    try {
+        await sendInvitationEmail(invitation, token, req.user, language);
+    } catch (emailError) {
+        await AdminInvitation.deleteOne({ _id: invitation._id });
+        console.error('Failed to send admin invitation email:', emailError);
+        throw new AppError('The invitation email could not be sent. Please try again later.', { code: 'EMAIL_NOT_SENT' });
+    }
+
+    const { tokenHash, ...data } = invitation.toObject();
+    res.status(201).json({ success: true, message: `Invitation sent to ${email}.`, data });
+};
+
+export const getInvitations = async (req, res) => {
+    const { status } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'expired') {
+        query.$or = [{ status: 'expired' }, { status: 'pending', expiresAt: { $lte: now } }];
+    } else if (status === 'pending') {
+        Object.assign(query, { status: 'pending', expiresAt: { $gt: now } });
+    } else if (status) {
+        query.status = status;
+    }
+
+    const invitations = await AdminInvitation.find(query)
+        .populate('invitedBy', 'name email')
+        .populate('revokedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    res.json({
+        success: true,
+        count: invitations.length,
+        data: invitations.map(withCurrentStatus)
+    });
+};
+
+/**
+ * @swagger
+ * /admin/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Admin Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked; its link stops working
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was already accepted or revoked
+ *       500:
+ *         description: Server error
+ */
+export const revokeInvitation = async (req, res) => {
+    const invitation = await AdminInvitation.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['pending', 'expired'] } },
+        { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: req.user._id } },
+        { new: true }
+    ).lean();
+
+    if (!invitation) {
+        const existing = await AdminInvitation.findById(req.params.id).select('status').lean();
+        if (!existing) {
+            throw new NotFoundError('Invitation not found.');
+        }
+        throw new ConflictError(`This invitation has already been ${existing.status}.`);
+    }
+
+    res.json({ success: true, message: 'Invitation revoked.', data: invitation });
+};
+
+/**
+ * @swagger
+ * /admin/invitations/{id}/resend:
+ *   post:
+ *     summary: Email a pending or expired invitation again with a new link
+ *     description: The previous link stops working and the expiry is reset.
+ *     tags: [Admin Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResendInvitationRequest'
+ *     responses:
+ *       200:
+ *         description: Invitation sent again
+ *       404:
+ *         description: Invitation not found
+ *       409:
+ *         description: Invitation was accepted or revoked, or another invitation for the email is pending
+ *       500:
+ *         description: Server error
+ */
+export const resendInvitation = async (req, res) => {
+    const token = newToken();
+    let invitation;
+    try {
+        invitation = await AdminInvitation.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: ['pending', 'expired'] } },
+            {
+                $set: {
+                    status: 'pending',
+                    tokenHash: User.hashToken(token),
+                    expiresAt: expiryDate(),
+                    lastSentAt: new Date()
+                }
+            },
+            { new: true }
+        ).lean();
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('Another invitation for this email is already pending.');
+        }
+        throw error;
+    }
+
+    if (!invitation) {
+        const existing = await AdminInvitation.findById(req.params.id).select('status').lean();
+        if (!existing) {
+            throw new NotFoundError('Invitation not found.');
+        }
+        throw new ConflictError(`This invitation has already been ${existing.status}.`);
+    }
+
+    await sendInvitationEmail(invitation, token, req.user, req.body.language);
+
+    res.json({ success: true, message: `Invitation sent again to ${invitation.email}.`, data: invitation });
+};
+
+const findOpenInvitation = (token) => AdminInvitation.findOne({
+    tokenHash: User.hashToken(token),
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * @swagger
+ * /auth/invitations/{token}:
+ *   get:
+ *     summary: Look up an admin invitation from its link
+ *     tags: [Admin Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The invitation is open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       404:
+ *         description: The invitation is invalid, revoked, used or expired
+ *       500:
+ *         description: Server error
+ */
+export const getInvitationByToken = async (req, res) => {
+    const invitation = await findOpenInvitation(req.params.token).select('email name expiresAt').lean();
+
+    if (!invitation) {
+        throw new NotFoundError('This invitation is invalid or has expired.');
+    }
+
+    const { _id, ...data } = invitation;
+    res.json({ success: true, data });
+};
+
+/**
+ * @swagger
+ * /auth/invitations/accept:
+ *   post:
+ *     summary: Accept an admin invitation and create the admin account
+ *     tags: [Admin Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Admin account created. Admins must use two-factor authentication, so instead of session tokens this returns a challenge; set it up with /auth/login/2fa/setup and finish with /auth/login/2fa.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id: { type: string }
+ *                     name: { type: string }
+ *                     email: { type: string }
+ *                     role: { type: string }
+ *                     userType: { type: string }
+ *                     twoFactorRequired: { type: boolean }
+ *                     twoFactorSetupRequired: { type: boolean }
+ *                     challengeToken: { type: string }
+ *                     challengeExpiresIn: { type: string, example: 5m }
+ *       400:
+ *         description: Missing fields or password too short
+ *       404:
+ *         description: The invitation is invalid, revoked, used or expired
+ *       409:
+ *         description: An account with the invited email already exists
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+export const acceptInvitation = async (req, res) => {
+    const { token, password } = req.body;
+
+    const invitation = await findOpenInvitation(token).lean();
+    if (!invitation) {
+        throw new NotFoundError('This invitation is invalid or has expired.');
+    }
+
+    const name = req.body.name || invitation.name;
+    if (!name) {
+        throw new BadRequestError('Please provide your name.');
+    }
+    if (await User.exists({ email: invitation.email })) {
+        throw new ConflictError('An account with this email already exists.');
+    }
+
+    // Claim the invitation first so the same link cannot create two accounts
+    const claimed = await AdminInvitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending' },
+        { $set: { status: 'accepted', acceptedAt: new Date() } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new NotFoundError('This invitation is invalid or has expired.');
+    }
+
+    let admin;
+    try {
+        admin = await Admin.create({
+            name,
+            email: invitation.email,
+            password,
+            role: 'admin',
+            permissionsLevel: invitation.permissionsLevel,
+            roles: invitation.roles,
+            // The invitation link was delivered to this address
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+    } catch (error) {
+        await AdminInvitation.updateOne({ _id: invitation._id }, { $set: { status: 'pending' }, $unset: { acceptedAt: '' } });
+        throw error;
+    }
+
+    claimed.acceptedUser = admin._id;
+    await claimed.save();
+
+    res.status(201).json({
+        success: true,
+        message: 'Your admin account has been created. Set up two-factor authentication to finish logging in.',
+        data: {
+            _id: admin._id,
+            name: admin.name,
+            email: admin.email,
+            role: admin.role,
+            userType: admin.userType,
+            isVerified: admin.isVerified,
+            emailVerified: admin.emailVerified,
+            // Admins set up two-factor authentication before they get a session
+            ...createTwoFactorChallenge(admin)
+        }
+    });
+};
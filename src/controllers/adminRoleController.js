@@ -0,0 +1,400 @@
+import AdminRole from '../models/AdminRole.js';
+import AdminInvitation from '../models/AdminInvitation.js';
+import { Admin } from '../models/User.js';
+import { PERMISSIONS, BUILT_IN_ROLES, SUPER_ADMIN_LEVEL } from '../config/permissions.js';
+import { getAdminPermissions, resolveRoles, checkGrant, hasPermission } from '../utils/permissions.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Roles
+ *   description: Permissions, admin roles and role assignment
+ *
+ * components:
+ *   schemas:
+ *     AdminRole:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: volunteer_coordinator
+ *         name:
+ *           type: string
+ *           example: Volunteer coordinator
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: users:verify
+ *         builtIn:
+ *           type: boolean
+ *         assignedAdmins:
+ *           type: integer
+ */
+
+const roleBody = ({ name, description, permissions }) => ({
+    ...(name !== undefined && { name }),
+    ...(description !== undefined && { description }),
+    ...(permissions !== undefined && { permissions: [...new Set(permissions)] })
+});
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: List all permissions and the current admin's own permissions
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission catalogue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     permissions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           key:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                     granted:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       403:
+ *         description: Admin access required
+ */
+export const getPermissions = (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+            granted: req.user.$locals.permissions || []
+        }
+    });
+};
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: List built-in and custom admin roles
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with the number of admins holding each
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminRole'
+ *       403:
+ *         description: Requires admins:manage
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Create a custom admin role
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateRoleRequest'
+ *     responses:
+ *       201:
+ *         description: Role created
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Requires admins:manage, or the role includes permissions the admin does not hold
+ *       409:
+ *         description: A role with this key already exists
+ *       500:
+ *         description: Server error
+ */
+export const getRoles = async (req, res) => {
+    const [custom, assignments] = await Promise.all([
+        AdminRole.find().sort({ name: 1 }).lean(),
+        Admin.aggregate([
+            { $unwind: '$roles' },
+            { $group: { _id: '$roles', count: { $sum: 1 } } }
+        ])
+    ]);
+    const counts = new Map(assignments.map(({ _id, count }) => [_id, count]));
+
+    const roles = [
+        ...Object.entries(BUILT_IN_ROLES).map(([key, role]) => ({ key, ...role, builtIn: true })),
+        ...custom.map(role => ({ ...role, builtIn: false }))
+    ].map(role => ({ ...role, assignedAdmins: counts.get(role.key) || 0 }));
+
+    res.json({ success: true, count: roles.length, data: roles });
+};
+
+export const createRole = async (req, res) => {
+    const { key } = req.body;
+    const update = roleBody(req.body);
+
+    const beyond = update.permissions.filter(permission => !hasPermission(req.user, permission));
+    if (beyond.length > 0) {
+        throw new ForbiddenError(`You cannot create a role with permissions you do not hold: ${beyond.join(', ')}`);
+    }
+
+    let role;
+    try {
+        role = await AdminRole.create({ key, ...update, createdBy: req.user._id, updatedBy: req.user._id });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ConflictError('A role with this key already exists.');
+        }
+        throw error;
+    }
+
+    res.status(201).json({ success: true, message: 'Role created.', data: { ...role.toObject(), builtIn: false } });
+};
+
+/**
+ * @swagger
+ * /admin/roles/{key}:
+ *   put:
+ *     summary: Update a custom admin role
+ *     description: Changes apply immediately to every admin holding the role. Built-in roles cannot be edited.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateRoleRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role or built-in role
+ *       403:
+ *         description: Requires admins:manage, or the change involves permissions the admin does not hold
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a custom admin role
+ *     description: The role is removed from every admin and pending invitation holding it.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Built-in roles cannot be deleted
+ *       403:
+ *         description: Requires admins:manage, or the role has permissions the admin does not hold
+ *       404:
+ *         description: Role not found
+ *       500:
+ *         description: Server error
+ */
+export const updateRole = async (req, res) => {
+    if (BUILT_IN_ROLES[req.params.key]) {
+        throw new BadRequestError('Built-in roles cannot be changed.');
+    }
+
+    const update = roleBody(req.body);
+
+    const role = await AdminRole.findOne({ key: req.params.key });
+    if (!role) {
+        throw new NotFoundError('Role not found.');
+    }
+
+    // Both adding and removing a permission count as handing it out
+    const touched = update.permissions
+        ? [...new Set([...update.permissions, ...role.permissions])].filter(permission =>
+            update.permissions.includes(permission) !== role.permissions.includes(permission))
+        : [];
+    const beyond = touched.filter(permission => !hasPermission(req.user, permission));
+    if (beyond.length > 0) {
+        throw new ForbiddenError(`You cannot change permissions you do not hold: ${beyond.join(', ')}`);
+    }
+
+    role.set({ ...update, updatedBy: req.user._id });
+    await role.save();
+
+    res.json({ success: true, message: 'Role updated.', data: { ...role.toObject(), builtIn: false } });
+};
+
+export const deleteRole = async (req, res) => {
+    if (BUILT_IN_ROLES[req.params.key]) {
+        throw new BadRequestError('Built-in roles cannot be deleted.');
+    }
+
+    const role = await AdminRole.findOne({ key: req.params.key }).lean();
+    if (!role) {
+        throw new NotFoundError('Role not found.');
+    }
+
+    const beyond = role.permissions.filter(permission => !hasPermission(req.user, permission));
+    if (beyond.length > 0) {
+        throw new ForbiddenError(`You cannot delete a role with permissions you do not hold: ${beyond.join(', ')}`);
+    }
+
+    await AdminRole.deleteOne({ _id: role._id });
+    const [admins] = await Promise.all([
+        Admin.updateMany({ roles: role.key }, { $pull: { roles: role.key } }),
+        AdminInvitation.updateMany({ roles: role.key, status: 'pending' }, { $pull: { roles: role.key } })
+    ]);
+
+    res.json({
+        success: true,
+        message: `Role deleted and removed from ${admins.modifiedCount} admin(s).`
+    });
+};
+
+/**
+ * @swagger
+ * /admin/admins:
+ *   get:
+ *     summary: List administrators with their roles and effective permissions
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Administrators
+ *       403:
+ *         description: Requires admins:manage
+ *       500:
+ *         description: Server error
+ */
+export const getAdmins = async (req, res) => {
+    const admins = await Admin.find()
+        .select('name email role permissionsLevel roles isActive lastLogin createdAt')
+        .sort({ name: 1 });
+
+    const data = await Promise.all(admins.map(async admin => ({
+        ...admin.toObject(),
+        isSuperAdmin: admin.permissionsLevel >= SUPER_ADMIN_LEVEL,
+        permissions: await getAdminPermissions(admin)
+    })));
+
+    res.json({ success: true, count: data.length, data });
+};
+
+/**
+ * @swagger
+ * /admin/admins/{id}/roles:
+ *   put:
+ *     summary: Assign roles and a permissions level to another administrator
+ *     description: >
+ *       Admins cannot change their own roles, cannot change admins above their own level,
+ *       and cannot grant a level above their own or permissions they do not hold.
+ *       An empty roles list gives the admin the default 'admin' role.
+ *     tags: [Admin Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateAdminRolesRequest'
+ *     responses:
+ *       200:
+ *         description: Roles updated
+ *       400:
+ *         description: Invalid request or an attempt to change one's own roles
+ *       403:
+ *         description: Requires admins:manage, or the change exceeds the admin's own authority
+ *       404:
+ *         description: Admin not found
+ *       500:
+ *         description: Server error
+ */
+export const updateAdminRoles = async (req, res) => {
+    if (req.params.id === req.user._id.toString()) {
+        throw new BadRequestError('You cannot change your own roles.');
+    }
+
+    const target = await Admin.findById(req.params.id);
+    if (!target) {
+        throw new NotFoundError('Admin not found.');
+    }
+    if (target.permissionsLevel > (req.user.permissionsLevel || 1)) {
+        throw new ForbiddenError('You cannot change an admin above your own level.');
+    }
+
+    const roles = req.body.roles ?? target.roles;
+    const permissionsLevel = req.body.permissionsLevel ?? target.permissionsLevel;
+
+    const refused = await checkGrant(req.user, { roles, permissionsLevel });
+    if (refused) {
+        throw new ForbiddenError(refused);
+    }
+
+    // Taking permissions away is also limited to permissions the acting admin holds
+    const current = await getAdminPermissions(target);
+    const removedBeyond = current.filter(permission => !hasPermission(req.user, permission));
+    if (removedBeyond.length > 0) {
+        throw new ForbiddenError(`This admin holds permissions you do not: ${removedBeyond.join(', ')}`);
+    }
+
+    target.set({ roles: [...new Set(roles)], permissionsLevel });
+    await target.save();
+
+    res.json({
+        success: true,
+        message: 'Admin roles updated.',
+        data: {
+            _id: target._id,
+            name: target.name,
+            email: target.email,
+            permissionsLevel: target.permissionsLevel,
+            roles: await resolveRoles(target.roles),
+            permissions: await getAdminPermissions(target)
+        }
+    });
+};
@@ -1,116 +1,197 @@
 import { User, Donor, Volunteer, Admin, Charity } from '../models/User.js';
-import generateToken from '../utils/generateToken.js';
-import mongoose from 'mongoose';
-import { sendEmail } from '../utils/sendEmail.js';
+import {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    listActiveSessions
+} from '../utils/sessions.js';
+import { enqueueJob } from '../utils/jobQueue.js';
+import { sendTemplateEmail } from '../utils/sendEmail.js';
+import { geocodeAddress } from '../utils/geocoding.js';
+import { validateProfileUpdate } from '../utils/profileValidation.js';
+import { avatarUrlFor } from '../utils/profilePictures.js';
+import { isSuspended, liftExpiredSuspension } from '../utils/accountLifecycle.js';
+import {
+    LOCKOUT_RESET,
+    isLocked,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockWithToken,
+    unknownEmailLockedUntil,
+    recordUnknownEmailFailure
+} from '../utils/loginLockout.js';
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    isTwoFactorRequired,
+    createTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    beginTwoFactorSetup,
+    enableTwoFactor,
+    verifySecondFactor,
+    remainingRecoveryCodes
+} from '../utils/twoFactor.js';
+import { storeDocuments, deleteDocuments, parseDocumentDetails } from '../utils/documentStorage.js';
+import {
+    VERIFICATION_STATUSES,
+    VERIFICATION_STATUS_MESSAGES,
+    applyVerificationAction,
+    recordVerificationEvent
+} from '../utils/verificationWorkflow.js';
+import { AppError, BadRequestError, ForbiddenError, NotFoundError, UnauthorizedError, ValidationError, errorForStatus } from '../utils/errors.js';
+
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
+
+const accountLockedError = (lockedUntil) => new AppError(
+    'Too many failed login attempts. The account is locked for now; check your email for a link to unlock it, or reset your password.',
+    { status: 423, code: 'ACCOUNT_LOCKED', details: { lockedUntil } }
+);
+
+// Load the user a login challenge token was issued to, if they may still log in
+const findChallengedUser = async (challengeToken) => {
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) return null;
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+    return user && user.isActive !== false ? user : null;
+};
+
+// Start a session and describe the user who just logged in, as the response body
+const buildLoginResponse = async (user, req) => {
+    const data = {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        userType: user.userType,
+        isVerified: user.isVerified,
+        emailVerified: user.emailVerified,
+        ...(await createSession(user, req)),
+    };
+    let message;
+
+    // Applicants can sign in to follow and update their application; other routes stay closed until they are verified
+    if (user.role === 'volunteer' || user.role === 'charity') {
+        data.verificationStatus = user.verificationStatus;
+        if (user.verificationStatus !== 'verified') {
+            message = VERIFICATION_STATUS_MESSAGES[user.verificationStatus] || 'Your account is not verified.';
+            data.isPending = user.verificationStatus === 'pending';
+        }
+    }
+
+    return { success: true, ...(message && { message }), data };
+};
+
+const frontendLink = (pathname, token) =>
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}${pathname}?token=${token}`;
+
+// Issue a fresh verification token and email the link; the user document is saved here
+const sendVerificationEmail = async (user) => {
+    const token = user.createEmailVerificationToken(EMAIL_VERIFICATION_EXPIRE_HOURS);
+    await user.save({ validateBeforeSave: false });
+
+    await sendTemplateEmail(user, 'email_verification', {
+        verifyUrl: frontendLink('/verify-email', token),
+        expiresInHours: EMAIL_VERIFICATION_EXPIRE_HOURS
+    });
+};
 
 // @desc    Register a new user
 // @route   POST /api/auth/register
 // @access  Public
 const registerUser = async (req, res) => {
-    const { name, email, password, role, ...otherDetails } = req.body;
+    // Only the fields in the route's schema get here; verification and account state are never taken from the request
+    const { name, email, password, role, documentTypes, expiresAt, ...otherDetails } = req.body;
 
-    if (!name || !email || !password || !role) {
-        return res.status(400).json({ message: 'Please provide name, email, password, and role' });
+    const userExists = await User.findOne({ email });
+    if (userExists) {
+        throw new BadRequestError('User already exists with this email');
     }
 
-    try {
-        const userExists = await User.findOne({ email });
-        if (userExists) {
-            return res.status(400).json({ message: 'User already exists with this email' });
-        }
+    let newUser;
+    const userData = { name, email, password, role, ...otherDetails };
+
+    switch (role) {
+        case 'donor':
+            newUser = new Donor(userData);
+            break;
+        case 'volunteer':
+            newUser = new Volunteer(userData);
+            break;
+        case 'admin':
+            throw new ForbiddenError('Admin accounts cannot be registered. Ask an existing administrator for an invitation.');
+        case 'charity':
+            if (!otherDetails.charityName) {
+                throw new BadRequestError('Charity name is required for charity role');
+            }
+            newUser = new Charity(userData);
+            break;
+    }
 
-        let newUser;
-        const userData = { name, email, password, role, ...otherDetails };
-
-        switch (role.toLowerCase()) {
-            case 'donor':
-                newUser = new Donor(userData);
-                break;
-            case 'volunteer':
-                let volunteerDocs = [];
-                if (req.files && req.files.length > 0) {
-                    volunteerDocs = req.files.map(file => file.path);
-                }
-                userData.verificationDocuments = volunteerDocs;
-                newUser = new Volunteer(userData);
-                break;
-            case 'admin':
-                // TODO: Consider protecting admin creation more robustly in a real app
-                newUser = new Admin(userData);
-                break;
-            case 'charity':
-                if (!otherDetails.charityName) {
-                    return res.status(400).json({ message: 'Charity name is required for charity role' });
-                }
-                // Handle file uploads
-                let documentPaths = [];
-                if (req.files && req.files.length > 0) {
-                    documentPaths = req.files.map(file => file.path);
-                }
-                userData.charityName = otherDetails.charityName;
-                userData.category = otherDetails.category;
-
-                let locationData = otherDetails.location;
-                if (locationData && typeof locationData === 'string') {
-                    try {
-                        locationData = JSON.parse(locationData);
-                    } catch (e) {
-                        console.error('Error parsing location data from string:', e);
-                        locationData = null;
-                    }
-                }
-
-                if (locationData && Array.isArray(locationData.coordinates) && locationData.coordinates.length === 2) {
-                    userData.location = {
-                        type: 'Point',
-                        coordinates: locationData.coordinates
-                    };
-                }
-
-                console.log(userData);
-
-                userData.description = otherDetails.description;
-                userData.registrationNumber = otherDetails.registrationNumber;
-                userData.contactFirstName = otherDetails.contactFirstName;
-                userData.contactLastName = otherDetails.contactLastName;
-                userData.contactEmail = otherDetails.contactEmail;
-                userData.contactPhone = otherDetails.contactPhone;
-                userData.verificationDocuments = documentPaths;
-                newUser = new Charity(userData);
-                break;
-            default:
-                return res.status(400).json({ message: 'Invalid user role specified' });
+    // Verification documents are stored under random keys and served only through /api/documents
+    let documents = [];
+    if (req.files?.length > 0 && ['volunteer', 'charity'].includes(newUser.role)) {
+        try {
+            documents = await storeDocuments(req.files, {
+                owner: newUser._id,
+                purpose: `${newUser.role}_verification`
+            }, parseDocumentDetails({ documentTypes, expiresAt }, req.files.length));
+        } catch (documentError) {
+            if (documentError.invalidDocument) {
+                throw new BadRequestError(documentError.message);
+            }
+            throw documentError;
         }
+        newUser.verificationDocuments = documents.map(document => document._id);
+    }
 
+    try {
         await newUser.save();
+    } catch (saveError) {
+        await deleteDocuments(documents);
+        throw saveError;
+    }
 
-        if (newUser) {
-            const response = {
-                _id: newUser._id,
-                name: newUser.name,
-                email: newUser.email,
-                role: newUser.role,
-                userType: newUser.userType,
-                isVerified: newUser.isVerified,
-                token: generateToken(newUser._id, newUser.role),
-            };
-
-            if (newUser.role === 'volunteer' || newUser.role === 'charity') {
-                response.verificationStatus = newUser.verificationStatus || 'pending';
-                if (newUser.verificationStatus === 'pending') {
-                    response.message = 'Your account has been created and is pending approval by an administrator. You will be notified when your account is verified.';
-                    response.isPending = true;
-                }
-            }
+    if (newUser.role === 'volunteer' || newUser.role === 'charity') {
+        await recordVerificationEvent(newUser, 'submitted', { documents: newUser.verificationDocuments });
+    }
 
-            res.status(201).json(response);
-        } else {
-            res.status(400).json({ message: 'Invalid user data' });
+    try {
+        await sendVerificationEmail(newUser);
+    } catch (emailError) {
+        // The user can ask for a new link; registration itself succeeded
+        console.error('Failed to send verification email:', emailError);
+    }
+
+    // Matching and routing need coordinates; look them up in the background
+    if (newUser.address && !newUser.location?.coordinates?.length) {
+        await enqueueJob('geocode.user', { userId: newUser._id });
+    }
+
+    const data = {
+        _id: newUser._id,
+        name: newUser.name,
+        email: newUser.email,
+        role: newUser.role,
+        userType: newUser.userType,
+        isVerified: newUser.isVerified,
+        emailVerified: newUser.emailVerified,
+        // Roles that must use two-factor authentication set it up before they get a session
+        ...(isTwoFactorRequired(newUser) ? createTwoFactorChallenge(newUser) : await createSession(newUser, req)),
+    };
+    let message = 'Your account has been created';
+
+    if (newUser.role === 'volunteer' || newUser.role === 'charity') {
+        data.verificationStatus = newUser.verificationStatus || 'pending';
+        if (newUser.verificationStatus === 'pending') {
+            message = 'Your account has been created and is pending approval by an administrator. You will be notified when your account is verified.';
+            data.isPending = true;
         }
-    } catch (error) {
-        console.error('Error during user registration:', error);
-        res.status(500).json({ message: 'Server error during registration', error: error.message });
     }
+
+    res.status(201).json({ success: true, message, data });
 };
 
 // @desc    Authenticate user & get token (Login)
@@ -119,403 +200,627 @@ const registerUser = async (req, res) => {
 const loginUser = async (req, res) => {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-        return res.status(400).json({ message: 'Please provide email and password' });
+    const user = await User.findOne({ email }).select('+password');
+
+    // Refused without checking the password, so a locked account cannot be guessed at. Emails
+    // without an account lock the same way, so the answer does not tell whether one exists.
+    if (user && isLocked(user)) {
+        throw accountLockedError(user.loginLockout.lockedUntil);
+    }
+    if (!user) {
+        const lockedUntil = await unknownEmailLockedUntil(email);
+        if (lockedUntil) {
+            throw accountLockedError(lockedUntil);
+        }
     }
 
-    try {
-        const user = await User.findOne({ email }).select('+password');
-
-        if (user && (await user.matchPassword(password))) {
-            if (user.role === 'volunteer' || user.role === 'charity') {
-                let specificUser;
-                if (user.role === 'volunteer') {
-                    specificUser = await Volunteer.findById(user._id);
-                } else if (user.role === 'charity') {
-                    specificUser = await Charity.findById(user._id);
-                }
-
-                if (specificUser && specificUser.verificationStatus !== 'verified') {
-                    const statusMessage = {
-                        pending: 'Your account is pending approval. Please wait for an administrator to verify your account.',
-                        rejected: 'Your account has been rejected. Please contact support for more information.',
-                        in_progress: 'Your account verification is in progress. Please wait for completion.'
-                    };
-
-                    return res.status(403).json({
-                        message: statusMessage[specificUser.verificationStatus] || 'Your account is not verified.',
-                        verificationStatus: specificUser.verificationStatus,
-                        isPending: specificUser.verificationStatus === 'pending'
-                    });
-                }
-            }
+    const passwordMatches = user ? await user.matchPassword(password) : await User.matchDummyPassword(password);
 
-            const response = {
-                _id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                userType: user.userType,
-                isVerified: user.isVerified,
-                token: generateToken(user._id, user.role),
-            };
-
-            if (user.role === 'volunteer' || user.role === 'charity') {
-                let specificUser;
-                if (user.role === 'volunteer') {
-                    specificUser = await Volunteer.findById(user._id);
-                } else if (user.role === 'charity') {
-                    specificUser = await Charity.findById(user._id);
-                }
-                if (specificUser) {
-                    response.verificationStatus = specificUser.verificationStatus;
-                }
+    if (passwordMatches) {
+        if (user.isActive === false && !(await liftExpiredSuspension(user))) {
+            if (isSuspended(user)) {
+                throw new ForbiddenError('This account has been suspended. Please contact support.', {
+                    code: 'ACCOUNT_SUSPENDED',
+                    details: { reason: user.suspension.reason, suspendedUntil: user.suspension.expiresAt || null }
+                });
             }
+            throw new ForbiddenError('This account has been deactivated. Please contact support.');
+        }
 
-            res.json(response);
-        } else {
-            res.status(401).json({ message: 'Invalid email or password' });
+        // The session is only created once the second factor is checked; failed codes
+        // count towards the lockout too, so the count is not cleared until then
+        if (user.twoFactor?.enabled || isTwoFactorRequired(user)) {
+            return res.json({
+                success: true,
+                message: user.twoFactor?.enabled
+                    ? 'Enter the code from your authenticator app'
+                    : 'Set up two-factor authentication to finish logging in',
+                data: createTwoFactorChallenge(user)
+            });
         }
-    } catch (error) {
-        console.error('Error during user login:', error);
-        res.status(500).json({ message: 'Server error during login', error: error.message });
+
+        await clearFailedLogins(user);
+        res.json(await buildLoginResponse(user, req));
+    } else {
+        const { locked, lockedUntil } = user ? await recordFailedLogin(user) : await recordUnknownEmailFailure(email);
+        if (locked) {
+            throw accountLockedError(lockedUntil);
+        }
+        throw new UnauthorizedError('Invalid email or password');
     }
 };
 
-// @desc    Verify a user (approve or reject)
-// @route   PUT /api/auth/verify/:id
-// @access  Private/Admin
-const verifyUser = async (req, res) => {
-    try {
-        const { action } = req.body;
+// @desc    Finish logging in with a code from the authenticator app or a recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from login)
+const loginTwoFactor = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-        if (!action || !['approve', 'reject'].includes(action)) {
-            return res.status(400).json({ message: 'Please specify action as "approve" or "reject"' });
-        }
+    if (!code && !recoveryCode) {
+        throw new BadRequestError('Please provide a code or recovery code');
+    }
 
-        const userId = req.params.id;
-        const user = await User.findById(userId);
+    const user = await findChallengedUser(challengeToken);
+    if (!user) {
+        throw new UnauthorizedError('Your login has expired. Please log in again.', { code: 'CHALLENGE_INVALID' });
+    }
+    if (isLocked(user)) {
+        throw accountLockedError(user.loginLockout.lockedUntil);
+    }
 
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
+    let method;
+    let recoveryCodes;
+    if (user.twoFactor?.enabled) {
+        method = await verifySecondFactor(user, { code, recoveryCode });
+    } else if (!user.twoFactor?.pendingSecret) {
+        throw new BadRequestError('Set up two-factor authentication first with /api/auth/login/2fa/setup');
+    } else if (code) {
+        // Users who must use it but have not set it up yet confirm their first code here
+        recoveryCodes = await enableTwoFactor(user, code);
+        method = recoveryCodes && 'totp';
+    }
 
-        if (user.role !== 'volunteer' && user.role !== 'charity') {
-            return res.status(400).json({ message: 'Only volunteers and charities require verification' });
+    if (!method) {
+        const { locked, lockedUntil } = await recordFailedLogin(user);
+        if (locked) {
+            throw accountLockedError(lockedUntil);
         }
+        throw new UnauthorizedError('Invalid authentication code');
+    }
 
-        let specificUser;
-        if (user.role === 'volunteer') {
-            specificUser = await Volunteer.findById(userId);
-        } else if (user.role === 'charity') {
-            specificUser = await Charity.findById(userId);
-        }
+    await clearFailedLogins(user);
 
-        if (!specificUser) {
-            return res.status(404).json({ message: 'User profile not found' });
-        }
+    const response = await buildLoginResponse(user, req);
+    if (recoveryCodes) {
+        response.data.recoveryCodes = recoveryCodes;
+    }
+    if (method === 'recovery_code') {
+        response.data.recoveryCodesRemaining = remainingRecoveryCodes(user) - 1;
+    }
+    res.json(response);
+};
 
-        const newStatus = action === 'approve' ? 'verified' : 'rejected';
+// @desc    Get a secret for the authenticator app while logging in, for users who must use two-factor authentication
+// @route   POST /api/auth/login/2fa/setup
+// @access  Public (challenge token from login)
+const setupTwoFactorAtLogin = async (req, res) => {
+    const { challengeToken } = req.body;
 
-        const session = await mongoose.startSession();
-        session.startTransaction();
+    const user = await findChallengedUser(challengeToken);
+    if (!user) {
+        throw new UnauthorizedError('Your login has expired. Please log in again.', { code: 'CHALLENGE_INVALID' });
+    }
+    // Once it is on, replacing the secret needs a signed-in session and a current code
+    if (user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is already set up');
+    }
 
-        try {
-            const specificUpdate = {
-                verificationStatus: newStatus,
-                verifiedBy: req.user._id
-            };
-            await specificUser.constructor.findByIdAndUpdate(userId, { $set: specificUpdate }, { session });
-
-            const userUpdate = {
-                isVerified: action === 'approve'
-            };
-            await User.findByIdAndUpdate(userId, { $set: userUpdate }, { session });
-
-            await session.commitTransaction();
-            session.endSession();
-
-            const updatedUser = await User.findById(userId).lean();
-            const updatedSpecificUser = await specificUser.constructor.findById(userId).lean();
-
-            // --- Send notification email to the user (charity or volunteer) ---
-            if (updatedUser.role === 'charity' || updatedUser.role === 'volunteer') {
-                let subject, text, html;
-
-                const greeting = `<h2 style="color:#005AA7;font-family:sans-serif;">Hello from Generous Hands!</h2>`;
-                const footer = `
-                    <hr style="border:none;border-top:1px solid #eee;margin:24px 0;">
-                    <p style="font-size:13px;color:#888;font-family:sans-serif;">
-                        This is an automated notification from <b>Generous Hands</b>.<br>
-                        If you have questions, reply to this email or contact our support team.<br>
-                        <span style="color:#005AA7;">Thank you for making a difference!</span>
-                    </p>
-                `;
-
-                if (updatedUser.role === 'charity') {
-                    if (newStatus === 'verified') {
-                        subject = '🎉 Your Charity Application Has Been Approved!';
-                        text = `Congratulations, your charity "${updatedSpecificUser.charityName}" has been approved! You can now access all features on Generous Hands.`;
-                        html = `
-                            ${greeting}
-                            <p style="font-size:16px;font-family:sans-serif;">
-                                <strong>Congratulations!</strong><br>
-                                Your charity <b>${updatedSpecificUser.charityName}</b> has been
-                                <span style="color:green;font-weight:bold;">approved</span> by our team.<br>
-                            </p>
-                            ${footer}
-                        `;
-                    } else if (newStatus === 'rejected') {
-                        subject = 'Your Charity Application Has Been Rejected';
-                        text = `We regret to inform you that your charity "${updatedSpecificUser.charityName}" was not approved. Please contact support for more information.`;
-                        html = `
-                            ${greeting}
-                            <p style="font-size:16px;font-family:sans-serif;">
-                                <strong>We're sorry.</strong><br>
-                                Unfortunately, your charity <b>${updatedSpecificUser.charityName}</b> was
-                                <span style="color:red;font-weight:bold;">not approved</span> at this time.<br>
-                                If you believe this is a mistake or need more information, please reply to this email or contact our support team.<br><br>
-                                <a href="mailto:jannyjonyo1@gmail.com" style="background:#005AA7;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;font-weight:bold;">Contact Support</a>
-                            </p>
-                            ${footer}
-                        `;
-                    }
-                } else if (updatedUser.role === 'volunteer') {
-                    if (newStatus === 'verified') {
-                        subject = '🎉 Your Volunteer Application Has Been Approved!';
-                        text = `Congratulations, your volunteer application has been approved! You can now access all features on Generous Hands.`;
-                        html = `
-                            ${greeting}
-                            <p style="font-size:16px;font-family:sans-serif;">
-                                <strong>Congratulations!</strong><br>
-                                Your volunteer application has been
-                                <span style="color:green;font-weight:bold;">approved</span> by our team.<br>
-                            </p>
-                            ${footer}
-                        `;
-                    } else if (newStatus === 'rejected') {
-                        subject = 'Your Volunteer Application Has Been Rejected';
-                        text = `We regret to inform you that your volunteer application was not approved. Please contact support for more information.`;
-                        html = `
-                            ${greeting}
-                            <p style="font-size:16px;font-family:sans-serif;">
-                                <strong>We're sorry.</strong><br>
-                                Unfortunately, your volunteer application was
-                                <span style="color:red;font-weight:bold;">not approved</span> at this time.<br>
-                                If you believe this is a mistake or need more information, please reply to this email or contact our support team.<br><br>
-                                <a href="mailto:jannyjonyo1@gmail.com" style="background:#005AA7;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none;font-weight:bold;">Contact Support</a>
-                            </p>
-                            ${footer}
-                        `;
-                    }
-                }
-
-                try {
-                    await sendEmail({
-                        to: updatedUser.email,
-                        subject,
-                        text,
-                        html
-                    });
-                } catch (emailErr) {
-                    console.error('Failed to send status email:', emailErr);
-                }
-            }
-            // --- End email notification ---
+    const { secret, otpauthUrl } = await beginTwoFactorSetup(user);
 
-        res.json({
-            message: `User ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
-            user: {
-                    _id: updatedUser._id,
-                    name: updatedUser.name,
-                    email: updatedUser.email,
-                    role: updatedUser.role,
-                    isVerified: updatedUser.isVerified,
-                    verificationStatus: updatedSpecificUser.verificationStatus
-                }
-            });
-        } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
-            console.error('Error during user verification transaction:', error);
-            res.status(500).json({ message: 'Server error during verification', error: error.message });
-        }
-    } catch (error) {
-        console.error('Error during user verification:', error);
-        res.status(500).json({ message: 'Server error during verification', error: error.message });
-    }
+    res.json({
+        success: true,
+        message: 'Add the account to your authenticator app, then send its code to /api/auth/login/2fa',
+        data: { secret, otpauthUrl }
+    });
 };
 
-// @desc    Get users by status and role with filtering
-// @route   GET /api/auth/users
+// @desc    Review a volunteer or charity application: start review, request documents, approve, reject or add a note
+// @route   PUT /api/auth/verify/:id
 // @access  Private/Admin
-const getUsers = async (req, res) => {
-    try {
-        const { role, status } = req.query;
+const verifyUser = async (req, res) => {
+    const { action, reason, note } = req.body;
+
+    const user = await User.findById(req.params.id).lean();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
 
-        let filter = {};
+    if (user.role !== 'volunteer' && user.role !== 'charity') {
+        throw new BadRequestError('Only volunteers and charities require verification');
+    }
+
+    const result = await applyVerificationAction(user, action, { actor: req.user, reason, note });
+    if (result.error) {
+        throw errorForStatus(result.error.code, result.error.message);
+    }
 
-        if (role && ['volunteer', 'charity', 'donor', 'admin'].includes(role.toLowerCase())) {
-            filter.role = role.toLowerCase();
+    const outcome = {
+        start_review: 'Review started',
+        request_documents: 'Additional documents requested',
+        approve: 'User approved successfully',
+        reject: 'User rejected successfully',
+        note: 'Note added'
+    };
+
+    res.json({
+        success: true,
+        message: outcome[action],
+        data: {
+            user: {
+                _id: result.user._id,
+                name: result.user.name,
+                email: result.user.email,
+                role: result.user.role,
+                isVerified: result.user.isVerified,
+                verificationStatus: result.user.verificationStatus,
+                verificationReason: result.user.verificationReason
+            },
+            event: result.event
         }
+    });
+};
 
-        let users = [];
+// @desc    Get users by status and role with filtering (deprecated - use GET /api/admin/users instead)
+// @route   GET /api/auth/users
+// @access  Private/Admin (users:read)
+const getUsers = async (req, res) => {
+    const { role, status } = req.query;
 
-        if (!role || ['volunteer', 'charity'].includes(role?.toLowerCase())) {
-            const models = [];
+    let filter = {};
 
-            if (!role || role.toLowerCase() === 'volunteer') {
-                models.push({ model: Volunteer, roleName: 'volunteer' });
-            }
-            if (!role || role.toLowerCase() === 'charity') {
-                models.push({ model: Charity, roleName: 'charity' });
-            }
+    if (role && ['volunteer', 'charity', 'donor', 'admin'].includes(role.toLowerCase())) {
+        filter.role = role.toLowerCase();
+    }
 
-            for (const { model, roleName } of models) {
-                let modelFilter = { role: roleName };
+    let users = [];
 
-                if (status && ['pending', 'verified', 'rejected', 'in_progress'].includes(status.toLowerCase())) {
-                    modelFilter.verificationStatus = status.toLowerCase();
-                }
+    if (!role || ['volunteer', 'charity'].includes(role?.toLowerCase())) {
+        const models = [];
 
-                const modelUsers = await model.find(modelFilter).select('-password');
-                users = users.concat(modelUsers);
-            }
+        if (!role || role.toLowerCase() === 'volunteer') {
+            models.push({ model: Volunteer, roleName: 'volunteer' });
+        }
+        if (!role || role.toLowerCase() === 'charity') {
+            models.push({ model: Charity, roleName: 'charity' });
         }
 
-        if (!role || ['donor', 'admin'].includes(role?.toLowerCase())) {
-            let baseFilter = { ...filter };
+        for (const { model, roleName } of models) {
+            let modelFilter = { role: roleName };
 
-            if (!role) {
-                baseFilter.role = { $in: ['donor', 'admin'] };
+            if (status && VERIFICATION_STATUSES.includes(status.toLowerCase())) {
+                modelFilter.verificationStatus = status.toLowerCase();
             }
 
-            if (!status || status.toLowerCase() === 'verified') {
-                const baseUsers = await User.find(baseFilter).select('-password');
-                users = users.concat(baseUsers);
-            }
+            const modelUsers = await model.find(modelFilter).select('-password');
+            users = users.concat(modelUsers);
         }
-
-        res.json(users);
-    } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ message: 'Server error fetching users', error: error.message });
     }
-};
 
-// @desc    Get all users pending verification (deprecated - use getUsers instead)
-// @route   GET /api/auth/pending-verification
-// @access  Private/Admin
-const getUsersPendingVerification = async (req, res) => {
-    try {
-        const { role } = req.query;
-        let filter = {};
+    if (!role || ['donor', 'admin'].includes(role?.toLowerCase())) {
+        let baseFilter = { ...filter };
 
-        if (role && ['volunteer', 'charity'].includes(role.toLowerCase())) {
-            filter.role = role.toLowerCase();
-            filter.verificationStatus = 'pending';
-        } else {
-            filter.role = { $in: ['volunteer', 'charity'] };
-            filter.verificationStatus = 'pending';
+        if (!role) {
+            baseFilter.role = { $in: ['donor', 'admin'] };
         }
 
-        const models = [];
-        if (!role || role.toLowerCase() === 'volunteer') {
-            models.push(Volunteer);
-        }
-        if (!role || role.toLowerCase() === 'charity') {
-            models.push(Charity);
+        if (!status || status.toLowerCase() === 'verified') {
+            const baseUsers = await User.find(baseFilter).select('-password');
+            users = users.concat(baseUsers);
         }
+    }
 
-        let pendingUsers = [];
-        for (const model of models) {
-            const modelFilter = role ? { verificationStatus: 'pending' } : filter;
-            const users = await model.find(modelFilter).select('-password');
-            pendingUsers = pendingUsers.concat(users);
-        }
+    res.json({ success: true, count: users.length, data: users });
+};
+
+// @desc    Get all users pending verification (deprecated - use GET /api/admin/users?status=pending instead)
+// @route   GET /api/auth/pending-verification
+// @access  Private/Admin (users:read)
+const getUsersPendingVerification = async (req, res) => {
+    const { role } = req.query;
+    let filter = {};
+
+    if (role && ['volunteer', 'charity'].includes(role.toLowerCase())) {
+        filter.role = role.toLowerCase();
+        filter.verificationStatus = 'pending';
+    } else {
+        filter.role = { $in: ['volunteer', 'charity'] };
+        filter.verificationStatus = 'pending';
+    }
 
-        res.json(pendingUsers);
-    } catch (error) {
-        console.error('Error fetching pending users:', error);
-        res.status(500).json({ message: 'Server error fetching pending users', error: error.message });
+    const models = [];
+    if (!role || role.toLowerCase() === 'volunteer') {
+        models.push(Volunteer);
+    }
+    if (!role || role.toLowerCase() === 'charity') {
+        models.push(Charity);
     }
+
+    let pendingUsers = [];
+    for (const model of models) {
+        const modelFilter = role ? { verificationStatus: 'pending' } : filter;
+        const users = await model.find(modelFilter).select('-password');
+        pendingUsers = pendingUsers.concat(users);
+    }
+
+    res.json({ success: true, count: pendingUsers.length, data: pendingUsers });
 };
 
 // @desc    Get all verified charities
 // @route   GET /api/auth/charities
 // @access  Public
 const getCharities = async (req, res) => {
-    try {
-        const charities = await Charity.find({ verificationStatus: 'verified' }).select('-password');
-        res.json(charities);
-    } catch (error) {
-        console.error('Error fetching charities:', error);
-        res.status(500).json({ message: 'Server error fetching charities' });
+    const charities = await Charity.find({ verificationStatus: 'verified', isActive: { $ne: false } }).select('-password');
+    res.json({ success: true, count: charities.length, data: charities });
+};
+
+const PROFILE_MODELS = { donor: Donor, volunteer: Volunteer, charity: Charity, admin: Admin };
+
+// Load a user with role-specific details
+const loadProfile = (userId, role) => {
+    const query = (PROFILE_MODELS[role] || User).findById(userId).select('-password');
+    return role === 'charity' ? query.populate('neededCategories', 'name description') : query;
+};
+
+const profileResponse = (user, req) => {
+    // Add additional computed fields
+    const userResponse = {
+        ...user.toObject(),
+        isVerified: user.isVerified,
+        userType: user.userType,
+        avatarUrl: avatarUrlFor(user)
+    };
+
+    if (user.role === 'admin') {
+        userResponse.permissions = req.user.$locals.permissions || [];
     }
+
+    // Add role-specific computed fields
+    if (user.role === 'volunteer' || user.role === 'charity') {
+        userResponse.verificationStatus = user.verificationStatus;
+        userResponse.isPending = user.verificationStatus === 'pending';
+        userResponse.isRejected = user.verificationStatus === 'rejected';
+    }
+
+    return userResponse;
 };
 
 // @desc    Get current user profile
 // @route   GET /api/auth/me
 // @access  Private
 const getMe = async (req, res) => {
-    try {
-        // req.user is set by the protect middleware
-        const userId = req.user._id;
-        const userRole = req.user.role;
-
-        let user;
-
-        // Get user with role-specific details
-        switch (userRole) {
-            case 'donor':
-                user = await Donor.findById(userId).select('-password');
-                break;
-            case 'volunteer':
-                user = await Volunteer.findById(userId).select('-password');
-                break;
-            case 'charity':
-                user = await Charity.findById(userId)
-                    .select('-password')
-                    .populate('neededCategories', 'name description');
-                break;
-            case 'admin':
-                user = await Admin.findById(userId).select('-password');
-                break;
-            default:
-                user = await User.findById(userId).select('-password');
-        }
+    // req.user is set by the protect middleware
+    const user = await loadProfile(req.user._id, req.user.role);
 
-        if (!user) {
-            return res.status(404).json({ message: 'User not found' });
-        }
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
 
-        // Add additional computed fields
-        const userResponse = {
-            ...user.toObject(),
-            isVerified: user.isVerified,
-            userType: user.userType
-        };
-
-        // Add role-specific computed fields
-        if (userRole === 'volunteer' || userRole === 'charity') {
-            userResponse.verificationStatus = user.verificationStatus;
-            userResponse.isPending = user.verificationStatus === 'pending';
-            userResponse.isRejected = user.verificationStatus === 'rejected';
+    res.json({
+        success: true,
+        data: profileResponse(user, req)
+    });
+};
+
+// @desc    Update current user profile
+// @route   PUT /api/auth/me
+// @access  Private
+const updateMe = async (req, res) => {
+    const { set, unset, errors } = validateProfileUpdate(req.user.role, req.body);
+
+    if (errors.length > 0) {
+        throw new ValidationError('Some fields cannot be updated', errors);
+    }
+    if (Object.keys(set).length === 0 && unset.length === 0) {
+        throw new BadRequestError('No profile fields to update');
+    }
+
+    let geocoding;
+
+    // A new address moves the user unless they also sent its coordinates
+    if (set.address && set.address !== req.user.address && !set.location) {
+        const result = await geocodeAddress(set.address);
+
+        if (result.success) {
+            const [lat, lng] = result.coordinates;
+            set.location = { type: 'Point', coordinates: [lng, lat] };
+            geocoding = { status: 'resolved', formattedAddress: result.formattedAddress };
+        } else if (/not found/i.test(result.error)) {
+            throw new BadRequestError('We could not find this address. Please check it or send your location coordinates.');
+        } else {
+            // Geocoder unavailable: keep the old location until the background job resolves the new one
+            geocoding = { status: 'queued' };
         }
+    }
+
+    const user = await (PROFILE_MODELS[req.user.role] || User).findByIdAndUpdate(
+        req.user._id,
+        {
+            $set: set,
+            ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, ''])) })
+        },
+        { new: true, runValidators: true }
+    );
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
 
-        res.json({
-            success: true,
-            data: userResponse
+    if (geocoding?.status === 'queued') {
+        await enqueueJob('geocode.user', { userId: user._id, address: set.address });
+    }
+
+    res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: profileResponse(await loadProfile(user._id, user.role), req),
+        ...(geocoding && { geocoding })
+    });
+};
+
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+const refreshAccessToken = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const { tokens, error } = await rotateSession(
+        refreshToken,
+        async (userId) => {
+            const user = await User.findById(userId);
+            return user && user.isActive !== false ? user : null;
+        },
+        req
+    );
+
+    if (error === 'inactive') {
+        throw new UnauthorizedError('This account has been deactivated', { code: 'ACCOUNT_INACTIVE' });
+    }
+    if (error) {
+        // A reused token revokes its session, so the client must log in again either way
+        throw new UnauthorizedError('Invalid or expired refresh token. Please log in again.', {
+            code: 'REFRESH_INVALID'
         });
+    }
 
-    } catch (error) {
-        console.error('Error fetching current user:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error fetching user profile',
-            error: error.message
+    res.json({ success: true, data: tokens });
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+const logoutUser = async (req, res) => {
+    const { refreshToken } = req.body;
+
+    // Logging out twice is not an error
+    await revokeSessionByRefreshToken(refreshToken);
+    res.json({ success: true, message: 'Logged out successfully' });
+};
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+    const { keepCurrent } = req.body;
+    const revoked = await revokeAllSessions(req.user._id, 'logout_all', {
+        exceptSessionId: keepCurrent ? req.sessionId : undefined
+    });
+
+    res.json({
+        success: true,
+        message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out of all sessions',
+        data: { revokedSessions: revoked }
+    });
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+        success: true,
+        count: sessions.length,
+        data: sessions.map(session => ({
+            ...session,
+            isCurrent: session._id.toString() === req.sessionId
+        }))
+    });
+};
+
+// @desc    Log out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+    const sessions = await listActiveSessions(req.user._id);
+    if (!sessions.some(session => session._id.toString() === req.params.id)) {
+        throw new NotFoundError('Session not found');
+    }
+
+    await revokeSession(req.params.id, 'logout');
+    res.json({ success: true, message: 'Session logged out' });
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    // Same answer whether or not the account exists, so this cannot be used to look up emails
+    const response = { success: true, message: 'If an account exists for that email, a password reset link has been sent.' };
+
+    const user = await User.findOne({ email });
+    if (!user || user.isActive === false) {
+        return res.json(response);
+    }
+
+    const token = user.createPasswordResetToken(PASSWORD_RESET_EXPIRE_MINUTES);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+        await sendTemplateEmail(user, 'password_reset', {
+            resetUrl: frontendLink('/reset-password', token),
+            expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES
         });
+    } catch (emailError) {
+        await User.updateOne({ _id: user._id }, { $unset: { passwordResetToken: '', passwordResetExpires: '' } });
+        console.error('Failed to send password reset email:', emailError);
+        throw new AppError('The reset email could not be sent. Please try again later.', { code: 'EMAIL_NOT_SENT' });
+    }
+
+    res.json(response);
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public (reset token)
+const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+
+    // Clearing the token in the same update makes it single-use even under concurrent requests.
+    // Proving ownership of the address also lifts a lockout after failed logins.
+    const user = await User.findOneAndUpdate(
+        { passwordResetToken: User.hashToken(token), passwordResetExpires: { $gt: new Date() } },
+        {
+            $set: LOCKOUT_RESET.$set,
+            $unset: { ...LOCKOUT_RESET.$unset, passwordResetToken: '', passwordResetExpires: '' }
+        }
+    );
+
+    if (!user || user.isActive === false) {
+        throw new BadRequestError('This password reset link is invalid or has expired');
+    }
+
+    user.password = password;
+    // Following the emailed link proves the address belongs to the user
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_change');
+
+    sendTemplateEmail(user, 'password_changed').catch(emailError =>
+        console.error('Failed to send password changed email:', emailError)
+    );
+
+    res.json({ success: true, message: 'Your password has been reset. Please log in with your new password.' });
+};
+
+// @desc    Unlock an account locked after failed logins, with the token from the lockout email
+// @route   POST /api/auth/unlock
+// @access  Public (unlock token)
+const unlockAccount = async (req, res) => {
+    const { token } = req.body;
+
+    const user = await unlockWithToken(token);
+    if (!user) {
+        throw new BadRequestError('This unlock link is invalid or has expired');
     }
+
+    res.json({ success: true, message: 'Your account is unlocked. You can log in again.' });
+};
+
+// @desc    Change the password of the logged-in user
+// @route   PUT /api/auth/me/password
+// @access  Private
+const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(currentPassword))) {
+        throw new UnauthorizedError('Current password is incorrect');
+    }
+    if (await user.matchPassword(newPassword)) {
+        throw new BadRequestError('The new password must be different from the current one');
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device; this one stays logged in
+    const revokedSessions = await revokeAllSessions(user._id, 'password_change', { exceptSessionId: req.sessionId });
+
+    sendTemplateEmail(user, 'password_changed').catch(emailError =>
+        console.error('Failed to send password changed email:', emailError)
+    );
+
+    res.json({ success: true, message: 'Password changed successfully', data: { revokedSessions } });
 };
 
-export { registerUser, loginUser, verifyUser, getUsersPendingVerification, getUsers, getCharities, getMe };
+// @desc    Confirm an email address with the token from the verification email
+// @route   POST /api/auth/verify-email
+// @access  Public (verification token)
+const verifyEmail = async (req, res) => {
+    const { token } = req.body;
+
+    const user = await User.findOneAndUpdate(
+        { emailVerificationToken: User.hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+        {
+            $set: { emailVerified: true, emailVerifiedAt: new Date() },
+            $unset: { emailVerificationToken: '', emailVerificationExpires: '' }
+        },
+        { new: true }
+    );
+
+    if (!user) {
+        throw new BadRequestError('This verification link is invalid or has expired');
+    }
+
+    res.json({ success: true, message: 'Your email address has been verified', data: { emailVerified: true } });
+};
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+const resendVerificationEmail = async (req, res) => {
+    const { email } = req.body;
+
+    const response = { success: true, message: 'If the address belongs to an account that still needs verifying, a new link has been sent.' };
+
+    const user = await User.findOne({ email });
+    if (!user || user.emailVerified || user.isActive === false) {
+        return res.json(response);
+    }
+
+    await sendVerificationEmail(user);
+    res.json(response);
+};
+
+export {
+    registerUser,
+    loginUser,
+    loginTwoFactor,
+    setupTwoFactorAtLogin,
+    verifyUser,
+    getUsersPendingVerification,
+    getUsers,
+    getCharities,
+    getMe,
+    updateMe,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
+    getSessions,
+    deleteSession,
+    forgotPassword,
+    resetPassword,
+    unlockAccount,
+    changePassword,
+    verifyEmail,
+    resendVerificationEmail
+};
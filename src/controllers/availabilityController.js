@@ -1,5 +1,6 @@
 import Availability from '../models/Availability.js';
 import { calculateDistance } from '../utils/geocoding.js';
+import { NotFoundError } from '../utils/errors.js';
 
 /**
  * @swagger
@@ -122,40 +123,6 @@ import { calculateDistance } from '../utils/geocoding.js';
  *           enum: [car, bicycle, motorcycle, public_transport, walking, other]
  *           example: "car"
  *
- *     AvailabilityRequest:
- *       type: object
- *       required:
- *         - type
- *       properties:
- *         type:
- *           type: string
- *           enum: [recurring_weekly, specific_dates, date_range, always_available]
- *           example: "recurring_weekly"
- *         recurringSchedule:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/RecurringSchedule'
- *           description: Required when type is 'recurring_weekly'
- *         specificDates:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/SpecificDate'
- *           description: Required when type is 'specific_dates'
- *         dateRange:
- *           $ref: '#/components/schemas/DateRange'
- *           description: Required when type is 'date_range'
- *         generalTimeSlots:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/TimeSlot'
- *           description: Optional for 'always_available' type
- *         preferences:
- *           $ref: '#/components/schemas/Preferences'
- *         notes:
- *           type: string
- *           maxLength: 500
- *           example: "Available for pickups in Nairobi area"
- *
  *     Availability:
  *       type: object
  *       properties:
@@ -224,7 +191,7 @@ import { calculateDistance } from '../utils/geocoding.js';
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/AvailabilityRequest'
+ *             $ref: '#/components/schemas/SetAvailabilityRequest'
  *           examples:
  *             recurring_weekly:
  *               summary: Recurring Weekly Schedule
@@ -327,37 +294,28 @@ import { calculateDistance } from '../utils/geocoding.js';
 // @route   POST /api/availability
 // @access  Private/Volunteer
 export const setAvailability = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-    const availabilityData = req.body;
-
-    const existingAvailability = await Availability.findOne({ volunteer: volunteerId });
-
-    let availability;
-    if (existingAvailability) {
-      Object.assign(existingAvailability, availabilityData);
-      availability = await existingAvailability.save();
-    } else {
-      availability = new Availability({
-        volunteer: volunteerId,
-        ...availabilityData
-      });
-      await availability.save();
-    }
-
-    res.status(201).json({
-      success: true,
-      message: 'Availability updated successfully',
-      data: availability
-    });
-  } catch (error) {
-    console.error('Error setting availability:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error setting availability',
-      error: error.message
+  const volunteerId = req.user._id;
+  const availabilityData = req.body;
+
+  const existingAvailability = await Availability.findOne({ volunteer: volunteerId });
+
+  let availability;
+  if (existingAvailability) {
+    Object.assign(existingAvailability, availabilityData);
+    availability = await existingAvailability.save();
+  } else {
+    availability = new Availability({
+      volunteer: volunteerId,
+      ...availabilityData
     });
+    await availability.save();
   }
+
+  res.status(201).json({
+    success: true,
+    message: 'Availability updated successfully',
+    data: availability
+  });
 };
 
 /**
@@ -399,61 +357,40 @@ export const setAvailability = async (req, res) => {
 // @route   GET /api/availability/my
 // @access  Private/Volunteer
 export const getMyAvailability = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-
-    const availability = await Availability.findOne({ volunteer: volunteerId });
+  const volunteerId = req.user._id;
 
-    if (!availability) {
-      return res.status(200).json({
-        success: true,
-        message: 'No availability has been set for this volunteer.',
-        data: null
-      });
-    }
+  const availability = await Availability.findOne({ volunteer: volunteerId });
 
-    res.json({
+  if (!availability) {
+    return res.status(200).json({
       success: true,
-      data: availability
-    });
-  } catch (error) {
-    console.error('Error fetching availability:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error fetching availability',
-      error: error.message
+      message: 'No availability has been set for this volunteer.',
+      data: null
     });
   }
+
+  res.json({
+    success: true,
+    data: availability
+  });
 };
 
 // @desc    Delete volunteer availability
 // @route   DELETE /api/availability
 // @access  Private/Volunteer
 export const deleteAvailability = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-
-    const availability = await Availability.findOneAndDelete({ volunteer: volunteerId });
+  const volunteerId = req.user._id;
 
-    if (!availability) {
-      return res.status(404).json({
-        success: false,
-        message: 'No availability found to delete'
-      });
-    }
+  const availability = await Availability.findOneAndDelete({ volunteer: volunteerId });
 
-    res.json({
-      success: true,
-      message: 'Availability deleted successfully'
-    });
-  } catch (error) {
-    console.error('Error deleting availability:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error deleting availability',
-      error: error.message
-    });
+  if (!availability) {
+    throw new NotFoundError('No availability found to delete');
   }
+
+  res.json({
+    success: true,
+    message: 'Availability deleted successfully'
+  });
 };
 
 /**
@@ -469,25 +406,7 @@ export const deleteAvailability = async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - startDate
- *               - endDate
- *             properties:
- *               startDate:
- *                 type: string
- *                 format: date
- *                 example: "2024-11-15"
- *                 description: Start date of unavailability
- *               endDate:
- *                 type: string
- *                 format: date
- *                 example: "2024-11-20"
- *                 description: End date of unavailability
- *               reason:
- *                 type: string
- *                 example: "Out of town for vacation"
- *                 description: Optional reason for unavailability
+ *             $ref: '#/components/schemas/AddTemporaryUnavailabilityRequest'
  *     responses:
  *       200:
  *         description: Request processed. The `success` field indicates if the period was added.
@@ -529,40 +448,31 @@ export const deleteAvailability = async (req, res) => {
 // @route   POST /api/availability/unavailable
 // @access  Private/Volunteer
 export const addTemporaryUnavailability = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-    const { startDate, endDate, reason } = req.body;
-
-    const availability = await Availability.findOne({ volunteer: volunteerId });
-    if (!availability) {
-      return res.status(200).json({
-        success: false,
-        message: 'You must set your main availability schedule before adding unavailable dates.',
-        data: null
-      });
-    }
-
-    availability.temporaryUnavailability.push({
-      startDate: new Date(startDate),
-      endDate: new Date(endDate),
-      reason
-    });
+  const volunteerId = req.user._id;
+  const { startDate, endDate, reason } = req.body;
 
-    await availability.save();
-
-    res.json({
-      success: true,
-      message: 'Temporary unavailability added successfully',
-      data: availability.temporaryUnavailability
-    });
-  } catch (error) {
-    console.error('Error adding temporary unavailability:', error);
-    res.status(500).json({
+  const availability = await Availability.findOne({ volunteer: volunteerId });
+  if (!availability) {
+    return res.status(200).json({
       success: false,
-      message: 'Server error adding temporary unavailability',
-      error: error.message
+      message: 'You must set your main availability schedule before adding unavailable dates.',
+      data: null
     });
   }
+
+  availability.temporaryUnavailability.push({
+    startDate: new Date(startDate),
+    endDate: new Date(endDate),
+    reason
+  });
+
+  await availability.save();
+
+  res.json({
+    success: true,
+    message: 'Temporary unavailability added successfully',
+    data: availability.temporaryUnavailability
+  });
 };
 
 /**
@@ -578,15 +488,7 @@ export const addTemporaryUnavailability = async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - pickupDateTime
- *             properties:
- *               pickupDateTime:
- *                 type: string
- *                 format: date-time
- *                 example: "2024-11-25T14:30:00Z"
- *                 description: Requested pickup date and time to find available volunteers for
+ *             $ref: '#/components/schemas/FindAvailableVolunteersRequest'
  *     responses:
  *       200:
  *         description: A list of available volunteers for the specified time.
@@ -635,46 +537,30 @@ export const addTemporaryUnavailability = async (req, res) => {
 // @route   POST /api/availability/find-volunteers
 // @access  Private/Admin (or could be used internally)
 export const findAvailableVolunteers = async (req, res) => {
-  try {
-    const { pickupDateTime } = req.body;
-
-    if (!pickupDateTime) {
-      return res.status(400).json({
-        success: false,
-        message: 'Pickup date/time is required'
-      });
-    }
+  const { pickupDateTime } = req.body;
 
-    const requestDate = new Date(pickupDateTime);
+  const requestDate = new Date(pickupDateTime);
 
-    const availabilities = await Availability.find({ isActive: true })
-      .populate('volunteer', 'name email phoneNumber');
+  const availabilities = await Availability.find({ isActive: true })
+    .populate('volunteer', 'name email phoneNumber');
 
-    const availableVolunteers = [];
+  const availableVolunteers = [];
 
-    for (const availability of availabilities) {
-      if (availability.isAvailableAt(requestDate)) {
-        availableVolunteers.push({
-          volunteer: availability.volunteer,
-          availabilityId: availability._id,
-          preferences: availability.preferences
-        });
-      }
+  for (const availability of availabilities) {
+    if (availability.isAvailableAt(requestDate)) {
+      availableVolunteers.push({
+        volunteer: availability.volunteer,
+        availabilityId: availability._id,
+        preferences: availability.preferences
+      });
     }
-
-    res.json({
-      success: true,
-      count: availableVolunteers.length,
-      data: availableVolunteers
-    });
-  } catch (error) {
-    console.error('Error finding available volunteers:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error finding available volunteers',
-      error: error.message
-    });
   }
+
+  res.json({
+    success: true,
+    count: availableVolunteers.length,
+    data: availableVolunteers
+  });
 };
 
 /**
@@ -690,15 +576,7 @@ export const findAvailableVolunteers = async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - dateTime
- *             properties:
- *               dateTime:
- *                 type: string
- *                 format: date-time
- *                 example: "2024-11-25T14:30:00Z"
- *                 description: Date and time to check availability for
+ *             $ref: '#/components/schemas/CheckAvailabilityRequest'
  *     responses:
  *       200:
  *         description: Availability check completed
@@ -710,18 +588,21 @@ export const findAvailableVolunteers = async (req, res) => {
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 available:
- *                   type: boolean
- *                   example: true
- *                   description: Whether the volunteer is available at the specified time
- *                 dateTime:
- *                   type: string
- *                   format: date-time
- *                   example: "2024-11-25T14:30:00Z"
  *                 message:
  *                   type: string
  *                   example: "No availability schedule set"
  *                   description: Additional message if no schedule is set
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     available:
+ *                       type: boolean
+ *                       example: true
+ *                       description: Whether the volunteer is available at the specified time
+ *                     dateTime:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-11-25T14:30:00Z"
  *       400:
  *         description: Missing dateTime parameter
  *       401:
@@ -734,39 +615,22 @@ export const findAvailableVolunteers = async (req, res) => {
 // @route   POST /api/availability/check
 // @access  Private/Volunteer
 export const checkAvailability = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-    const { dateTime } = req.body;
-
-    if (!dateTime) {
-      return res.status(400).json({
-        success: false,
-        message: 'DateTime is required'
-      });
-    }
-
-    const availability = await Availability.findOne({ volunteer: volunteerId });
-    if (!availability) {
-      return res.json({
-        success: true,
-        available: false,
-        message: 'No availability schedule set'
-      });
-    }
-
-    const isAvailable = availability.isAvailableAt(dateTime);
+  const volunteerId = req.user._id;
+  const { dateTime } = req.body;
 
-    res.json({
+  const availability = await Availability.findOne({ volunteer: volunteerId });
+  if (!availability) {
+    return res.json({
       success: true,
-      available: isAvailable,
-      dateTime: dateTime
-    });
-  } catch (error) {
-    console.error('Error checking availability:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error checking availability',
-      error: error.message
+      message: 'No availability schedule set',
+      data: { available: false, dateTime }
     });
   }
+
+  const isAvailable = availability.isAvailableAt(dateTime);
+
+  res.json({
+    success: true,
+    data: { available: isAvailable, dateTime }
+  });
 };
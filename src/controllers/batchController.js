@@ -0,0 +1,543 @@
+import BatchPickup from '../models/BatchPickup.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { findBatchCandidates, syncBatchMembers } from '../utils/donationBatching.js';
+import { checkTransition, getAllowedTransitions, buildStatusHistoryEntry } from '../utils/pickupStatus.js';
+import { BadRequestError, ConflictError, ForbiddenError, NotFoundError, errorForStatus } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Batch Pickups
+ *   description: Consolidated pickups of nearby donations going to the same charity
+ *
+ * components:
+ *   schemas:
+ *     BatchPickup:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         charity:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             charityName:
+ *               type: string
+ *         pickupRequests:
+ *           type: array
+ *           items:
+ *             type: string
+ *         volunteer:
+ *           type: string
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [available, accepted, en_route_pickup, arrived_pickup, picked_up, en_route_delivery, delivered, cancelled]
+ *         centroid:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               example: Point
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *               description: "[longitude, latitude]"
+ *         radiusKm:
+ *           type: number
+ *         window:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             start:
+ *               type: string
+ *               format: date-time
+ *             end:
+ *               type: string
+ *               format: date-time
+ *         priority:
+ *           type: string
+ *           enum: [low, medium, high]
+ */
+
+const PRIORITY_SORT = { high: 0, medium: 1, low: 2 };
+
+/**
+ * @swagger
+ * /batches/generate:
+ *   post:
+ *     summary: Group open pickup requests into batch pickups
+ *     description: Clusters available, unassigned pickup requests by charity, pickup proximity and preferred time window.
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GenerateBatchesRequest'
+ *     responses:
+ *       201:
+ *         description: Batches created (or proposed, for a dry run)
+ *       400:
+ *         description: Invalid options
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+export const generateBatches = async (req, res) => {
+  const { radiusKm, windowHours, minSize, maxSize, charity, dryRun } = req.body;
+
+  if (maxSize < minSize) {
+    throw new BadRequestError('maxSize must be at least minSize');
+  }
+
+  const clusters = await findBatchCandidates({ charity, radiusKm, windowHours, minSize, maxSize });
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      count: clusters.length,
+      data: clusters.map(cluster => ({
+        ...cluster,
+        members: cluster.members.map(({ _id, pickupAddress, priority }) => ({ _id, pickupAddress, priority }))
+      }))
+    });
+  }
+
+  const batches = [];
+  for (const cluster of clusters) {
+    const batch = await BatchPickup.create({
+      charity: cluster.charity,
+      pickupRequests: cluster.members.map(({ _id }) => _id),
+      centroid: { type: 'Point', coordinates: cluster.centroid },
+      radiusKm: cluster.radiusKm,
+      window: cluster.window,
+      priority: cluster.priority,
+      createdBy: req.user._id,
+      statusHistory: [buildStatusHistoryEntry({ fromStatus: null, toStatus: 'available', user: req.user })]
+    });
+
+    // Members may have been claimed individually since clustering; only keep those still open
+    await PickupRequest.updateMany(
+      { _id: { $in: batch.pickupRequests }, status: 'available', volunteer: null, batch: null },
+      { $set: { batch: batch._id } }
+    );
+    const attached = await PickupRequest.find({ batch: batch._id }).distinct('_id');
+
+    if (attached.length < minSize) {
+      await PickupRequest.updateMany({ batch: batch._id }, { $set: { batch: null } });
+      await batch.deleteOne();
+      continue;
+    }
+
+    if (attached.length !== batch.pickupRequests.length) {
+      batch.pickupRequests = attached;
+      await batch.save();
+    }
+
+    batches.push(batch);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${batches.length} batch pickup(s) created`,
+    count: batches.length,
+    data: batches
+  });
+};
+
+/**
+ * @swagger
+ * /batches:
+ *   get:
+ *     summary: List batch pickups
+ *     description: Volunteers see available batches and their own; charities see batches bound for them; admins see all.
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by batch status
+ *     responses:
+ *       200:
+ *         description: List of batch pickups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchPickup'
+ *       500:
+ *         description: Server error
+ */
+export const getBatches = async (req, res) => {
+  const { status } = req.query;
+  const query = {};
+
+  if (req.user.role === 'volunteer') {
+    query.$or = [{ status: 'available' }, { volunteer: req.user._id }];
+  } else if (req.user.role === 'charity') {
+    query.charity = req.user._id;
+  } else if (req.user.role !== 'admin') {
+    throw new ForbiddenError('Not authorized to view batch pickups');
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  const batches = await BatchPickup.find(query)
+    .select('-statusHistory')
+    .populate('charity', 'charityName address')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  batches.sort((a, b) => PRIORITY_SORT[a.priority] - PRIORITY_SORT[b.priority]);
+
+  res.json({
+    success: true,
+    count: batches.length,
+    data: batches.map(batch => ({ ...batch, size: batch.pickupRequests.length }))
+  });
+};
+
+/**
+ * @swagger
+ * /batches/{id}:
+ *   get:
+ *     summary: Get a batch pickup with its member pickup requests
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch pickup details
+ *       404:
+ *         description: Batch pickup not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Dissolve an available batch pickup
+ *     description: Returns the member pickup requests to the individual pool.
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch pickup dissolved
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Batch pickup not found
+ *       409:
+ *         description: Batch pickup has already been claimed
+ *       500:
+ *         description: Server error
+ */
+export const getBatchById = async (req, res) => {
+  const batch = await BatchPickup.findById(req.params.id)
+    .populate('charity', 'charityName address location')
+    .populate('volunteer', 'name phoneNumber')
+    .populate({
+      path: 'pickupRequests',
+      select: 'pickupAddress pickupCoordinates contactPerson contactPhone items priority status metadata'
+    })
+    .lean();
+
+  if (!batch) {
+    throw new NotFoundError('Batch pickup not found');
+  }
+
+  const userId = req.user._id.toString();
+  const canView = req.user.role === 'admin' ||
+    (req.user.role === 'volunteer' && (batch.status === 'available' || batch.volunteer?._id.toString() === userId)) ||
+    (req.user.role === 'charity' && batch.charity?._id.toString() === userId);
+
+  if (!canView) {
+    throw new ForbiddenError('You are not authorized to view this batch pickup');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...batch,
+      allowedStatuses: getAllowedTransitions(batch.status)
+    }
+  });
+};
+
+export const dissolveBatch = async (req, res) => {
+  const batch = await BatchPickup.findOneAndDelete({ _id: req.params.id, status: 'available', volunteer: null });
+
+  if (!batch) {
+    if (!(await BatchPickup.exists({ _id: req.params.id }))) {
+      throw new NotFoundError('Batch pickup not found');
+    }
+    throw new ConflictError('Only available batch pickups can be dissolved');
+  }
+
+  await PickupRequest.updateMany({ batch: batch._id }, { $set: { batch: null } });
+
+  res.json({
+    success: true,
+    message: 'Batch pickup dissolved'
+  });
+};
+
+/**
+ * @swagger
+ * /batches/{id}/claim:
+ *   post:
+ *     summary: Claim an available batch pickup
+ *     description: Atomically assigns the batch and all of its pickup requests to the logged-in volunteer.
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch pickup claimed
+ *       403:
+ *         description: Volunteer access required, or the volunteer's required documents have lapsed
+ *       404:
+ *         description: Batch pickup not found
+ *       409:
+ *         description: Batch pickup has already been claimed
+ *       500:
+ *         description: Server error
+ */
+export const claimBatch = async (req, res) => {
+  const acceptedAt = new Date();
+  const batch = await BatchPickup.findOneAndUpdate(
+    { _id: req.params.id, status: 'available', volunteer: null },
+    {
+      $set: { status: 'accepted', volunteer: req.user._id, acceptedAt },
+      $push: { statusHistory: buildStatusHistoryEntry({ fromStatus: 'available', toStatus: 'accepted', user: req.user }) }
+    },
+    { new: true }
+  );
+
+  if (!batch) {
+    if (!(await BatchPickup.exists({ _id: req.params.id }))) {
+      throw new NotFoundError('Batch pickup not found');
+    }
+    throw new ConflictError('This batch pickup has already been claimed or is no longer available');
+  }
+
+  const updated = await syncBatchMembers({
+    batch,
+    fromStatus: 'available',
+    toStatus: 'accepted',
+    user: req.user,
+    set: { volunteer: req.user._id, 'metadata.acceptedAt': acceptedAt }
+  });
+
+  res.json({
+    success: true,
+    message: `Batch pickup claimed with ${updated} pickup request(s)`,
+    data: {
+      id: batch._id,
+      status: batch.status,
+      volunteerId: batch.volunteer,
+      pickupRequests: batch.pickupRequests
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /batches/{id}/release:
+ *   post:
+ *     summary: Release a claimed batch pickup back to the pool
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReleaseBatchRequest'
+ *     responses:
+ *       200:
+ *         description: Batch pickup released
+ *       400:
+ *         description: Missing reason or batch cannot be released from its current status
+ *       403:
+ *         description: Not the assigned volunteer
+ *       404:
+ *         description: Batch pickup not found
+ *       409:
+ *         description: Batch pickup was changed by someone else in the meantime
+ *       500:
+ *         description: Server error
+ */
+export const releaseBatch = async (req, res) => {
+  const { reason } = req.body;
+
+  const batch = await BatchPickup.findById(req.params.id);
+  if (!batch) {
+    throw new NotFoundError('Batch pickup not found');
+  }
+
+  const transition = checkTransition(batch, 'available', req.user);
+  if (!transition.allowed) {
+    throw errorForStatus(transition.code, transition.message);
+  }
+
+  const notes = `Released: ${reason.trim()}`;
+  const released = await BatchPickup.findOneAndUpdate(
+    { _id: batch._id, status: batch.status, volunteer: batch.volunteer },
+    {
+      $set: { status: 'available', volunteer: null },
+      $unset: { acceptedAt: '' },
+      $push: { statusHistory: buildStatusHistoryEntry({ fromStatus: batch.status, toStatus: 'available', user: req.user, notes }) }
+    },
+    { new: true }
+  );
+
+  if (!released) {
+    throw new ConflictError('This batch pickup was updated by someone else. Please refresh and try again.');
+  }
+
+  await syncBatchMembers({
+    batch: released,
+    fromStatus: batch.status,
+    toStatus: 'available',
+    user: req.user,
+    notes,
+    set: { volunteer: null },
+    unset: ['metadata.acceptedAt']
+  });
+
+  res.json({
+    success: true,
+    message: 'Batch pickup released back to the pool',
+    data: { id: released._id, status: released.status }
+  });
+};
+
+/**
+ * @swagger
+ * /batches/{id}/status:
+ *   patch:
+ *     summary: Advance or cancel a batch pickup
+ *     description: Applies the same transition rules as individual pickup requests and moves every member pickup request and donation along with the batch. Use the claim and release endpoints to accept or return a batch.
+ *     tags: [Batch Pickups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateBatchStatusRequest'
+ *     responses:
+ *       200:
+ *         description: Batch status updated
+ *       400:
+ *         description: Invalid status or transition
+ *       403:
+ *         description: Not authorized to perform this transition
+ *       404:
+ *         description: Batch pickup not found
+ *       409:
+ *         description: Batch pickup was changed by someone else in the meantime
+ *       500:
+ *         description: Server error
+ */
+export const updateBatchStatus = async (req, res) => {
+  const { status, notes } = req.body;
+
+  if (['accepted', 'available'].includes(status)) {
+    throw new BadRequestError(`Use the ${status === 'accepted' ? 'claim' : 'release'} endpoint to ${status === 'accepted' ? 'accept' : 'release'} a batch pickup`);
+  }
+
+  const batch = await BatchPickup.findById(req.params.id);
+  if (!batch) {
+    throw new NotFoundError('Batch pickup not found');
+  }
+
+  const transition = checkTransition(batch, status, req.user);
+  if (!transition.allowed) {
+    throw errorForStatus(transition.code, transition.message, {
+      details: { currentStatus: batch.status, allowedStatuses: getAllowedTransitions(batch.status) }
+    });
+  }
+
+  const updated = await BatchPickup.findOneAndUpdate(
+    { _id: batch._id, status: batch.status },
+    {
+      $set: { status, ...(status === 'delivered' && { completedAt: new Date() }) },
+      $push: { statusHistory: buildStatusHistoryEntry({ fromStatus: batch.status, toStatus: status, user: req.user, notes }) }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ConflictError('This batch pickup was updated by someone else. Please refresh and try again.');
+  }
+
+  const membersUpdated = await syncBatchMembers({
+    batch: updated,
+    fromStatus: batch.status,
+    toStatus: status,
+    user: req.user,
+    notes
+  });
+
+  res.json({
+    success: true,
+    message: 'Batch status updated successfully',
+    data: {
+      id: updated._id,
+      status: updated.status,
+      membersUpdated,
+      allowedStatuses: getAllowedTransitions(updated.status)
+    }
+  });
+};
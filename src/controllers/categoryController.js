@@ -1,79 +1,64 @@
 import Category from '../models/Category.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
 
 // @desc    Create a new category
 // @route   POST /api/categories
 // @access  Private/Admin
 export const createCategory = async (req, res) => {
-    try {
-        const { name, description } = req.body;
-        const loggedInUser = req.user;
+    const { name, description } = req.body;
+    const loggedInUser = req.user;
 
-        const categoryExists = await Category.findOne({ name });
-        if (categoryExists) {
-            return res.status(400).json({ message: 'Category with this name already exists.' });
-        }
+    const categoryExists = await Category.findOne({ name });
+    if (categoryExists) {
+        throw new BadRequestError('Category with this name already exists.');
+    }
 
-        const category = new Category({
-            name,
-            description,
-            createdBy: loggedInUser._id
-        });
+    const category = new Category({
+        name,
+        description,
+        createdBy: loggedInUser._id
+    });
 
-        const createdCategory = await category.save();
-        res.status(201).json(createdCategory);
-    } catch (error) {
-        res.status(500).json({ message: 'Server error creating category', error: error.message });
-    }
+    const createdCategory = await category.save();
+    res.status(201).json({ success: true, data: createdCategory });
 };
 
 // @desc    Get all categories
 // @route   GET /api/categories
 // @access  Public
 export const getCategories = async (req, res) => {
-    try {
-        const categories = await Category.find({});
-        res.json(categories);
-    } catch (error) {
-        res.status(500).json({ message: 'Server error fetching categories', error: error.message });
-    }
+    const categories = await Category.find({});
+    res.json({ success: true, count: categories.length, data: categories });
 };
 
 // @desc    Update a category
 // @route   PUT /api/categories/:id
 // @access  Private/Admin
 export const updateCategory = async (req, res) => {
-    try {
-        const { name, description } = req.body;
-        const category = await Category.findById(req.params.id);
+    const { name, description } = req.body;
+    const category = await Category.findById(req.params.id);
 
-        if (!category) {
-            return res.status(404).json({ message: 'Category not found' });
-        }
+    if (!category) {
+        throw new NotFoundError('Category not found');
+    }
 
-        category.name = name || category.name;
-        category.description = description || category.description;
+    category.name = name || category.name;
+    category.description = description || category.description;
 
-        const updatedCategory = await category.save();
-        res.json(updatedCategory);
-    } catch (error) {
-        res.status(500).json({ message: 'Server error updating category', error: error.message });
-    }
+    const updatedCategory = await category.save();
+    res.json({ success: true, data: updatedCategory });
 };
 
 // @desc    Delete a category
 // @route   DELETE /api/categories/:id
 // @access  Private/Admin
 export const deleteCategory = async (req, res) => {
-    try {
-        const category = await Category.findById(req.params.id);
-
-        if (!category) {
-            return res.status(404).json({ message: 'Category not found' });
-        }
+    const category = await Category.findById(req.params.id);
 
-        await category.deleteOne();
-        res.json({ message: 'Category removed' });
-    } catch (error) {
-        res.status(500).json({ message: 'Server error deleting category', error: error.message });
+    if (!category) {
+        throw new NotFoundError('Category not found');
     }
+
+    await category.deleteOne();
+    res.json({ success: true, message: 'Category removed' });
 };
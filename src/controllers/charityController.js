@@ -1,5 +1,6 @@
 import { Charity } from '../models/User.js';
 import Category from '../models/Category.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
 
 /**
  * @swagger
@@ -9,21 +10,6 @@ import Category from '../models/Category.js';
  *
  * components:
  *   schemas:
- *     CharityNeedsRequest:
- *       type: object
- *       properties:
- *         neededCategories:
- *           type: array
- *           items:
- *             type: string
- *             description: The MongoDB ObjectId of a category.
- *           example: ["60d5f3f5e7b3c2a4e8f3b0e1", "60d5f3f5e7b3c2a4e8f3b0e2"]
- *           description: An array of Category ObjectIds that the charity needs.
- *         needsStatement:
- *           type: string
- *           maxLength: 1000
- *           example: "We are currently in urgent need of winter clothing and non-perishable food items for the upcoming cold season."
- *           description: A descriptive statement about the charity's current needs.
  *     CharityNeedsResponse:
  *       type: object
  *       properties:
@@ -46,96 +32,80 @@ import Category from '../models/Category.js';
 // @route   PUT /api/charity/needs
 // @access  Private/Charity
 export const updateCharityNeeds = async (req, res) => {
-    try {
-        const { neededCategories, needsStatement } = req.body;
+    const { neededCategories, needsStatement } = req.body;
 
-        const charity = await Charity.findById(req.user._id);
+    const charity = await Charity.findById(req.user._id);
 
-        if (!charity) {
-            return res.status(404).json({ success: false, message: 'Charity profile not found.' });
-        }
+    if (!charity) {
+        throw new NotFoundError('Charity profile not found.');
+    }
 
-        // Validate that the provided category IDs exist
-        if (neededCategories && neededCategories.length > 0) {
-            const categories = await Category.find({ '_id': { $in: neededCategories } });
-            if (categories.length !== neededCategories.length) {
-                return res.status(400).json({ success: false, message: 'One or more provided categories are invalid.' });
-            }
+    // Validate that the provided category IDs exist
+    if (neededCategories && neededCategories.length > 0) {
+        const categories = await Category.find({ '_id': { $in: neededCategories } });
+        if (categories.length !== neededCategories.length) {
+            throw new BadRequestError('One or more provided categories are invalid.');
         }
+    }
 
-        charity.neededCategories = neededCategories || [];
-        charity.needsStatement = needsStatement || '';
-
-        await charity.save();
+    charity.neededCategories = neededCategories || [];
+    charity.needsStatement = needsStatement || '';
 
-        res.json({
-            success: true,
-            message: 'Your charity needs have been updated successfully.',
-            data: {
-                neededCategories: charity.neededCategories,
-                needsStatement: charity.needsStatement,
-            },
-        });
+    await charity.save();
 
-    } catch (error) {
-        console.error('Error updating charity needs:', error);
-        res.status(500).json({ success: false, message: 'Server error while updating needs.' });
-    }
+    res.json({
+        success: true,
+        message: 'Your charity needs have been updated successfully.',
+        data: {
+            neededCategories: charity.neededCategories,
+            needsStatement: charity.needsStatement,
+        },
+    });
 };
 
 // @desc    Get the needs of a charity
 // @route   GET /api/charity/needs
 // @access  Private/Charity
 export const getCharityNeeds = async (req, res) => {
-    try {
-        const charity = await Charity.findById(req.user._id).populate('neededCategories', 'name description');
-
-        if (!charity) {
-            return res.status(200).json({
-                success: true,
-                message: 'Charity profile not found.',
-                data: {
-                    neededCategories: [],
-                    needsStatement: ''
-                }
-            });
-        }
+    const charity = await Charity.findById(req.user._id).populate('neededCategories', 'name description');
 
-        res.json({
+    if (!charity) {
+        return res.status(200).json({
             success: true,
+            message: 'Charity profile not found.',
             data: {
-                neededCategories: charity.neededCategories || [],
-                needsStatement: charity.needsStatement || '',
-            },
+                neededCategories: [],
+                needsStatement: ''
+            }
         });
-    } catch (error) {
-        console.error('Error fetching charity needs:', error);
-        res.status(500).json({ success: false, message: 'Server error while fetching needs.' });
     }
+
+    res.json({
+        success: true,
+        data: {
+            neededCategories: charity.neededCategories || [],
+            needsStatement: charity.needsStatement || '',
+        },
+    });
 };
 
 // @desc    Delete/clear the needs of a charity
 // @route   DELETE /api/charity/needs
 // @access  Private/Charity
 export const deleteCharityNeeds = async (req, res) => {
-    try {
-        const charity = await Charity.findById(req.user._id);
+    const charity = await Charity.findById(req.user._id);
 
-        if (!charity) {
-            return res.status(404).json({ success: false, message: 'Charity profile not found.' });
-        }
+    if (!charity) {
+        throw new NotFoundError('Charity profile not found.');
+    }
 
-        charity.neededCategories = [];
-        charity.needsStatement = '';
+    charity.neededCategories = [];
+    charity.needsStatement = '';
 
-        await charity.save();
+    await charity.save();
 
-        res.json({
-            success: true,
-            message: 'Your charity needs have been cleared successfully.',
-        });
-    } catch (error) {
-        console.error('Error deleting charity needs:', error);
-        res.status(500).json({ success: false, message: 'Server error while clearing needs.' });
-    }
+    res.json({
+        success: true,
+        message: 'Your charity needs have been cleared successfully.',
+    });
 };
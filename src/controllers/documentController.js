@@ -0,0 +1,376 @@
+import { pipeline } from 'stream/promises';
+import Document from '../models/Document.js';
+import VerificationEvent from '../models/VerificationEvent.js';
+import { VERIFICATION_DOCUMENT_TYPES } from '../config/documentTypes.js';
+import { hasPermission } from '../utils/permissions.js';
+import { refreshVolunteerCompliance } from '../utils/documentCompliance.js';
+import {
+  openDocument,
+  createSignedDocumentUrl,
+  verifyDocumentSignature
+} from '../utils/documentStorage.js';
+import { BadRequestError, ForbiddenError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Documents
+ *   description: Verification documents uploaded by charities and volunteers
+ *
+ * components:
+ *   schemas:
+ *     Document:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         owner:
+ *           type: string
+ *         purpose:
+ *           type: string
+ *           enum: [volunteer_verification, charity_verification]
+ *         originalName:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *           enum: [application/pdf, image/jpeg, image/png]
+ *         size:
+ *           type: integer
+ *         documentType:
+ *           type: string
+ *           enum: [driving_licence, background_check, national_id, registration_certificate, other]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the document itself (licence, certificate) stops being valid
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a reviewer accepted the document; unset for uploads awaiting review
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DOCUMENT_FIELDS = 'owner purpose originalName mimeType size documentType expiresAt reviewedAt createdAt';
+
+// Owners can read their own documents; admins need access to user accounts
+const canAccessDocument = (user, document) =>
+  document.owner.toString() === user._id.toString() ||
+  (user.role === 'admin' && (hasPermission(user, 'users:read') || hasPermission(user, 'users:verify')));
+
+const findDocument = (id) => Document.findById(id).lean();
+
+// Stream a document; it is always offered as a download-safe, uncached response
+const sendDocument = async (res, document) => {
+  let stream;
+  try {
+    stream = await openDocument(document);
+  } catch (error) {
+    if (error.code === 'NOT_FOUND') {
+      throw new NotFoundError('The document file is missing from storage.');
+    }
+    throw error;
+  }
+
+  const filename = document.originalName || `document-${document._id}`;
+  res.set({
+    'Content-Type': document.mimeType,
+    'Content-Length': document.size,
+    'Content-Disposition': `inline; filename="${filename.replace(/[^\x20-\x7e]|"/g, '_')}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    'Cache-Control': 'private, no-store',
+    'X-Content-Type-Options': 'nosniff'
+  });
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error(`Error streaming document ${document._id}:`, error.message);
+  }
+};
+
+/**
+ * @swagger
+ * /documents:
+ *   get:
+ *     summary: List the current user's documents
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The user's documents, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Document'
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+export const getMyDocuments = async (req, res) => {
+  const documents = await Document.find({ owner: req.user._id })
+    .select(DOCUMENT_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.json({ success: true, count: documents.length, data: documents });
+};
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   get:
+ *     summary: Download a document
+ *     description: Only the document's owner and admins with users:read or users:verify can download it.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *         content:
+ *           application/pdf: {}
+ *           image/jpeg: {}
+ *           image/png: {}
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Document not found, or not accessible to this user
+ *       500:
+ *         description: Server error
+ */
+export const getDocument = async (req, res) => {
+  const document = await findDocument(req.params.id);
+
+  // Documents other users cannot see are reported as missing rather than forbidden
+  if (!document || !canAccessDocument(req.user, document)) {
+    throw new NotFoundError('Document not found.');
+  }
+
+  await sendDocument(res, document);
+};
+
+/**
+ * @swagger
+ * /documents/{id}/signed-url:
+ *   get:
+ *     summary: Get a short-lived download link for a document (admin review)
+ *     description: |
+ *       The link works without an access token, so it can be used directly in an
+ *       `<iframe>`, `<img>` or new tab. It expires after DOCUMENT_URL_TTL_SECONDS (5 minutes by default).
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signed URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *                       example: /api/documents/665f.../signed?expires=1718000300&signature=...
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     document:
+ *                       $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: Requires the users:verify permission
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Server error
+ */
+export const getSignedDocumentUrl = async (req, res) => {
+  const document = await findDocument(req.params.id);
+  if (!document) {
+    throw new NotFoundError('Document not found.');
+  }
+
+  const { url, expiresAt } = createSignedDocumentUrl(document._id.toString());
+
+  res.json({
+    success: true,
+    data: {
+      url,
+      expiresAt,
+      document: {
+        _id: document._id,
+        owner: document.owner,
+        purpose: document.purpose,
+        originalName: document.originalName,
+        mimeType: document.mimeType,
+        size: document.size,
+        createdAt: document.createdAt
+      }
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /documents/{id}/signed:
+ *   get:
+ *     summary: Download a document with a signed link
+ *     description: Use the URL returned by /documents/{id}/signed-url; no access token is needed.
+ *     tags: [Documents]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The file
+ *       403:
+ *         description: The link is invalid or has expired
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Server error
+ */
+export const getDocumentBySignedUrl = async (req, res) => {
+  const { expires, signature } = req.query;
+  if (!verifyDocumentSignature(req.params.id, expires, signature)) {
+    throw new ForbiddenError('This document link is invalid or has expired.');
+  }
+
+  const document = await findDocument(req.params.id);
+  if (!document) {
+    throw new NotFoundError('Document not found.');
+  }
+
+  await sendDocument(res, document);
+};
+
+/**
+ * @swagger
+ * /documents/{id}:
+ *   patch:
+ *     summary: Correct a document's type or expiry date, or accept it (admin review)
+ *     description: |
+ *       Accepting a renewed driving licence or certificate of good conduct lifts the owner's
+ *       suspension from pickups once none of their required documents have lapsed.
+ *     tags: [Documents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateDocumentRequest'
+ *     responses:
+ *       200:
+ *         description: Document updated, with the owner's new document standing for volunteers
+ *       400:
+ *         description: Unknown document type, invalid date, or an expiring document accepted without an expiry date
+ *       403:
+ *         description: Requires the users:verify permission
+ *       404:
+ *         description: Document not found
+ *       500:
+ *         description: Server error
+ */
+export const updateDocument = async (req, res) => {
+  const document = await findDocument(req.params.id);
+  if (!document) {
+    throw new NotFoundError('Document not found.');
+  }
+
+  const { documentType = document.documentType, accept } = req.body;
+  const set = { documentType };
+  const unset = {};
+
+  let expiresAt = document.expiresAt;
+  if (req.body.expiresAt !== undefined) {
+    expiresAt = req.body.expiresAt === null ? null : new Date(req.body.expiresAt);
+    if (expiresAt) {
+      set.expiresAt = expiresAt;
+    } else {
+      unset.expiresAt = '';
+    }
+    // A new date starts the reminders again
+    set.expiryRemindersSent = [];
+  }
+
+  if (accept === true) {
+    if (VERIFICATION_DOCUMENT_TYPES[documentType].expires && !expiresAt) {
+      throw new BadRequestError('Set the expiry date before accepting this document.');
+    }
+    Object.assign(set, { reviewedAt: new Date(), reviewedBy: req.user._id });
+  }
+
+  const updated = await Document.findByIdAndUpdate(
+    document._id,
+    { $set: set, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+    { new: true }
+  ).select(DOCUMENT_FIELDS).lean();
+
+  if (accept === true) {
+    await VerificationEvent.create({
+      user: document.owner,
+      action: 'document_reviewed',
+      actor: req.user._id,
+      documents: [document._id]
+    });
+  }
+
+  const documentCompliance = document.purpose === 'volunteer_verification'
+    ? await refreshVolunteerCompliance(document.owner, { actor: req.user })
+    : undefined;
+
+  res.json({
+    success: true,
+    message: accept === true ? 'Document accepted.' : 'Document updated.',
+    data: { document: updated, ...(documentCompliance && { documentCompliance }) }
+  });
+};
@@ -4,8 +4,30 @@ import Donation from '../models/Donation.js';
 import { Charity, User } from '../models/User.js';
 import Category from '../models/Category.js';
 import PickupRequest from '../models/PickupRequest.js';
-import { geocodeAddress, calculateDistance, validateCoordinates } from '../utils/geocoding.js';
+import Availability from '../models/Availability.js';
+import { geocodeAddress, validateCoordinates } from '../utils/geocoding.js';
 import { sendEmail } from '../utils/sendEmail.js';
+import { notify, notifyPickupStatusChange } from '../utils/notifications.js';
+import { findMatchingVolunteers } from '../utils/volunteerMatching.js';
+import { checkTransition, getAllowedTransitions, donationStatusFor, buildStatusHistoryEntry } from '../utils/pickupStatus.js';
+import { planRoute } from '../utils/routePlanner.js';
+import { AppError, BadRequestError, ConflictError, ForbiddenError, NotFoundError, ValidationError, errorForStatus } from '../utils/errors.js';
+
+// Query values end up in $regex, so they are matched literally; a user-supplied pattern could
+// backtrack for long enough to stall the database
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Categories given by name instead of id, e.g. "food items"
+const findCategoryByName = (name) => Category.findOne({ name: new RegExp(`^${escapeRegex(name)}$`, 'i') });
+
+// A location in the query needs both coordinates; one alone would otherwise be ignored without a word
+const checkCoordinatePair = (lat, lng) => {
+  if ((lat === undefined) === (lng === undefined)) return;
+  const [missing, given] = lat === undefined ? ['lat', 'lng'] : ['lng', 'lat'];
+  throw new ValidationError(`${missing} is required when ${given} is given`, [
+    { location: 'query', field: missing, message: `is required when ${given} is given` }
+  ]);
+};
 
 /**
  * @swagger
@@ -115,7 +137,7 @@ import { sendEmail } from '../utils/sendEmail.js';
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Donation'
+ *             $ref: '#/components/schemas/SubmitDonationRequest'
  *     responses:
  *       201:
  *         description: Donation submitted successfully
@@ -126,133 +148,150 @@ import { sendEmail } from '../utils/sendEmail.js';
  *               properties:
  *                 success:
  *                   type: boolean
- *                 submissionId:
- *                   type: string
  *                 message:
  *                   type: string
  *                 data:
- *                   $ref: '#/components/schemas/Donation'
+ *                   type: object
+ *                   properties:
+ *                     submissionId:
+ *                       type: string
+ *                     donation:
+ *                       $ref: '#/components/schemas/Donation'
+ *                     pickupRequest:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         status:
+ *                           type: string
+ *                         priority:
+ *                           type: string
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: The donor has not verified their email address yet (code EMAIL_NOT_VERIFIED)
  *       500:
  *         description: Server error
  */
 export const submitDonation = async (req, res) => {
-  try {
-    const donationData = req.body;
-    const { pickupCoordinates, charityId } = donationData;
-    const loggedInUser = req.user;
-
-    // Validate coordinates
-    if (!pickupCoordinates || !validateCoordinates(pickupCoordinates)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or missing pickup coordinates provided. Expected [longitude, latitude].'
-      });
-    }
+  const donationData = req.body;
+  const { pickupCoordinates, charityId } = donationData;
+  const loggedInUser = req.user;
 
-    // Fetch the charity to get destination coordinates
-    const charity = await Charity.findById(charityId);
-    if (!charity) {
-      return res.status(404).json({ success: false, message: 'Charity not found' });
-    }
-
-
-    const processedItems = [];
-    for (const item of donationData.donationItems) {
-      let categoryId = item.category;
-
-      if (!mongoose.Types.ObjectId.isValid(categoryId)) {
-        const categoryObj = await Category.findOne({ name: { $regex: new RegExp(`^${item.category}$`, 'i') } });
-        if (!categoryObj) {
-          return res.status(400).json({
-            success: false,
-            message: `Invalid category specified: "${item.category}". This category does not exist.`
-          });
-        }
-        categoryId = categoryObj._id;
-      }
+  // Validate coordinates
+  if (!validateCoordinates(pickupCoordinates)) {
+    throw new BadRequestError('Invalid pickup coordinates provided. Expected [longitude, latitude].');
+  }
 
-      processedItems.push({ ...item, category: categoryId });
-    }
+  // Fetch the charity to get destination coordinates
+  const charity = await Charity.findById(charityId);
+  // Suspended and deleted charities cannot receive donations
+  if (!charity || charity.isActive === false) {
+    throw new NotFoundError('Charity not found');
+  }
 
-    // Generate unique ID
-    const donationId = `DON-${Date.now()}`;
-
-    // Create donation record
-    const donation = new Donation({
-      id: donationId,
-      ...donationData,
-      donationItems: processedItems, // Use processed items with ObjectId
-      donorId: loggedInUser._id,
-      donorName: loggedInUser.name,
-      donorEmail: loggedInUser.email,
-      donorPhone: loggedInUser.phoneNumber || donationData.donorPhone,
-      destination: charity.location,
-      pickupCoordinates: {
-        type: 'Point',
-        coordinates: pickupCoordinates
-      }
-    });
 
-    await donation.save();
+  const processedItems = [];
+  for (const item of donationData.donationItems) {
+    let categoryId = item.category;
 
-    // Create corresponding pickup request
-    const pickupRequest = new PickupRequest({
-      donation: donation._id,
-      charity: charity._id,
-      pickupAddress: donationData.pickupAddress,
-      pickupCoordinates: {
-        type: 'Point',
-        coordinates: pickupCoordinates
-      },
-      deliveryAddress: charity.address || charity.charityName,
-      contactPerson: loggedInUser.name,
-      contactPhone: loggedInUser.phoneNumber || donationData.donorPhone,
-      contactEmail: loggedInUser.email,
-      items: donationData.donationItems.map(item => ({
-        category: item.category,
-        description: item.description,
-        quantity: item.quantity,
-        condition: item.condition
-      })),
-      priority: donationData.urgencyLevel,
-      metadata: {
-        accessNotes: donationData.accessNotes,
-        totalWeight: donationData.totalWeight,
-        requiresRefrigeration: donationData.requiresRefrigeration,
-        fragileItems: donationData.fragileItems,
-        contactPreference: donationData.contactPreference,
-        additionalNotes: donationData.additionalNotes,
-        submittedAt: new Date()
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      const categoryObj = await findCategoryByName(item.category);
+      if (!categoryObj) {
+        throw new BadRequestError(`Invalid category specified: "${item.category}". This category does not exist.`);
       }
-    });
+      categoryId = categoryObj._id;
+    }
 
-    await pickupRequest.save();
+    processedItems.push({ ...item, category: categoryId });
+  }
 
-    res.status(201).json({
-      success: true,
+  // Generate unique ID
+  const donationId = `DON-${Date.now()}`;
+
+  // Create donation record; status, confirmation and thank-you note are only set by later steps
+  const donation = new Donation({
+    id: donationId,
+    charityId,
+    organizationName: donationData.organizationName,
+    organizationType: donationData.organizationType,
+    pickupAddress: donationData.pickupAddress,
+    accessNotes: donationData.accessNotes,
+    totalWeight: donationData.totalWeight,
+    requiresRefrigeration: donationData.requiresRefrigeration,
+    fragileItems: donationData.fragileItems,
+    deliveryInstructions: donationData.deliveryInstructions,
+    availabilityType: donationData.availabilityType,
+    preferredDate: donationData.preferredDate,
+    preferredTimeStart: donationData.preferredTimeStart,
+    preferredTimeEnd: donationData.preferredTimeEnd,
+    urgencyLevel: donationData.urgencyLevel,
+    additionalNotes: donationData.additionalNotes,
+    photoConsent: donationData.photoConsent,
+    contactPreference: donationData.contactPreference,
+    donationItems: processedItems, // Use processed items with ObjectId
+    donorId: loggedInUser._id,
+    donorName: loggedInUser.name,
+    donorEmail: loggedInUser.email,
+    donorPhone: loggedInUser.phoneNumber || donationData.donorPhone,
+    destination: charity.location,
+    pickupCoordinates: {
+      type: 'Point',
+      coordinates: pickupCoordinates
+    }
+  });
+
+  await donation.save();
+
+  // Create corresponding pickup request
+  const pickupRequest = new PickupRequest({
+    donation: donation._id,
+    charity: charity._id,
+    pickupAddress: donationData.pickupAddress,
+    pickupCoordinates: {
+      type: 'Point',
+      coordinates: pickupCoordinates
+    },
+    deliveryAddress: charity.address || charity.charityName,
+    contactPerson: loggedInUser.name,
+    contactPhone: loggedInUser.phoneNumber || donationData.donorPhone,
+    contactEmail: loggedInUser.email,
+    items: donationData.donationItems.map(item => ({
+      category: item.category,
+      description: item.description,
+      quantity: item.quantity,
+      condition: item.condition
+    })),
+    priority: donationData.urgencyLevel,
+    metadata: {
+      accessNotes: donationData.accessNotes,
+      totalWeight: donationData.totalWeight,
+      requiresRefrigeration: donationData.requiresRefrigeration,
+      fragileItems: donationData.fragileItems,
+      contactPreference: donationData.contactPreference,
+      additionalNotes: donationData.additionalNotes,
+      submittedAt: new Date()
+    },
+    statusHistory: [
+      buildStatusHistoryEntry({ fromStatus: null, toStatus: 'available', user: loggedInUser })
+    ]
+  });
+
+  await pickupRequest.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Donation submitted successfully',
+    data: {
       submissionId: donation.id,
-      message: 'Donation submitted successfully',
-      data: {
-        donation,
-        pickupRequest: {
-          id: pickupRequest._id,
-          status: pickupRequest.status,
-          priority: pickupRequest.priority
-        }
+      donation,
+      pickupRequest: {
+        id: pickupRequest._id,
+        status: pickupRequest.status,
+        priority: pickupRequest.priority
       }
-    });
-
-  } catch (error) {
-    console.error('Donation submission error:', error);
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to submit donation',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+    }
+  });
 };
 
 /**
@@ -260,6 +299,11 @@ export const submitDonation = async (req, res) => {
  * /donations/pickup-requests:
  *   get:
  *     summary: Get pickup requests for volunteers
+ *     description: |
+ *       When `lat` and `lng` are given, results come from a `$geoNear` search on the pickup location,
+ *       limited to `radius` and sorted nearest first. Without coordinates, results are sorted newest first.
+ *       Sending only one of `lat` and `lng` is a validation error.
+ *       Use the returned `data.nextCursor` as `cursor` to fetch the next page.
  *     tags: [Pickup Requests]
  *     parameters:
  *       - in: query
@@ -277,6 +321,7 @@ export const submitDonation = async (req, res) => {
  *         schema:
  *           type: number
  *           default: 25
+ *           maximum: 200
  *         description: Search radius in kilometers
  *       - in: query
  *         name: status
@@ -288,167 +333,299 @@ export const submitDonation = async (req, res) => {
  *         name: priority
  *         schema:
  *           type: string
+ *           enum: [low, medium, high]
  *         description: Filter by priority
  *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Only requests containing an item of this category (name or ID)
+ *       - in: query
+ *         name: requiresRefrigeration
+ *         schema:
+ *           type: boolean
+ *         description: Filter by whether items need refrigeration
+ *       - in: query
+ *         name: fragileItems
+ *         schema:
+ *           type: boolean
+ *         description: Filter by whether items are fragile
+ *       - in: query
+ *         name: charity
+ *         schema:
+ *           type: string
+ *         description: Only requests destined for this charity ID
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: number
  *           default: 20
+ *           maximum: 100
  *         description: Number of results to return
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's `nextCursor`
  *     responses:
  *       200:
  *         description: List of pickup requests
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: string
- *                   charity:
- *                     type: string
- *                   address:
- *                     type: string
- *                   coordinates:
- *                     type: array
- *                     items:
- *                       type: number
- *                   items:
- *                     type: array
- *                     items:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
  *                       type: string
- *                   contactPerson:
- *                     type: string
- *                   phone:
- *                     type: string
- *                   priority:
- *                     type: string
- *                   status:
- *                     type: string
- *                   deliveryAddress:
- *                     type: string
- *                   distance:
- *                     type: string
- *                   estimatedTime:
- *                     type: string
- *                   metadata:
- *                     type: object
+ *                       nullable: true
+ *                     requests:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           charity:
+ *                             type: string
+ *                           address:
+ *                             type: string
+ *                           coordinates:
+ *                             type: array
+ *                             items:
+ *                               type: number
+ *                           items:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                           contactPerson:
+ *                             type: string
+ *                           phone:
+ *                             type: string
+ *                           priority:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                           deliveryAddress:
+ *                             type: string
+ *                           distance:
+ *                             type: string
+ *                           estimatedTime:
+ *                             type: string
+ *                           metadata:
+ *                             type: object
+ *       400:
+ *         description: Invalid coordinates, only one of lat and lng, or an invalid filter or cursor
+ *       500:
+ *         description: Server error
  */
 export const getPickupRequests = async (req, res) => {
-  try {
-    const {
-      lat,
-      lng,
-      radius = 25,
-      status = 'available',
-      priority,
-      limit = 20
-    } = req.query;
-
-    // Build query
-    let query = {};
-
-    if (status) {
-      query.status = status;
-    }
+  const {
+    lat,
+    lng,
+    radius,
+    status,
+    priority,
+    category,
+    requiresRefrigeration,
+    fragileItems,
+    charity,
+    cursor,
+    limit
+  } = req.query;
+
+  checkCoordinatePair(lat, lng);
+
+  // Build query; batched pickups are only offered through their batch
+  const query = { donation: { $ne: null }, batch: null };
+
+  if (status) {
+    query.status = status;
+  }
 
-    if (priority) {
-      query.priority = priority;
+  if (priority) {
+    query.priority = priority;
+  }
+
+  if (requiresRefrigeration !== undefined) {
+    query['metadata.requiresRefrigeration'] = requiresRefrigeration;
+  }
+
+  if (fragileItems !== undefined) {
+    query['metadata.fragileItems'] = fragileItems;
+  }
+
+  if (charity) {
+    query.charity = new mongoose.Types.ObjectId(charity);
+  }
+
+  if (category) {
+    let categoryId = category;
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      const categoryObj = await findCategoryByName(category);
+      if (!categoryObj) {
+        return res.json({ success: true, count: 0, data: { requests: [], hasMore: false, nextCursor: null } });
+      }
+      categoryId = categoryObj._id;
     }
+    query['items.category'] = new mongoose.Types.ObjectId(categoryId);
+  }
 
-    // Location-based query if coordinates provided
-    if (lat && lng) {
-      const latitude = parseFloat(lat);
-      const longitude = parseFloat(lng);
-
-      // if (!validateCoordinates([longitude, latitude])) {
-      //   return res.status(400).json({
-      //     success: false,
-      //     message: 'Invalid coordinates provided'
-      //   });
-      // }
-
-      // query.pickupCoordinates = {
-      //   $near: {
-      //     $geometry: {
-      //       type: 'Point',
-      //       coordinates: [longitude, latitude]
-      //     },
-      //     $maxDistance: radius * 1000 // Convert km to meters
-      //   }
-      // };
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after) {
+      throw new BadRequestError('Invalid cursor provided');
     }
+  }
 
-    const pickupRequests = await PickupRequest.find(query)
-      .limit(parseInt(limit))
-      .sort({ priority: -1, createdAt: -1 })
-      .lean();
+  const pipeline = [];
+  const isGeoSearch = lat !== undefined && lng !== undefined;
+
+  if (isGeoSearch) {
+    // $geoNear must be the first stage; it returns documents nearest first
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'pickupCoordinates',
+        distanceField: 'distance',
+        maxDistance: radius * 1000,
+        ...(after && { minDistance: after.distance }),
+        query,
+        spherical: true
+      }
+    });
 
-    // Calculate distances and format response
-    const volunteersLocation = lat && lng ? [parseFloat(lng), parseFloat(lat)] : null;
+    if (after) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { distance: { $gt: after.distance } },
+            { distance: after.distance, _id: { $gt: new mongoose.Types.ObjectId(after.id) } }
+          ]
+        }
+      });
+    }
 
-    const formattedRequests = pickupRequests.map(request => {
-      let distance = null;
-      let estimatedTime = null;
-      const charity = request.charity;
+    pipeline.push({ $sort: { distance: 1, _id: 1 } });
+  } else {
+    const match = { ...query };
+    if (after) {
+      const createdAt = new Date(after.createdAt);
+      match.$or = [
+        { createdAt: { $lt: createdAt } },
+        { createdAt, _id: { $lt: new mongoose.Types.ObjectId(after.id) } }
+      ];
+    }
+    pipeline.push({ $match: match }, { $sort: { createdAt: -1, _id: -1 } });
+  }
 
-      if (volunteersLocation && request.pickupCoordinates?.coordinates) {
-        const requestCoordsLatLon = [request.pickupCoordinates.coordinates[1], request.pickupCoordinates.coordinates[0]];
-        const volunteerCoordsLatLon = [volunteersLocation[0], volunteersLocation[1]];
-        distance = calculateDistance(volunteerCoordsLatLon, requestCoordsLatLon);
-        estimatedTime = Math.round(distance / 30 * 60); // Rough estimate: 30 km/h
+  // Fetch one extra document to know whether another page exists
+  pipeline.push(
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: 'users',
+        let: { charityId: '$charity' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$charityId'] } } },
+          { $project: { charityName: 1 } }
+        ],
+        as: 'charity'
       }
-      if (distance < radius) {
-        return {
-          id: request._id,
-          charity: charity ? charity.charityName : 'N/A',
-          address: request.pickupAddress,
-          coordinates: request.pickupCoordinates?.coordinates,
-          items: request.items.map(item => `${item.description} (${item.quantity})`),
-          contactPerson: request.contactPerson,
-          phone: request.contactPhone,
-          priority: request.priority,
-          status: request.status,
-          deliveryAddress: request.deliveryAddress,
-          distance: distance ? `${distance} km` : null,
-          estimatedTime: estimatedTime ? `${estimatedTime} min` : null,
-          metadata: request.metadata,
-          createdAt: request.createdAt,
-            updatedAt: request.updatedAt
-          };
-      }
-    });
+    },
+    { $unwind: { path: '$charity', preserveNullAndEmptyArrays: true } },
+    { $project: { statusHistory: 0 } }
+  );
+
+  const results = await PickupRequest.aggregate(pipeline);
+  const hasMore = results.length > limit;
+  const pickupRequests = hasMore ? results.slice(0, limit) : results;
+
+  const formattedRequests = pickupRequests.map(request => {
+    const distance = typeof request.distance === 'number'
+      ? Math.round(request.distance / 100) / 10
+      : null;
+    const estimatedTime = distance !== null ? Math.round(distance / 30 * 60) : null; // Rough estimate: 30 km/h
+
+    return {
+      id: request._id,
+      charity: request.charity?.charityName || 'N/A',
+      address: request.pickupAddress,
+      coordinates: request.pickupCoordinates?.coordinates,
+      items: request.items.map(item => `${item.description} (${item.quantity})`),
+      contactPerson: request.contactPerson,
+      phone: request.contactPhone,
+      priority: request.priority,
+      status: request.status,
+      deliveryAddress: request.deliveryAddress,
+      distance: distance !== null ? `${distance} km` : null,
+      estimatedTime: estimatedTime !== null ? `${estimatedTime} min` : null,
+      metadata: request.metadata,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt
+    };
+  });
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = pickupRequests[pickupRequests.length - 1];
+    nextCursor = encodeCursor(isGeoSearch
+      ? { distance: last.distance, id: last._id }
+      : { createdAt: last.createdAt, id: last._id });
+  }
 
-    const filteredRequests = formattedRequests.filter(request => {
-      if (!request) return false;
-      const originalRequest = pickupRequests.find(pr => pr._id.equals(request.id));
-      return !!originalRequest.donation;
-    });
+  res.json({
+    success: true,
+    count: formattedRequests.length,
+    data: {
+      requests: formattedRequests,
+      hasMore,
+      nextCursor
+    }
+  });
+};
 
-    res.json({
-      success: true,
-      requests: filteredRequests,
-      count: filteredRequests.length
-    });
+// Members of a batch pickup move with their batch (batchController), never one by one; otherwise a
+// released or advanced member would be left behind when the batch moves on
+const batchMemberError = (pickupRequest) => new ConflictError(
+  'This pickup request is part of a batch pickup. Update the batch instead.',
+  { details: { batchId: pickupRequest.batch } }
+);
 
-  } catch (error) {
-    console.error('Get pickup requests error:', error);
+// Helpers for opaque pagination cursors
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch pickup requests',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!position || !mongoose.Types.ObjectId.isValid(position.id)) return null;
+    if (position.distance === undefined && position.createdAt === undefined) return null;
+    return position;
+  } catch (error) {
+    return null;
   }
 };
 
 /**
  * @swagger
- * /pickup-requests/{id}/status:
+ * /donations/pickup-requests/{id}/status:
  *   patch:
  *     summary: Update pickup request status
+ *     description: |
+ *       Status changes follow a fixed lifecycle:
+ *       available → accepted → en_route_pickup → arrived_pickup → picked_up → en_route_delivery → delivered.
+ *       Only the assigned volunteer may advance a pickup, any verified volunteer may accept an available one,
+ *       the assigned volunteer or an admin may return an accepted pickup to `available`, and only the
+ *       destination charity or an admin may cancel. Every change is appended to the pickup's status history.
  *     tags: [Pickup Requests]
  *     security:
  *       - bearerAuth: []
@@ -464,119 +641,606 @@ export const getPickupRequests = async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [accepted, en_route_pickup, arrived_pickup, picked_up, en_route_delivery, delivered, cancelled]
- *               volunteerId:
- *                 type: string
- *               notes:
- *                 type: string
+ *             $ref: '#/components/schemas/UpdatePickupStatusRequest'
  *     responses:
  *       200:
  *         description: Status updated successfully
  *       400:
- *         description: Invalid status or request
+ *         description: Invalid status or transition not allowed from the current status
+ *       403:
+ *         description: Not authorized to perform this transition
  *       404:
  *         description: Pickup request not found
+ *       409:
+ *         description: Pickup request is part of a batch pickup (batchId is returned), or was changed by someone else in the meantime
  *       500:
  *         description: Server error
  */
 export const updatePickupStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, notes } = req.body;
-
-    // Validate status
-    const validStatuses = [
-      'available', 'accepted', 'en_route_pickup', 'arrived_pickup',
-      'picked_up', 'en_route_delivery', 'delivered', 'cancelled'
-    ];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid status provided'
-      });
-    }
+  const { id } = req.params;
+  const { status, notes, location } = req.body;
 
-    // Find pickup request
-    const pickupRequest = await PickupRequest.findById(id);
-    if (!pickupRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Pickup request not found'
-      });
+  // Find pickup request
+  const pickupRequest = await PickupRequest.findById(id);
+  if (!pickupRequest) {
+    throw new NotFoundError('Pickup request not found');
+  }
+  if (pickupRequest.batch) {
+    throw batchMemberError(pickupRequest);
+  }
+
+  const transition = checkTransition(pickupRequest, status, req.user);
+  if (!transition.allowed) {
+    throw errorForStatus(transition.code, transition.message, {
+      details: { currentStatus: pickupRequest.status, allowedStatuses: getAllowedTransitions(pickupRequest.status) }
+    });
+  }
+
+  const update = {
+    $set: { status },
+    $push: {
+      statusHistory: buildStatusHistoryEntry({
+        fromStatus: pickupRequest.status,
+        toStatus: status,
+        user: req.user,
+        notes,
+        location
+      })
     }
+  };
 
-    // Update pickup request
-    const updateData = {
-      status,
-      updatedAt: new Date()
-    };
+  if (status === 'accepted') {
+    update.$set.volunteer = req.user._id;
+    update.$set['metadata.acceptedAt'] = new Date();
+  }
+
+  // Returning a pickup to the pool clears the assignment
+  if (status === 'available') {
+    update.$set.volunteer = null;
+    update.$unset = { 'metadata.acceptedAt': '' };
+  }
+
+  if (status === 'delivered' && !pickupRequest.metadata.completedAt) {
+    update.$set['metadata.completedAt'] = new Date();
+  }
+
+  // Only apply the change if nobody else changed the pickup since we read it
+  const updatedRequest = await PickupRequest.findOneAndUpdate(
+    { _id: id, status: pickupRequest.status, volunteer: pickupRequest.volunteer ?? null, batch: null },
+    update,
+    { new: true }
+  );
+
+  if (!updatedRequest) {
+    throw new ConflictError('This pickup request was updated by someone else. Please refresh and try again.');
+  }
 
-    if (status === 'accepted') {
-      updateData.volunteer = req.user._id;
+  // Update corresponding donation status
+  await Donation.findByIdAndUpdate(
+    pickupRequest.donation,
+    { status: donationStatusFor(status) }
+  );
+
+  await notifyPickupStatusChange({
+    pickupRequest: updatedRequest,
+    fromStatus: pickupRequest.status,
+    toStatus: status,
+    actor: req.user,
+    notes,
+    previousVolunteer: pickupRequest.volunteer
+  });
+
+  res.json({
+    success: true,
+    message: 'Status updated successfully',
+    data: {
+      id: updatedRequest._id,
+      status: updatedRequest.status,
+      volunteerId: updatedRequest.volunteer,
+      allowedStatuses: getAllowedTransitions(updatedRequest.status),
+      updatedAt: updatedRequest.updatedAt
     }
+  });
+};
+
+/**
+ * @swagger
+ * /donations/pickup-requests/{id}/history:
+ *   get:
+ *     summary: Get the status history of a pickup request
+ *     description: Available to admins, the assigned volunteer, the destination charity and the donor.
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pickup request ID
+ *     responses:
+ *       200:
+ *         description: Status history, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     currentStatus:
+ *                       type: string
+ *                     allowedStatuses:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromStatus:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                           actor:
+ *                             type: object
+ *                             properties:
+ *                               _id:
+ *                                 type: string
+ *                               name:
+ *                                 type: string
+ *                           actorRole:
+ *                             type: string
+ *                           notes:
+ *                             type: string
+ *                           location:
+ *                             type: object
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Not authorized to view this pickup request
+ *       404:
+ *         description: Pickup request not found
+ *       500:
+ *         description: Server error
+ */
+export const getPickupStatusHistory = async (req, res) => {
+  const pickupRequest = await PickupRequest.findById(req.params.id)
+    .populate('donation', 'donorId')
+    .populate('statusHistory.actor', 'name role')
+    .lean();
+
+  if (!pickupRequest) {
+    throw new NotFoundError('Pickup request not found');
+  }
 
-    if (status === 'accepted' && !pickupRequest.metadata.acceptedAt) {
-      updateData['metadata.acceptedAt'] = new Date();
+  const userId = req.user._id.toString();
+  const canView = req.user.role === 'admin' ||
+    pickupRequest.volunteer?.toString() === userId ||
+    pickupRequest.charity?.toString() === userId ||
+    pickupRequest.donation?.donorId?.toString() === userId;
+
+  if (!canView) {
+    throw new ForbiddenError('You are not authorized to view this pickup request');
+  }
+
+  res.json({
+    success: true,
+    data: {
+      currentStatus: pickupRequest.status,
+      allowedStatuses: getAllowedTransitions(pickupRequest.status),
+      history: pickupRequest.statusHistory || []
     }
+  });
+};
 
-    if (status === 'delivered' && !pickupRequest.metadata.completedAt) {
-      updateData['metadata.completedAt'] = new Date();
+/**
+ * @swagger
+ * /donations/pickup-requests/{id}/claim:
+ *   post:
+ *     summary: Claim an available pickup request
+ *     description: Atomically assigns the pickup to the logged-in volunteer. Only succeeds while the pickup is still `available` and unassigned, so two volunteers can never hold the same pickup.
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pickup request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ClaimPickupRequestRequest'
+ *     responses:
+ *       200:
+ *         description: Pickup request claimed
+ *       403:
+ *         description: Volunteer access required, or the volunteer's required documents have lapsed
+ *       404:
+ *         description: Pickup request not found
+ *       409:
+ *         description: Pickup request has already been claimed or is no longer available
+ *       500:
+ *         description: Server error
+ */
+export const claimPickupRequest = async (req, res) => {
+  const { id } = req.params;
+  const { notes, location } = req.body || {};
+
+  const now = new Date();
+  const claimedRequest = await PickupRequest.findOneAndUpdate(
+    { _id: id, status: 'available', volunteer: null, batch: null },
+    {
+      $set: {
+        status: 'accepted',
+        volunteer: req.user._id,
+        'metadata.acceptedAt': now
+      },
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: 'available',
+          toStatus: 'accepted',
+          user: req.user,
+          notes,
+          location
+        })
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimedRequest) {
+    const pickupRequest = await PickupRequest.findById(id).select('status volunteer batch').lean();
+    if (!pickupRequest) {
+      throw new NotFoundError('Pickup request not found');
     }
 
-    if (notes) {
-      updateData['metadata.statusNotes'] = notes;
+    if (pickupRequest.batch && pickupRequest.status === 'available') {
+      throw new ConflictError('This pickup request is part of a batch pickup. Claim the batch instead.', {
+        details: { batchId: pickupRequest.batch }
+      });
     }
 
-    const updatedRequest = await PickupRequest.findByIdAndUpdate(
-      id,
-      { $set: updateData },
-      { new: true }
-    );
-
-    // Update corresponding donation status
-    let donationStatus = 'submitted';
-    if (['accepted', 'en_route_pickup', 'arrived_pickup'].includes(status)) {
-      donationStatus = 'assigned';
-    } else if (['picked_up', 'en_route_delivery'].includes(status)) {
-      donationStatus = 'picked_up';
-    } else if (status === 'delivered') {
-      donationStatus = 'delivered';
-    } else if (status === 'cancelled') {
-      donationStatus = 'cancelled';
+    const claimedByYou = pickupRequest.volunteer?.toString() === req.user._id.toString();
+    const message = claimedByYou
+      ? 'You have already claimed this pickup request'
+      : 'This pickup request has already been claimed or is no longer available';
+    throw new ConflictError(message, { details: { currentStatus: pickupRequest.status } });
+  }
+
+  await Donation.findByIdAndUpdate(claimedRequest.donation, { status: donationStatusFor('accepted') });
+
+  await notifyPickupStatusChange({
+    pickupRequest: claimedRequest,
+    fromStatus: 'available',
+    toStatus: 'accepted',
+    actor: req.user,
+    notes
+  });
+
+  res.json({
+    success: true,
+    message: 'Pickup request claimed successfully',
+    data: {
+      id: claimedRequest._id,
+      status: claimedRequest.status,
+      volunteerId: claimedRequest.volunteer,
+      acceptedAt: claimedRequest.metadata.acceptedAt
     }
+  });
+};
 
-    await Donation.findByIdAndUpdate(
-      pickupRequest.donation,
-      { status: donationStatus }
-    );
-
-    res.json({
-      success: true,
-      message: 'Status updated successfully',
-      updatedRequest: {
-        id: updatedRequest._id,
-        status: updatedRequest.status,
-        volunteerId: updatedRequest.volunteer,
-        updatedAt: updatedRequest.updatedAt
+/**
+ * @swagger
+ * /donations/pickup-requests/{id}/release:
+ *   post:
+ *     summary: Release a claimed pickup request back to the pool
+ *     description: The assigned volunteer or an admin can return an `accepted` pickup to `available`. The reason is recorded in the status history.
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pickup request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReleasePickupRequestRequest'
+ *     responses:
+ *       200:
+ *         description: Pickup request returned to the pool
+ *       400:
+ *         description: Missing reason or pickup cannot be released from its current status
+ *       403:
+ *         description: Not the assigned volunteer
+ *       404:
+ *         description: Pickup request not found
+ *       409:
+ *         description: Pickup request is part of a batch pickup (batchId is returned), or was changed by someone else in the meantime
+ *       500:
+ *         description: Server error
+ */
+export const releasePickupRequest = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const pickupRequest = await PickupRequest.findById(id);
+  if (!pickupRequest) {
+    throw new NotFoundError('Pickup request not found');
+  }
+  if (pickupRequest.batch) {
+    throw batchMemberError(pickupRequest);
+  }
+
+  const transition = checkTransition(pickupRequest, 'available', req.user);
+  if (!transition.allowed) {
+    throw errorForStatus(transition.code, transition.message, { details: { currentStatus: pickupRequest.status } });
+  }
+
+  const releasedRequest = await PickupRequest.findOneAndUpdate(
+    { _id: id, status: pickupRequest.status, volunteer: pickupRequest.volunteer, batch: null },
+    {
+      $set: { status: 'available', volunteer: null },
+      $unset: { 'metadata.acceptedAt': '' },
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: pickupRequest.status,
+          toStatus: 'available',
+          user: req.user,
+          notes: `Released: ${reason.trim()}`
+        })
       }
-    });
+    },
+    { new: true }
+  );
 
-  } catch (error) {
-    console.error('Update pickup status error:', error);
+  if (!releasedRequest) {
+    throw new ConflictError('This pickup request was updated by someone else. Please refresh and try again.');
+  }
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update pickup status',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+  await Donation.findByIdAndUpdate(releasedRequest.donation, { status: donationStatusFor('available') });
+
+  await notifyPickupStatusChange({
+    pickupRequest: releasedRequest,
+    fromStatus: pickupRequest.status,
+    toStatus: 'available',
+    actor: req.user,
+    notes: reason.trim(),
+    previousVolunteer: pickupRequest.volunteer
+  });
+
+  res.json({
+    success: true,
+    message: 'Pickup request released back to the pool',
+    data: {
+      id: releasedRequest._id,
+      status: releasedRequest.status,
+      volunteerId: releasedRequest.volunteer
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /donations/pickup-requests/{id}/matches:
+ *   get:
+ *     summary: Rank volunteers for a pickup request
+ *     description: Scores active, verified volunteers by distance, availability during the donor's preferred window, remaining daily capacity and transportation suitability.
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pickup request ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Maximum number of candidates to return
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *           default: 25
+ *         description: Distance in kilometers at which the distance score drops to zero; volunteers further away are ineligible
+ *       - in: query
+ *         name: includeIneligible
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return volunteers that fail distance, availability, capacity or transport constraints
+ *     responses:
+ *       200:
+ *         description: Ranked candidates with score breakdowns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     window:
+ *                       type: object
+ *                     load:
+ *                       type: object
+ *                     weights:
+ *                       type: object
+ *                     candidates:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           volunteer:
+ *                             type: object
+ *                           availabilityId:
+ *                             type: string
+ *                           eligible:
+ *                             type: boolean
+ *                           score:
+ *                             type: number
+ *                             description: Weighted score from 0 to 100
+ *                           breakdown:
+ *                             type: object
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Pickup request not found
+ *       500:
+ *         description: Server error
+ */
+export const getPickupMatches = async (req, res) => {
+  const { limit, maxDistance, includeIneligible } = req.query;
+
+  const pickupRequest = await PickupRequest.findById(req.params.id).populate('donation');
+  if (!pickupRequest) {
+    throw new NotFoundError('Pickup request not found');
   }
+
+  const matches = await findMatchingVolunteers(pickupRequest, {
+    limit,
+    maxDistanceKm: maxDistance,
+    includeIneligible
+  });
+
+  res.json({
+    success: true,
+    count: matches.candidates.length,
+    data: matches
+  });
+};
+
+/**
+ * @swagger
+ * /donations/pickup-requests/{id}/auto-assign:
+ *   post:
+ *     summary: Assign an available pickup request to the best-matching volunteer
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pickup request ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AutoAssignPickupRequest'
+ *     responses:
+ *       200:
+ *         description: Pickup request assigned to the top candidate
+ *       404:
+ *         description: Pickup request not found
+ *       409:
+ *         description: Pickup request is no longer available
+ *       422:
+ *         description: No eligible volunteer found
+ *       500:
+ *         description: Server error
+ */
+export const autoAssignPickup = async (req, res) => {
+  const { maxDistance } = req.body;
+
+  const pickupRequest = await PickupRequest.findById(req.params.id).populate('donation');
+  if (!pickupRequest) {
+    throw new NotFoundError('Pickup request not found');
+  }
+
+  if (pickupRequest.status !== 'available' || pickupRequest.volunteer) {
+    throw new ConflictError(`Pickup request is no longer available. Its current status is '${pickupRequest.status}'.`);
+  }
+
+  if (pickupRequest.batch) {
+    throw new ConflictError('Pickup request is part of a batch pickup. Dissolve the batch before assigning it individually.');
+  }
+
+  const { candidates } = await findMatchingVolunteers(pickupRequest, {
+    limit: 1,
+    maxDistanceKm: maxDistance
+  });
+
+  if (candidates.length === 0) {
+    throw new AppError('No eligible volunteer found for this pickup request', { status: 422, code: 'NO_ELIGIBLE_VOLUNTEER' });
+  }
+
+  const [topCandidate] = candidates;
+
+  // Only assign if nobody claimed the pickup while we were scoring
+  const updatedRequest = await PickupRequest.findOneAndUpdate(
+    { _id: pickupRequest._id, status: 'available', volunteer: null, batch: null },
+    {
+      $set: {
+        status: 'accepted',
+        volunteer: topCandidate.volunteer._id,
+        'metadata.acceptedAt': new Date()
+      },
+      $push: {
+        statusHistory: buildStatusHistoryEntry({
+          fromStatus: 'available',
+          toStatus: 'accepted',
+          user: req.user,
+          notes: `Auto-assigned to ${topCandidate.volunteer.name} (score ${topCandidate.score})`
+        })
+      }
+    },
+    { new: true }
+  );
+
+  if (!updatedRequest) {
+    throw new ConflictError('Pickup request was claimed by another volunteer');
+  }
+
+  await Donation.findByIdAndUpdate(pickupRequest.donation._id, { status: donationStatusFor('accepted') });
+
+  await notifyPickupStatusChange({
+    pickupRequest: updatedRequest,
+    fromStatus: 'available',
+    toStatus: 'accepted',
+    actor: req.user,
+    notes: 'Assigned by an administrator.'
+  });
+
+  res.json({
+    success: true,
+    message: `Pickup request assigned to ${topCandidate.volunteer.name}`,
+    data: {
+      id: updatedRequest._id,
+      status: updatedRequest.status,
+      volunteerId: updatedRequest.volunteer,
+      match: topCandidate
+    }
+  });
 };
 
 /**
@@ -601,37 +1265,23 @@ export const updatePickupStatus = async (req, res) => {
  *         description: Server error
  */
 export const getDonationById = async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    const donation = await Donation.findOne({ id }).lean();
-    if (!donation) {
-      return res.status(404).json({
-        success: false,
-        message: 'Donation not found'
-      });
-    }
+  const { id } = req.params;
 
-    // Get associated pickup request
-    const pickupRequest = await PickupRequest.findOne({ donation: donation._id }).lean();
-
-    res.json({
-      success: true,
-      data: {
-        donation,
-        pickupRequest
-      }
-    });
+  const donation = await Donation.findOne({ id }).lean();
+  if (!donation) {
+    throw new NotFoundError('Donation not found');
+  }
 
-  } catch (error) {
-    console.error('Get donation error:', error);
+  // Get associated pickup request
+  const pickupRequest = await PickupRequest.findOne({ donation: donation._id }).lean();
 
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch donation',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
-  }
+  res.json({
+    success: true,
+    data: {
+      donation,
+      pickupRequest
+    }
+  });
 };
 
 /**
@@ -663,7 +1313,9 @@ export const getDonationById = async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 suggestions:
+ *                 count:
+ *                   type: integer
+ *                 data:
  *                   type: array
  *                   items:
  *                     type: object
@@ -674,97 +1326,249 @@ export const getDonationById = async (req, res) => {
  *                         type: array
  *                         items:
  *                           type: number
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       502:
+ *         description: The address search service could not be reached (code GEOCODING_UNAVAILABLE)
  */
 export const searchAddresses = async (req, res) => {
-  try {
-    const { q: query, limit = 5 } = req.query;
+  const { q: query, limit } = req.query;
 
-    if (!query || query.trim().length < 3) {
-      return res.json({
-        success: true,
-        suggestions: []
-      });
-    }
-
-    const { searchAddresses } = await import('../utils/geocoding.js');
-    const result = await searchAddresses(query, parseInt(limit));
+  if (!query || query.length < 3) {
+    return res.json({ success: true, count: 0, data: [] });
+  }
 
-    res.json(result);
+  const { searchAddresses } = await import('../utils/geocoding.js');
+  const result = await searchAddresses(query, limit);
 
-  } catch (error) {
-    console.error('Address search error:', error);
-
-    res.status(500).json({
-      success: false,
-      message: 'Failed to search addresses',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  if (!result.success) {
+    throw new AppError('Address search is unavailable right now. Please try again shortly.', {
+      status: 502,
+      code: 'GEOCODING_UNAVAILABLE'
     });
   }
+
+  res.json({
+    success: true,
+    count: result.suggestions.length,
+    data: result.suggestions
+  });
 };
 
 // @desc    Get all pickup requests assigned to the logged-in volunteer
 // @route   GET /api/donations/my-pickups
 // @access  Private/Volunteer
 export const getVolunteerPickups = async (req, res) => {
-  try {
-    const volunteerId = req.user._id;
-    const { status } = req.query;
+  const volunteerId = req.user._id;
+  const { status } = req.query;
 
-    let query = { volunteer: volunteerId };
+  let query = { volunteer: volunteerId };
 
-    if (status) {
-      query.status = status;
-    }
-
-    const pickupRequests = await PickupRequest.find(query)
-      .populate({
-        path: 'charity',
-        select: 'charityName address'
-      })
-      .populate({
-        path: 'donation',
-        select: 'destination' // To get the destination for the map
-      })
-      .sort({ createdAt: -1 })
-      .lean();
+  if (status) {
+    query.status = status;
+  }
 
-    if (!pickupRequests || pickupRequests.length === 0) {
-      return res.status(200).json({ success: true, requests: [], count: 0 });
-    }
+  const pickupRequests = await PickupRequest.find(query)
+    .populate({
+      path: 'charity',
+      select: 'charityName address'
+    })
+    .populate({
+      path: 'donation',
+      select: 'destination' // To get the destination for the map
+    })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  if (!pickupRequests || pickupRequests.length === 0) {
+    return res.status(200).json({ success: true, count: 0, data: [] });
+  }
 
-    const formattedRequests = pickupRequests.map(request => ({
-      id: request._id,
-      charity: request.charity ? request.charity.charityName : 'N/A',
-      pickupAddress: request.pickupAddress,
-      pickupCoordinates: request.pickupCoordinates.coordinates,
-      destinationCoordinates: request.donation ? request.donation.destination?.coordinates : null,
-      deliveryAddress: request.charity ? request.charity.address || request.charity.charityName : 'N/A',
-      items: request.items.map(item => `${item.description} (${item.quantity})`),
-      priority: request.priority,
-      status: request.status,
-      createdAt: request.createdAt,
-      updatedAt: request.updatedAt
-    }));
+  const formattedRequests = pickupRequests.map(request => ({
+    id: request._id,
+    charity: request.charity ? request.charity.charityName : 'N/A',
+    pickupAddress: request.pickupAddress,
+    pickupCoordinates: request.pickupCoordinates.coordinates,
+    destinationCoordinates: request.donation ? request.donation.destination?.coordinates : null,
+    deliveryAddress: request.charity ? request.charity.address || request.charity.charityName : 'N/A',
+    items: request.items.map(item => `${item.description} (${item.quantity})`),
+    priority: request.priority,
+    status: request.status,
+    createdAt: request.createdAt,
+    updatedAt: request.updatedAt
+  }));
+
+  const filteredRequests = formattedRequests.filter(request => {
+    const originalRequest = pickupRequests.find(pr => pr._id.equals(request.id));
+    return !!originalRequest.donation;
+  });
+
+  res.status(200).json({
+    success: true,
+    count: filteredRequests.length,
+    data: filteredRequests
+  });
+};
 
-    const filteredRequests = formattedRequests.filter(request => {
-      const originalRequest = pickupRequests.find(pr => pr._id.equals(request.id));
-      return !!originalRequest.donation;
-    });
+/**
+ * @swagger
+ * /donations/my-pickups/route:
+ *   get:
+ *     summary: Plan a multi-stop route through the logged-in volunteer's active pickups
+ *     description: |
+ *       Orders the volunteer's accepted and in-progress pickups so each donation is collected before it is
+ *       dropped off at its charity, and returns per-leg distance and travel time. Uses the routing provider
+ *       configured by ROUTING_PROVIDER, falling back to an offline straight-line estimate.
+ *     tags: [Pickup Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *         description: Start latitude (defaults to the volunteer's saved location)
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *         description: Start longitude (defaults to the volunteer's saved location)
+ *       - in: query
+ *         name: pickups
+ *         schema:
+ *           type: string
+ *         description: Comma-separated pickup request IDs to include (defaults to all active pickups)
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [car, bicycle, motorcycle, public_transport, walking, other]
+ *         description: Transportation mode (defaults to the volunteer's availability preference)
+ *       - in: query
+ *         name: returnToStart
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: End the route back at the start location
+ *     responses:
+ *       200:
+ *         description: Ordered stop list with per-leg distance and time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                     transportationMode:
+ *                       type: string
+ *                     stops:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sequence:
+ *                             type: integer
+ *                           type:
+ *                             type: string
+ *                             enum: [pickup, dropoff, return]
+ *                           pickupRequestId:
+ *                             type: string
+ *                           address:
+ *                             type: string
+ *                           coordinates:
+ *                             type: array
+ *                             items:
+ *                               type: number
+ *                           leg:
+ *                             type: object
+ *                             properties:
+ *                               distanceKm:
+ *                                 type: number
+ *                               durationMinutes:
+ *                                 type: number
+ *                           cumulative:
+ *                             type: object
+ *                           estimatedArrival:
+ *                             type: string
+ *                             format: date-time
+ *                     totals:
+ *                       type: object
+ *                     unroutable:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: No start location available, only one of lat and lng, or invalid coordinates
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+export const getVolunteerRoute = async (req, res) => {
+  const { lat, lng, pickups, mode, returnToStart } = req.query;
+  checkCoordinatePair(lat, lng);
+
+  let start = null;
+  if (lat !== undefined && lng !== undefined) {
+    start = [lat, lng];
+  } else if (req.user.location?.coordinates?.length === 2) {
+    const [longitude, latitude] = req.user.location.coordinates;
+    start = [latitude, longitude];
+  } else {
+    throw new BadRequestError('Start location is required. Provide lat and lng or save a location on your profile.');
+  }
 
-    res.status(200).json({
-      success: true,
-      requests: filteredRequests,
-      count: filteredRequests.length
-    });
+  const query = {
+    volunteer: req.user._id,
+    status: { $in: ['accepted', 'en_route_pickup', 'arrived_pickup', 'picked_up', 'en_route_delivery'] }
+  };
 
-  } catch (error) {
-    console.error('Get volunteer pickups error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch assigned pickup requests',
-      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-    });
+  if (pickups?.length) {
+    query._id = { $in: pickups };
   }
+
+  const [pickupRequests, availability] = await Promise.all([
+    PickupRequest.find(query)
+      .populate({ path: 'charity', select: 'charityName address location' })
+      .populate({ path: 'donation', select: 'destination' })
+      .lean(),
+    Availability.findOne({ volunteer: req.user._id }).select('preferences').lean()
+  ]);
+
+  const toLatLon = (point) => point?.coordinates?.length === 2
+    ? [point.coordinates[1], point.coordinates[0]]
+    : null;
+
+  const jobs = pickupRequests.map(request => ({
+    id: request._id,
+    pickedUp: ['picked_up', 'en_route_delivery'].includes(request.status),
+    pickup: {
+      coordinates: toLatLon(request.pickupCoordinates),
+      address: request.pickupAddress
+    },
+    dropoff: {
+      coordinates: toLatLon(request.donation?.destination) || toLatLon(request.charity?.location),
+      address: request.charity?.address || request.charity?.charityName || request.deliveryAddress
+    }
+  }));
+
+  const route = await planRoute({
+    start,
+    jobs,
+    transportationMode: mode || availability?.preferences?.transportationMode || req.user.transportationMode || 'car',
+    returnToStart
+  });
+
+  res.json({
+    success: true,
+    data: route
+  });
 };
 
 /**
@@ -785,7 +1589,9 @@ export const getVolunteerPickups = async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 donations:
+ *                 count:
+ *                   type: integer
+ *                 data:
  *                   type: array
  *                   items:
  *                     type: object
@@ -855,50 +1661,45 @@ export const getVolunteerPickups = async (req, res) => {
  *         description: Server error
  */
 export const getMyDonations = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    // Find all donations where the donorId matches the logged-in user
-    const donations = await Donation.find({ donorId: userId })
-      .populate('charityId', 'charityName')
-      .sort({ createdAt: -1 })
-      .lean();
-
-    const formatted = donations.map(donation => ({
-      id: donation.id,
-      donorName: donation.donorName,
-      donorEmail: donation.donorEmail,
-      donorPhone: donation.donorPhone,
-      organizationName: donation.organizationName,
-      organizationType: donation.organizationType,
-      pickupAddress: donation.pickupAddress,
-      accessNotes: donation.accessNotes,
-      donationItems: donation.donationItems.map(item => ({
-        category: item.category,
-        description: item.description,
-        quantity: item.quantity,
-        condition: item.condition
-      })),
-      totalWeight: donation.totalWeight,
-      requiresRefrigeration: donation.requiresRefrigeration,
-      fragileItems: donation.fragileItems,
-      deliveryInstructions: donation.deliveryInstructions,
-      availabilityType: donation.availabilityType,
-      urgencyLevel: donation.urgencyLevel,
-      additionalNotes: donation.additionalNotes,
-      photoConsent: donation.photoConsent,
-      contactPreference: donation.contactPreference,
-      status: donation.status,
-      charityName: donation.charityId?.charityName || 'Unknown Charity',
-      ...(donation.thankYouNote && { thankYouNote: donation.thankYouNote }),
-      ...(donation.confirmedAt && { confirmedAt: donation.confirmedAt }),
-      createdAt: donation.createdAt
-    }));
-
-    res.json({ success: true, donations: formatted });
-  } catch (error) {
-    console.error('Get my donations error:', error);
-    res.status(500).json({ success: false, message: 'Failed to fetch your donations' });
-  }
+  const userId = req.user._id;
+  // Find all donations where the donorId matches the logged-in user
+  const donations = await Donation.find({ donorId: userId })
+    .populate('charityId', 'charityName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const formatted = donations.map(donation => ({
+    id: donation.id,
+    donorName: donation.donorName,
+    donorEmail: donation.donorEmail,
+    donorPhone: donation.donorPhone,
+    organizationName: donation.organizationName,
+    organizationType: donation.organizationType,
+    pickupAddress: donation.pickupAddress,
+    accessNotes: donation.accessNotes,
+    donationItems: donation.donationItems.map(item => ({
+      category: item.category,
+      description: item.description,
+      quantity: item.quantity,
+      condition: item.condition
+    })),
+    totalWeight: donation.totalWeight,
+    requiresRefrigeration: donation.requiresRefrigeration,
+    fragileItems: donation.fragileItems,
+    deliveryInstructions: donation.deliveryInstructions,
+    availabilityType: donation.availabilityType,
+    urgencyLevel: donation.urgencyLevel,
+    additionalNotes: donation.additionalNotes,
+    photoConsent: donation.photoConsent,
+    contactPreference: donation.contactPreference,
+    status: donation.status,
+    charityName: donation.charityId?.charityName || 'Unknown Charity',
+    ...(donation.thankYouNote && { thankYouNote: donation.thankYouNote }),
+    ...(donation.confirmedAt && { confirmedAt: donation.confirmedAt }),
+    createdAt: donation.createdAt
+  }));
+
+  res.json({ success: true, count: formatted.length, data: formatted });
 };
 
 /**
@@ -982,71 +1783,63 @@ export const getMyDonations = async (req, res) => {
  *         description: Server error.
  */
 export const getCharityDonations = async (req, res) => {
-    try {
-        const { status, urgency, startDate, endDate, donorName, category } = req.query;
-        const page = parseInt(req.query.page, 10) || 1;
-        const limit = parseInt(req.query.limit, 10) || 10;
-        const skip = (page - 1) * limit;
+      const { status, urgency, startDate, endDate, donorName, category, page, limit } = req.query;
+      const skip = (page - 1) * limit;
 
-        const query = { charityId: req.user._id };
+      const query = { charityId: req.user._id };
 
-        // Apply filters
-        if (status) {
-            query.status = status;
-        }
-        if (urgency) {
-            query.urgencyLevel = urgency;
-        }
-        if (startDate || endDate) {
-            query.createdAt = {};
-            if (startDate) {
-                query.createdAt.$gte = new Date(startDate);
-            }
-            if (endDate) {
-                const date = new Date(endDate);
-                date.setHours(23, 59, 59, 999); // Include the whole day
-                query.createdAt.$lte = date;
-            }
-        }
-        if (donorName) {
-            query.donorName = { $regex: donorName, $options: 'i' };
-        }
-        if (category) {
-            let categoryId = category;
-            if (!mongoose.Types.ObjectId.isValid(category)) {
-                const categoryObj = await Category.findOne({ name: { $regex: new RegExp(`^${category}$`, 'i') } });
-                if (categoryObj) {
-                    categoryId = categoryObj._id;
-                } else {
-                    return res.status(200).json({ success: true, count: 0, total: 0, pages: 0, data: [] });
-                }
-            }
-            query['donationItems.category'] = categoryId;
-        }
+      // Apply filters
+      if (status) {
+          query.status = status;
+      }
+      if (urgency) {
+          query.urgencyLevel = urgency;
+      }
+      if (startDate || endDate) {
+          query.createdAt = {};
+          if (startDate) {
+              query.createdAt.$gte = new Date(startDate);
+          }
+          if (endDate) {
+              const date = new Date(endDate);
+              date.setHours(23, 59, 59, 999); // Include the whole day
+              query.createdAt.$lte = date;
+          }
+      }
+      if (donorName) {
+          query.donorName = { $regex: escapeRegex(donorName), $options: 'i' };
+      }
+      if (category) {
+          let categoryId = category;
+          if (!mongoose.Types.ObjectId.isValid(category)) {
+              const categoryObj = await findCategoryByName(category);
+              if (categoryObj) {
+                  categoryId = categoryObj._id;
+              } else {
+                  return res.status(200).json({ success: true, count: 0, total: 0, pages: 0, data: [] });
+              }
+          }
+          query['donationItems.category'] = categoryId;
+      }
 
-        const totalDonations = await Donation.countDocuments(query);
-        const donations = await Donation.find(query)
-            .populate('donorId', 'name email')
-            .populate({
-                path: 'donationItems.category',
-                select: 'name'
-            })
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        res.status(200).json({
-            success: true,
-            count: donations.length,
-            total: totalDonations,
-            pages: Math.ceil(totalDonations / limit),
-            data: donations || []
-        });
-
-    } catch (error) {
-        console.error('Error fetching charity donations:', error);
-        res.status(500).json({ success: false, message: 'Server error while fetching donations.' });
-    }
+      const totalDonations = await Donation.countDocuments(query);
+      const donations = await Donation.find(query)
+          .populate('donorId', 'name email')
+          .populate({
+              path: 'donationItems.category',
+              select: 'name'
+          })
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit);
+
+      res.status(200).json({
+          success: true,
+          count: donations.length,
+          total: totalDonations,
+          pages: Math.ceil(totalDonations / limit),
+          data: donations || []
+      });
 };
 
 /**
@@ -1069,15 +1862,7 @@ export const getCharityDonations = async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               thankYouNote:
- *                 type: string
- *                 maxLength: 2000
- *                 description: Personal thank you message from the charity to the donor
- *                 example: "Thank you so much for your generous donation of winter clothing. These items will help keep our community members warm during the cold season. Your kindness makes a real difference!"
- *             required:
- *               - thankYouNote
+ *             $ref: '#/components/schemas/ConfirmDonationDeliveryRequest'
  *     responses:
  *       200:
  *         description: Donation confirmed successfully
@@ -1113,90 +1898,70 @@ export const getCharityDonations = async (req, res) => {
  *         description: Server error
  */
 export const confirmDonationDelivery = async (req, res) => {
-    try {
-        const { thankYouNote } = req.body;
+      const { thankYouNote } = req.body;
 
-        if (!thankYouNote || thankYouNote.trim().length === 0) {
-            return res.status(400).json({ success: false, message: 'Thank you note is required.' });
-        }
+      const donation = await Donation.findById(req.params.id);
+
+      if (!donation) {
+          throw new NotFoundError('Donation not found.');
+      }
 
-        const donation = await Donation.findById(req.params.id);
+      // Ensure the logged-in user is the recipient charity
+      if (donation.charityId.toString() !== req.user._id.toString()) {
+          throw new ForbiddenError('You are not authorized to confirm this donation.');
+      }
 
-        if (!donation) {
-            return res.status(404).json({ success: false, message: 'Donation not found.' });
-        }
+      // Check if the donation has been marked as 'delivered' by a volunteer first
+      if (donation.status !== 'delivered') {
+          throw new BadRequestError(`This donation cannot be confirmed yet. Its current status is '${donation.status}'. It must be 'delivered' first.`);
+      }
 
-        // Ensure the logged-in user is the recipient charity
-        if (donation.charityId.toString() !== req.user._id.toString()) {
-            return res.status(403).json({ success: false, message: 'You are not authorized to confirm this donation.' });
-        }
+      // Check if already confirmed
+      if (donation.status === 'confirmed') {
+          throw new BadRequestError('This donation has already been confirmed.');
+      }
 
-        // Check if the donation has been marked as 'delivered' by a volunteer first
-        if (donation.status !== 'delivered') {
-            return res.status(400).json({
-                success: false,
-                message: `This donation cannot be confirmed yet. Its current status is '${donation.status}'. It must be 'delivered' first.`
-            });
-        }
+      donation.status = 'confirmed';
+      donation.thankYouNote = thankYouNote.trim();
+      donation.confirmedAt = new Date();
+
+      await donation.save();
+
+      const deliveringPickup = await PickupRequest.findOne({ donation: donation._id }).select('volunteer').lean();
+      const charityName = req.user.charityName || 'the charity';
+      const notification = {
+          type: 'donation_confirmed',
+          title: 'Donation received',
+          message: `${charityName} confirmed receipt of the donation and says: "${donation.thankYouNote}"`,
+          donation: donation._id,
+          pickupRequest: deliveringPickup?._id,
+          actor: req.user._id
+      };
+
+      // The donor gets the charity's thank-you note on their preferred channel
+      await notify(donation.donorId, notification, {
+          content: {
+              email: {
+                  template: 'donation_thank_you',
+                  variables: { charityName, thankYouNote: donation.thankYouNote }
+              }
+          }
+      });
 
-        // Check if already confirmed
-        if (donation.status === 'confirmed') {
-            return res.status(400).json({
-                success: false,
-                message: 'This donation has already been confirmed.'
-            });
-        }
+      if (deliveringPickup?.volunteer) {
+          await notify(deliveringPickup.volunteer, notification);
+      }
 
-        donation.status = 'confirmed';
-        donation.thankYouNote = thankYouNote.trim();
-        donation.confirmedAt = new Date();
-
-        await donation.save();
-
-        // Send thank you email to the donor
-        const donor = await User.findById(donation.donorId);
-        // Temp disable email sending for now
-        // if (donor && donor.email) {
-        //     try {
-        //         const charity = await Charity.findById(donation.charityId);
-        //         await sendEmail({
-        //             to: donor.email,
-        //             subject: `A Thank You For Your Recent Donation to ${charity.charityName}!`,
-        //             html: `
-        //                 <div style="font-family: sans-serif; padding: 20px; border: 1px solid #ddd; border-radius: 8px;">
-        //                     <h2 style="color: #005AA7;">Dear ${donor.name},</h2>
-        //                     <p>We are writing to express our sincerest gratitude for your recent donation. The items you provided have been safely received by <b>${charity.charityName}</b>.</p>
-        //                     <h3 style="color: #333; border-bottom: 2px solid #005AA7; padding-bottom: 5px;">A Note From the Charity:</h3>
-        //                     <blockquote style="border-left: 4px solid #005AA7; padding-left: 15px; margin-left: 0; font-style: italic; color: #333;">
-        //                         <p>${donation.thankYouNote}</p>
-        //                     </blockquote>
-        //                     <p>Your support makes a huge difference in our community and allows us to continue our work. We are incredibly grateful for your generosity.</p>
-        //                     <p>Warmly,</p>
-        //                     <p><b>The Team at Generous Hands & ${charity.charityName}</b></p>
-        //                 </div>
-        //             `
-        //         });
-        //     } catch (emailError) {
-        //         console.error(`Failed to send thank you email for donation ${donation._id}:`, emailError);
-        //         // Don't block the response for an email failure
-        //     }
-        // }
-
-        res.json({
-            success: true,
-            message: 'Donation confirmed and thank you note sent to donor.',
-            data: {
-                _id: donation._id,
-                status: donation.status,
-                thankYouNote: donation.thankYouNote,
-                confirmedAt: donation.confirmedAt
-            }
-        });
-
-    } catch (error) {
-        console.error('Error confirming donation:', error);
-        res.status(500).json({ success: false, message: 'Server error while confirming donation.' });
-    }
+      res.json({
+          success: true,
+          message: 'Donation confirmed and thank you note sent to donor.',
+          data: {
+              _id: donation._id,
+              status: donation.status,
+              thankYouNote: donation.thankYouNote,
+              confirmedAt: donation.confirmedAt
+          }
+      });
 };
 
 /**
@@ -1262,65 +2027,56 @@ export const confirmDonationDelivery = async (req, res) => {
  *         description: Server error
  */
 export const getCharityDashboardStats = async (req, res) => {
-    try {
-        const charityId = req.user._id;
-
-        // Run all queries in parallel for better performance
-        const [
-            activeRequirementsCount,
-            incomingDonationsCount,
-            pendingDeliveriesCount,
-            thankYouNotesCount
-        ] = await Promise.all([
-            Charity.findById(charityId).then(charity =>
-                charity && charity.neededCategories ? charity.neededCategories.length : 0
-            ),
-
-            Donation.countDocuments({
-                charityId: charityId,
-                status: { $in: ['submitted', 'assigned'] }
-            }),
-
-            Donation.countDocuments({
-                charityId: charityId,
-                status: 'picked_up'
-            }),
-
-            Donation.countDocuments({
-                charityId: charityId,
-                status: 'confirmed'
-            })
-        ]);
-
-        const stats = {
-            activeRequirements: {
-                count: activeRequirementsCount,
-                label: "Items needed"
-            },
-            incomingDonations: {
-                count: incomingDonationsCount,
-                label: "From generous donors"
-            },
-            pendingDeliveries: {
-                count: pendingDeliveriesCount,
-                label: "Awaiting pickup"
-            },
-            thankYouNotes: {
-                count: thankYouNotesCount,
-                label: "Gratitude expressed"
-            }
-        };
-
-        res.status(200).json({
-            success: true,
-            data: stats
-        });
-
-    } catch (error) {
-        console.error('Error fetching charity dashboard stats:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Server error while fetching dashboard statistics.'
-        });
-    }
+      const charityId = req.user._id;
+
+      // Run all queries in parallel for better performance
+      const [
+          activeRequirementsCount,
+          incomingDonationsCount,
+          pendingDeliveriesCount,
+          thankYouNotesCount
+      ] = await Promise.all([
+          Charity.findById(charityId).then(charity =>
+              charity && charity.neededCategories ? charity.neededCategories.length : 0
+          ),
+
+          Donation.countDocuments({
+              charityId: charityId,
+              status: { $in: ['submitted', 'assigned'] }
+          }),
+
+          Donation.countDocuments({
+              charityId: charityId,
+              status: 'picked_up'
+          }),
+
+          Donation.countDocuments({
+              charityId: charityId,
+              status: 'confirmed'
+          })
+      ]);
+
+      const stats = {
+          activeRequirements: {
+              count: activeRequirementsCount,
+              label: "Items needed"
+          },
+          incomingDonations: {
+              count: incomingDonationsCount,
+              label: "From generous donors"
+          },
+          pendingDeliveries: {
+              count: pendingDeliveriesCount,
+              label: "Awaiting pickup"
+          },
+          thankYouNotes: {
+              count: thankYouNotesCount,
+              label: "Gratitude expressed"
+          }
+      };
+
+      res.status(200).json({
+          success: true,
+          data: stats
+      });
 };
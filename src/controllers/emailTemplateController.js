@@ -0,0 +1,327 @@
+import EmailTemplate from '../models/EmailTemplate.js';
+import {
+    getTemplate,
+    renderEmail,
+    listTemplates,
+    getSampleVariables,
+    isBuiltInTemplate
+} from '../utils/emailRenderer.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email Templates
+ *   description: Manage the copy of outgoing emails per locale (admin)
+ *
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: donation_thank_you
+ *         locale:
+ *           type: string
+ *           enum: [en, sw]
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *           description: "HTML body. `{{name}}` inserts an escaped variable, `{{{name}}}` inserts it as-is."
+ *         text:
+ *           type: string
+ *           description: Plain-text body; generated from the HTML when empty
+ *         layout:
+ *           type: string
+ *           nullable: true
+ *           example: layout.default
+ *         source:
+ *           type: string
+ *           enum: [default, custom]
+ *     RenderedEmail:
+ *       type: object
+ *       properties:
+ *         subject:
+ *           type: string
+ *         html:
+ *           type: string
+ *         text:
+ *           type: string
+ *         locale:
+ *           type: string
+ */
+
+const SAMPLE_LAYOUT_BODY = '<p style="font-size:16px;font-family:sans-serif;">Sample email content.</p>';
+
+const validateParams = ({ key }) => {
+    if (!isBuiltInTemplate(key) && !key.startsWith('layout.')) {
+        return `Unknown email template '${key}'. Only built-in templates and layouts (layout.*) can be edited.`;
+    }
+    return null;
+};
+
+const sampleVariablesFor = (key, variables = {}) => ({
+    ...(key.startsWith('layout.') && { body: SAMPLE_LAYOUT_BODY }),
+    ...getSampleVariables(key),
+    ...variables
+});
+
+/**
+ * @swagger
+ * /admin/email-templates:
+ *   get:
+ *     summary: List email templates and which locales have been customised
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Template catalogue
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+export const listEmailTemplates = async (req, res) => {
+    const templates = await listTemplates();
+
+    res.json({
+        success: true,
+        count: templates.length,
+        data: templates
+    });
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}/{locale}:
+ *   get:
+ *     summary: Get an email template in one locale
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     responses:
+ *       200:
+ *         description: The template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/EmailTemplate'
+ *       400:
+ *         description: Unknown template or locale
+ *       404:
+ *         description: Template has no copy in this locale
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Save a customised email template for one locale
+ *     description: The template is test-rendered with sample variables before it is saved.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateEmailTemplateRequest'
+ *     responses:
+ *       200:
+ *         description: Template saved
+ *       400:
+ *         description: Invalid template
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Discard the customised copy and go back to the built-in template
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     responses:
+ *       200:
+ *         description: Customisation removed
+ *       404:
+ *         description: Template has not been customised
+ *       500:
+ *         description: Server error
+ */
+export const getEmailTemplate = async (req, res) => {
+    const invalid = validateParams(req.params);
+    if (invalid) {
+        throw new BadRequestError(invalid);
+    }
+
+    const template = await getTemplate(req.params.key, req.params.locale);
+    if (!template) {
+        throw new NotFoundError('This template has no copy in that locale yet.');
+    }
+
+    res.json({ success: true, data: template });
+};
+
+export const updateEmailTemplate = async (req, res) => {
+    const invalid = validateParams(req.params);
+    if (invalid) {
+        throw new BadRequestError(invalid);
+    }
+
+    const { key, locale } = req.params;
+    const { subject, html, text, layout } = req.body;
+    const isLayout = key.startsWith('layout.');
+
+    if (!isLayout && !subject) {
+        throw new BadRequestError('subject is required.');
+    }
+    if (isLayout && !/\{\{\{\s*body\s*\}\}\}/.test(html)) {
+        throw new BadRequestError('Layouts must include {{{body}}} where the email content goes.');
+    }
+    if (layout !== null && (layout === key || !(await getTemplate(layout, locale)))) {
+        throw new BadRequestError(`Layout '${layout}' is not available in '${locale}'.`);
+    }
+
+    const draft = { subject, html, text, layout };
+    let rendered;
+    try {
+        rendered = await renderEmail(key, { locale, variables: sampleVariablesFor(key), draft });
+    } catch (renderError) {
+        throw new BadRequestError(`Template could not be rendered: ${renderError.message}`);
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+        { key, locale },
+        { $set: { ...draft, updatedBy: req.user._id } },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    res.json({
+        success: true,
+        message: 'Email template saved.',
+        data: { ...template, source: 'custom', preview: rendered }
+    });
+};
+
+export const resetEmailTemplate = async (req, res) => {
+    const { key, locale } = req.params;
+    const deleted = await EmailTemplate.findOneAndDelete({ key, locale });
+
+    if (!deleted) {
+        throw new NotFoundError('This template has not been customised.');
+    }
+
+    res.json({
+        success: true,
+        message: isBuiltInTemplate(key)
+            ? 'Customisation removed; the built-in template is used again.'
+            : 'Template removed.'
+    });
+};
+
+/**
+ * @swagger
+ * /admin/email-templates/{key}/{locale}/preview:
+ *   post:
+ *     summary: Render an email template with sample or supplied variables
+ *     description: Pass subject/html/text/layout to preview unsaved changes; omit them to preview the current template.
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: locale
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [en, sw]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PreviewEmailTemplateRequest'
+ *     responses:
+ *       200:
+ *         description: Rendered email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/RenderedEmail'
+ *       400:
+ *         description: Unknown template or the template could not be rendered
+ *       500:
+ *         description: Server error
+ */
+export const previewEmailTemplate = async (req, res) => {
+    const invalid = validateParams(req.params);
+    if (invalid) {
+        throw new BadRequestError(invalid);
+    }
+
+    const { key, locale } = req.params;
+    const { variables, ...draft } = req.body;
+
+    let rendered;
+    try {
+        rendered = await renderEmail(key, {
+            locale,
+            variables: sampleVariablesFor(key, variables),
+            draft: Object.keys(draft).length > 0 ? draft : undefined
+        });
+    } catch (renderError) {
+        throw new BadRequestError(`Template could not be rendered: ${renderError.message}`);
+    }
+
+    res.json({ success: true, data: rendered });
+};
@@ -0,0 +1,325 @@
+import Job from '../models/Job.js';
+import { retryJob, cancelJob, getRegisteredJobNames, getRecurringSchedules } from '../utils/jobQueue.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Jobs
+ *   description: Background job queue monitoring and dead-letter handling
+ *
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: notification.deliver
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, dead, cancelled]
+ *         payload:
+ *           type: object
+ *         priority:
+ *           type: integer
+ *         attempts:
+ *           type: integer
+ *         maxAttempts:
+ *           type: integer
+ *         runAt:
+ *           type: string
+ *           format: date-time
+ *         lastError:
+ *           type: string
+ *         failures:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         result:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/jobs:
+ *   get:
+ *     summary: List background jobs
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, dead, cancelled]
+ *         description: Use status=dead for the dead-letter list
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of jobs with queue totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobs:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Job'
+ *                     stats:
+ *                       type: object
+ *                       description: Job counts by status
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+export const getJobs = async (req, res) => {
+    const { page, limit, status, name } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (name) query.name = name;
+
+    const [jobs, total, counts] = await Promise.all([
+        Job.find(query)
+            .select('-payload.content')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Job.countDocuments(query),
+        Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+        success: true,
+        count: jobs.length,
+        total,
+        pages: Math.ceil(total / limit),
+        data: {
+            jobs,
+            stats: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+        }
+    });
+};
+
+/**
+ * @swagger
+ * /admin/jobs/stats:
+ *   get:
+ *     summary: Queue health by job type
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts per job type and status, the oldest due job, and recurring schedules
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+export const getJobStats = async (req, res) => {
+    const [byName, oldestDue] = await Promise.all([
+        Job.aggregate([
+            { $group: { _id: { name: '$name', status: '$status' }, count: { $sum: 1 } } },
+            { $group: { _id: '$_id.name', statuses: { $push: { k: '$_id.status', v: '$count' } } } },
+            { $project: { _id: 0, name: '$_id', counts: { $arrayToObject: '$statuses' } } },
+            { $sort: { name: 1 } }
+        ]),
+        Job.findOne({ status: 'queued', runAt: { $lte: new Date() } }).sort({ runAt: 1 }).select('name runAt').lean()
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            jobTypes: byName,
+            registeredHandlers: getRegisteredJobNames(),
+            schedules: getRecurringSchedules(),
+            // How far behind the workers are
+            oldestDueJob: oldestDue
+                ? { ...oldestDue, waitingSeconds: Math.round((Date.now() - oldestDue.runAt.getTime()) / 1000) }
+                : null
+        }
+    });
+};
+
+/**
+ * @swagger
+ * /admin/jobs/{id}:
+ *   get:
+ *     summary: Get a background job
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The job
+ *       404:
+ *         description: Job not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Delete a finished, dead or cancelled job
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job deleted
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is queued or running
+ *       500:
+ *         description: Server error
+ */
+export const getJobById = async (req, res) => {
+    const job = await Job.findById(req.params.id).lean();
+    if (!job) {
+        throw new NotFoundError('Job not found');
+    }
+
+    res.json({ success: true, data: job });
+};
+
+export const deleteJob = async (req, res) => {
+    const job = await Job.findOneAndDelete({ _id: req.params.id, status: { $in: ['completed', 'dead', 'cancelled'] } });
+    if (!job) {
+        if (!(await Job.exists({ _id: req.params.id }))) {
+            throw new NotFoundError('Job not found');
+        }
+        throw new ConflictError('Queued or running jobs cannot be deleted; cancel them first');
+    }
+
+    res.json({ success: true, message: 'Job deleted' });
+};
+
+/**
+ * @swagger
+ * /admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Re-queue a dead or cancelled job with fresh attempts
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job re-queued
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not dead or cancelled
+ *       500:
+ *         description: Server error
+ */
+export const retryDeadJob = async (req, res) => {
+    const job = await retryJob(req.params.id);
+    if (!job) {
+        const existing = await Job.findById(req.params.id).select('status').lean();
+        if (!existing) {
+            throw new NotFoundError('Job not found');
+        }
+        throw new ConflictError(`Only dead or cancelled jobs can be retried; this job is ${existing.status}`);
+    }
+
+    res.json({ success: true, message: 'Job re-queued', data: job });
+};
+
+/**
+ * @swagger
+ * /admin/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job that has not started yet
+ *     tags: [Admin Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is no longer queued
+ *       500:
+ *         description: Server error
+ */
+export const cancelQueuedJob = async (req, res) => {
+    const job = await cancelJob(req.params.id);
+    if (!job) {
+        const existing = await Job.findById(req.params.id).select('status').lean();
+        if (!existing) {
+            throw new NotFoundError('Job not found');
+        }
+        throw new ConflictError(`Only queued jobs can be cancelled; this job is ${existing.status}`);
+    }
+
+    res.json({ success: true, message: 'Job cancelled', data: job });
+};
@@ -0,0 +1,516 @@
+import Notification from '../models/Notification.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import { User } from '../models/User.js';
+import { getVapidPublicKey } from '../utils/notificationChannels.js';
+import { DEFAULT_LOCALE } from '../utils/emailRenderer.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: In-app notification centre for the logged-in user
+ *
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [verification_approved, verification_rejected, verification_in_progress, verification_documents_requested, verification_resubmitted, document_expiring, documents_lapsed, documents_reinstated, account_reactivated, pickup_accepted, pickup_status, pickup_released, pickup_cancelled, donation_delivered, donation_confirmed, report_ready]
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         donation:
+ *           type: string
+ *           nullable: true
+ *         pickupRequest:
+ *           type: string
+ *           nullable: true
+ *         actor:
+ *           type: string
+ *           nullable: true
+ *         metadata:
+ *           type: object
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List the logged-in user's notifications, newest first
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by notification type
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: A page of notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     notifications:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Notification'
+ *                     unreadCount:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+export const getNotifications = async (req, res) => {
+  const { page, limit, unread, type } = req.query;
+
+  const query = { recipient: req.user._id };
+  if (unread) {
+    query.readAt = null;
+  }
+  if (type) {
+    query.type = type;
+  }
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ recipient: req.user._id, readAt: null })
+  ]);
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: {
+      notifications,
+      unreadCount
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread notification count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     unreadCount:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+export const getUnreadCount = async (req, res) => {
+  const unreadCount = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       400:
+ *         description: Invalid notification ID
+ *       404:
+ *         description: Notification not found
+ *       500:
+ *         description: Server error
+ */
+export const markNotificationRead = async (req, res) => {
+  const { id } = req.params;
+
+  // Scoped to the recipient so users cannot touch each other's notifications
+  const notification = await Notification.findOne({ _id: id, recipient: req.user._id });
+  if (!notification) {
+    throw new NotFoundError('Notification not found');
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Notification marked as read',
+    data: notification
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   patch:
+ *     summary: Mark all of the logged-in user's notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     updated:
+ *                       type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+export const markAllNotificationsRead = async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: { updated: result.modifiedCount }
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get the logged-in user's notification channel preferences
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     channels:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [email, sms, push]
+ *                     mutedTypes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     language:
+ *                       type: string
+ *                       enum: [en, sw]
+ *                     pushSubscriptions:
+ *                       type: integer
+ *                     vapidPublicKey:
+ *                       type: string
+ *                       nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update the logged-in user's notification channel preferences
+ *     description: In-app notifications are always kept. Donation updates go to the channel chosen on the donation (contactPreference) instead of email/SMS.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateNotificationPreferencesRequest'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Unknown channel, notification type or language
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+export const getNotificationPreferences = async (req, res) => {
+  const user = await User.findById(req.user._id).select('+pushSubscriptions notificationPreferences preferredLanguage').lean();
+
+  res.json({
+    success: true,
+    data: {
+      channels: user.notificationPreferences?.channels || ['email'],
+      mutedTypes: user.notificationPreferences?.mutedTypes || [],
+      language: user.preferredLanguage || DEFAULT_LOCALE,
+      pushSubscriptions: user.pushSubscriptions?.length || 0,
+      vapidPublicKey: getVapidPublicKey()
+    }
+  });
+};
+
+export const updateNotificationPreferences = async (req, res) => {
+  const { channels, mutedTypes, language } = req.body;
+  const update = {};
+
+  if (channels) {
+    update['notificationPreferences.channels'] = [...new Set(channels)];
+  }
+  if (mutedTypes) {
+    update['notificationPreferences.mutedTypes'] = [...new Set(mutedTypes)];
+  }
+  if (language) {
+    update.preferredLanguage = language;
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+    .select('notificationPreferences preferredLanguage')
+    .lean();
+
+  res.json({
+    success: true,
+    message: 'Notification preferences updated',
+    data: { ...user.notificationPreferences, language: user.preferredLanguage }
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/push-subscriptions:
+ *   post:
+ *     summary: Register a web push subscription for the logged-in user
+ *     description: Send the PushSubscription returned by the browser's PushManager.subscribe(), using the VAPID public key from the preferences endpoint.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddPushSubscriptionRequest'
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         description: Invalid subscription
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a web push subscription
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RemovePushSubscriptionRequest'
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *       400:
+ *         description: Missing endpoint
+ *       500:
+ *         description: Server error
+ */
+export const addPushSubscription = async (req, res) => {
+  const { endpoint, keys } = req.body;
+
+  // Replace any existing subscription for the same endpoint
+  await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+  await User.updateOne(
+    { _id: req.user._id },
+    {
+      $push: {
+        pushSubscriptions: {
+          endpoint,
+          keys: { p256dh: keys.p256dh, auth: keys.auth },
+          userAgent: req.get('user-agent')
+        }
+      },
+      $addToSet: { 'notificationPreferences.channels': 'push' }
+    }
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Push subscription saved'
+  });
+};
+
+export const removePushSubscription = async (req, res) => {
+  const { endpoint } = req.body;
+
+  await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+
+  res.json({
+    success: true,
+    message: 'Push subscription removed'
+  });
+};
+
+/**
+ * @swagger
+ * /notifications/deliveries:
+ *   get:
+ *     summary: Browse the outbound notification delivery log (admin)
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sent, failed, skipped]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, push]
+ *       - in: query
+ *         name: recipient
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: A page of delivery log entries
+ *       400:
+ *         description: Invalid recipient ID
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+export const getNotificationDeliveries = async (req, res) => {
+  const { page, limit, status, channel, recipient } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (channel) query.channel = channel;
+  if (recipient) query.recipient = recipient;
+
+  const [deliveries, total] = await Promise.all([
+    NotificationDelivery.find(query)
+      .populate('recipient', 'name email role')
+      .populate('notification', 'type title')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    NotificationDelivery.countDocuments(query)
+  ]);
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    total,
+    pages: Math.ceil(total / limit),
+    data: deliveries
+  });
+};
@@ -0,0 +1,100 @@
+import { User } from '../models/User.js';
+import {
+    PROFILE_PICTURE_SIZES,
+    saveProfilePicture,
+    removeProfilePicture,
+    renderDefaultAvatar,
+    avatarUrlFor
+} from '../utils/profilePictures.js';
+import { BadRequestError, NotFoundError } from '../utils/errors.js';
+
+const pictureResponse = (user) => ({
+    profilePictureUrl: user.profilePictureUrl || null,
+    profilePictureSizes: user.profilePictureSizes?.large ? user.profilePictureSizes : null,
+    avatarUrl: avatarUrlFor(user)
+});
+
+// @desc    Upload or replace the current user's profile picture
+// @route   PUT /api/auth/me/profile-picture
+// @access  Private
+const uploadProfilePicture = async (req, res) => {
+    if (!req.file) {
+        throw new BadRequestError("Please upload an image in the 'picture' field");
+    }
+
+    let sizes;
+    try {
+        sizes = await saveProfilePicture(req.file.buffer, req.user._id);
+    } catch (error) {
+        if (error.invalidImage) {
+            throw new BadRequestError(error.message);
+        }
+        throw error;
+    }
+
+    try {
+        // The previous document tells us which files the new picture replaces
+        const previous = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: { profilePictureUrl: sizes.large, profilePictureSizes: sizes } },
+            { new: false }
+        ).select('profilePictureUrl profilePictureSizes').lean();
+
+        await removeProfilePicture({ ...previous?.profilePictureSizes, url: previous?.profilePictureUrl });
+
+        res.json({
+            success: true,
+            message: 'Profile picture updated',
+            data: pictureResponse({ _id: req.user._id, profilePictureUrl: sizes.large, profilePictureSizes: sizes })
+        });
+    } catch (error) {
+        // Do not leave the new files behind when the user could not be updated
+        await removeProfilePicture(sizes);
+        throw error;
+    }
+};
+
+// @desc    Remove the current user's profile picture
+// @route   DELETE /api/auth/me/profile-picture
+// @access  Private
+const deleteProfilePicture = async (req, res) => {
+    const previous = await User.findByIdAndUpdate(
+        req.user._id,
+        { $unset: { profilePictureUrl: '', profilePictureSizes: '' } },
+        { new: false }
+    ).select('profilePictureUrl profilePictureSizes').lean();
+
+    if (!previous?.profilePictureUrl) {
+        throw new NotFoundError('You have no profile picture');
+    }
+
+    await removeProfilePicture({ ...previous.profilePictureSizes, url: previous.profilePictureUrl });
+
+    res.json({
+        success: true,
+        message: 'Profile picture removed',
+        data: pictureResponse({ _id: req.user._id })
+    });
+};
+
+// @desc    Get a user's avatar: their picture in the requested size, or a generated one
+// @route   GET /api/auth/users/:id/avatar
+// @access  Public
+const getAvatar = async (req, res) => {
+    const { size } = req.query;
+
+    const user = await User.findById(req.params.id).select('name profilePictureUrl profilePictureSizes isActive').lean();
+    if (!user || user.isActive === false) {
+        throw new NotFoundError('User not found');
+    }
+
+    const pictureUrl = user.profilePictureSizes?.[size] || user.profilePictureUrl;
+    if (pictureUrl) {
+        return res.redirect(302, pictureUrl);
+    }
+
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('image/svg+xml').send(renderDefaultAvatar(user, PROFILE_PICTURE_SIZES[size]));
+};
+
+export { uploadProfilePicture, deleteProfilePicture, getAvatar };
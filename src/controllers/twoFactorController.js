@@ -0,0 +1,140 @@
+import { User } from '../models/User.js';
+import { sendTemplateEmail } from '../utils/sendEmail.js';
+import {
+    TWO_FACTOR_SECRET_FIELDS,
+    isTwoFactorRequired,
+    beginTwoFactorSetup,
+    enableTwoFactor,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    remainingRecoveryCodes,
+    disableTwoFactor
+} from '../utils/twoFactor.js';
+import { BadRequestError, ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+const loadWithSecrets = (userId, extraFields = '') =>
+    User.findById(userId).select(`${TWO_FACTOR_SECRET_FIELDS} ${extraFields}`.trim());
+
+// @desc    Whether two-factor authentication is on for the current user and whether they must use it
+// @route   GET /api/auth/me/2fa
+// @access  Private (verified or not)
+const getTwoFactorStatus = async (req, res) => {
+    const user = await loadWithSecrets(req.user._id);
+
+    res.json({
+        success: true,
+        data: {
+            enabled: Boolean(user.twoFactor?.enabled),
+            required: isTwoFactorRequired(user),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            recoveryCodesRemaining: user.twoFactor?.enabled ? remainingRecoveryCodes(user) : 0
+        }
+    });
+};
+
+// @desc    Start setting up two-factor authentication: get a secret for the authenticator app
+// @route   POST /api/auth/me/2fa/setup
+// @access  Private (verified or not)
+const startTwoFactorSetup = async (req, res) => {
+    if (req.user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is already on. Turn it off first to use a new device.');
+    }
+
+    const { secret, otpauthUrl } = await beginTwoFactorSetup(req.user);
+
+    res.json({
+        success: true,
+        message: 'Add the account to your authenticator app, then confirm a code to turn two-factor authentication on',
+        data: { secret, otpauthUrl }
+    });
+};
+
+// @desc    Turn on two-factor authentication by confirming a code from the authenticator app
+// @route   POST /api/auth/me/2fa/enable
+// @access  Private (verified or not)
+const enableMyTwoFactor = async (req, res) => {
+    const { code } = req.body;
+
+    const user = await loadWithSecrets(req.user._id);
+    if (user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is already on');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        throw new BadRequestError('Start the setup first with /api/auth/me/2fa/setup');
+    }
+
+    const recoveryCodes = await enableTwoFactor(user, code);
+    if (!recoveryCodes) {
+        throw new BadRequestError('Invalid authentication code');
+    }
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication is on. Keep the recovery codes somewhere safe; each works once if you lose your device.',
+        data: { recoveryCodes }
+    });
+};
+
+// @desc    Turn off two-factor authentication, confirmed with the password and a code
+// @route   POST /api/auth/me/2fa/disable
+// @access  Private (verified or not)
+const disableMyTwoFactor = async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (isTwoFactorRequired(req.user)) {
+        throw new ForbiddenError(`Two-factor authentication is required for ${req.user.role} accounts`);
+    }
+    if (!code && !recoveryCode) {
+        throw new BadRequestError('Please confirm with a code or recovery code');
+    }
+
+    const user = await loadWithSecrets(req.user._id, '+password');
+    if (!user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is not on');
+    }
+    if (!(await user.matchPassword(password))) {
+        throw new UnauthorizedError('Password is incorrect');
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    await disableTwoFactor(user._id);
+
+    sendTemplateEmail(user, 'two_factor_disabled').catch(emailError =>
+        console.error('Failed to send two-factor disabled email:', emailError)
+    );
+
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+};
+
+// @desc    Replace the recovery codes, confirmed with a code from the authenticator app
+// @route   POST /api/auth/me/2fa/recovery-codes
+// @access  Private (verified or not)
+const regenerateMyRecoveryCodes = async (req, res) => {
+    const { code } = req.body;
+
+    const user = await loadWithSecrets(req.user._id);
+    if (!user.twoFactor?.enabled) {
+        throw new BadRequestError('Two-factor authentication is not on');
+    }
+    if (!(await verifySecondFactor(user, { code }))) {
+        throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(user._id);
+
+    res.json({
+        success: true,
+        message: 'New recovery codes created; the old ones no longer work',
+        data: { recoveryCodes }
+    });
+};
+
+export {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableMyTwoFactor,
+    disableMyTwoFactor,
+    regenerateMyRecoveryCodes
+};
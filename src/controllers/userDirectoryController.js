@@ -0,0 +1,317 @@
+import { User } from '../models/User.js';
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Users
+ *   description: User directory, suspension and account deletion
+ *
+ * components:
+ *   schemas:
+ *     DirectoryUser:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         phoneNumber:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [donor, volunteer, charity, admin]
+ *         userType:
+ *           type: string
+ *         charityName:
+ *           type: string
+ *         isVerified:
+ *           type: boolean
+ *         verificationStatus:
+ *           type: string
+ *           enum: [pending, in_progress, documents_requested, verified, rejected]
+ *         emailVerified:
+ *           type: boolean
+ *         twoFactor:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *         isActive:
+ *           type: boolean
+ *         suspension:
+ *           type: object
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *         lastLogin:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const DIRECTORY_FIELDS = 'name email phoneNumber role userType charityName isVerified verificationStatus ' +
+    'emailVerified twoFactor.enabled isActive suspension deletedAt lastLogin createdAt';
+
+const CSV_COLUMNS = [
+    ['id', user => user._id],
+    ['name', user => user.name],
+    ['email', user => user.email],
+    ['phoneNumber', user => user.phoneNumber],
+    ['role', user => user.role],
+    ['charityName', user => user.charityName],
+    ['verificationStatus', user => user.verificationStatus],
+    ['emailVerified', user => user.emailVerified],
+    ['twoFactorEnabled', user => Boolean(user.twoFactor?.enabled)],
+    ['isActive', user => user.isActive],
+    ['suspendedUntil', user => (user.isActive === false && user.suspension?.suspendedAt && !user.suspension.liftedAt
+        ? user.suspension.expiresAt?.toISOString() || 'indefinite'
+        : '')],
+    ['lastLogin', user => user.lastLogin?.toISOString()],
+    ['createdAt', user => user.createdAt?.toISOString()]
+];
+
+// Turn the validated query string into a MongoDB filter and sort
+const buildDirectoryQuery = (query) => {
+    const { q, role, status, isActive, registeredFrom, registeredTo, includeDeleted, sort } = query;
+    const filter = {};
+
+    if (role) {
+        filter.role = role;
+    }
+
+    if (status) {
+        // Donors and admins have no application and count as verified
+        filter.$or = status === 'verified'
+            ? [{ verificationStatus: 'verified' }, { verificationStatus: { $exists: false }, isVerified: true }]
+            : [{ verificationStatus: status }];
+    }
+
+    if (isActive !== undefined) {
+        filter.isActive = isActive ? { $ne: false } : false;
+    }
+
+    if (registeredFrom || registeredTo) {
+        filter.createdAt = {
+            ...(registeredFrom && { $gte: new Date(registeredFrom) }),
+            ...(registeredTo && { $lte: new Date(registeredTo) })
+        };
+    }
+
+    if (!includeDeleted) {
+        filter.deletedAt = { $exists: false };
+    }
+
+    if (q) {
+        filter.$text = { $search: q };
+    }
+
+    let sortBy;
+    if (sort) {
+        const field = sort.replace(/^-/, '');
+        sortBy = { [field]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+    } else {
+        // Best matches first when searching, otherwise the newest accounts
+        sortBy = q ? { score: { $meta: 'textScore' }, _id: 1 } : { createdAt: -1, _id: 1 };
+    }
+
+    return { filter, sort: sortBy, projection: q ? { score: { $meta: 'textScore' } } : {} };
+};
+
+const csvValue = (value) => {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Stop spreadsheets from running cell contents as formulas
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: Search and filter user accounts
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search on name, email and charity name (whole words)
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [donor, volunteer, charity, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_progress, documents_requested, verified, rejected]
+ *         description: Verification status; donors and admins count as verified
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *         description: false lists suspended and deactivated accounts
+ *       - in: query
+ *         name: registeredFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: registeredTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the anonymous records of deleted accounts
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, name, -name, email, -email, lastLogin, -lastLogin, role, -role]
+ *         description: Defaults to relevance when searching, otherwise -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: A page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DirectoryUser'
+ *       400:
+ *         description: Invalid filter or sort
+ *       403:
+ *         description: Requires the users:read permission
+ *       500:
+ *         description: Server error
+ */
+export const getUserDirectory = async (req, res) => {
+    const { page, limit } = req.query;
+
+    const { filter, sort, projection } = buildDirectoryQuery(req.query);
+
+    const [users, total] = await Promise.all([
+        User.find(filter, projection)
+            .select(DIRECTORY_FIELDS)
+            .sort(sort)
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        User.countDocuments(filter)
+    ]);
+
+    res.json({
+        success: true,
+        count: users.length,
+        total,
+        pages: Math.ceil(total / limit),
+        data: users.map(({ score, ...user }) => user)
+    });
+};
+
+/**
+ * @swagger
+ * /admin/users/export:
+ *   get:
+ *     summary: Download the user directory as CSV
+ *     description: Takes the same filters and sort as GET /admin/users; every matching user is included.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: registeredFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: registeredTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv: {}
+ *       400:
+ *         description: Invalid filter or sort
+ *       403:
+ *         description: Requires the users:read and reports:export permissions
+ *       500:
+ *         description: Server error
+ */
+export const exportUserDirectory = async (req, res) => {
+    const { filter, sort, projection } = buildDirectoryQuery(req.query);
+
+    const cursor = User.find(filter, projection).select(DIRECTORY_FIELDS).sort(sort).lean().cursor();
+
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.csv"`,
+        'Cache-Control': 'private, no-store'
+    });
+    res.write(`${CSV_COLUMNS.map(([header]) => header).join(',')}\n`);
+
+    for await (const user of cursor) {
+        res.write(`${CSV_COLUMNS.map(([, value]) => csvValue(value(user))).join(',')}\n`);
+    }
+    res.end();
+};
@@ -0,0 +1,275 @@
+import { User, Volunteer, Charity } from '../models/User.js';
+import Document from '../models/Document.js';
+import VerificationEvent from '../models/VerificationEvent.js';
+import { requiredVolunteerDocumentTypes } from '../config/documentTypes.js';
+import { storeDocuments, deleteDocuments, parseDocumentDetails } from '../utils/documentStorage.js';
+import {
+    documentUploadStatuses,
+    VERIFICATION_STATUS_MESSAGES,
+    getAllowedActions,
+    applyVerificationAction,
+    recordVerificationEvent
+} from '../utils/verificationWorkflow.js';
+import { BadRequestError, NotFoundError, errorForStatus } from '../utils/errors.js';
+
+const APPLICANT_MODELS = { volunteer: Volunteer, charity: Charity };
+const DOCUMENT_FIELDS = 'originalName mimeType size purpose documentType expiresAt reviewedAt createdAt';
+
+const isApplicant = (user) => Boolean(APPLICANT_MODELS[user.role]);
+
+// Store uploaded files and attach them to the application while it is still open
+// (or, for volunteers, to their verified account as renewals)
+const attachDocuments = async (user, files, body) => {
+    const documents = await storeDocuments(
+        files,
+        { owner: user._id, purpose: `${user.role}_verification` },
+        parseDocumentDetails(body, files.length)
+    );
+
+    const updated = await APPLICANT_MODELS[user.role].findOneAndUpdate(
+        { _id: user._id, verificationStatus: { $in: documentUploadStatuses(user.role) } },
+        { $push: { verificationDocuments: { $each: documents.map(document => document._id) } } },
+        { new: true }
+    );
+
+    if (!updated) {
+        await deleteDocuments(documents);
+        return null;
+    }
+
+    await recordVerificationEvent(updated, 'documents_added', { documents: documents.map(document => document._id) });
+    return documents;
+};
+
+// Files that are not a PDF, JPEG or PNG are the client's mistake; anything else is a server error
+const uploadError = (error) => (error.invalidDocument ? new BadRequestError(error.message) : error);
+
+// @desc    Get the current applicant's verification status, documents and history
+// @route   GET /api/auth/me/verification
+// @access  Private (volunteers and charities, verified or not)
+const getMyVerification = async (req, res) => {
+    if (!isApplicant(req.user)) {
+        throw new BadRequestError('Only volunteers and charities are verified');
+    }
+
+    const [documents, events] = await Promise.all([
+        Document.find({ _id: { $in: req.user.verificationDocuments || [] } }).select(DOCUMENT_FIELDS).lean(),
+        // Reviewer notes are internal
+        VerificationEvent.find({ user: req.user._id, action: { $ne: 'note' } })
+            .select('-note -actor')
+            .sort({ createdAt: -1 })
+            .lean()
+    ]);
+
+    const status = req.user.verificationStatus;
+
+    res.json({
+        success: true,
+        data: {
+            verificationStatus: status,
+            message: VERIFICATION_STATUS_MESSAGES[status],
+            reason: req.user.verificationReason || null,
+            canAddDocuments: documentUploadStatuses(req.user.role).includes(status),
+            canResubmit: getAllowedActions(status, 'applicant').includes('resubmit'),
+            ...(req.user.role === 'volunteer' && { documentCompliance: req.user.documentCompliance }),
+            documents,
+            history: events
+        }
+    });
+};
+
+// @desc    Upload additional verification documents
+// @route   POST /api/auth/me/verification/documents
+// @access  Private (volunteers and charities, verified or not)
+const addVerificationDocuments = async (req, res) => {
+    if (!isApplicant(req.user)) {
+        throw new BadRequestError('Only volunteers and charities are verified');
+    }
+    if (!req.files || req.files.length === 0) {
+        throw new BadRequestError("Please upload at least one file in the 'documents' field");
+    }
+
+    let documents;
+    try {
+        documents = await attachDocuments(req.user, req.files, req.body);
+    } catch (error) {
+        throw uploadError(error);
+    }
+
+    if (!documents) {
+        throw new BadRequestError('Documents can only be added while your application is open');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: req.user.verificationStatus === 'verified'
+            ? `${documents.length} document(s) uploaded; they will be checked by our team`
+            : `${documents.length} document(s) added to your application`,
+        data: documents.map(({ _id, originalName, mimeType, size, purpose, documentType, expiresAt, createdAt }) => ({
+            _id, originalName, mimeType, size, purpose, documentType, expiresAt, createdAt
+        }))
+    });
+};
+
+// @desc    Resubmit an application after documents were requested or it was rejected
+// @route   POST /api/auth/me/verification/resubmit
+// @access  Private (volunteers and charities, verified or not)
+const resubmitVerification = async (req, res) => {
+    if (!isApplicant(req.user)) {
+        throw new BadRequestError('Only volunteers and charities are verified');
+    }
+
+    const status = req.user.verificationStatus;
+    if (!getAllowedActions(status, 'applicant').includes('resubmit')) {
+        throw new BadRequestError(`Your application is '${status}' and cannot be resubmitted`);
+    }
+
+    let documents = [];
+    if (req.files?.length > 0) {
+        try {
+            documents = await attachDocuments(req.user, req.files, req.body);
+        } catch (error) {
+            throw uploadError(error);
+        }
+    }
+
+    // A request for documents is only answered by uploading some
+    if (status === 'documents_requested' && documents.length === 0) {
+        const request = await VerificationEvent.findOne({ user: req.user._id, action: 'documents_requested' })
+            .sort({ createdAt: -1 })
+            .select('createdAt')
+            .lean();
+        const uploadedSince = await VerificationEvent.exists({
+            user: req.user._id,
+            action: 'documents_added',
+            ...(request && { createdAt: { $gt: request.createdAt } })
+        });
+
+        if (!uploadedSince) {
+            throw new BadRequestError('Please upload the requested documents before resubmitting');
+        }
+    }
+
+    const result = await applyVerificationAction(req.user, 'resubmit', {
+        actor: req.user,
+        reason: req.body.message
+    });
+    if (result.error) {
+        throw errorForStatus(result.error.code, result.error.message);
+    }
+
+    res.json({
+        success: true,
+        message: 'Your application has been resubmitted for review',
+        data: {
+            verificationStatus: result.user.verificationStatus,
+            documentsAdded: documents.length
+        }
+    });
+};
+
+// @desc    Get a volunteer's or charity's verification history, including reviewer notes
+// @route   GET /api/auth/verify/:id/history
+// @access  Private/Admin (users:read)
+const getVerificationHistory = async (req, res) => {
+    const user = await User.findById(req.params.id)
+        .select('name email role charityName verificationStatus verificationReason verificationUpdatedAt verificationDocuments verifiedBy documentCompliance createdAt')
+        .lean();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+    if (!isApplicant(user)) {
+        throw new BadRequestError('Only volunteers and charities require verification');
+    }
+
+    const [documents, events] = await Promise.all([
+        Document.find({ _id: { $in: user.verificationDocuments || [] } }).select(DOCUMENT_FIELDS).lean(),
+        VerificationEvent.find({ user: user._id })
+            .populate('actor', 'name email role')
+            .populate('documents', DOCUMENT_FIELDS)
+            .sort({ createdAt: -1 })
+            .lean()
+    ]);
+
+    res.json({
+        success: true,
+        data: {
+            user: { ...user, verificationDocuments: undefined },
+            allowedActions: getAllowedActions(user.verificationStatus),
+            documents,
+            history: events
+        }
+    });
+};
+
+// @desc    List verified volunteers whose documents are expiring or have lapsed, or who uploaded renewals awaiting review
+// @route   GET /api/auth/verify/expiring
+// @access  Private/Admin (users:read)
+const getExpiringVerifications = async (req, res) => {
+    const { status, days, page, limit } = req.query;
+
+    const renewalOwners = await Document.distinct('owner', {
+        purpose: 'volunteer_verification',
+        reviewedAt: { $exists: false }
+    });
+
+    const conditions = [];
+    if (!status || status === 'expiring') {
+        conditions.push({
+            'documentCompliance.status': 'expiring',
+            ...(days > 0 && { 'documentCompliance.nextExpiryAt': { $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000) } })
+        });
+    }
+    if (!status || status === 'lapsed') {
+        conditions.push({ 'documentCompliance.status': 'lapsed' });
+    }
+    if (!status || status === 'renewal_submitted') {
+        conditions.push({ _id: { $in: renewalOwners } });
+    }
+
+    const filter = { verificationStatus: 'verified', $or: conditions };
+    const [volunteers, total] = await Promise.all([
+        Volunteer.find(filter)
+            .select('name email phoneNumber transportationMode documentCompliance verificationDocuments')
+            // 'lapsed' sorts after 'expiring' and 'compliant', so suspended volunteers come first
+            .sort({ 'documentCompliance.status': -1, 'documentCompliance.nextExpiryAt': 1, _id: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Volunteer.countDocuments(filter)
+    ]);
+
+    const documents = await Document.find({
+        _id: { $in: volunteers.flatMap(volunteer => volunteer.verificationDocuments || []) },
+        $or: [{ expiresAt: { $exists: true } }, { reviewedAt: { $exists: false } }]
+    })
+        .select(`owner ${DOCUMENT_FIELDS}`)
+        .sort({ expiresAt: 1 })
+        .lean();
+
+    res.json({
+        success: true,
+        count: volunteers.length,
+        total,
+        pages: Math.ceil(total / limit),
+        data: volunteers.map(({ verificationDocuments, ...volunteer }) => {
+            const own = documents.filter(document => document.owner.toString() === volunteer._id.toString());
+            return {
+                ...volunteer,
+                documentCompliance: volunteer.documentCompliance || { status: 'compliant' },
+                requiredDocumentTypes: requiredVolunteerDocumentTypes(volunteer),
+                awaitingReview: own.filter(document => !document.reviewedAt),
+                documents: own.filter(document => document.reviewedAt)
+            };
+        })
+    });
+};
+
+export {
+    getMyVerification,
+    addVerificationDocuments,
+    resubmitVerification,
+    getVerificationHistory,
+    getExpiringVerifications
+};
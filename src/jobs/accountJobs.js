@@ -0,0 +1,8 @@
+import { registerJobHandler, scheduleRecurringJob } from '../utils/jobQueue.js';
+import { reactivateExpiredSuspensions } from '../utils/accountLifecycle.js';
+
+export const registerAccountJobs = () => {
+  // Suspensions also end when the user next signs in; this covers those who do not
+  registerJobHandler('accounts.lift_expired_suspensions', reactivateExpiredSuspensions, { concurrency: 1, maxAttempts: 3 });
+  scheduleRecurringJob('accounts.lift_expired_suspensions', { everyMs: 60 * 60 * 1000 });
+};
@@ -0,0 +1,40 @@
+import Document from '../models/Document.js';
+import { Volunteer } from '../models/User.js';
+import { registerJobHandler, scheduleRecurringJob } from '../utils/jobQueue.js';
+import { EXPIRY_REMINDER_DAYS, refreshVolunteerCompliance } from '../utils/documentCompliance.js';
+
+// Send expiry reminders and suspend or reinstate volunteers whose documents expire or were renewed
+const checkDocumentExpiry = async () => {
+  const now = new Date();
+  const day = 24 * 60 * 60 * 1000;
+  const windowEnd = new Date(now.getTime() + (EXPIRY_REMINDER_DAYS[0] || 30) * day);
+
+  const [expiringOwners, flaggedVolunteers] = await Promise.all([
+    Document.distinct('owner', {
+      purpose: 'volunteer_verification',
+      reviewedAt: { $exists: true },
+      // Volunteers are flagged as expiring before anything lapses, so older expiries
+      // (usually documents that were since renewed) need not be checked again
+      expiresAt: { $gte: new Date(now.getTime() - 7 * day), $lte: windowEnd }
+    }),
+    Volunteer.distinct('_id', { 'documentCompliance.status': { $in: ['expiring', 'lapsed'] } })
+  ]);
+
+  const volunteerIds = [...new Set([...expiringOwners, ...flaggedVolunteers].map(id => id.toString()))];
+  const counts = { checked: 0, expiring: 0, lapsed: 0 };
+
+  for (const volunteerId of volunteerIds) {
+    const compliance = await refreshVolunteerCompliance(volunteerId, { now, remind: true });
+    if (!compliance) continue;
+
+    counts.checked++;
+    if (compliance.status !== 'compliant') counts[compliance.status]++;
+  }
+
+  return counts;
+};
+
+export const registerDocumentJobs = () => {
+  registerJobHandler('documents.expiry_check', checkDocumentExpiry, { concurrency: 1, maxAttempts: 3 });
+  scheduleRecurringJob('documents.expiry_check', { everyMs: 24 * 60 * 60 * 1000 });
+};
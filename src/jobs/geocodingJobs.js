@@ -0,0 +1,45 @@
+import { User } from '../models/User.js';
+import { registerJobHandler } from '../utils/jobQueue.js';
+import { geocodeAddress } from '../utils/geocoding.js';
+
+/**
+ * Fill in a user's location from their address
+ * @param {Object} payload - `{ userId, address }`; with `address`, replace the location of a
+ *   changed address, as long as the user has not changed it again since
+ * @returns {Promise<Object>}
+ */
+const geocodeUserLocation = async ({ userId, address }) => {
+  const user = await User.findById(userId).select('address location').lean();
+  if (!user || !user.address) {
+    return { skipped: 'No address to geocode' };
+  }
+  if (address && user.address !== address) {
+    return { skipped: 'Address changed again since the job was queued' };
+  }
+  if (!address && user.location?.coordinates?.length === 2) {
+    return { skipped: 'Location already set' };
+  }
+
+  const result = await geocodeAddress(user.address);
+  if (!result.success) {
+    const error = new Error(result.error);
+    // An unknown address will not resolve on retry; API and network errors might
+    error.retryable = !/not found/i.test(result.error);
+    throw error;
+  }
+
+  const [lat, lng] = result.coordinates;
+  await User.updateOne(
+    address
+      ? { _id: userId, address }
+      : { _id: userId, 'location.coordinates.1': { $exists: false } },
+    { $set: { location: { type: 'Point', coordinates: [lng, lat] } } }
+  );
+
+  return { coordinates: [lng, lat], formattedAddress: result.formattedAddress };
+};
+
+export const registerGeocodingJobs = () => {
+  // Nominatim allows one request per second, so geocode one address at a time
+  registerJobHandler('geocode.user', geocodeUserLocation, { concurrency: 1, maxAttempts: 5, backoffMs: 60 * 1000 });
+};
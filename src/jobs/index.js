@@ -0,0 +1,16 @@
+import { registerNotificationJobs } from './notificationJobs.js';
+import { registerGeocodingJobs } from './geocodingJobs.js';
+import { registerReportJobs } from './reportJobs.js';
+import { registerMaintenanceJobs } from './maintenanceJobs.js';
+import { registerDocumentJobs } from './documentJobs.js';
+import { registerAccountJobs } from './accountJobs.js';
+
+// Register every background job handler and recurring schedule
+export const registerJobs = () => {
+  registerNotificationJobs();
+  registerGeocodingJobs();
+  registerReportJobs();
+  registerMaintenanceJobs();
+  registerDocumentJobs();
+  registerAccountJobs();
+};
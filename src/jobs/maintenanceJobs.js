@@ -0,0 +1,26 @@
+import { unlink } from 'fs/promises';
+import Job from '../models/Job.js';
+import { registerJobHandler, scheduleRecurringJob } from '../utils/jobQueue.js';
+
+// Finished jobs (and their report files) are removed after this many days; dead jobs are kept
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 14;
+
+const cleanUpJobs = async () => {
+  const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const query = { status: { $in: ['completed', 'cancelled'] }, updatedAt: { $lt: cutoff } };
+
+  const reports = await Job.find({ ...query, name: 'report.export', 'result.path': { $exists: true } })
+    .select('result.path')
+    .lean();
+  for (const { result } of reports) {
+    await unlink(result.path).catch(() => {});
+  }
+
+  const { deletedCount } = await Job.deleteMany(query);
+  return { deletedJobs: deletedCount, deletedReports: reports.length };
+};
+
+export const registerMaintenanceJobs = () => {
+  registerJobHandler('jobs.cleanup', cleanUpJobs, { concurrency: 1, maxAttempts: 3 });
+  scheduleRecurringJob('jobs.cleanup', { everyMs: 24 * 60 * 60 * 1000 });
+};
@@ -0,0 +1,7 @@
+import { registerJobHandler } from '../utils/jobQueue.js';
+import { processDelivery } from '../utils/notificationDispatcher.js';
+
+export const registerNotificationJobs = () => {
+  // Attempts and backoff are set per delivery by the dispatcher
+  registerJobHandler('notification.deliver', processDelivery, { concurrency: 4, timeoutMs: 60 * 1000 });
+};
@@ -0,0 +1,31 @@
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { registerJobHandler } from '../utils/jobQueue.js';
+import { notify } from '../utils/notifications.js';
+import { buildReportExport } from '../controllers/adminController.js';
+
+const REPORTS_DIR = process.env.REPORTS_DIR || path.join(process.cwd(), 'storage', 'reports');
+
+const exportReport = async ({ reportType, format, queryParams, requestedBy }, job) => {
+  const { filename, content } = await buildReportExport(reportType, format, queryParams);
+
+  await mkdir(REPORTS_DIR, { recursive: true });
+  const filePath = path.join(REPORTS_DIR, `${job._id}-${filename}`);
+  const body = format === 'csv' ? content : JSON.stringify(content, null, 2);
+  await writeFile(filePath, body);
+
+  if (requestedBy) {
+    await notify(requestedBy, {
+      type: 'report_ready',
+      title: 'Report ready',
+      message: `Your ${reportType} report (${format.toUpperCase()}) is ready to download.`,
+      metadata: { jobId: job._id, downloadUrl: `/api/admin/reports/exports/${job._id}` }
+    });
+  }
+
+  return { filename, path: filePath, size: Buffer.byteLength(body) };
+};
+
+export const registerReportJobs = () => {
+  registerJobHandler('report.export', exportReport, { concurrency: 1, maxAttempts: 3, timeoutMs: 15 * 60 * 1000 });
+};
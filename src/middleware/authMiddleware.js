@@ -1,53 +1,117 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { isSessionActive } from '../utils/sessions.js';
+import { getAdminPermissions, hasPermission } from '../utils/permissions.js';
+import { canTakePickups } from '../utils/documentCompliance.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 
-const protect = async (req, res, next) => {
-    let token;
+// Volunteers and charities are blocked until they are verified, unless allowUnverified is set
+const authenticate = ({ allowUnverified = false } = {}) => async (req, res, next) => {
+    if (!req.headers.authorization?.startsWith('Bearer')) {
+        throw new UnauthorizedError('Not authorized, no token');
+    }
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            token = req.headers.authorization.split(' ')[1];
+    let decoded;
+    try {
+        decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+    } catch (error) {
+        // Expired access tokens are routine; clients should call /api/auth/refresh
+        if (error.name === 'TokenExpiredError') {
+            throw new UnauthorizedError('Not authorized, token expired', { code: 'TOKEN_EXPIRED' });
+        }
+        throw new UnauthorizedError('Not authorized, token failed');
+    }
 
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Tokens are only valid while their session is; logout revokes the session
+    if (!(await isSessionActive(decoded.sid))) {
+        throw new UnauthorizedError('Not authorized, session has ended', { code: 'SESSION_REVOKED' });
+    }
 
-            req.user = await User.findById(decoded.id).select('-password');
+    req.user = await User.findById(decoded.id).select('-password');
 
-            if (!req.user) {
-                return res.status(401).json({ message: 'Not authorized, user not found' });
-            }
+    if (!req.user) {
+        throw new UnauthorizedError('Not authorized, user not found');
+    }
 
-            if ((req.user.role === 'volunteer' || req.user.role === 'charity') && !req.user.isVerified) {
-                return res.status(403).json({
-                    message: 'Your account is pending verification. Please wait for an administrator to approve your account.',
-                    isPending: true
-                });
-            }
+    if (req.user.isActive === false) {
+        throw new UnauthorizedError('Not authorized, account is deactivated', { code: 'ACCOUNT_INACTIVE' });
+    }
 
-            next();
-        } catch (error) {
-            console.error('Auth middleware error:', error);
-            res.status(401).json({ message: 'Not authorized, token failed' });
-        }
+    req.sessionId = decoded.sid;
+
+    if (req.user.role === 'admin') {
+        req.user.$locals.permissions = await getAdminPermissions(req.user);
     }
 
-    if (!token) {
-        res.status(401).json({ message: 'Not authorized, no token' });
+    if (!allowUnverified && (req.user.role === 'volunteer' || req.user.role === 'charity') && !req.user.isVerified) {
+        throw new ForbiddenError(
+            'Your account is pending verification. Please wait for an administrator to approve your account.',
+            { code: 'VERIFICATION_PENDING', details: { isPending: true, verificationStatus: req.user.verificationStatus } }
+        );
     }
+
+    next();
 };
 
+const protect = authenticate();
+
+// For routes an applicant needs while their account is being verified: their profile,
+// sessions, documents and verification status
+const protectApplicant = authenticate({ allowUnverified: true });
+
 const admin = (req, res, next) => {
     if (req.user && req.user.role === 'admin') {
         next();
     } else {
-        res.status(403).json({ message: 'Not authorized as an admin' });
+        throw new ForbiddenError('Not authorized as an admin');
     }
 };
 
+// Admins need every listed permission, e.g. requirePermission('users:verify')
+const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.user || req.user.role !== 'admin') {
+        throw new ForbiddenError('Not authorized as an admin');
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+    if (missing.length > 0) {
+        throw new ForbiddenError(`Not authorized, requires permission: ${missing.join(', ')}`, {
+            details: { missingPermissions: missing }
+        });
+    }
+
+    next();
+};
+
 const volunteer = (req, res, next) => {
     if (req.user && req.user.role === 'volunteer') {
         next();
     } else {
-        res.status(403).json({ message: 'Not authorized as a volunteer' });
+        throw new ForbiddenError('Not authorized as a volunteer');
+    }
+};
+
+// Volunteers whose required documents have lapsed cannot take new pickups until a renewal is accepted
+const pickupEligible = (req, res, next) => {
+    if (canTakePickups(req.user)) {
+        next();
+    } else {
+        throw new ForbiddenError('Your documents have expired. Upload renewed copies to take pickups again.', {
+            code: 'DOCUMENTS_EXPIRED',
+            details: { lapsedDocumentTypes: req.user.documentCompliance.lapsedDocumentTypes }
+        });
+    }
+};
+
+// Donors confirm their email address before donating, so pickup updates and receipts reach them.
+// Volunteers and charities are approved by an administrator instead.
+const verifiedEmail = (req, res, next) => {
+    if (req.user.role !== 'donor' || req.user.emailVerified) {
+        next();
+    } else {
+        throw new ForbiddenError('Please verify your email address before donating. We can send you a new link from /api/auth/verify-email/resend.', {
+            code: 'EMAIL_NOT_VERIFIED'
+        });
     }
 };
 
@@ -55,8 +119,8 @@ const charity = (req, res, next) => {
     if (req.user && req.user.role === 'charity') {
         next();
     } else {
-        res.status(403).json({ message: 'Not authorized as a charity' });
+        throw new ForbiddenError('Not authorized as a charity');
     }
 };
 
-export { protect, admin, volunteer, charity };
+export { protect, protectApplicant, admin, requirePermission, volunteer, pickupEligible, verifiedEmail, charity };
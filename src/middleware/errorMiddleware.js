@@ -0,0 +1,67 @@
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { AppError, BadRequestError, ConflictError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Errors from libraries that are the client's fault, as AppErrors; undefined for anything else
+const fromKnownError = (error) => {
+    if (error instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(error.errors).map(({ path, message }) => ({ location: 'body', field: path, message }));
+        return new ValidationError(errors.map(({ message }) => message).join('; '), errors);
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return new ValidationError(`${error.path} is invalid`, [{ field: error.path, message: 'is invalid' }]);
+    }
+    // Unique indexes, e.g. a second account with the same email
+    if (error.code === 11000) {
+        const fields = Object.keys(error.keyPattern || error.keyValue || {});
+        return new ConflictError(fields.length > 0 ? `${fields.join(', ')} already exists` : 'Already exists', {
+            code: 'DUPLICATE'
+        });
+    }
+    if (error instanceof multer.MulterError) {
+        return new BadRequestError(error.message, { code: 'INVALID_UPLOAD' });
+    }
+    // Thrown by express.json()
+    if (error.type === 'entity.parse.failed') {
+        return new BadRequestError('The request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return new AppError('The request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    }
+    return undefined;
+};
+
+// Unknown routes, after every router
+const notFound = (req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+};
+
+// Every error ends here, whether thrown in a handler (Express 5 also catches rejected promises)
+// or passed to next(). Server errors are logged and answered without their message unless
+// NODE_ENV is development, as it can expose internals. Express only treats a function with
+// four parameters as an error handler, so `next` stays although it is unused.
+const errorHandler = (error, req, res, next) => {
+    const known = error instanceof AppError ? error : fromKnownError(error);
+
+    if (!known || known.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+    }
+
+    // A response that is already streaming, e.g. a CSV export, can only be cut off
+    if (res.headersSent) {
+        return res.destroy();
+    }
+
+    const status = known?.status || 500;
+    // Details go first so that none of them can replace the fields every error has
+    res.status(status).json({
+        ...known?.details,
+        success: false,
+        message: known?.message || 'Server error',
+        code: known?.code || 'INTERNAL_ERROR',
+        requestId: req.id,
+        ...(!known && process.env.NODE_ENV === 'development' && { error: error.message })
+    });
+};
+
+export { notFound, errorHandler };
@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import { RATE_LIMIT_GROUPS } from '../config/rateLimits.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+import { TooManyRequestsError } from '../utils/errors.js';
+
+// Set RATE_LIMIT_ENABLED=false to switch every limit off, e.g. for load tests
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Account buckets are keyed on a hash so the store never holds email addresses
+const accountKey = (req) => {
+    const email = req.body?.email;
+    if (typeof email !== 'string' || !email.trim()) return null;
+    return crypto.createHash('sha256').update(email.toLowerCase().trim()).digest('hex');
+};
+
+const bucketKey = (group, by, req) => {
+    const id = by === 'account' ? accountKey(req) : req.ip;
+    return id ? `${group}:${by}:${id}` : null;
+};
+
+// Limit a route by the buckets configured for its group in config/rateLimits.js,
+// e.g. router.post('/login', rateLimit('login'), loginUser)
+const rateLimit = (group, { store = getRateLimitStore() } = {}) => {
+    const config = RATE_LIMIT_GROUPS[group];
+    if (!config) {
+        throw new Error(`Unknown rate limit group '${group}'`);
+    }
+
+    return async (req, res, next) => {
+        if (!RATE_LIMIT_ENABLED) return next();
+
+        let counted;
+        try {
+            const buckets = config.buckets
+                .map(bucket => ({ ...bucket, key: bucketKey(group, bucket.by, req) }))
+                .filter(bucket => bucket.key);
+            counted = await Promise.all(buckets.map(async bucket => ({
+                ...bucket,
+                ...(await store.hit(bucket.key, bucket.windowMs))
+            })));
+        } catch (error) {
+            // Better to serve the request than to lock everyone out while the store is down
+            console.error(`Rate limit store failed for '${group}':`, error);
+            return next();
+        }
+        if (counted.length === 0) return next();
+
+        // Report the bucket closest to its limit
+        const tightest = counted.reduce((closest, bucket) =>
+            (bucket.max - bucket.count < closest.max - closest.count ? bucket : closest));
+        const resetSeconds = Math.max(Math.ceil((tightest.resetAt - Date.now()) / 1000), 0);
+        res.set({
+            'RateLimit-Limit': String(tightest.max),
+            'RateLimit-Remaining': String(Math.max(tightest.max - tightest.count, 0)),
+            'RateLimit-Reset': String(resetSeconds)
+        });
+
+        if (tightest.count > tightest.max) {
+            res.set('Retry-After', String(resetSeconds));
+            return next(new TooManyRequestsError(undefined, { details: { retryAfter: resetSeconds } }));
+        }
+
+        if (config.skipSuccessfulRequests) {
+            res.on('finish', () => {
+                if (res.statusCode >= 400) return;
+                Promise.all(counted.map(bucket => store.undo(bucket.key)))
+                    .catch(error => console.error(`Rate limit store failed for '${group}':`, error));
+            });
+        }
+
+        next();
+    };
+};
+
+export { rateLimit };
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+// Ids from a proxy or client are reused so one request can be traced across services; anything
+// else they send is replaced, as it ends up in logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{8,100}$/;
+
+// Tag every request with an id, returned in the X-Request-Id header and in error responses,
+// and printed with errors in the logs
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+export { requestId };
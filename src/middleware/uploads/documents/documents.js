@@ -0,0 +1,34 @@
+import multer from 'multer';
+import { DOCUMENT_MAX_BYTES, DOCUMENT_MAX_FILES, DOCUMENT_MIME_TYPES } from '../../../utils/documentStorage.js';
+import { BadRequestError } from '../../../utils/errors.js';
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Documents must be smaller than ${Math.round(DOCUMENT_MAX_BYTES / 1024 / 1024)} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${DOCUMENT_MAX_FILES} documents`,
+  LIMIT_UNEXPECTED_FILE: "Upload PDF, JPEG or PNG files in the 'documents' field"
+};
+
+// Files stay in memory until documentStorage has checked their contents and stored them under a random key
+const createDocumentUpload = (field = 'documents') => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: DOCUMENT_MAX_BYTES, files: DOCUMENT_MAX_FILES },
+    fileFilter: function (req, file, cb) {
+      if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+        return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+      }
+      cb(null, true);
+    }
+  });
+
+  return (req, res, next) => {
+    upload.array(field, DOCUMENT_MAX_FILES)(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(new BadRequestError(UPLOAD_ERRORS[error.code] || error.message, { code: 'INVALID_UPLOAD' }));
+      }
+      next(error);
+    });
+  };
+};
+
+export default createDocumentUpload;
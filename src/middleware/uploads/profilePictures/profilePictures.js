@@ -0,0 +1,35 @@
+import multer from 'multer';
+import { BadRequestError } from '../../../utils/errors.js';
+
+export const PROFILE_PICTURE_MAX_BYTES = parseInt(process.env.PROFILE_PICTURE_MAX_BYTES, 10) || 5 * 1024 * 1024;
+export const PROFILE_PICTURE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Kept in memory: the image is resized before anything is written to disk
+const profilePictureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROFILE_PICTURE_MAX_BYTES, files: 1 },
+  fileFilter: function (req, file, cb) {
+    if (!PROFILE_PICTURE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `Profile pictures must be smaller than ${Math.round(PROFILE_PICTURE_MAX_BYTES / 1024 / 1024)} MB`,
+  LIMIT_UNEXPECTED_FILE: `Upload a single image in the 'picture' field (${PROFILE_PICTURE_TYPES.map(type => type.split('/')[1]).join(', ')})`,
+  LIMIT_FILE_COUNT: 'Upload a single image'
+};
+
+// Accept one image in the 'picture' field and turn multer errors into 400 INVALID_UPLOAD errors
+const uploadProfilePicture = (req, res, next) => {
+  profilePictureUpload.single('picture')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new BadRequestError(UPLOAD_ERRORS[error.code] || error.message, { code: 'INVALID_UPLOAD' }));
+    }
+    next(error);
+  });
+};
+
+export default uploadProfilePicture;
@@ -1,14 +1,5 @@
-import multer from 'multer';
+import createDocumentUpload from '../documents/documents.js';
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads/volunteerDocs/');
-  },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + '-' + file.originalname.replace(/\s+/g, '_'));
-  }
-});
-
-const volunteerUpload = multer({ storage });
+const volunteerUpload = createDocumentUpload('documents');
 
 export default volunteerUpload;
@@ -0,0 +1,37 @@
+import { validateObject } from '../utils/validation.js';
+import { ValidationError } from '../utils/errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Express 5 exposes req.query through a getter, so the cleaned copy is defined on the request itself
+const replace = (req, location, value) => {
+    Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+};
+
+// Check a request against the route's schemas in src/schemas before the controller sees it,
+// e.g. router.post('/', protect, validate(submitDonation), submitDonation).
+// Only declared fields are kept and values are converted to their declared types; a query or
+// body the route does not declare is emptied. Runs after upload middleware on multipart routes.
+const validate = (schemas = {}) => (req, res, next) => {
+    const errors = [];
+
+    for (const location of LOCATIONS) {
+        // Path parameters are always present, so routes only declare them to check their format
+        if (!schemas[location]) {
+            if (location !== 'params') replace(req, location, {});
+            continue;
+        }
+
+        const result = validateObject(schemas[location], req[location]);
+        errors.push(...result.errors.map(error => ({ location, ...error })));
+        replace(req, location, result.value);
+    }
+
+    if (errors.length > 0) {
+        return next(new ValidationError(errors.map(error => `${error.field} ${error.message}`).join('; '), errors));
+    }
+
+    next();
+};
+
+export { validate };
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Invitation for a new administrator; admins can no longer register themselves
+const adminInvitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  permissionsLevel: {
+    type: Number,
+    default: 1
+  },
+  // Admin role keys the new admin starts with
+  roles: {
+    type: [String],
+    default: []
+  },
+  // SHA-256 of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // An unaccepted invitation counts as expired once expiresAt passes
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastSentAt: Date,
+  acceptedAt: Date,
+  acceptedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One open invitation per address
+adminInvitationSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+adminInvitationSchema.index({ status: 1, createdAt: -1 });
+
+adminInvitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt <= new Date();
+});
+
+const AdminInvitation = mongoose.model('AdminInvitation', adminInvitationSchema);
+
+export default AdminInvitation;
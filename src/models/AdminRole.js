@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { PERMISSION_KEYS, BUILT_IN_ROLES } from '../config/permissions.js';
+
+// Custom admin role; built-in roles live in src/config/permissions.js
+const adminRoleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,39}$/, 'Role keys use lowercase letters, digits and underscores'],
+    validate: {
+      validator: key => !BUILT_IN_ROLES[key],
+      message: 'This key belongs to a built-in role'
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  permissions: {
+    type: [{ type: String, enum: PERMISSION_KEYS }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+const AdminRole = mongoose.model('AdminRole', adminRoleSchema);
+
+export default AdminRole;
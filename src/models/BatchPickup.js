@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+// A group of nearby pickup requests bound for the same charity that one volunteer collects in a single trip
+const batchPickupSchema = new mongoose.Schema({
+  charity: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  pickupRequests: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest',
+    required: true
+  }],
+  volunteer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // Batches move through the same lifecycle as individual pickup requests
+  status: {
+    type: String,
+    enum: ['available', 'accepted', 'en_route_pickup', 'arrived_pickup', 'picked_up', 'en_route_delivery', 'delivered', 'cancelled'],
+    default: 'available',
+    index: true
+  },
+  // Average of the member pickup locations
+  centroid: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  radiusKm: {
+    type: Number
+  },
+  window: {
+    start: Date,
+    end: Date
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  statusHistory: [{
+    fromStatus: String,
+    status: String,
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actorRole: String,
+    notes: String,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  acceptedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+batchPickupSchema.index({ centroid: '2dsphere' });
+batchPickupSchema.index({ status: 1, createdAt: -1 });
+
+const BatchPickup = mongoose.model('BatchPickup', batchPickupSchema);
+
+export default BatchPickup;
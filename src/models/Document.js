@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+import { VERIFICATION_DOCUMENT_TYPE_KEYS } from '../config/documentTypes.js';
+
+// An uploaded file kept in document storage (src/utils/documentStorage.js).
+// Files are stored under a random key, never under the uploader's filename,
+// and are only served through /api/documents.
+const documentSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['volunteer_verification', 'charity_verification'],
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: VERIFICATION_DOCUMENT_TYPE_KEYS,
+    default: 'other'
+  },
+  // When the document itself (licence, certificate) stops being valid
+  expiresAt: {
+    type: Date
+  },
+  // Set when a reviewer accepts the document; only accepted documents count towards a volunteer's standing
+  reviewedAt: {
+    type: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reminder stages (days before expiry) already sent for this document
+  expiryRemindersSent: {
+    type: [Number],
+    default: []
+  },
+  // Backend the file lives in, so files stay readable after DOCUMENT_STORAGE changes
+  storage: {
+    type: String,
+    enum: ['local', 's3'],
+    required: true
+  },
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // SHA-256 of the contents
+  checksum: {
+    type: String
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+documentSchema.index({ owner: 1, createdAt: -1 });
+documentSchema.index({ purpose: 1, expiresAt: 1 });
+
+const Document = mongoose.model('Document', documentSchema);
+
+export default Document;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Admin-edited copy of an email template; overrides the built-in version in config/emailTemplates.js
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  locale: {
+    type: String,
+    enum: ['en', 'sw'],
+    required: true
+  },
+  subject: {
+    type: String,
+    default: '',
+    maxlength: 300
+  },
+  html: {
+    type: String,
+    required: true
+  },
+  // Plain-text version; generated from the HTML when left empty
+  text: {
+    type: String,
+    default: ''
+  },
+  layout: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+emailTemplateSchema.index({ key: 1, locale: 1 }, { unique: true });
+
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+export default EmailTemplate;
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// A unit of background work picked up by the job worker
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // 'dead' jobs exhausted their attempts and wait in the dead-letter list for an admin
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead', 'cancelled'],
+    default: 'queued'
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  backoffMs: {
+    type: Number,
+    default: 30000
+  },
+  // Set on recurring jobs; the next run is queued when this one finishes
+  repeatEveryMs: {
+    type: Number
+  },
+  // Prevents duplicate active jobs (e.g. one pending run per schedule); cleared when the job finishes
+  uniqueKey: {
+    type: String
+  },
+  lockedBy: {
+    type: String
+  },
+  lockedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1, priority: -1 });
+jobSchema.index({ uniqueKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, updatedAt: -1 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
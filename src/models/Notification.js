@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'verification_approved',
+      'verification_rejected',
+      'verification_in_progress',
+      'verification_documents_requested',
+      'verification_resubmitted',
+      'document_expiring',
+      'documents_lapsed',
+      'documents_reinstated',
+      'account_reactivated',
+      'pickup_accepted',
+      'pickup_status',
+      'pickup_released',
+      'pickup_cancelled',
+      'donation_delivered',
+      'donation_confirmed',
+      'report_ready'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 2000
+  },
+  // Records the notification is about, so the frontend can link to them
+  donation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation'
+  },
+  pickupRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupRequest'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
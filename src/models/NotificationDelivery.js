@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One attempt to deliver a notification over an outbound channel
+const notificationDeliverySchema = new mongoose.Schema({
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    index: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'sms', 'push'],
+    required: true
+  },
+  // Adapter that handled the delivery, e.g. 'smtp' or 'console'
+  adapter: {
+    type: String
+  },
+  destination: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String
+  },
+  providerMessageId: {
+    type: String
+  },
+  nextAttemptAt: {
+    type: Date
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ recipient: 1, createdAt: -1 });
+notificationDeliverySchema.index({ status: 1, createdAt: -1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+export default NotificationDelivery;
@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
 
+// Append-only record of every status change
+const statusHistorySchema = new mongoose.Schema({
+  fromStatus: {
+    type: String
+  },
+  status: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const pickupRequestSchema = new mongoose.Schema({
   donation: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +53,13 @@ const pickupRequestSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set while the request is part of a batch pickup; batched requests are claimed as one unit
+  batch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BatchPickup',
+    default: null,
+    index: true
+  },
   pickupAddress: {
     type: String,
     required: true
@@ -71,6 +114,10 @@ const pickupRequestSchema = new mongoose.Schema({
     default: 'available',
     index: true
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
   metadata: {
     accessNotes: String,
     totalWeight: String,
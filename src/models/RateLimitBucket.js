@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Request count for one rate limit bucket, used when RATE_LIMIT_STORE=mongodb so that
+// every API process shares the same counts
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// MongoDB removes buckets once their window is over
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitBucket = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
+
+export default RateLimitBucket;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Access tokens carry the session id; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token secret; the raw token is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of already-rotated secrets; presenting one again means the token was stolen
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'token_reuse', 'password_change', 'account_deactivated', 'account_deleted', 'admin']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: String,
+  ip: String
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
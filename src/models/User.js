@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
 
 const baseOptions = {
     discriminatorKey: 'userType',
@@ -44,6 +45,12 @@ const UserSchema = new mongoose.Schema({
     profilePictureUrl: {
         type: String,
     },
+    // Every stored size of the uploaded picture; profilePictureUrl is the large one
+    profilePictureSizes: {
+        large: String,
+        medium: String,
+        thumb: String,
+    },
     address: {
         type: String,
     },
@@ -61,14 +68,153 @@ const UserSchema = new mongoose.Schema({
         type: Boolean,
         default: true,
     },
+    // Latest suspension by an admin. The account is inactive until it is lifted, by an admin
+    // or when expiresAt passes; liftedAt is set then and the record is kept.
+    suspension: {
+        reason: String,
+        suspendedAt: Date,
+        suspendedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        expiresAt: Date,
+        liftedAt: Date,
+        liftedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    // Set when the account is deleted; its personal data has been removed and only the anonymous record remains
+    deletedAt: {
+        type: Date,
+    },
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
     lastLogin: {
         type: Date,
     },
+    // Set once the user opens the link from the verification email; separate from the admin approval in isVerified
+    emailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
+    // Only SHA-256 hashes of emailed tokens are stored; each is cleared when used
+    emailVerificationToken: {
+        type: String,
+        select: false,
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false,
+    },
+    passwordResetToken: {
+        type: String,
+        select: false,
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false,
+    },
+    passwordChangedAt: {
+        type: Date,
+    },
+    // Failed logins since the last successful one. Too many lock the account for a while,
+    // longer after each lockout in a row; see utils/loginLockout.js
+    loginLockout: {
+        failedAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lastFailedAt: Date,
+        lockedUntil: Date,
+        lockouts: {
+            type: Number,
+            default: 0,
+        },
+    },
+    // Time-based one-time passwords; see utils/twoFactor.js. The secrets are encrypted.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false,
+        },
+        secret: {
+            type: String,
+            select: false,
+        },
+        // Set while the user is adding the account to their authenticator app
+        pendingSecret: {
+            type: String,
+            select: false,
+        },
+        // Time step of the last code accepted; older codes are refused so none works twice
+        lastUsedStep: {
+            type: Number,
+            select: false,
+        },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                hash: String,
+                usedAt: Date,
+            }],
+            select: false,
+        },
+        enabledAt: Date,
+    },
+    accountUnlockToken: {
+        type: String,
+        select: false,
+    },
+    accountUnlockExpires: {
+        type: Date,
+        select: false,
+    },
+    // Language for emails and other outbound messages
+    preferredLanguage: {
+        type: String,
+        enum: ['en', 'sw'],
+        default: 'en',
+    },
+    // Channels used to deliver notifications in addition to the in-app notification centre
+    notificationPreferences: {
+        channels: {
+            type: [{ type: String, enum: ['email', 'sms', 'push'] }],
+            default: ['email'],
+        },
+        mutedTypes: {
+            type: [String],
+            default: [],
+        },
+    },
+    pushSubscriptions: {
+        type: [{
+            endpoint: { type: String, required: true },
+            keys: {
+                p256dh: { type: String, required: true },
+                auth: { type: String, required: true },
+            },
+            userAgent: String,
+            createdAt: { type: Date, default: Date.now },
+            _id: false,
+        }],
+        default: [],
+        select: false,
+    },
 }, {
     timestamps: true,
     ...baseOptions,
 });
 
+// Admin user directory search; charityName belongs to charities, which share the collection
+UserSchema.index({ name: 'text', email: 'text', charityName: 'text' }, { name: 'user_directory_search' });
+UserSchema.index({ role: 1, createdAt: -1 });
+
 // Pre-save middleware to hash password
 UserSchema.pre('save', async function(next) {
     if (!this.isModified('password')) {
@@ -76,6 +222,9 @@ UserSchema.pre('save', async function(next) {
     }
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+        this.passwordChangedAt = new Date();
+    }
     next();
 });
 
@@ -84,6 +233,43 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Hash of a random password that belongs to no account, made with the same cost as real ones
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10);
+
+// Do the work of matchPassword when no account has the email, so a failed login takes as long
+// whether or not the account exists. Never matches.
+UserSchema.statics.matchDummyPassword = async function(enteredPassword) {
+    await bcrypt.compare(String(enteredPassword ?? ''), DUMMY_PASSWORD_HASH);
+    return false;
+};
+
+// Hash an emailed token the way it is stored
+UserSchema.statics.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const createToken = (user, field, expiresField, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    user[field] = user.constructor.hashToken(token);
+    user[expiresField] = new Date(Date.now() + ttlMs);
+    return token;
+};
+
+// Generate a password reset token; returns the raw token for the email, the document keeps its hash
+UserSchema.methods.createPasswordResetToken = function(ttlMinutes = 60) {
+    return createToken(this, 'passwordResetToken', 'passwordResetExpires', ttlMinutes * 60 * 1000);
+};
+
+// Generate an email verification token; returns the raw token for the email, the document keeps its hash
+UserSchema.methods.createEmailVerificationToken = function(ttlHours = 24) {
+    return createToken(this, 'emailVerificationToken', 'emailVerificationExpires', ttlHours * 60 * 60 * 1000);
+};
+
+// Generate a token for the link that unlocks an account after too many failed logins
+UserSchema.methods.createAccountUnlockToken = function(ttlMinutes = 60) {
+    return createToken(this, 'accountUnlockToken', 'accountUnlockExpires', ttlMinutes * 60 * 1000);
+};
+
 const User = mongoose.model('User', UserSchema);
 
 // Donor Schema (inherits from User)
@@ -103,17 +289,41 @@ const VolunteerSchema = new mongoose.Schema({
     },
     verificationStatus: {
         type: String,
-        enum: ['pending', 'verified', 'rejected', 'in_progress'],
+        enum: ['pending', 'in_progress', 'documents_requested', 'verified', 'rejected'],
         default: 'pending',
     },
+    // Latest reason given to the applicant for requesting documents or rejecting; history is in VerificationEvent
+    verificationReason: {
+        type: String,
+    },
+    verificationUpdatedAt: {
+        type: Date,
+    },
     verifiedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
     },
     verificationDocuments: [{
-        type: String,
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
     }],
     skills: [String],
+    // Standing of the volunteer's expiring documents, kept up to date by the 'documents.expiry_check' job.
+    // 'lapsed' volunteers cannot take pickups until a renewed document is accepted.
+    documentCompliance: {
+        status: {
+            type: String,
+            enum: ['compliant', 'expiring', 'lapsed'],
+            default: 'compliant',
+        },
+        lapsedDocumentTypes: {
+            type: [String],
+            default: [],
+        },
+        nextExpiryAt: Date,
+        checkedAt: Date,
+        suspendedAt: Date,
+    },
     assignedTasksCount: {
         type: Number,
         default: 0
@@ -123,10 +333,16 @@ const Volunteer = User.discriminator('Volunteer', VolunteerSchema);
 
 // Admin Schema (inherits from User)
 const AdminSchema = new mongoose.Schema({
+    // Seniority: level 2+ are super admins; admins can only manage admins below their own level
     permissionsLevel: {
         type: Number,
         default: 1,
     },
+    // Built-in (src/config/permissions.js) or custom (AdminRole) role keys; none means the 'admin' role
+    roles: {
+        type: [String],
+        default: [],
+    },
 });
 const Admin = User.discriminator('Admin', AdminSchema);
 
@@ -141,12 +357,15 @@ const CharitySchema = new mongoose.Schema({
   contactLastName: { type: String },
   contactEmail: { type: String },
   contactPhone: { type: String },
-  verificationDocuments: [String],
+  verificationDocuments: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }],
   verificationStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected', 'in_progress'],
+    enum: ['pending', 'in_progress', 'documents_requested', 'verified', 'rejected'],
     default: 'pending'
   },
+  // Latest reason given to the applicant for requesting documents or rejecting; history is in VerificationEvent
+  verificationReason: { type: String },
+  verificationUpdatedAt: { type: Date },
   verifiedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
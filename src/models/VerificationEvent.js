@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// One step in a charity's or volunteer's verification: a review decision,
+// a reviewer note, an upload or a resubmission by the applicant, or a
+// volunteer's suspension from pickups when their documents lapse
+const verificationEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'submitted',
+      'review_started',
+      'documents_requested',
+      'approved',
+      'rejected',
+      'note',
+      'documents_added',
+      'resubmitted',
+      'document_reviewed',
+      'documents_lapsed',
+      'reinstated'
+    ],
+    required: true
+  },
+  fromStatus: String,
+  toStatus: String,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Shown to the applicant: why documents were requested or the application was rejected,
+  // or the applicant's own message when resubmitting
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  // Internal reviewer note; never shown to the applicant
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+verificationEventSchema.index({ user: 1, createdAt: -1 });
+
+const VerificationEvent = mongoose.model('VerificationEvent', verificationEventSchema);
+
+export default VerificationEvent;
@@ -9,9 +9,44 @@ import {
     getSupplyDemandAnalysis,
     getOperationalMetrics,
     getUserAnalytics,
-    getDonationTrends
+    getDonationTrends,
+    downloadReportExport
 } from '../controllers/adminController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+    listEmailTemplates,
+    getEmailTemplate,
+    updateEmailTemplate,
+    resetEmailTemplate,
+    previewEmailTemplate
+} from '../controllers/emailTemplateController.js';
+import {
+    getJobs,
+    getJobStats,
+    getJobById,
+    deleteJob,
+    retryDeadJob,
+    cancelQueuedJob
+} from '../controllers/jobController.js';
+import {
+    createInvitation,
+    getInvitations,
+    revokeInvitation,
+    resendInvitation
+} from '../controllers/adminInvitationController.js';
+import {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    deleteRole,
+    getAdmins,
+    updateAdminRoles
+} from '../controllers/adminRoleController.js';
+import { suspendUser, reactivateUser, deleteUser, resetUserTwoFactor } from '../controllers/accountController.js';
+import { getUserDirectory, exportUserDirectory } from '../controllers/userDirectoryController.js';
+import { protect, admin, requirePermission } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/adminSchemas.js';
 
 const router = express.Router();
 
@@ -22,9 +57,17 @@ const router = express.Router();
  *   description: Administrative endpoints for reports and dashboard analytics
  */
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication and admin role; each route also names the permission it needs
 router.use(protect, admin);
 
+const canReadReports = requirePermission('reports:read');
+const canExportReports = requirePermission('reports:export');
+const canEditTemplates = requirePermission('email_templates:write');
+const canManageAdmins = requirePermission('admins:manage');
+const canManageJobs = requirePermission('jobs:manage');
+const canReadUsers = requirePermission('users:read');
+const canManageUsers = requirePermission('users:manage');
+
 /**
  * @swagger
  * /admin/dashboard/overview:
@@ -175,6 +218,13 @@ router.use(protect, admin);
  *           enum: [7d, 30d, 90d, 1y, all]
  *           default: 30d
  *         description: Time period for trends
+ *       - in: query
+ *         name: aggregation
+ *         schema:
+ *           type: string
+ *           enum: [daily, monthly, yearly]
+ *           default: daily
+ *         description: Length of each point in the trend
  *     responses:
  *       200:
  *         description: Donation trends data
@@ -185,19 +235,179 @@ router.use(protect, admin);
  */
 
 // Dashboard endpoints
-router.get('/dashboard/overview', getDashboardOverview);
-router.get('/dashboard/supply-demand', getSupplyDemandAnalysis);
-router.get('/dashboard/operational-metrics', getOperationalMetrics);
-router.get('/dashboard/user-analytics', getUserAnalytics);
-router.get('/dashboard/donation-trends', getDonationTrends);
+router.get('/dashboard/overview', canReadReports, validate(schemas.getDashboardOverview), getDashboardOverview);
+router.get('/dashboard/supply-demand', canReadReports, validate(schemas.getSupplyDemandAnalysis), getSupplyDemandAnalysis);
+router.get('/dashboard/operational-metrics', canReadReports, validate(schemas.getOperationalMetrics), getOperationalMetrics);
+router.get('/dashboard/user-analytics', canReadReports, validate(schemas.getUserAnalytics), getUserAnalytics);
+router.get('/dashboard/donation-trends', canReadReports, validate(schemas.getDonationTrends), getDonationTrends);
 
 // Report viewing endpoints
-router.get('/reports/donation-overview', getDonationOverviewReport);
-router.get('/reports/user-activity', getUserActivityReport);
-router.get('/reports/charity-performance', getCharityPerformanceReport);
-router.get('/reports/volunteer-efficiency', getVolunteerEfficiencyReport);
+router.get('/reports/donation-overview', canReadReports, validate(schemas.getDonationOverviewReport), getDonationOverviewReport);
+router.get('/reports/user-activity', canReadReports, validate(schemas.getUserActivityReport), getUserActivityReport);
+router.get('/reports/charity-performance', canReadReports, validate(schemas.getCharityPerformanceReport), getCharityPerformanceReport);
+router.get('/reports/volunteer-efficiency', canReadReports, validate(schemas.getVolunteerEfficiencyReport), getVolunteerEfficiencyReport);
 
 // Report export endpoint
-router.get('/reports/export/:reportType', exportReport);
+router.get('/reports/export/:reportType', canExportReports, validate(schemas.exportReport), exportReport);
+router.get('/reports/exports/:jobId', canExportReports, validate(schemas.downloadReportExport), downloadReportExport);
+
+// Email template management
+router.get('/email-templates', canEditTemplates, validate(schemas.listEmailTemplates), listEmailTemplates);
+router.route('/email-templates/:key/:locale')
+    .all(canEditTemplates)
+    .get(validate(schemas.getEmailTemplate), getEmailTemplate)
+    .put(validate(schemas.updateEmailTemplate), updateEmailTemplate)
+    .delete(validate(schemas.resetEmailTemplate), resetEmailTemplate);
+router.post('/email-templates/:key/:locale/preview', canEditTemplates, validate(schemas.previewEmailTemplate), previewEmailTemplate);
+
+// Admin invitations
+router.route('/invitations')
+    .all(canManageAdmins)
+    .get(validate(schemas.getInvitations), getInvitations)
+    .post(validate(schemas.createInvitation), createInvitation);
+router.delete('/invitations/:id', canManageAdmins, validate(schemas.revokeInvitation), revokeInvitation);
+router.post('/invitations/:id/resend', canManageAdmins, validate(schemas.resendInvitation), resendInvitation);
+
+// Background jobs
+router.get('/jobs', canManageJobs, validate(schemas.getJobs), getJobs);
+router.get('/jobs/stats', canManageJobs, validate(schemas.getJobStats), getJobStats);
+router.route('/jobs/:id')
+    .all(canManageJobs)
+    .get(validate(schemas.getJobById), getJobById)
+    .delete(validate(schemas.deleteJob), deleteJob);
+router.post('/jobs/:id/retry', canManageJobs, validate(schemas.retryDeadJob), retryDeadJob);
+router.post('/jobs/:id/cancel', canManageJobs, validate(schemas.cancelQueuedJob), cancelQueuedJob);
+
+// Permissions and admin roles
+router.get('/permissions', validate(schemas.getPermissions), getPermissions);
+router.route('/roles')
+    .all(canManageAdmins)
+    .get(validate(schemas.getRoles), getRoles)
+    .post(validate(schemas.createRole), createRole);
+router.route('/roles/:key')
+    .all(canManageAdmins)
+    .put(validate(schemas.updateRole), updateRole)
+    .delete(validate(schemas.deleteRole), deleteRole);
+router.get('/admins', canManageAdmins, validate(schemas.getAdmins), getAdmins);
+router.put('/admins/:id/roles', canManageAdmins, validate(schemas.updateAdminRoles), updateAdminRoles);
+
+/**
+ * @swagger
+ * /admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user account
+ *     description: |
+ *       The user is signed out everywhere and cannot sign in until the suspension is lifted or
+ *       `expiresAt` passes. They are emailed the reason. Admins can only suspend admins below their own level.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SuspendUserRequest'
+ *     responses:
+ *       200:
+ *         description: Account suspended
+ *       400:
+ *         description: Missing reason, invalid expiry date, or your own account
+ *       403:
+ *         description: Requires the users:manage permission, or the user is an admin at or above your level
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *
+ * /admin/users/{id}/reactivate:
+ *   post:
+ *     summary: Lift a suspension or reactivate a deactivated account
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account reactivated; the user is notified
+ *       400:
+ *         description: The account is already active, or it is your own
+ *       403:
+ *         description: Requires the users:manage permission, or the user is an admin at or above your level
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *
+ * /admin/users/{id}:
+ *   delete:
+ *     summary: Delete a user account and remove their personal data
+ *     description: Same as the user deleting their own account (DELETE /auth/me).
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       400:
+ *         description: Your own account
+ *       403:
+ *         description: Requires the users:manage permission, or the user is an admin at or above your level
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Donations or pickups are still in progress; `blockers` lists them
+ *       500:
+ *         description: Server error
+ *
+ * /admin/users/{id}/2fa:
+ *   delete:
+ *     summary: Turn off two-factor authentication for a user who lost their device
+ *     description: Removes the secret and recovery codes and emails the user. Roles that must use two-factor authentication set it up again at their next login.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication turned off
+ *       400:
+ *         description: It is not on for this account, or the account is your own
+ *       403:
+ *         description: Requires the users:manage permission, or the user is an admin at or above your level
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+// User directory and account management
+router.get('/users', canReadUsers, validate(schemas.getUserDirectory), getUserDirectory);
+router.get('/users/export', requirePermission('users:read', 'reports:export'), validate(schemas.exportUserDirectory), exportUserDirectory);
+router.post('/users/:id/suspend', canManageUsers, validate(schemas.suspendUser), suspendUser);
+router.post('/users/:id/reactivate', canManageUsers, validate(schemas.reactivateUser), reactivateUser);
+router.delete('/users/:id', canManageUsers, validate(schemas.deleteUser), deleteUser);
+router.delete('/users/:id/2fa', canManageUsers, validate(schemas.resetUserTwoFactor), resetUserTwoFactor);
 
 export default router;
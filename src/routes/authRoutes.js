@@ -1,8 +1,52 @@
 import express from 'express';
-import { registerUser, loginUser, verifyUser, getUsersPendingVerification, getUsers, getCharities, getMe } from '../controllers/authController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+    registerUser,
+    loginUser,
+    loginTwoFactor,
+    setupTwoFactorAtLogin,
+    verifyUser,
+    getUsersPendingVerification,
+    getUsers,
+    getCharities,
+    getMe,
+    updateMe,
+    refreshAccessToken,
+    logoutUser,
+    logoutAllSessions,
+    getSessions,
+    deleteSession,
+    forgotPassword,
+    resetPassword,
+    unlockAccount,
+    changePassword,
+    verifyEmail,
+    resendVerificationEmail
+} from '../controllers/authController.js';
+import { getInvitationByToken, acceptInvitation } from '../controllers/adminInvitationController.js';
+import { uploadProfilePicture, deleteProfilePicture, getAvatar } from '../controllers/profilePictureController.js';
+import {
+    getMyVerification,
+    addVerificationDocuments,
+    resubmitVerification,
+    getVerificationHistory,
+    getExpiringVerifications
+} from '../controllers/verificationController.js';
+import { deleteMyAccount, exportMyData } from '../controllers/accountController.js';
+import {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableMyTwoFactor,
+    disableMyTwoFactor,
+    regenerateMyRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import { protect, protectApplicant, requirePermission } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/authSchemas.js';
 import volunteerUpload from '../middleware/uploads/volunteerDocs/volunteerDocs.js';
 import charityUpload from '../middleware/uploads/charityDocs/charityDocs.js';
+import createDocumentUpload from '../middleware/uploads/documents/documents.js';
+import profilePictureUpload from '../middleware/uploads/profilePictures/profilePictures.js';
 
 const router = express.Router();
 
@@ -13,6 +57,43 @@ const router = express.Router();
  *   description: User authentication and registration
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegistrationResponse:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean }
+ *         message: { type: string }
+ *         data:
+ *           type: object
+ *           properties:
+ *             _id: { type: string }
+ *             name: { type: string }
+ *             email: { type: string }
+ *             role: { type: string }
+ *             userType: { type: string }
+ *             isVerified: { type: boolean }
+ *             emailVerified: { type: boolean }
+ *             verificationStatus: { type: string }
+ *             isPending:
+ *               type: boolean
+ *               description: The volunteer or charity application waits for an administrator
+ *             token:
+ *               type: string
+ *               description: Short-lived access token
+ *             refreshToken:
+ *               type: string
+ *               description: Exchange at /auth/refresh for a new access token
+ *             expiresIn:
+ *               type: string
+ *               example: 15m
+ *             refreshTokenExpiresAt:
+ *               type: string
+ *               format: date-time
+ */
+
 /**
  * @swagger
  * /auth/register/volunteer:
@@ -24,59 +105,34 @@ const router = express.Router();
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *               - documents
- *             properties:
- *               name:
- *                 type: string
- *                 example: Jane Doe
- *               email:
- *                 type: string
- *                 format: email
- *                 example: jane@example.com
- *               password:
- *                 type: string
- *                 format: password
- *                 example: password123
- *               documents:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: Supporting documents (required)
+ *             allOf:
+ *               - $ref: '#/components/schemas/RegisterVolunteerRequest'
+ *               - type: object
+ *                 required:
+ *                   - documents
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: binary
+ *                     description: Supporting documents (required); PDF, JPEG or PNG, up to 5 files of 10 MB each
  *     responses:
  *       201:
  *         description: Volunteer registered successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 _id: { type: string }
- *                 name: { type: string }
- *                 email: { type: string }
- *                 role: { type: string }
- *                 userType: { type: string }
- *                 isVerified: { type: boolean }
- *                 verificationStatus: { type: string }
- *                 token: { type: string }
- *                 message:
- *                   type: string
- *                   description: Verification message for volunteers
- *                 isPending:
- *                   type: boolean
- *                   description: Flag indicating if verification is pending
+ *               $ref: '#/components/schemas/RegistrationResponse'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or a document that is not a PDF, JPEG or PNG
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
 // Volunteer registration
-router.post('/register/volunteer', volunteerUpload.array('documents'), registerUser);
+router.post('/register/volunteer', rateLimit('register'), volunteerUpload, validate(schemas.registerVolunteer), registerUser);
 
 /**
  * @swagger
@@ -89,141 +145,80 @@ router.post('/register/volunteer', volunteerUpload.array('documents'), registerU
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *               - documents
- *             properties:
- *               name:
- *                 type: string
- *                 example: Charity Org
- *               email:
- *                 type: string
- *                 format: email
- *                 example: charity@example.com
- *               password:
- *                 type: string
- *                 format: password
- *                 example: password123
- *               documents:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: Supporting documents (required)
+ *             allOf:
+ *               - $ref: '#/components/schemas/RegisterCharityRequest'
+ *               - type: object
+ *                 required:
+ *                   - documents
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: binary
+ *                     description: Supporting documents (required); PDF, JPEG or PNG, up to 5 files of 10 MB each
  *     responses:
  *       201:
- *         description: Charity registered successfully
+ *         description: Charity registered successfully. If charities must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES), a challenge token is returned instead of the session tokens, as from /auth/login.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 _id: { type: string }
- *                 name: { type: string }
- *                 email: { type: string }
- *                 role: { type: string }
- *                 userType: { type: string }
- *                 isVerified: { type: boolean }
- *                 verificationStatus: { type: string }
- *                 token: { type: string }
- *                 message:
- *                   type: string
- *                   description: Verification message for charities
- *                 isPending:
- *                   type: boolean
- *                   description: Flag indicating if verification is pending
+ *               $ref: '#/components/schemas/RegistrationResponse'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or a document that is not a PDF, JPEG or PNG
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
 // Charity registration
-router.post('/register/charity', charityUpload.array('documents'), registerUser);
+router.post('/register/charity', rateLimit('register'), charityUpload, validate(schemas.registerCharity), registerUser);
 
 /**
  * @swagger
  * /auth/register:
  *   post:
- *     summary: Register a new donor or admin
+ *     summary: Register a new donor
+ *     description: Admin accounts cannot be registered; they are created by accepting an invitation from an existing admin.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - password
- *               - role
- *             properties:
- *               name:
- *                 type: string
- *                 example: John Donor
- *               email:
- *                 type: string
- *                 format: email
- *                 example: donor@example.com
- *               password:
- *                 type: string
- *                 format: password
- *                 example: password123
- *               role:
- *                 type: string
- *                 enum: [donor, admin]
- *                 example: donor
+ *             $ref: '#/components/schemas/RegisterUserRequest'
  *     responses:
  *       201:
- *         description: Donor or admin registered successfully
+ *         description: Donor registered successfully
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 _id: { type: string }
- *                 name: { type: string }
- *                 email: { type: string }
- *                 role: { type: string }
- *                 userType: { type: string }
- *                 isVerified: { type: boolean }
- *                 verificationStatus: { type: string }
- *                 token: { type: string }
+ *               $ref: '#/components/schemas/RegistrationResponse'
  *       400:
  *         description: Invalid input
+ *       403:
+ *         description: Admin accounts cannot be self-registered
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
 // Donor registration
-router.post('/register', registerUser)
+router.post('/register', rateLimit('register'), validate(schemas.registerUser), registerUser)
 
 /**
  * @swagger
  * /auth/login:
  *   post:
  *     summary: Authenticate a user and get a JWT token
+ *     description: For accounts with two-factor authentication, and roles that must use it, this only checks the password and returns a challenge token; the session tokens come from /auth/login/2fa.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: user@example.com
- *               password:
- *                 type: string
- *                 format: password
- *                 example: password123
+ *             $ref: '#/components/schemas/LoginUserRequest'
  *     responses:
  *       200:
  *         description: Successful login
@@ -232,292 +227,1499 @@ router.post('/register', registerUser)
  *             schema:
  *               type: object
  *               properties:
- *                 _id: { type: string }
- *                 name: { type: string }
- *                 email: { type: string }
- *                 role: { type: string }
- *                 userType: { type: string }
- *                 isVerified: { type: boolean }
- *                 verificationStatus: { type: string }
- *                 token: { type: string }
+ *                 success: { type: boolean }
+ *                 message:
+ *                   type: string
+ *                   description: What to do next when two-factor authentication is needed, or for volunteers and charities that are not verified yet, whose token only opens the profile, notification, document and verification endpoints
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id: { type: string }
+ *                     name: { type: string }
+ *                     email: { type: string }
+ *                     role: { type: string }
+ *                     userType: { type: string }
+ *                     isVerified: { type: boolean }
+ *                     emailVerified: { type: boolean }
+ *                     verificationStatus: { type: string }
+ *                     token:
+ *                       type: string
+ *                       description: Short-lived access token
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Exchange at /auth/refresh for a new access token
+ *                     expiresIn:
+ *                       type: string
+ *                       example: 15m
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     isPending:
+ *                       type: boolean
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Set instead of the tokens when a code is needed
+ *                     twoFactorSetupRequired:
+ *                       type: boolean
+ *                       description: The role must use two-factor authentication and the user has not set it up; call /auth/login/2fa/setup first
+ *                     challengeToken:
+ *                       type: string
+ *                     challengeExpiresIn:
+ *                       type: string
+ *                       example: 5m
  *       400:
  *         description: Missing email or password
  *       401:
  *         description: Invalid credentials
  *       403:
- *         description: Account pending verification
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 message: { type: string }
- *                 verificationStatus: { type: string }
- *                 isPending: { type: boolean }
+ *         description: Account deactivated
+ *       423:
+ *         description: Account locked after too many failed logins (code ACCOUNT_LOCKED, with lockedUntil); an unlock link has been emailed
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/login', loginUser);
+router.post('/login', rateLimit('login'), validate(schemas.loginUser), loginUser);
 
 /**
  * @swagger
- * /auth/users:
- *   get:
- *     summary: Get users with filtering by role and verification status
+ * /auth/login/2fa:
+ *   post:
+ *     summary: Finish logging in with a two-factor code
+ *     description: Send the challenge token from /auth/login with a code from the authenticator app or one of the recovery codes. Wrong codes count as failed logins towards the lockout. Users setting it up at login confirm their first code here and get their recovery codes in the response.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: role
- *         schema:
- *           type: string
- *           enum: [volunteer, charity, donor, admin]
- *         description: Filter users by role
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [pending, verified, rejected, in_progress]
- *         description: Filter users by verification status (applies to volunteers and charities only)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginTwoFactorRequest'
  *     responses:
  *       200:
- *         description: List of users matching the filter criteria
+ *         description: Logged in; the same response as /auth/login gives without two-factor authentication
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id: { type: string }
- *                   name: { type: string }
- *                   email: { type: string }
- *                   role: { type: string }
- *                   userType: { type: string }
- *                   isVerified: { type: boolean }
- *                   verificationStatus: { type: string }
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token: { type: string }
+ *                     refreshToken: { type: string }
+ *                     expiresIn: { type: string }
+ *                     refreshTokenExpiresAt: { type: string, format: date-time }
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items: { type: string }
+ *                       description: Only when two-factor authentication was just set up; shown this once
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                       description: Only when a recovery code was used
+ *       400:
+ *         description: Missing fields, or two-factor authentication has not been set up
  *       401:
- *         description: Not authorized
- *       403:
- *         description: Not authorized as admin
+ *         description: Wrong or already used code, or the challenge token is invalid or expired (code CHALLENGE_INVALID)
+ *       423:
+ *         description: Account locked after too many failed attempts (code ACCOUNT_LOCKED, with lockedUntil)
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
-router.get('/users', getUsers);
+router.post('/login/2fa', rateLimit('twoFactor'), validate(schemas.loginTwoFactor), loginTwoFactor);
 
 /**
  * @swagger
- * /auth/pending-verification:
- *   get:
- *     summary: Get all users pending verification (deprecated - use /users?status=pending instead)
+ * /auth/login/2fa/setup:
+ *   post:
+ *     summary: Set up two-factor authentication while logging in
+ *     description: For roles that must use two-factor authentication. Returns a new secret to add to an authenticator app; confirm it by sending a code to /auth/login/2fa.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: role
- *         schema:
- *           type: string
- *           enum: [volunteer, charity]
- *         description: Filter pending users by role
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SetupTwoFactorAtLoginRequest'
  *     responses:
  *       200:
- *         description: List of pending users
+ *         description: Secret for the authenticator app
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   _id: { type: string }
- *                   name: { type: string }
- *                   email: { type: string }
- *                   role: { type: string }
- *                   userType: { type: string }
- *                   isVerified: { type: boolean }
- *                   verificationStatus: { type: string }
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: Missing challenge token, or two-factor authentication is already set up
  *       401:
- *         description: Not authorized
- *       403:
- *         description: Not authorized as admin
+ *         description: The challenge token is invalid or expired (code CHALLENGE_INVALID)
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Server error
  */
-router.get('/pending-verification', getUsersPendingVerification); /* Add protect and admin middleware */
+router.post('/login/2fa/setup', rateLimit('twoFactor'), validate(schemas.setupTwoFactorAtLogin), setupTwoFactorAtLogin);
 
 /**
  * @swagger
- * /auth/verify/{id}:
- *   put:
- *     summary: Verify or reject a user
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     description: The refresh token is rotated; the one sent is no longer valid afterwards. Reusing an old refresh token ends the whole session.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: string
- *         required: true
- *         description: User ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - action
- *             properties:
- *               action:
- *                 type: string
- *                 enum: [approve, reject]
- *                 example: approve
- *                 description: Action to perform - approve or reject
+ *             $ref: '#/components/schemas/RefreshAccessTokenRequest'
  *     responses:
  *       200:
- *         description: User verification status updated
+ *         description: New token pair
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message: { type: string }
- *                 user:
+ *                 success: { type: boolean }
+ *                 data:
  *                   type: object
  *                   properties:
- *                     _id: { type: string }
- *                     name: { type: string }
- *                     email: { type: string }
- *                     role: { type: string }
- *                     isVerified: { type: boolean }
- *                     verificationStatus: { type: string }
+ *                     token: { type: string }
+ *                     refreshToken: { type: string }
+ *                     expiresIn: { type: string }
+ *                     refreshTokenExpiresAt: { type: string, format: date-time }
  *       400:
- *         description: Invalid input or user type
+ *         description: Missing refresh token
  *       401:
- *         description: Not authorized
- *       403:
- *         description: Not authorized as admin
- *       404:
- *         description: User not found
+ *         description: Refresh token invalid, expired, revoked or reused, or the account is deactivated
  *       500:
  *         description: Server error
  */
-router.put('/verify/:id', protect, admin, verifyUser);
+router.post('/refresh', validate(schemas.refreshAccessToken), refreshAccessToken);
 
-router.route('/charities').get(getCharities);
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Always answers the same way so it cannot reveal whether an email is registered. The link is single-use and expires after PASSWORD_RESET_EXPIRE_MINUTES.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error or the email could not be sent
+ */
+router.post('/forgot-password', rateLimit('accountEmail'), validate(schemas.forgotPassword), forgotPassword);
 
 /**
  * @swagger
- * /auth/me:
- *   get:
- *     summary: Get current user profile
+ * /auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Logs out every session of the account.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
  *     responses:
  *       200:
- *         description: Current user profile retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   properties:
- *                     _id:
- *                       type: string
- *                       example: "507f1f77bcf86cd799439011"
- *                     name:
- *                       type: string
- *                       example: "John Doe"
- *                     email:
- *                       type: string
- *                       example: "john@example.com"
- *                     role:
- *                       type: string
- *                       enum: [donor, volunteer, charity, admin]
- *                       example: "donor"
- *                     userType:
- *                       type: string
- *                       example: "Donor"
- *                     isVerified:
- *                       type: boolean
- *                       example: true
- *                     phoneNumber:
- *                       type: string
- *                       example: "+1234567890"
- *                     address:
- *                       type: string
- *                       example: "123 Main St, City, State"
- *                     location:
- *                       type: object
- *                       properties:
- *                         type:
- *                           type: string
- *                           example: "Point"
- *                         coordinates:
- *                           type: array
- *                           items:
- *                             type: number
- *                           example: [-73.856077, 40.848447]
- *                     verificationStatus:
- *                       type: string
- *                       enum: [pending, verified, rejected, in_progress]
- *                       example: "verified"
- *                       description: "Only present for volunteers and charities"
- *                     isPending:
- *                       type: boolean
- *                       example: false
- *                       description: "Only present for volunteers and charities"
+ *         description: Password reset
+ *       400:
+ *         description: Missing fields, password too short, or the token is invalid, used or expired
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', rateLimit('emailToken'), validate(schemas.resetPassword), resetPassword);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token missing, invalid, used or expired
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email', rateLimit('emailToken'), validate(schemas.verifyEmail), verifyEmail);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResendVerificationEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists and is not verified yet
+ *       400:
+ *         description: Missing email
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/verify-email/resend', rateLimit('accountEmail'), validate(schemas.resendVerificationEmail), resendVerificationEmail);
+
+/**
+ * @swagger
+ * /auth/unlock:
+ *   post:
+ *     summary: Unlock an account with the token from the lockout email
+ *     description: Accounts are locked for a while after repeated failed logins, longer each time it happens again. The email sent then links here; the token is single-use and lasts as long as the lock.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnlockAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       400:
+ *         description: Token missing, invalid, used or expired
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/unlock', rateLimit('emailToken'), validate(schemas.unlockAccount), unlockAccount);
+
+// Admin invitation links; documented with the invitation controller
+router.get('/invitations/:token', validate(schemas.getInvitationByToken), getInvitationByToken);
+router.post('/invitations/accept', rateLimit('emailToken'), validate(schemas.acceptInvitation), acceptInvitation);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the session a refresh token belongs to
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutUserRequest'
+ *     responses:
+ *       200:
+ *         description: Logged out; access tokens of the session stop working
+ *       400:
+ *         description: Missing refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', validate(schemas.logoutUser), logoutUser);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LogoutAllSessionsRequest'
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions: { type: integer }
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', protectApplicant, validate(schemas.logoutAllSessions), logoutAllSessions);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       userAgent: { type: string }
+ *                       ip: { type: string }
+ *                       lastUsedAt: { type: string, format: date-time }
+ *                       createdAt: { type: string, format: date-time }
+ *                       expiresAt: { type: string, format: date-time }
+ *                       isCurrent: { type: boolean }
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', protectApplicant, validate(schemas.getSessions), getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Log out one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session logged out
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/sessions/:id', protectApplicant, validate(schemas.deleteSession), deleteSession);
+
+/**
+ * @swagger
+ * /auth/users:
+ *   get:
+ *     summary: Get users with filtering by role and verification status (deprecated - use /admin/users instead)
+ *     deprecated: true
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [volunteer, charity, donor, admin]
+ *         description: Filter users by role
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, verified, rejected, in_progress]
+ *         description: Filter users by verification status (applies to volunteers and charities only)
+ *     responses:
+ *       200:
+ *         description: List of users matching the filter criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       name: { type: string }
+ *                       email: { type: string }
+ *                       role: { type: string }
+ *                       userType: { type: string }
+ *                       isVerified: { type: boolean }
+ *                       verificationStatus: { type: string }
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Requires the users:read permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/users', protect, requirePermission('users:read'), validate(schemas.getUsers), getUsers);
+
+/**
+ * @swagger
+ * /auth/pending-verification:
+ *   get:
+ *     summary: Get all users pending verification (deprecated - use /admin/users?status=pending instead)
+ *     deprecated: true
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [volunteer, charity]
+ *         description: Filter pending users by role
+ *     responses:
+ *       200:
+ *         description: List of pending users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       name: { type: string }
+ *                       email: { type: string }
+ *                       role: { type: string }
+ *                       userType: { type: string }
+ *                       isVerified: { type: boolean }
+ *                       verificationStatus: { type: string }
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Requires the users:read permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/pending-verification', protect, requirePermission('users:read'), validate(schemas.getUsersPendingVerification), getUsersPendingVerification);
+
+/**
+ * @swagger
+ * /auth/verify/{id}:
+ *   put:
+ *     summary: Review a volunteer or charity application
+ *     description: |
+ *       Moves the application through the verification workflow:
+ *       - `start_review`: pending → in_progress
+ *       - `request_documents`: pending or in_progress → documents_requested (reason required)
+ *       - `approve`: any open status, or rejected → verified
+ *       - `reject`: pending, in_progress or documents_requested → rejected (reason required)
+ *       - `note`: record an internal reviewer note; the status does not change
+ *
+ *       The reason is shown to the applicant; the note is only visible to admins.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyUserRequest'
+ *     responses:
+ *       200:
+ *         description: Action recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         _id: { type: string }
+ *                         name: { type: string }
+ *                         email: { type: string }
+ *                         role: { type: string }
+ *                         isVerified: { type: boolean }
+ *                         verificationStatus: { type: string }
+ *                         verificationReason: { type: string }
+ *                     event:
+ *                       $ref: '#/components/schemas/VerificationEvent'
+ *       400:
+ *         description: Invalid action, missing reason, user type or an action not allowed in the current status
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Requires the users:verify permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The application was changed by another reviewer
+ *       500:
+ *         description: Server error
+ */
+router.put('/verify/:id', protect, requirePermission('users:verify'), validate(schemas.verifyUser), verifyUser);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VerificationEvent:
+ *       type: object
+ *       properties:
+ *         _id: { type: string }
+ *         user: { type: string }
+ *         action:
+ *           type: string
+ *           enum: [submitted, review_started, documents_requested, approved, rejected, note, documents_added, resubmitted, document_reviewed, documents_lapsed, reinstated]
+ *         fromStatus: { type: string }
+ *         toStatus: { type: string }
+ *         actor: { type: string }
+ *         reason:
+ *           type: string
+ *           description: Shown to the applicant
+ *         note:
+ *           type: string
+ *           description: Internal reviewer note (admins only)
+ *         documents:
+ *           type: array
+ *           items: { type: string }
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /auth/verify/{id}/history:
+ *   get:
+ *     summary: Get an application's verification history, documents and reviewer notes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Application, allowed review actions, documents and history (newest first)
+ *       400:
+ *         description: The user is not a volunteer or charity
+ *       403:
+ *         description: Requires the users:read permission
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/verify/:id/history', protect, requirePermission('users:read'), validate(schemas.getVerificationHistory), getVerificationHistory);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DocumentCompliance:
+ *       type: object
+ *       description: Volunteers only. Standing of the documents a volunteer must keep valid to take pickups.
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [compliant, expiring, lapsed]
+ *           description: '`lapsed` volunteers cannot take pickups until a renewal is accepted'
+ *         lapsedDocumentTypes:
+ *           type: array
+ *           items: { type: string }
+ *         nextExpiryAt:
+ *           type: string
+ *           format: date-time
+ *         checkedAt:
+ *           type: string
+ *           format: date-time
+ *         suspendedAt:
+ *           type: string
+ *           format: date-time
+ *
+ * /auth/verify/expiring:
+ *   get:
+ *     summary: Queue of volunteers whose documents are expiring, have lapsed, or have renewals to review
+ *     description: Suspended volunteers come first, then the soonest expiry.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [expiring, lapsed, renewal_submitted]
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *         description: Only expiring documents due within this many days
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Volunteers with their standing, accepted expiring documents and uploads awaiting review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 count: { type: integer }
+ *                 total: { type: integer }
+ *                 pages: { type: integer }
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id: { type: string }
+ *                       name: { type: string }
+ *                       email: { type: string }
+ *                       transportationMode: { type: string }
+ *                       documentCompliance:
+ *                         $ref: '#/components/schemas/DocumentCompliance'
+ *                       requiredDocumentTypes:
+ *                         type: array
+ *                         items: { type: string }
+ *                       documents:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Document'
+ *                       awaitingReview:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Requires the users:read permission
+ *       500:
+ *         description: Server error
+ */
+router.get('/verify/expiring', protect, requirePermission('users:read'), validate(schemas.getExpiringVerifications), getExpiringVerifications);
+
+router.route('/charities').get(validate(schemas.getCharities), getCharities);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get current user profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                       example: "507f1f77bcf86cd799439011"
+ *                     name:
+ *                       type: string
+ *                       example: "John Doe"
+ *                     email:
+ *                       type: string
+ *                       example: "john@example.com"
+ *                     role:
+ *                       type: string
+ *                       enum: [donor, volunteer, charity, admin]
+ *                       example: "donor"
+ *                     userType:
+ *                       type: string
+ *                       example: "Donor"
+ *                     isVerified:
+ *                       type: boolean
+ *                       example: true
+ *                     phoneNumber:
+ *                       type: string
+ *                       example: "+1234567890"
+ *                     address:
+ *                       type: string
+ *                       example: "123 Main St, City, State"
+ *                     location:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           example: "Point"
+ *                         coordinates:
+ *                           type: array
+ *                           items:
+ *                             type: number
+ *                           example: [-73.856077, 40.848447]
+ *                     verificationStatus:
+ *                       type: string
+ *                       enum: [pending, verified, rejected, in_progress]
+ *                       example: "verified"
+ *                       description: "Only present for volunteers and charities"
+ *                     isPending:
+ *                       type: boolean
+ *                       example: false
+ *                       description: "Only present for volunteers and charities"
  *                     isRejected:
  *                       type: boolean
- *                       example: false
- *                       description: "Only present for volunteers and charities"
- *                     charityName:
- *                       type: string
- *                       example: "Food Bank Central"
- *                       description: "Only present for charities"
- *                     neededCategories:
+ *                       example: false
+ *                       description: "Only present for volunteers and charities"
+ *                     charityName:
+ *                       type: string
+ *                       example: "Food Bank Central"
+ *                       description: "Only present for charities"
+ *                     neededCategories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           description:
+ *                             type: string
+ *                       description: "Only present for charities"
+ *                     needsStatement:
+ *                       type: string
+ *                       example: "We urgently need non-perishable food items"
+ *                       description: "Only present for charities"
+ *                     transportationMode:
+ *                       type: string
+ *                       enum: [car, bicycle, motorcycle, public_transport, walking, other]
+ *                       example: "car"
+ *                       description: "Only present for volunteers"
+ *                     createdAt:
+ *                       type: string
+ *                       format: date-time
+ *                     updatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update current user profile
+ *     description: >
+ *       Only the listed fields can be changed, and role-specific fields only by that role.
+ *       Send null or an empty string to clear an optional field. A changed address is
+ *       geocoded into location unless location is sent too; if the geocoder is unavailable
+ *       the lookup is retried in the background. Role, email, password and verification
+ *       fields cannot be changed here.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+254712345678"
+ *               address:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     example: Point
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     example: [36.8219, -1.2921]
+ *                     description: "[longitude, latitude]"
+ *               availability:
+ *                 type: string
+ *                 description: Volunteers only
+ *               transportationMode:
+ *                 type: string
+ *                 enum: [car, bicycle, motorcycle, public_transport, walking, other]
+ *                 description: Volunteers only
+ *               skills:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Volunteers only
+ *               charityName:
+ *                 type: string
+ *                 description: Charities only
+ *               category:
+ *                 type: string
+ *                 description: Charities only
+ *               description:
+ *                 type: string
+ *                 description: Charities only
+ *               contactFirstName:
+ *                 type: string
+ *                 description: Charities only
+ *               contactLastName:
+ *                 type: string
+ *                 description: Charities only
+ *               contactEmail:
+ *                 type: string
+ *                 format: email
+ *                 description: Charities only
+ *               contactPhone:
+ *                 type: string
+ *                 description: Charities only
+ *     responses:
+ *       200:
+ *         description: Profile updated; same shape as GET /auth/me
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                 geocoding:
+ *                   type: object
+ *                   description: Present when the address changed
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [resolved, queued]
+ *                     formattedAddress:
+ *                       type: string
+ *       400:
+ *         description: Invalid, protected or role-mismatched fields, or an address that cannot be found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ */
+router.route('/me')
+    .get(protectApplicant, validate(schemas.getMe), getMe)
+    .put(protectApplicant, validate(schemas.updateMe), updateMe)
+    .delete(protectApplicant, rateLimit('twoFactor'), validate(schemas.deleteMyAccount), deleteMyAccount);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   delete:
+ *     summary: Delete your account and personal data
+ *     description: |
+ *       Your name, contact details, address, documents, pictures, sessions, notifications and
+ *       availability are removed. Donations and pickups you were part of are kept without your
+ *       details, so the statistics they feed stay correct. Not available to admins.
+ *       With two-factor authentication on, confirm with a code or recovery code as well as the password.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeleteMyAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Account deleted; every session has ended
+ *       400:
+ *         description: Password missing, or no code or recovery code while two-factor authentication is on
+ *       401:
+ *         description: Not authorized, or the password or code is incorrect
+ *       403:
+ *         description: Admin accounts are deleted by another administrator
+ *       409:
+ *         description: Donations or pickups are still in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 blockers:
+ *                   type: array
+ *                   items: { type: string }
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ *
+ * /auth/me/export:
+ *   get:
+ *     summary: Download everything held about you
+ *     description: |
+ *       A JSON file with your profile, sessions, donations, pickups, availability, notifications,
+ *       document details and verification history. Documents themselves are downloaded from their `downloadUrl`.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Personal data export
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 exportedAt: { type: string, format: date-time }
+ *                 profile: { type: object }
+ *                 sessions: { type: array, items: { type: object } }
+ *                 donations: { type: array, items: { type: object } }
+ *                 donationsReceived:
+ *                   type: array
+ *                   items: { type: object }
+ *                   description: Charities only; without the donors' details
+ *                 pickups: { type: array, items: { type: object } }
+ *                 availability: { type: array, items: { type: object } }
+ *                 notifications: { type: array, items: { type: object } }
+ *                 documents: { type: array, items: { type: object } }
+ *                 verificationHistory: { type: array, items: { type: object } }
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/export', protectApplicant, validate(schemas.exportMyData), exportMyData);
+
+/**
+ * @swagger
+ * /auth/me/password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Other sessions are logged out; the current one stays signed in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ChangePasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message: { type: string }
+ *                 revokedSessions: { type: integer }
+ *       400:
+ *         description: Missing fields, password too short or unchanged
+ *       401:
+ *         description: Current password is incorrect, or not authorized
+ *       500:
+ *         description: Server error
+ */
+router.put('/me/password', protectApplicant, validate(schemas.changePassword), changePassword);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TwoFactorSetup:
+ *       type: object
+ *       properties:
+ *         success: { type: boolean }
+ *         message: { type: string }
+ *         data:
+ *           type: object
+ *           properties:
+ *             secret:
+ *               type: string
+ *               description: Base32 secret for entering by hand
+ *             otpauthUrl:
+ *               type: string
+ *               description: otpauth:// URL to show as a QR code
+ *
+ * /auth/me/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled: { type: boolean }
+ *                     required:
+ *                       type: boolean
+ *                       description: The user's role must use two-factor authentication
+ *                     enabledAt: { type: string, format: date-time }
+ *                     recoveryCodesRemaining: { type: integer }
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ *
+ * /auth/me/2fa/setup:
+ *   post:
+ *     summary: Start setting up two-factor authentication
+ *     description: Returns a new secret for an authenticator app. Two-factor authentication is only turned on once a code is confirmed with /auth/me/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret for the authenticator app
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetup'
+ *       400:
+ *         description: Two-factor authentication is already on
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ *
+ * /auth/me/2fa/enable:
+ *   post:
+ *     summary: Turn on two-factor authentication with a code from the authenticator app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EnableMyTwoFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Turned on; the recovery codes are only shown this once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
  *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           _id:
- *                             type: string
- *                           name:
- *                             type: string
- *                           description:
- *                             type: string
- *                       description: "Only present for charities"
- *                     needsStatement:
+ *                       items: { type: string }
+ *       400:
+ *         description: Missing or wrong code, no setup started, or already on
+ *       401:
+ *         description: Not authorized
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ *
+ * /auth/me/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Not possible for roles that must use it. The user is emailed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableMyTwoFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Turned off
+ *       400:
+ *         description: Missing fields, or two-factor authentication is not on
+ *       401:
+ *         description: Wrong password or code, or not authorized
+ *       403:
+ *         description: The user's role must use two-factor authentication
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ *
+ * /auth/me/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegenerateMyRecoveryCodesRequest'
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones stop working
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items: { type: string }
+ *       400:
+ *         description: Missing code, or two-factor authentication is not on
+ *       401:
+ *         description: Wrong code, or not authorized
+ *       429:
+ *         description: Too many requests (code RATE_LIMITED); retry after the number of seconds in the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/2fa', protectApplicant, validate(schemas.getTwoFactorStatus), getTwoFactorStatus);
+router.post('/me/2fa/setup', protectApplicant, validate(schemas.startTwoFactorSetup), startTwoFactorSetup);
+router.post('/me/2fa/enable', protectApplicant, rateLimit('twoFactor'), validate(schemas.enableMyTwoFactor), enableMyTwoFactor);
+router.post('/me/2fa/disable', protectApplicant, rateLimit('twoFactor'), validate(schemas.disableMyTwoFactor), disableMyTwoFactor);
+router.post('/me/2fa/recovery-codes', protectApplicant, rateLimit('twoFactor'), validate(schemas.regenerateMyRecoveryCodes), regenerateMyRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/me/profile-picture:
+ *   put:
+ *     summary: Upload or replace the current user's profile picture
+ *     description: |
+ *       The image is cropped square and stored as WebP in three sizes
+ *       (large 512px, medium 256px, thumb 64px). The previous picture's files are deleted.
+ *       Accepts JPEG, PNG, WebP or GIF up to PROFILE_PICTURE_MAX_BYTES (5 MB by default).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - picture
+ *             properties:
+ *               picture:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Profile picture updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     profilePictureUrl: { type: string }
+ *                     profilePictureSizes:
+ *                       type: object
+ *                       properties:
+ *                         large: { type: string }
+ *                         medium: { type: string }
+ *                         thumb: { type: string }
+ *                     avatarUrl: { type: string }
+ *       400:
+ *         description: No file, unsupported type, too large or not a valid image
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove the current user's profile picture
+ *     description: The user goes back to the generated default avatar.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture removed
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *       404:
+ *         description: The user has no profile picture
+ *       500:
+ *         description: Server error
+ */
+router.route('/me/profile-picture')
+    .put(protectApplicant, profilePictureUpload, validate(schemas.uploadProfilePicture), uploadProfilePicture)
+    .delete(protectApplicant, validate(schemas.deleteProfilePicture), deleteProfilePicture);
+
+/**
+ * @swagger
+ * /auth/users/{id}/avatar:
+ *   get:
+ *     summary: Get a user's avatar
+ *     description: Redirects to the uploaded picture in the requested size, or returns a generated SVG with the user's initials.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *           enum: [large, medium, thumb]
+ *           default: large
+ *     responses:
+ *       200:
+ *         description: Generated default avatar
+ *         content:
+ *           image/svg+xml: {}
+ *       302:
+ *         description: Redirect to the uploaded picture
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:id/avatar', validate(schemas.getAvatar), getAvatar);
+
+/**
+ * @swagger
+ * /auth/me/verification:
+ *   get:
+ *     summary: Get the current volunteer's or charity's verification status
+ *     description: Available before the account is verified. Reviewer notes are not included.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status, the reason given by the reviewer, documents and history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     verificationStatus:
  *                       type: string
- *                       example: "We urgently need non-perishable food items"
- *                       description: "Only present for charities"
- *                     transportationMode:
+ *                       enum: [pending, in_progress, documents_requested, verified, rejected]
+ *                     message: { type: string }
+ *                     reason:
  *                       type: string
- *                       enum: [car, bicycle, motorcycle, public_transport, walking, other]
- *                       example: "car"
- *                       description: "Only present for volunteers"
- *                     createdAt:
+ *                       nullable: true
+ *                     canAddDocuments: { type: boolean }
+ *                     canResubmit: { type: boolean }
+ *                     documentCompliance:
+ *                       $ref: '#/components/schemas/DocumentCompliance'
+ *                     documents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Document'
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/VerificationEvent'
+ *       400:
+ *         description: Only volunteers and charities are verified
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/verification', protectApplicant, validate(schemas.getMyVerification), getMyVerification);
+
+/**
+ * @swagger
+ * /auth/me/verification/documents:
+ *   post:
+ *     summary: Upload additional verification documents
+ *     description: |
+ *       Allowed until the account is verified. Verified volunteers can also upload renewed
+ *       documents, which count once a reviewer accepts them.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AddVerificationDocumentsRequest'
+ *               - type: object
+ *                 required:
+ *                   - documents
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
  *                       type: string
- *                       format: date-time
- *                     updatedAt:
+ *                       format: binary
+ *                     description: PDF, JPEG or PNG, up to 5 files of 10 MB each
+ *     responses:
+ *       201:
+ *         description: Documents added
+ *       400:
+ *         description: No files, an unsupported file, or the application is no longer open
+ *       401:
+ *         description: Not authorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/verification/documents', protectApplicant, createDocumentUpload('documents'), validate(schemas.addVerificationDocuments), addVerificationDocuments);
+
+/**
+ * @swagger
+ * /auth/me/verification/resubmit:
+ *   post:
+ *     summary: Resubmit an application for review
+ *     description: |
+ *       Allowed when documents were requested or the application was rejected; the application
+ *       goes back to `pending`. When documents were requested, new documents must be uploaded first
+ *       or with this request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ResubmitVerificationRequest'
+ *               - type: object
+ *                 properties:
+ *                   documents:
+ *                     type: array
+ *                     items:
  *                       type: string
- *                       format: date-time
+ *                       format: binary
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResubmitVerificationRequest'
+ *     responses:
+ *       200:
+ *         description: Application resubmitted
+ *       400:
+ *         description: The application cannot be resubmitted, or the requested documents are missing
  *       401:
- *         description: Unauthorized - Invalid or missing token
- *       404:
- *         description: User not found
+ *         description: Not authorized
+ *       409:
+ *         description: The application was changed at the same time
  *       500:
  *         description: Server error
  */
-router.get('/me', protect, getMe);
+router.post('/me/verification/resubmit', protectApplicant, createDocumentUpload('documents'), validate(schemas.resubmitVerification), resubmitVerification);
 
 export default router;
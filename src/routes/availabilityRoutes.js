@@ -7,20 +7,22 @@ import {
   findAvailableVolunteers,
   checkAvailability
 } from '../controllers/availabilityController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/availabilitySchemas.js';
 
 const router = express.Router();
 
 // Volunteer routes (protected)
 router.route('/')
-  .post(protect, setAvailability)
-  .delete(protect, deleteAvailability);
+  .post(protect, validate(schemas.setAvailability), setAvailability)
+  .delete(protect, validate(schemas.deleteAvailability), deleteAvailability);
 
-router.get('/my', protect, getMyAvailability);
-router.post('/unavailable', protect, addTemporaryUnavailability);
-router.post('/check', protect, checkAvailability);
+router.get('/my', protect, validate(schemas.getMyAvailability), getMyAvailability);
+router.post('/unavailable', protect, validate(schemas.addTemporaryUnavailability), addTemporaryUnavailability);
+router.post('/check', protect, validate(schemas.checkAvailability), checkAvailability);
 
 // Admin/System routes
-router.post('/find-volunteers', protect, admin, findAvailableVolunteers);
+router.post('/find-volunteers', protect, requirePermission('donations:override'), validate(schemas.findAvailableVolunteers), findAvailableVolunteers);
 
 export default router;
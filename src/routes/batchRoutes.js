@@ -0,0 +1,29 @@
+import express from 'express';
+import {
+    generateBatches,
+    getBatches,
+    getBatchById,
+    dissolveBatch,
+    claimBatch,
+    releaseBatch,
+    updateBatchStatus
+} from '../controllers/batchController.js';
+import { protect, requirePermission, volunteer, pickupEligible } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/batchSchemas.js';
+
+const router = express.Router();
+
+router.post('/generate', protect, requirePermission('donations:override'), validate(schemas.generateBatches), generateBatches);
+
+router.get('/', protect, validate(schemas.getBatches), getBatches);
+
+router.route('/:id')
+    .get(protect, validate(schemas.getBatchById), getBatchById)
+    .delete(protect, requirePermission('donations:override'), validate(schemas.dissolveBatch), dissolveBatch);
+
+router.post('/:id/claim', protect, volunteer, pickupEligible, validate(schemas.claimBatch), claimBatch);
+router.post('/:id/release', protect, validate(schemas.releaseBatch), releaseBatch);
+router.patch('/:id/status', protect, validate(schemas.updateBatchStatus), updateBatchStatus);
+
+export default router;
@@ -5,16 +5,18 @@ import {
     updateCategory,
     deleteCategory
 } from '../controllers/categoryController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, requirePermission } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/categorySchemas.js';
 
 const router = express.Router();
 
 router.route('/')
-    .post(protect, admin, createCategory)
-    .get(getCategories);
+    .post(protect, requirePermission('categories:write'), validate(schemas.createCategory), createCategory)
+    .get(validate(schemas.getCategories), getCategories);
 
 router.route('/:id')
-    .put(protect, admin, updateCategory)
-    .delete(protect, admin, deleteCategory);
+    .put(protect, requirePermission('categories:write'), validate(schemas.updateCategory), updateCategory)
+    .delete(protect, requirePermission('categories:write'), validate(schemas.deleteCategory), deleteCategory);
 
 export default router;
@@ -1,12 +1,14 @@
 import express from 'express';
 import { updateCharityNeeds, getCharityNeeds, deleteCharityNeeds } from '../controllers/charityController.js';
 import { protect, charity } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/charitySchemas.js';
 
 const router = express.Router();
 
 router.route('/needs')
-    .get(protect, charity, getCharityNeeds)
-    .put(protect, charity, updateCharityNeeds)
-    .delete(protect, charity, deleteCharityNeeds);
+    .get(protect, charity, validate(schemas.getCharityNeeds), getCharityNeeds)
+    .put(protect, charity, validate(schemas.updateCharityNeeds), updateCharityNeeds)
+    .delete(protect, charity, validate(schemas.deleteCharityNeeds), deleteCharityNeeds);
 
 export default router;
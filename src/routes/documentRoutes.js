@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+    getMyDocuments,
+    getDocument,
+    getSignedDocumentUrl,
+    getDocumentBySignedUrl,
+    updateDocument
+} from '../controllers/documentController.js';
+import { protect, protectApplicant, requirePermission } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/documentSchemas.js';
+
+const router = express.Router();
+
+// Signed links carry their own authorization
+router.get('/:id/signed', validate(schemas.getDocumentBySignedUrl), getDocumentBySignedUrl);
+
+router.get('/', protectApplicant, validate(schemas.getMyDocuments), getMyDocuments);
+router.get('/:id/signed-url', protect, requirePermission('users:verify'), validate(schemas.getSignedDocumentUrl), getSignedDocumentUrl);
+router.get('/:id', protectApplicant, validate(schemas.getDocument), getDocument);
+router.patch('/:id', protect, requirePermission('users:verify'), validate(schemas.updateDocument), updateDocument);
+
+export default router;
@@ -9,9 +9,18 @@ import {
   getMyDonations,
   getCharityDonations,
   confirmDonationDelivery,
-  getCharityDashboardStats
+  getCharityDashboardStats,
+  getPickupMatches,
+  autoAssignPickup,
+  getPickupStatusHistory,
+  claimPickupRequest,
+  releasePickupRequest,
+  getVolunteerRoute
 } from '../controllers/donationController.js';
-import { protect, admin, volunteer, charity } from '../middleware/authMiddleware.js';
+import { protect, requirePermission, volunteer, pickupEligible, verifiedEmail, charity } from '../middleware/authMiddleware.js';
+import { rateLimit } from '../middleware/rateLimitMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/donationSchemas.js';
 
 const router = express.Router();
 
@@ -106,21 +115,29 @@ const router = express.Router();
  */
 
 // Public & Donor Routes
-router.post('/', protect, submitDonation);
-router.get('/pickup-requests', getPickupRequests);
-router.patch('/pickup-requests/:id/status', protect, updatePickupStatus);
-router.get('/search-addresses', searchAddresses);
-router.get("/my-donations", protect, getMyDonations);
+router.post('/', protect, verifiedEmail, validate(schemas.submitDonation), submitDonation);
+router.get('/pickup-requests', validate(schemas.getPickupRequests), getPickupRequests);
+router.patch('/pickup-requests/:id/status', protect, validate(schemas.updatePickupStatus), updatePickupStatus);
+router.get('/pickup-requests/:id/history', protect, validate(schemas.getPickupStatusHistory), getPickupStatusHistory);
+router.get('/search-addresses', rateLimit('addressSearch'), validate(schemas.searchAddresses), searchAddresses);
+router.get("/my-donations", protect, validate(schemas.getMyDonations), getMyDonations);
 
 // Volunteer Routes
-router.route('/my-pickups').get(protect, volunteer, getVolunteerPickups);
+router.route('/my-pickups').get(protect, volunteer, validate(schemas.getVolunteerPickups), getVolunteerPickups);
+router.get('/my-pickups/route', protect, volunteer, validate(schemas.getVolunteerRoute), getVolunteerRoute);
+router.post('/pickup-requests/:id/claim', protect, volunteer, pickupEligible, validate(schemas.claimPickupRequest), claimPickupRequest);
+router.post('/pickup-requests/:id/release', protect, validate(schemas.releasePickupRequest), releasePickupRequest);
+
+// Admin Routes
+router.get('/pickup-requests/:id/matches', protect, requirePermission('donations:override'), validate(schemas.getPickupMatches), getPickupMatches);
+router.post('/pickup-requests/:id/auto-assign', protect, requirePermission('donations:override'), validate(schemas.autoAssignPickup), autoAssignPickup);
 
 // Charity Routes
-router.route('/charity').get(protect, charity, getCharityDonations);
-router.route('/charity/dashboard-stats').get(protect, charity, getCharityDashboardStats);
-router.route('/:id/confirm').post(protect, charity, confirmDonationDelivery);
+router.route('/charity').get(protect, charity, validate(schemas.getCharityDonations), getCharityDonations);
+router.route('/charity/dashboard-stats').get(protect, charity, validate(schemas.getCharityDashboardStats), getCharityDashboardStats);
+router.route('/:id/confirm').post(protect, charity, validate(schemas.confirmDonationDelivery), confirmDonationDelivery);
 
 // This must be after other specific GET routes
-router.get('/:id', protect, getDonationById);
+router.get('/:id', protect, validate(schemas.getDonationById), getDonationById);
 
 export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+    addPushSubscription,
+    removePushSubscription,
+    getNotificationDeliveries
+} from '../controllers/notificationController.js';
+import { protectApplicant, requirePermission } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import * as schemas from '../schemas/notificationSchemas.js';
+
+const router = express.Router();
+
+// Applicants are told about their verification through notifications, so they can read them before they are verified
+router.use(protectApplicant);
+
+router.get('/', validate(schemas.getNotifications), getNotifications);
+router.get('/unread-count', validate(schemas.getUnreadCount), getUnreadCount);
+router.patch('/read-all', validate(schemas.markAllNotificationsRead), markAllNotificationsRead);
+
+router.route('/preferences')
+    .get(validate(schemas.getNotificationPreferences), getNotificationPreferences)
+    .put(validate(schemas.updateNotificationPreferences), updateNotificationPreferences);
+
+router.route('/push-subscriptions')
+    .post(validate(schemas.addPushSubscription), addPushSubscription)
+    .delete(validate(schemas.removePushSubscription), removePushSubscription);
+
+router.get('/deliveries', requirePermission('notifications:read'), validate(schemas.getNotificationDeliveries), getNotificationDeliveries);
+
+router.patch('/:id/read', validate(schemas.markNotificationRead), markNotificationRead);
+
+export default router;
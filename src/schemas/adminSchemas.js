@@ -0,0 +1,283 @@
+import Job from '../models/Job.js';
+import AdminInvitation from '../models/AdminInvitation.js';
+import { PERMISSION_KEYS } from '../config/permissions.js';
+import { REPORT_TYPES } from '../controllers/adminController.js';
+import { EMAIL_LOCALES } from '../utils/emailRenderer.js';
+import { VERIFICATION_STATUSES } from '../utils/verificationWorkflow.js';
+import { objectId, idParams, email, period, text, pagination } from './common.js';
+
+const dateRange = {
+  startDate: { type: 'string', format: 'date', description: 'Start date for a custom date range' },
+  endDate: { type: 'string', format: 'date', description: 'End date for a custom date range' }
+};
+
+const timeframeQuery = { query: { properties: { timeframe: period } } };
+
+// Dashboards
+
+export const getDashboardOverview = {};
+
+export const getSupplyDemandAnalysis = timeframeQuery;
+
+export const getOperationalMetrics = {};
+
+export const getUserAnalytics = timeframeQuery;
+
+export const getDonationTrends = {
+  query: {
+    properties: {
+      timeframe: period,
+      aggregation: { type: 'string', enum: ['daily', 'monthly', 'yearly'], default: 'daily' }
+    }
+  }
+};
+
+// Reports
+
+export const getDonationOverviewReport = { query: { properties: { ...dateRange, period } } };
+
+export const getUserActivityReport = { query: { properties: { period } } };
+
+export const getCharityPerformanceReport = {};
+
+export const getVolunteerEfficiencyReport = {};
+
+export const exportReport = {
+  params: {
+    properties: { reportType: { type: 'string', enum: REPORT_TYPES } },
+    required: ['reportType']
+  },
+  query: {
+    properties: {
+      format: { type: 'string', enum: ['csv', 'json'], default: 'csv' },
+      period,
+      ...dateRange,
+      async: { type: 'boolean', default: false }
+    }
+  }
+};
+
+export const downloadReportExport = {
+  params: {
+    properties: { jobId: objectId('Job ID returned by the export endpoint with async=true') },
+    required: ['jobId']
+  }
+};
+
+// Email templates
+
+const templateParams = {
+  properties: {
+    key: text(100, { minLength: 1, example: 'donation_thank_you' }),
+    locale: { type: 'string', enum: EMAIL_LOCALES }
+  },
+  required: ['key', 'locale']
+};
+
+const templateFields = {
+  subject: text(300),
+  html: { type: 'string', trim: true, minLength: 1, maxLength: 100000 },
+  text: { type: 'string', maxLength: 100000 },
+  layout: { type: 'string', trim: true, maxLength: 100, nullable: true, example: 'layout.default' }
+};
+
+export const listEmailTemplates = {};
+
+export const getEmailTemplate = { params: templateParams };
+
+export const updateEmailTemplate = {
+  params: templateParams,
+  body: {
+    properties: {
+      subject: { ...templateFields.subject, default: '', description: 'Required for everything but layouts' },
+      html: templateFields.html,
+      text: { ...templateFields.text, default: '' },
+      layout: { ...templateFields.layout, default: null }
+    },
+    required: ['html']
+  }
+};
+
+export const resetEmailTemplate = { params: templateParams };
+
+export const previewEmailTemplate = {
+  params: templateParams,
+  body: {
+    properties: {
+      variables: { type: 'object', additionalProperties: true, description: 'Replace the sample variables' },
+      ...templateFields
+    }
+  }
+};
+
+// Admin invitations
+
+const roleKeys = { type: 'array', items: text(40, { minLength: 1 }), maxItems: 20 };
+
+export const createInvitation = {
+  body: {
+    properties: {
+      email,
+      name: text(100),
+      permissionsLevel: {
+        type: 'integer',
+        minimum: 1,
+        default: 1,
+        description: "Cannot exceed the inviting admin's level"
+      },
+      roles: {
+        ...roleKeys,
+        default: [],
+        description: 'Admin role keys; the inviting admin must hold every permission they grant'
+      },
+      language: { type: 'string', enum: EMAIL_LOCALES, description: 'Language of the invitation email' }
+    },
+    required: ['email']
+  }
+};
+
+export const getInvitations = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: AdminInvitation.schema.path('status').enumValues }
+    }
+  }
+};
+
+export const revokeInvitation = { params: idParams };
+
+export const resendInvitation = {
+  params: idParams,
+  body: {
+    properties: {
+      language: { type: 'string', enum: EMAIL_LOCALES }
+    }
+  }
+};
+
+// Background jobs
+
+export const getJobs = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: Job.schema.path('status').enumValues },
+      name: text(100, { example: 'report.export' }),
+      ...pagination(50, 200)
+    }
+  }
+};
+
+export const getJobStats = {};
+
+export const getJobById = { params: idParams };
+
+export const deleteJob = { params: idParams };
+
+export const retryDeadJob = { params: idParams };
+
+export const cancelQueuedJob = { params: idParams };
+
+// Permissions and admin roles
+
+const permissions = { type: 'array', items: { type: 'string', enum: PERMISSION_KEYS } };
+
+const roleParams = {
+  properties: { key: text(40, { minLength: 1 }) },
+  required: ['key']
+};
+
+export const getPermissions = {};
+
+export const getRoles = {};
+
+export const createRole = {
+  body: {
+    properties: {
+      key: {
+        type: 'string',
+        trim: true,
+        lowercase: true,
+        pattern: '^[a-z][a-z0-9_]{1,39}$',
+        example: 'volunteer_coordinator',
+        description: 'Lowercase letters, digits and underscores'
+      },
+      name: text(80, { minLength: 1 }),
+      description: text(300),
+      permissions: { ...permissions, minItems: 1 }
+    },
+    required: ['key', 'name', 'permissions']
+  }
+};
+
+export const updateRole = {
+  params: roleParams,
+  body: {
+    properties: {
+      name: text(80, { minLength: 1 }),
+      description: text(300),
+      permissions: { ...permissions, minItems: 1 }
+    }
+  }
+};
+
+export const deleteRole = { params: roleParams };
+
+export const getAdmins = {};
+
+export const updateAdminRoles = {
+  params: idParams,
+  body: {
+    properties: {
+      roles: { ...roleKeys, description: "An empty list gives the admin the default 'admin' role" },
+      permissionsLevel: { type: 'integer', minimum: 1 }
+    }
+  }
+};
+
+// User directory and account management
+
+const SORT_FIELDS = ['createdAt', 'name', 'email', 'lastLogin', 'role'];
+
+const directoryFilters = {
+  q: text(200, { description: 'Full-text search on name, email and charity name (whole words)' }),
+  role: { type: 'string', enum: ['donor', 'volunteer', 'charity', 'admin'] },
+  status: {
+    type: 'string',
+    enum: VERIFICATION_STATUSES,
+    description: 'Verification status; donors and admins count as verified'
+  },
+  isActive: { type: 'boolean', description: 'false lists suspended and deactivated accounts' },
+  registeredFrom: { type: 'string', format: 'date' },
+  registeredTo: { type: 'string', format: 'date' },
+  includeDeleted: { type: 'boolean', default: false, description: 'Include the anonymous records of deleted accounts' },
+  sort: {
+    type: 'string',
+    enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]),
+    description: 'Defaults to relevance when searching, otherwise -createdAt'
+  }
+};
+
+export const getUserDirectory = { query: { properties: { ...directoryFilters, ...pagination(20, 100) } } };
+
+export const exportUserDirectory = { query: { properties: directoryFilters } };
+
+export const suspendUser = {
+  params: idParams,
+  body: {
+    properties: {
+      reason: text(1000, { minLength: 1, description: 'Sent to the user' }),
+      expiresAt: {
+        type: 'string',
+        format: 'date-time',
+        description: 'When the suspension ends by itself; omit to suspend until it is lifted'
+      }
+    },
+    required: ['reason']
+  }
+};
+
+export const reactivateUser = { params: idParams };
+
+export const deleteUser = { params: idParams };
+
+export const resetUserTwoFactor = { params: idParams };
@@ -0,0 +1,362 @@
+import { VERIFICATION_DOCUMENT_TYPES } from '../config/documentTypes.js';
+import { REVIEW_ACTIONS, VERIFICATION_STATUSES } from '../utils/verificationWorkflow.js';
+import { PROFILE_PICTURE_SIZES } from '../utils/profilePictures.js';
+import { EMAIL_LOCALES } from '../utils/emailRenderer.js';
+import {
+  idParams,
+  email,
+  password,
+  token,
+  totpCode,
+  recoveryCode,
+  phoneNumber,
+  geoPoint,
+  text,
+  pagination
+} from './common.js';
+
+const ROLES = ['donor', 'volunteer', 'charity', 'admin'];
+const TRANSPORTATION_MODES = ['car', 'bicycle', 'motorcycle', 'public_transport', 'walking', 'other'];
+
+// Passwords are only length-checked when they are set, so older ones still log in
+const currentPassword = { type: 'string', minLength: 1, maxLength: 1024 };
+
+const challengeToken = { ...token, description: 'Challenge token from /auth/login' };
+
+const refreshToken = { ...token, description: 'Refresh token of the session' };
+
+// Registration
+
+const accountFields = {
+  name: text(100, { minLength: 1, example: 'Jane Doe' }),
+  email,
+  password: { ...password, example: 'password123' },
+  phoneNumber,
+  address: text(300),
+  location: geoPoint,
+  preferredLanguage: { type: 'string', enum: EMAIL_LOCALES, description: 'Language for emails' }
+};
+
+const volunteerFields = {
+  availability: text(200),
+  transportationMode: { type: 'string', enum: TRANSPORTATION_MODES },
+  skills: { type: 'array', items: text(50), maxItems: 30 }
+};
+
+const charityFields = {
+  charityName: text(150, { minLength: 1, example: 'Charity Org' }),
+  category: text(100),
+  description: text(2000),
+  registrationNumber: text(100),
+  contactFirstName: text(100),
+  contactLastName: text(100),
+  contactEmail: { ...email, example: 'contact@example.org' },
+  contactPhone: phoneNumber
+};
+
+// Sent with uploaded files, one entry per file in the same order
+const documentDetails = {
+  documentTypes: {
+    type: 'array',
+    items: { type: 'string', enum: Object.keys(VERIFICATION_DOCUMENT_TYPES) },
+    maxItems: 5,
+    description: 'Type of each file, in the same order as the files (defaults to `other`)'
+  },
+  expiresAt: {
+    type: 'array',
+    items: { type: 'string', format: 'date' },
+    maxItems: 5,
+    description: 'Expiry date of each file, in the same order; required for driving licences and certificates of good conduct'
+  }
+};
+
+// POST /auth/register; admin accounts are refused, they come from invitations
+export const registerUser = {
+  body: {
+    properties: {
+      ...accountFields,
+      role: { type: 'string', trim: true, lowercase: true, enum: ROLES, example: 'donor' },
+      ...volunteerFields,
+      ...charityFields
+    },
+    required: ['name', 'email', 'password', 'role']
+  }
+};
+
+// POST /auth/register/volunteer, multipart with the documents
+export const registerVolunteer = {
+  body: {
+    properties: {
+      ...accountFields,
+      role: { type: 'string', enum: ['volunteer'], default: 'volunteer' },
+      ...volunteerFields,
+      ...documentDetails
+    },
+    required: ['name', 'email', 'password']
+  }
+};
+
+// POST /auth/register/charity, multipart with the documents
+export const registerCharity = {
+  body: {
+    properties: {
+      ...accountFields,
+      role: { type: 'string', enum: ['charity'], default: 'charity' },
+      ...charityFields,
+      ...documentDetails
+    },
+    required: ['name', 'email', 'password', 'charityName']
+  }
+};
+
+// Login and sessions
+
+export const loginUser = {
+  body: {
+    properties: {
+      email,
+      password: { ...currentPassword, example: 'password123' }
+    },
+    required: ['email', 'password']
+  }
+};
+
+export const loginTwoFactor = {
+  body: {
+    properties: {
+      challengeToken,
+      code: totpCode,
+      recoveryCode
+    },
+    required: ['challengeToken']
+  }
+};
+
+export const setupTwoFactorAtLogin = {
+  body: {
+    properties: { challengeToken },
+    required: ['challengeToken']
+  }
+};
+
+export const refreshAccessToken = {
+  body: {
+    properties: { refreshToken },
+    required: ['refreshToken']
+  }
+};
+
+export const logoutUser = {
+  body: {
+    properties: { refreshToken },
+    required: ['refreshToken']
+  }
+};
+
+export const logoutAllSessions = {
+  body: {
+    properties: {
+      keepCurrent: { type: 'boolean', default: false, description: 'Stay logged in on this device' }
+    }
+  }
+};
+
+export const getSessions = {};
+
+export const deleteSession = { params: idParams };
+
+// Email links
+
+export const forgotPassword = {
+  body: {
+    properties: { email },
+    required: ['email']
+  }
+};
+
+export const resetPassword = {
+  body: {
+    properties: { token, password },
+    required: ['token', 'password']
+  }
+};
+
+export const verifyEmail = {
+  body: {
+    properties: { token },
+    required: ['token']
+  }
+};
+
+export const resendVerificationEmail = {
+  body: {
+    properties: { email },
+    required: ['email']
+  }
+};
+
+export const unlockAccount = {
+  body: {
+    properties: { token },
+    required: ['token']
+  }
+};
+
+export const getInvitationByToken = {
+  params: {
+    properties: { token },
+    required: ['token']
+  }
+};
+
+export const acceptInvitation = {
+  body: {
+    properties: {
+      token,
+      name: text(100, { description: 'Required when the invitation has no name' }),
+      password
+    },
+    required: ['token', 'password']
+  }
+};
+
+// Reviewing applications
+
+export const getUsers = {
+  query: {
+    properties: {
+      role: { type: 'string', lowercase: true, enum: ROLES },
+      status: { type: 'string', lowercase: true, enum: VERIFICATION_STATUSES }
+    }
+  }
+};
+
+export const getUsersPendingVerification = {
+  query: {
+    properties: {
+      role: { type: 'string', lowercase: true, enum: ['volunteer', 'charity'] }
+    }
+  }
+};
+
+export const verifyUser = {
+  params: idParams,
+  body: {
+    properties: {
+      action: { type: 'string', enum: REVIEW_ACTIONS, example: 'request_documents' },
+      reason: text(2000, {
+        description: 'Shown to the applicant',
+        example: 'Please upload your current registration certificate.'
+      }),
+      note: text(2000, {
+        description: 'Only visible to admins',
+        example: 'Certificate on file expired in March.'
+      })
+    },
+    required: ['action']
+  }
+};
+
+export const getVerificationHistory = { params: idParams };
+
+export const getExpiringVerifications = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: ['expiring', 'lapsed', 'renewal_submitted'] },
+      days: { type: 'integer', minimum: 1, maximum: 365, description: "Only 'expiring' documents that expire within this many days" },
+      ...pagination(20, 100)
+    }
+  }
+};
+
+export const getCharities = {};
+
+// The current user
+
+export const getMe = {};
+
+// The fields depend on the role, so validateProfileUpdate checks them and explains what is refused
+export const updateMe = {
+  body: { additionalProperties: true }
+};
+
+export const deleteMyAccount = {
+  body: {
+    properties: {
+      password: currentPassword,
+      // Required when two-factor authentication is on
+      code: totpCode,
+      recoveryCode
+    },
+    required: ['password']
+  }
+};
+
+export const exportMyData = {};
+
+export const changePassword = {
+  body: {
+    properties: {
+      currentPassword,
+      newPassword: password
+    },
+    required: ['currentPassword', 'newPassword']
+  }
+};
+
+export const getTwoFactorStatus = {};
+
+export const startTwoFactorSetup = {};
+
+export const enableMyTwoFactor = {
+  body: {
+    properties: { code: totpCode },
+    required: ['code']
+  }
+};
+
+export const disableMyTwoFactor = {
+  body: {
+    properties: {
+      password: currentPassword,
+      code: totpCode,
+      recoveryCode
+    },
+    required: ['password']
+  }
+};
+
+export const regenerateMyRecoveryCodes = {
+  body: {
+    properties: { code: totpCode },
+    required: ['code']
+  }
+};
+
+export const uploadProfilePicture = {};
+
+export const deleteProfilePicture = {};
+
+export const getAvatar = {
+  params: idParams,
+  query: {
+    properties: {
+      size: { type: 'string', enum: Object.keys(PROFILE_PICTURE_SIZES), default: 'large' }
+    }
+  }
+};
+
+export const getMyVerification = {};
+
+export const addVerificationDocuments = {
+  body: { properties: documentDetails }
+};
+
+export const resubmitVerification = {
+  body: {
+    properties: {
+      message: text(2000, { description: 'Note for the reviewers' }),
+      ...documentDetails
+    }
+  }
+};
@@ -0,0 +1,107 @@
+import Availability from '../models/Availability.js';
+import { timeOfDay, text } from './common.js';
+
+const dayOfWeek = { type: 'integer', minimum: 0, maximum: 6, description: 'Day of week (0=Sunday, 1=Monday, ..., 6=Saturday)' };
+
+const timeSlots = {
+  type: 'array',
+  maxItems: 24,
+  items: {
+    type: 'object',
+    properties: {
+      startTime: timeOfDay,
+      endTime: { ...timeOfDay, example: '17:00' }
+    },
+    required: ['startTime', 'endTime']
+  }
+};
+
+export const setAvailability = {
+  body: {
+    properties: {
+      type: { type: 'string', enum: Availability.schema.path('type').enumValues, example: 'recurring_weekly' },
+      recurringSchedule: {
+        type: 'array',
+        maxItems: 7,
+        description: "Required when type is 'recurring_weekly'",
+        items: {
+          type: 'object',
+          properties: { dayOfWeek, timeSlots },
+          required: ['dayOfWeek', 'timeSlots']
+        }
+      },
+      specificDates: {
+        type: 'array',
+        maxItems: 366,
+        description: "Required when type is 'specific_dates'",
+        items: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date', example: '2024-12-25' },
+            timeSlots
+          },
+          required: ['date', 'timeSlots']
+        }
+      },
+      dateRange: {
+        type: 'object',
+        description: "Required when type is 'date_range'",
+        properties: {
+          startDate: { type: 'string', format: 'date', example: '2024-11-01' },
+          endDate: { type: 'string', format: 'date', example: '2024-11-30' },
+          daysOfWeek: { type: 'array', items: dayOfWeek, maxItems: 7, example: [1, 2, 3, 4, 5] },
+          timeSlots
+        },
+        required: ['startDate', 'endDate', 'daysOfWeek', 'timeSlots']
+      },
+      generalTimeSlots: { ...timeSlots, description: "Optional for 'always_available' type" },
+      preferences: {
+        type: 'object',
+        properties: {
+          maxPickupsPerDay: { type: 'integer', minimum: 1, maximum: 50, example: 3 },
+          transportationMode: { type: 'string', enum: Availability.schema.path('preferences.transportationMode').enumValues, example: 'car' }
+        }
+      },
+      notes: text(500, { example: 'Available for pickups in Nairobi area' })
+    },
+    required: ['type']
+  }
+};
+
+export const deleteAvailability = {};
+
+export const getMyAvailability = {};
+
+export const addTemporaryUnavailability = {
+  body: {
+    properties: {
+      startDate: { type: 'string', format: 'date', example: '2024-11-15', description: 'Start date of unavailability' },
+      endDate: { type: 'string', format: 'date', example: '2024-11-20', description: 'End date of unavailability' },
+      reason: text(500, { example: 'Out of town for vacation', description: 'Optional reason for unavailability' })
+    },
+    required: ['startDate', 'endDate']
+  }
+};
+
+export const checkAvailability = {
+  body: {
+    properties: {
+      dateTime: { type: 'string', format: 'date-time', example: '2024-11-25T14:30:00Z', description: 'Date and time to check availability for' }
+    },
+    required: ['dateTime']
+  }
+};
+
+export const findAvailableVolunteers = {
+  body: {
+    properties: {
+      pickupDateTime: {
+        type: 'string',
+        format: 'date-time',
+        example: '2024-11-25T14:30:00Z',
+        description: 'Requested pickup date and time to find available volunteers for'
+      }
+    },
+    required: ['pickupDateTime']
+  }
+};
@@ -0,0 +1,53 @@
+import BatchPickup from '../models/BatchPickup.js';
+import { objectId, idParams, text } from './common.js';
+
+const BATCH_STATUSES = BatchPickup.schema.path('status').enumValues;
+
+export const generateBatches = {
+  body: {
+    properties: {
+      radiusKm: { type: 'number', minimum: 0.1, maximum: 50, default: 2 },
+      windowHours: { type: 'number', minimum: 1, maximum: 168, default: 24 },
+      minSize: { type: 'integer', minimum: 2, maximum: 50, default: 2 },
+      maxSize: { type: 'integer', minimum: 2, maximum: 50, default: 8 },
+      charity: objectId('Only batch requests for this charity'),
+      dryRun: { type: 'boolean', default: false, description: 'Return the proposed batches without creating them' }
+    }
+  }
+};
+
+export const getBatches = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: BATCH_STATUSES, description: 'Filter by batch status' }
+    }
+  }
+};
+
+export const getBatchById = { params: idParams };
+
+export const dissolveBatch = { params: idParams };
+
+export const claimBatch = { params: idParams };
+
+export const releaseBatch = {
+  params: idParams,
+  body: {
+    properties: {
+      reason: text(1000, { minLength: 1 })
+    },
+    required: ['reason']
+  }
+};
+
+export const updateBatchStatus = {
+  params: idParams,
+  body: {
+    properties: {
+      // accepted and available go through the claim and release endpoints
+      status: { type: 'string', enum: BATCH_STATUSES },
+      notes: text(1000)
+    },
+    required: ['status']
+  }
+};
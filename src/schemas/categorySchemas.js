@@ -0,0 +1,25 @@
+import { idParams, text } from './common.js';
+
+export const createCategory = {
+  body: {
+    properties: {
+      name: text(100, { minLength: 1, example: 'Clothing' }),
+      description: text(500)
+    },
+    required: ['name']
+  }
+};
+
+export const getCategories = {};
+
+export const updateCategory = {
+  params: idParams,
+  body: {
+    properties: {
+      name: text(100, { minLength: 1 }),
+      description: text(500)
+    }
+  }
+};
+
+export const deleteCategory = { params: idParams };
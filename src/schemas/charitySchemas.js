@@ -0,0 +1,23 @@
+import { objectId, text } from './common.js';
+
+export const getCharityNeeds = {};
+
+export const updateCharityNeeds = {
+  body: {
+    properties: {
+      neededCategories: {
+        type: 'array',
+        items: objectId('The MongoDB ObjectId of a category.'),
+        maxItems: 100,
+        example: ['60d5f3f5e7b3c2a4e8f3b0e1', '60d5f3f5e7b3c2a4e8f3b0e2'],
+        description: 'An array of Category ObjectIds that the charity needs.'
+      },
+      needsStatement: text(1000, {
+        example: 'We are currently in urgent need of winter clothing and non-perishable food items for the upcoming cold season.',
+        description: "A descriptive statement about the charity's current needs."
+      })
+    }
+  }
+};
+
+export const deleteCharityNeeds = {};
@@ -0,0 +1,64 @@
+// Building blocks shared by the request schemas; see utils/validation.js for the keywords
+
+export const objectId = (description) => ({ type: 'string', format: 'objectId', ...(description && { description }) });
+
+// For routes addressed by a MongoDB id, e.g. /donations/:id
+export const idParams = {
+  properties: { id: objectId() },
+  required: ['id']
+};
+
+export const email = { type: 'string', format: 'email', trim: true, lowercase: true, maxLength: 254, example: 'jane@example.com' };
+
+export const password = { type: 'string', minLength: 6, maxLength: 128 };
+
+// Tokens from email links and challenge tokens
+export const token = { type: 'string', minLength: 1, maxLength: 2048, trim: true };
+
+// Six digits from an authenticator app; spaces are allowed, as apps show the code in two groups
+export const totpCode = { type: 'string', pattern: '^\\s*\\d{3}\\s*\\d{3}\\s*$', example: '123456' };
+
+export const recoveryCode = { type: 'string', maxLength: 32, trim: true, example: 'a1b2c-3d4e5' };
+
+export const timeOfDay = { type: 'string', pattern: '^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$', example: '09:00' };
+
+export const phoneNumber = { type: 'string', trim: true, maxLength: 20, pattern: '^\\+?[\\d\\s()-]{7,20}$' };
+
+export const latitude = { type: 'number', minimum: -90, maximum: 90 };
+
+export const longitude = { type: 'number', minimum: -180, maximum: 180 };
+
+// [longitude, latitude], the GeoJSON order
+export const coordinates = {
+  type: 'array',
+  items: { type: 'number' },
+  minItems: 2,
+  maxItems: 2,
+  description: '[longitude, latitude]',
+  example: [36.8219, -1.2921]
+};
+
+export const geoPoint = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['Point'], default: 'Point' },
+    coordinates
+  },
+  required: ['coordinates']
+};
+
+export const text = (maxLength, extra = {}) => ({ type: 'string', trim: true, maxLength, ...extra });
+
+// Timeframes accepted by the dashboards and reports
+export const period = { type: 'string', enum: ['7d', '30d', '90d', '1y', 'all'], default: '30d' };
+
+/**
+ * Page and limit query parameters
+ * @param {number} defaultLimit
+ * @param {number} maxLimit
+ * @returns {Object} - Properties for a query schema
+ */
+export const pagination = (defaultLimit = 20, maxLimit = 100) => ({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit }
+});
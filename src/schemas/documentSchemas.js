@@ -0,0 +1,31 @@
+import { VERIFICATION_DOCUMENT_TYPES } from '../config/documentTypes.js';
+import { idParams } from './common.js';
+
+export const getMyDocuments = {};
+
+export const getDocument = { params: idParams };
+
+export const getSignedDocumentUrl = { params: idParams };
+
+// The signature itself is checked by the controller, which answers 403 for a bad or expired link
+export const getDocumentBySignedUrl = {
+  params: idParams,
+  query: {
+    properties: {
+      expires: { type: 'integer', minimum: 0, description: 'Unix time the link expires at' },
+      signature: { type: 'string', maxLength: 128 }
+    },
+    required: ['expires', 'signature']
+  }
+};
+
+export const updateDocument = {
+  params: idParams,
+  body: {
+    properties: {
+      documentType: { type: 'string', enum: Object.keys(VERIFICATION_DOCUMENT_TYPES) },
+      expiresAt: { type: 'string', format: 'date', nullable: true, description: 'null removes the expiry date' },
+      accept: { type: 'boolean', description: 'Mark the document as checked and accepted' }
+    }
+  }
+};
@@ -0,0 +1,211 @@
+import Donation from '../models/Donation.js';
+import { PICKUP_STATUSES } from '../utils/pickupStatus.js';
+import {
+  objectId,
+  idParams,
+  coordinates,
+  latitude,
+  longitude,
+  phoneNumber,
+  timeOfDay,
+  text,
+  pagination
+} from './common.js';
+
+const enumOf = (path) => Donation.schema.path(path).enumValues;
+
+const TRANSPORTATION_MODES = ['car', 'bicycle', 'motorcycle', 'public_transport', 'walking', 'other'];
+
+// Where the actor was when a pickup status changed
+const statusLocation = {
+  type: 'object',
+  description: 'Where the actor was when the status changed',
+  properties: { lat: latitude, lng: longitude },
+  required: ['lat', 'lng']
+};
+
+const donationItem = {
+  type: 'object',
+  properties: {
+    category: text(100, { minLength: 1, description: 'Category ID or name' }),
+    description: text(500, { minLength: 1 }),
+    quantity: text(100, { minLength: 1 }),
+    condition: { type: 'string', enum: enumOf('donationItems.condition') }
+  },
+  required: ['category', 'description', 'quantity', 'condition']
+};
+
+// Status, thank-you note and confirmation are set by the pickup and confirmation flows, never on submission
+export const submitDonation = {
+  body: {
+    properties: {
+      charityId: objectId('Charity the donation goes to'),
+      pickupAddress: text(500, { minLength: 1 }),
+      pickupCoordinates: coordinates,
+      donorPhone: { ...phoneNumber, description: 'Used when the donor has no phone number on their profile' },
+      organizationName: text(255),
+      organizationType: { type: 'string', enum: enumOf('organizationType') },
+      accessNotes: text(1000),
+      donationItems: { type: 'array', items: donationItem, minItems: 1, maxItems: 50 },
+      totalWeight: text(50),
+      requiresRefrigeration: { type: 'boolean' },
+      fragileItems: { type: 'boolean' },
+      deliveryInstructions: text(1000),
+      availabilityType: { type: 'string', enum: enumOf('availabilityType') },
+      preferredDate: { type: 'string', format: 'date', example: '2025-03-01' },
+      preferredTimeStart: timeOfDay,
+      preferredTimeEnd: { ...timeOfDay, example: '17:00' },
+      urgencyLevel: { type: 'string', enum: enumOf('urgencyLevel') },
+      additionalNotes: text(1000),
+      photoConsent: { type: 'boolean' },
+      contactPreference: { type: 'string', enum: enumOf('contactPreference') }
+    },
+    required: ['charityId', 'pickupAddress', 'pickupCoordinates', 'donationItems']
+  }
+};
+
+export const getPickupRequests = {
+  query: {
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      radius: { type: 'number', minimum: 0.1, maximum: 200, default: 25, description: 'Search radius in kilometers' },
+      status: { type: 'string', enum: PICKUP_STATUSES, default: 'available' },
+      priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+      category: text(100, { description: 'Category ID or name' }),
+      requiresRefrigeration: { type: 'boolean' },
+      fragileItems: { type: 'boolean' },
+      charity: objectId(),
+      limit: pagination(20, 100).limit,
+      cursor: text(500)
+    }
+  }
+};
+
+export const updatePickupStatus = {
+  params: idParams,
+  body: {
+    properties: {
+      status: { type: 'string', enum: PICKUP_STATUSES },
+      notes: text(1000),
+      location: statusLocation
+    },
+    required: ['status']
+  }
+};
+
+export const getPickupStatusHistory = { params: idParams };
+
+export const searchAddresses = {
+  query: {
+    properties: {
+      q: text(200),
+      limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 }
+    }
+  }
+};
+
+export const getMyDonations = {};
+
+export const getVolunteerPickups = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: PICKUP_STATUSES }
+    }
+  }
+};
+
+export const getVolunteerRoute = {
+  query: {
+    properties: {
+      lat: latitude,
+      lng: longitude,
+      pickups: { type: 'array', items: objectId(), separator: ',', maxItems: 25, description: 'Comma-separated pickup request IDs' },
+      mode: { type: 'string', enum: TRANSPORTATION_MODES },
+      returnToStart: { type: 'boolean', default: false }
+    }
+  }
+};
+
+export const claimPickupRequest = {
+  params: idParams,
+  body: {
+    properties: {
+      notes: text(1000),
+      location: statusLocation
+    }
+  }
+};
+
+export const releasePickupRequest = {
+  params: idParams,
+  body: {
+    properties: {
+      reason: text(1000, { minLength: 1, example: 'Car broke down' })
+    },
+    required: ['reason']
+  }
+};
+
+export const getPickupMatches = {
+  params: idParams,
+  query: {
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 },
+      maxDistance: { type: 'number', minimum: 1, maximum: 500, default: 25 },
+      includeIneligible: { type: 'boolean', default: false }
+    }
+  }
+};
+
+export const autoAssignPickup = {
+  params: idParams,
+  body: {
+    properties: {
+      maxDistance: {
+        type: 'number',
+        minimum: 1,
+        maximum: 500,
+        default: 25,
+        description: 'Distance in kilometers at which the distance score drops to zero'
+      }
+    }
+  }
+};
+
+export const getCharityDonations = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: enumOf('status') },
+      urgency: { type: 'string', enum: enumOf('urgencyLevel') },
+      startDate: { type: 'string', format: 'date' },
+      endDate: { type: 'string', format: 'date' },
+      donorName: text(255),
+      category: text(100, { description: 'Category ID or name' }),
+      ...pagination(10, 100)
+    }
+  }
+};
+
+export const getCharityDashboardStats = {};
+
+export const confirmDonationDelivery = {
+  params: idParams,
+  body: {
+    properties: {
+      thankYouNote: text(2000, {
+        minLength: 1,
+        description: 'Personal thank you message from the charity to the donor',
+        example: 'Thank you so much for your generous donation of winter clothing!'
+      })
+    },
+    required: ['thankYouNote']
+  }
+};
+
+export const getDonationById = {
+  params: {
+    properties: { id: text(100, { minLength: 1, description: 'Submission id, e.g. DON-1718000000000' }) },
+    required: ['id']
+  }
+};
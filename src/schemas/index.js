@@ -0,0 +1,50 @@
+import { toOpenApiSchema } from '../utils/validation.js';
+import * as adminSchemas from './adminSchemas.js';
+import * as authSchemas from './authSchemas.js';
+import * as availabilitySchemas from './availabilitySchemas.js';
+import * as batchSchemas from './batchSchemas.js';
+import * as categorySchemas from './categorySchemas.js';
+import * as charitySchemas from './charitySchemas.js';
+import * as documentSchemas from './documentSchemas.js';
+import * as donationSchemas from './donationSchemas.js';
+import * as notificationSchemas from './notificationSchemas.js';
+
+// One module per routes file; each export is the `validate()` schema of one route, named after its
+// controller, or after the route when several routes share a controller (registerVolunteer, registerCharity)
+const SCHEMA_MODULES = [
+  adminSchemas,
+  authSchemas,
+  availabilitySchemas,
+  batchSchemas,
+  categorySchemas,
+  charitySchemas,
+  documentSchemas,
+  donationSchemas,
+  notificationSchemas
+];
+
+/**
+ * Swagger component name of a route's request body, e.g. submitDonation -> SubmitDonationRequest.
+ * Route docs reference it as `$ref: '#/components/schemas/SubmitDonationRequest'`.
+ * @param {string} name - Export name of the route schema
+ * @returns {string}
+ */
+export const requestBodyComponentName = (name) => `${name[0].toUpperCase()}${name.slice(1)}Request`;
+
+/**
+ * Request body schemas of every route, for swaggerOptions.definition.components.schemas.
+ * Free-form bodies without declared properties (e.g. updateMe) are documented by hand instead.
+ * @returns {Object}
+ */
+export const getRequestBodyComponents = () => {
+  const components = {};
+  for (const [name, schemas] of SCHEMA_MODULES.flatMap(module => Object.entries(module))) {
+    if (!schemas.body?.properties) continue;
+    const componentName = requestBodyComponentName(name);
+    if (components[componentName]) {
+      throw new Error(`Duplicate request schema name: ${name}`);
+    }
+    components[componentName] = toOpenApiSchema({ type: 'object', ...schemas.body });
+  }
+  return components;
+};
@@ -0,0 +1,76 @@
+import Notification from '../models/Notification.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import { NOTIFICATION_CHANNELS } from '../utils/notificationChannels.js';
+import { EMAIL_LOCALES } from '../utils/emailRenderer.js';
+import { objectId, idParams, pagination } from './common.js';
+
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const endpoint = { type: 'string', trim: true, maxLength: 2048, pattern: '^https://', description: 'Push service URL' };
+
+export const getNotifications = {
+  query: {
+    properties: {
+      unread: { type: 'boolean', description: 'Only return unread notifications' },
+      type: { type: 'string', enum: NOTIFICATION_TYPES, description: 'Filter by notification type' },
+      ...pagination(20, 100)
+    }
+  }
+};
+
+export const getUnreadCount = {};
+
+export const markAllNotificationsRead = {};
+
+export const getNotificationPreferences = {};
+
+export const updateNotificationPreferences = {
+  body: {
+    properties: {
+      channels: { type: 'array', items: { type: 'string', enum: NOTIFICATION_CHANNELS } },
+      mutedTypes: {
+        type: 'array',
+        items: { type: 'string', enum: NOTIFICATION_TYPES },
+        description: 'Notification types that are only shown in-app'
+      },
+      language: { type: 'string', enum: EMAIL_LOCALES, description: 'Language for emails' }
+    }
+  }
+};
+
+export const addPushSubscription = {
+  body: {
+    properties: {
+      endpoint,
+      keys: {
+        type: 'object',
+        properties: {
+          p256dh: { type: 'string', minLength: 1, maxLength: 512 },
+          auth: { type: 'string', minLength: 1, maxLength: 512 }
+        },
+        required: ['p256dh', 'auth']
+      }
+    },
+    required: ['endpoint', 'keys']
+  }
+};
+
+export const removePushSubscription = {
+  body: {
+    properties: { endpoint },
+    required: ['endpoint']
+  }
+};
+
+export const getNotificationDeliveries = {
+  query: {
+    properties: {
+      status: { type: 'string', enum: NotificationDelivery.schema.path('status').enumValues },
+      channel: { type: 'string', enum: NotificationDelivery.schema.path('channel').enumValues },
+      recipient: objectId('User ID'),
+      ...pagination(50, 200)
+    }
+  }
+};
+
+export const markNotificationRead = { params: idParams };
@@ -0,0 +1,329 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import Availability from '../models/Availability.js';
+import Document from '../models/Document.js';
+import Donation from '../models/Donation.js';
+import Notification from '../models/Notification.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import PickupRequest from '../models/PickupRequest.js';
+import Session from '../models/Session.js';
+import VerificationEvent from '../models/VerificationEvent.js';
+import { deleteDocuments } from './documentStorage.js';
+import { notify } from './notifications.js';
+import { removeProfilePicture } from './profilePictures.js';
+import { sendTemplateEmail } from './sendEmail.js';
+import { revokeAllSessions } from './sessions.js';
+
+/**
+ * Account suspension, deletion and personal data export.
+ * Suspended accounts are inactive (isActive: false) until an admin lifts the
+ * suspension or it expires. Deleting an account removes the user's personal
+ * data but keeps their donations and pickups, anonymised, so statistics and
+ * other users' histories stay intact.
+ */
+
+const DELETED_NAME = 'Deleted user';
+const REMOVED = 'Removed';
+
+// Donations and pickups that still need the user's contact details
+const OPEN_DONATION_STATUSES = ['submitted', 'assigned', 'picked_up'];
+const OPEN_PICKUP_STATUSES = ['accepted', 'en_route_pickup', 'arrived_pickup', 'picked_up', 'en_route_delivery'];
+
+const UNTIL_FURTHER_NOTICE = { en: 'further notice', sw: 'ilani nyingine' };
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Whether an account is suspended (rather than deleted)
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isSuspended = (user) =>
+  user.isActive === false && !user.deletedAt && Boolean(user.suspension?.suspendedAt) && !user.suspension.liftedAt;
+
+/**
+ * Suspend an account: it cannot sign in and every session is ended
+ * @param {Object} user - Account to suspend
+ * @param {Object} options
+ * @param {string} options.reason - Shown to the user
+ * @param {Date} options.expiresAt - When the suspension ends by itself; none means until an admin lifts it
+ * @param {Object} options.actor - Admin suspending the account
+ * @returns {Promise<Object>} - The updated user
+ */
+export const suspendAccount = async (user, { reason, expiresAt, actor }) => {
+  const suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy: actor._id,
+    ...(expiresAt && { expiresAt })
+  };
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $set: { isActive: false, suspension } },
+    { new: true }
+  ).lean();
+  await revokeAllSessions(user._id, 'account_deactivated');
+
+  // Sent directly: notifications are not delivered to inactive accounts
+  try {
+    await sendTemplateEmail(updated, 'account_suspended', {
+      reason,
+      suspendedUntil: expiresAt ? formatDate(expiresAt) : UNTIL_FURTHER_NOTICE[updated.preferredLanguage] || UNTIL_FURTHER_NOTICE.en
+    });
+  } catch (error) {
+    console.error(`Failed to send suspension email to user ${user._id}:`, error.message);
+  }
+
+  return updated;
+};
+
+/**
+ * Lift a suspension or reactivate a deactivated account. Deleted accounts stay deleted.
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Object} options.actor - Admin reactivating the account; none when a suspension expires
+ * @returns {Promise<Object|null>} - The updated user, or null if it was not inactive
+ */
+export const reactivateAccount = async (userId, { actor } = {}) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, isActive: false, deletedAt: { $exists: false } },
+    {
+      $set: {
+        isActive: true,
+        'suspension.liftedAt': new Date(),
+        ...(actor && { 'suspension.liftedBy': actor._id })
+      }
+    },
+    { new: true }
+  ).lean();
+  if (!user) return null;
+
+  try {
+    await notify(user._id, {
+      type: 'account_reactivated',
+      title: 'Your account has been reactivated',
+      message: 'You can sign in to Generous Hands again.',
+      actor: actor?._id
+    }, {
+      content: { email: { template: 'account_reactivated', variables: {} } },
+      requiredChannels: ['email']
+    });
+  } catch (error) {
+    console.error(`Failed to send reactivation notification to user ${userId}:`, error);
+  }
+
+  return user;
+};
+
+/**
+ * Reactivate an account whose suspension has run out
+ * @param {Object} user
+ * @returns {Promise<Object|null>} - The reactivated user, or null if it is still suspended
+ */
+export const liftExpiredSuspension = async (user) => {
+  if (!isSuspended(user) || !user.suspension.expiresAt || user.suspension.expiresAt > new Date()) {
+    return null;
+  }
+  return reactivateAccount(user._id);
+};
+
+/**
+ * Reactivate every account whose suspension has run out
+ * @returns {Promise<Object>} - `{ reactivated }`
+ */
+export const reactivateExpiredSuspensions = async () => {
+  const userIds = await User.distinct('_id', {
+    isActive: false,
+    deletedAt: { $exists: false },
+    'suspension.expiresAt': { $lte: new Date() },
+    'suspension.liftedAt': { $exists: false }
+  });
+
+  let reactivated = 0;
+  for (const userId of userIds) {
+    if (await reactivateAccount(userId)) reactivated++;
+  }
+  return { reactivated };
+};
+
+/**
+ * Find what stops an account from being deleted: donations and pickups still in progress
+ * @param {Object} user
+ * @returns {Promise<Array<string>>} - Reasons, empty if the account can be deleted
+ */
+export const findDeletionBlockers = async (user) => {
+  const [donations, pickups, incoming] = await Promise.all([
+    Donation.countDocuments({ donorId: user._id, status: { $in: OPEN_DONATION_STATUSES } }),
+    user.role === 'volunteer'
+      ? PickupRequest.countDocuments({ volunteer: user._id, status: { $in: OPEN_PICKUP_STATUSES } })
+      : 0,
+    user.role === 'charity'
+      ? Donation.countDocuments({ charityId: user._id, status: { $in: OPEN_DONATION_STATUSES } })
+      : 0
+  ]);
+
+  return [
+    donations > 0 && `${donations} of your donation(s) are still in progress. Cancel them or wait until they are delivered.`,
+    pickups > 0 && `You have ${pickups} pickup(s) in progress. Complete or release them first.`,
+    incoming > 0 && `${incoming} donation(s) to your charity are still in progress.`
+  ].filter(Boolean);
+};
+
+// Round coordinates to two decimal places (about 1 km) so area statistics still work
+const roundCoordinates = (field) => ({
+  $map: { input: `$${field}`, in: { $round: ['$$this', 2] } }
+});
+
+/**
+ * Delete an account. Personal data is removed from the user, from donations they made
+ * and the pickups for them, and their documents, pictures, sessions, notifications and
+ * availability are deleted. The anonymous records remain for statistics.
+ * @param {Object} user - Account to delete
+ * @param {Object} options
+ * @param {Object} options.actor - User deleting the account (the user themselves or an admin)
+ */
+export const deleteAccount = async (user, { actor } = {}) => {
+  const userId = user._id;
+  await revokeAllSessions(userId, 'account_deleted');
+
+  // Tell the user while their address is still known
+  try {
+    await sendTemplateEmail(user, 'account_deleted', {});
+  } catch (error) {
+    console.error(`Failed to send account deletion email to user ${userId}:`, error.message);
+  }
+
+  const donationIds = await Donation.distinct('_id', { donorId: userId });
+  await Donation.updateMany({ donorId: userId }, [
+    {
+      $set: {
+        donorName: DELETED_NAME,
+        donorPhone: REMOVED,
+        pickupAddress: REMOVED,
+        'pickupCoordinates.coordinates': roundCoordinates('pickupCoordinates.coordinates')
+      }
+    },
+    { $unset: ['donorEmail', 'accessNotes', 'additionalNotes'] }
+  ]);
+  await PickupRequest.updateMany({ donation: { $in: donationIds } }, [
+    {
+      $set: {
+        contactPerson: DELETED_NAME,
+        contactPhone: REMOVED,
+        pickupAddress: REMOVED,
+        'pickupCoordinates.coordinates': roundCoordinates('pickupCoordinates.coordinates')
+      }
+    },
+    { $unset: ['contactEmail', 'metadata.accessNotes', 'metadata.additionalNotes'] }
+  ]);
+  // Locations a volunteer reported while on a pickup
+  await PickupRequest.updateMany(
+    { 'statusHistory.actor': userId },
+    { $unset: { 'statusHistory.$[entry].location': '' } },
+    { arrayFilters: [{ 'entry.actor': userId }] }
+  );
+
+  await deleteDocuments(await Document.find({ owner: userId }));
+  await removeProfilePicture(user.profilePictureSizes || { large: user.profilePictureUrl });
+  await Promise.all([
+    Availability.deleteMany({ volunteer: userId }),
+    Notification.deleteMany({ recipient: userId }),
+    NotificationDelivery.deleteMany({ recipient: userId }),
+    Session.deleteMany({ user: userId }),
+    // The user's own messages to reviewers
+    VerificationEvent.updateMany({ user: userId, actor: userId }, { $unset: { reason: '' } })
+  ]);
+
+  // Through the collection: the fields cleared belong to different user types
+  await User.collection.updateOne({ _id: userId }, {
+    $set: {
+      name: DELETED_NAME,
+      // RFC 2606 reserved domain: never delivered to, but still a valid address for the schema
+      email: `deleted-${userId}@example.com`,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+      isActive: false,
+      deletedAt: new Date(),
+      deletedBy: actor?._id || userId,
+      notificationPreferences: { channels: [], mutedTypes: [] }
+    },
+    $unset: {
+      phoneNumber: '',
+      address: '',
+      location: '',
+      profilePictureUrl: '',
+      profilePictureSizes: '',
+      pushSubscriptions: '',
+      lastLogin: '',
+      emailVerificationToken: '',
+      emailVerificationExpires: '',
+      passwordResetToken: '',
+      passwordResetExpires: '',
+      accountUnlockToken: '',
+      accountUnlockExpires: '',
+      loginLockout: '',
+      twoFactor: '',
+      verificationDocuments: '',
+      verificationReason: '',
+      availability: '',
+      skills: '',
+      transportationMode: '',
+      contactFirstName: '',
+      contactLastName: '',
+      contactEmail: '',
+      contactPhone: ''
+    }
+  });
+};
+
+const pickEntriesBy = (history = [], userId) =>
+  history.filter(entry => entry.actor?.toString() === userId.toString());
+
+/**
+ * Collect everything held about a user
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - The export, or null if there is no such user
+ */
+export const buildPersonalDataExport = async (userId) => {
+  const user = await User.findById(userId).select('+pushSubscriptions').lean();
+  if (!user) return null;
+
+  const [sessions, donations, donationsReceived, pickups, availability, notifications, documents, verificationHistory] =
+    await Promise.all([
+      Session.find({ user: userId }).select('createdAt lastUsedAt expiresAt revokedAt revokedReason userAgent ip').lean(),
+      Donation.find({ donorId: userId }).lean(),
+      // Other donors' contact details are not the charity's data
+      user.role === 'charity'
+        ? Donation.find({ charityId: userId }).select('id status donationItems totalWeight createdAt confirmedAt thankYouNote').lean()
+        : [],
+      user.role === 'volunteer'
+        ? PickupRequest.find({ volunteer: userId })
+          .select('donation status deliveryAddress statusHistory createdAt metadata.acceptedAt metadata.completedAt')
+          .lean()
+        : [],
+      Availability.find({ volunteer: userId }).lean(),
+      Notification.find({ recipient: userId }).sort({ createdAt: -1 }).lean(),
+      Document.find({ owner: userId }).select('-key -storage -checksum').lean(),
+      // Reviewer notes are internal
+      VerificationEvent.find({ user: userId, action: { $ne: 'note' } }).select('-note -actor').sort({ createdAt: 1 }).lean()
+    ]);
+
+  const { password, pushSubscriptions = [], ...profile } = user;
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      ...profile,
+      pushSubscriptions: pushSubscriptions.map(({ endpoint, userAgent, createdAt }) => ({ endpoint, userAgent, createdAt }))
+    },
+    sessions,
+    donations,
+    donationsReceived,
+    pickups: pickups.map(pickup => ({ ...pickup, statusHistory: pickEntriesBy(pickup.statusHistory, userId) })),
+    availability,
+    notifications,
+    documents: documents.map(document => ({ ...document, downloadUrl: `/api/documents/${document._id}` })),
+    verificationHistory
+  };
+};
@@ -0,0 +1,213 @@
+import Document from '../models/Document.js';
+import { Volunteer } from '../models/User.js';
+import VerificationEvent from '../models/VerificationEvent.js';
+import { VERIFICATION_DOCUMENT_TYPES, requiredVolunteerDocumentTypes } from '../config/documentTypes.js';
+import { notify } from './notifications.js';
+import { findAdminsWithPermission } from './permissions.js';
+
+/**
+ * Volunteer document expiry.
+ * A volunteer's standing is worked out from the newest accepted document of
+ * each type they are required to hold (see requiredVolunteerDocumentTypes):
+ *   compliant - nothing required expires within the reminder window
+ *   expiring  - a required document expires within the window
+ *   lapsed    - a required document has expired; the volunteer cannot take
+ *               pickups until a renewal is uploaded and accepted
+ * Volunteers who never had a document of a required type accepted are not
+ * suspended: that is for the verification review to decide.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which volunteers are reminded, largest first
+export const EXPIRY_REMINDER_DAYS = (process.env.DOCUMENT_EXPIRY_REMINDER_DAYS || '30,7,1')
+  .split(',')
+  .map(days => parseInt(days, 10))
+  .filter(days => days > 0)
+  .sort((a, b) => b - a);
+
+const WARNING_WINDOW_DAYS = EXPIRY_REMINDER_DAYS[0] || 30;
+
+const APPLICATION_URL = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/verification`;
+
+const labelFor = (documentType) => VERIFICATION_DOCUMENT_TYPES[documentType]?.label || documentType;
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Whether a volunteer may claim or be assigned pickups
+ * @param {Object} volunteer
+ * @returns {boolean}
+ */
+export const canTakePickups = (volunteer) => volunteer?.documentCompliance?.status !== 'lapsed';
+
+/**
+ * Work out a volunteer's document standing
+ * @param {Object} volunteer - Needs transportationMode
+ * @param {Array<Object>} documents - The volunteer's Documents
+ * @param {Date} now
+ * @returns {Object} - `{ status, lapsedDocumentTypes, expiringDocuments, nextExpiryAt }`
+ */
+export const evaluateCompliance = (volunteer, documents, now = new Date()) => {
+  const windowEnd = new Date(now.getTime() + WARNING_WINDOW_DAYS * DAY_MS);
+  const lapsedDocumentTypes = [];
+  const expiringDocuments = [];
+  let nextExpiryAt = null;
+
+  for (const documentType of requiredVolunteerDocumentTypes(volunteer)) {
+    const accepted = documents.filter(document => document.reviewedAt && document.documentType === documentType);
+    if (accepted.length === 0) continue;
+
+    // A document without an expiry date does not lapse
+    const current = accepted.reduce((latest, document) =>
+      ((document.expiresAt?.getTime() ?? Infinity) > (latest.expiresAt?.getTime() ?? Infinity) ? document : latest));
+    if (!current.expiresAt) continue;
+
+    if (current.expiresAt <= now) {
+      lapsedDocumentTypes.push(documentType);
+      continue;
+    }
+    if (current.expiresAt <= windowEnd) {
+      expiringDocuments.push(current);
+    }
+    if (!nextExpiryAt || current.expiresAt < nextExpiryAt) {
+      nextExpiryAt = current.expiresAt;
+    }
+  }
+
+  return {
+    status: lapsedDocumentTypes.length > 0 ? 'lapsed' : expiringDocuments.length > 0 ? 'expiring' : 'compliant',
+    lapsedDocumentTypes,
+    expiringDocuments,
+    nextExpiryAt
+  };
+};
+
+const sendReminders = async (volunteer, expiringDocuments, now) => {
+  for (const document of expiringDocuments) {
+    const daysLeft = Math.ceil((document.expiresAt - now) / DAY_MS);
+    // Every stage already passed is covered by one reminder, so a late run does not send several
+    const due = EXPIRY_REMINDER_DAYS.filter(days => days >= daysLeft && !document.expiryRemindersSent?.includes(days));
+    if (due.length === 0) continue;
+
+    const documentLabel = labelFor(document.documentType);
+    await notify(volunteer._id, {
+      type: 'document_expiring',
+      title: `Your ${documentLabel.toLowerCase()} expires soon`,
+      message: `Your ${documentLabel.toLowerCase()} expires on ${formatDate(document.expiresAt)}. ` +
+        'Upload a renewed copy to keep taking pickups.',
+      metadata: { documentId: document._id, documentType: document.documentType, expiresAt: document.expiresAt }
+    }, {
+      content: {
+        email: {
+          template: 'document_expiry_reminder',
+          variables: {
+            documentLabel,
+            expiresOn: formatDate(document.expiresAt),
+            daysLeft,
+            applicationUrl: APPLICATION_URL()
+          }
+        }
+      }
+    });
+
+    await Document.updateOne({ _id: document._id }, { $addToSet: { expiryRemindersSent: { $each: due } } });
+  }
+};
+
+const notifyLapsed = async (volunteer, lapsedDocumentTypes) => {
+  const documentLabels = lapsedDocumentTypes.map(labelFor).join(', ');
+
+  await notify(volunteer._id, {
+    type: 'documents_lapsed',
+    title: 'You cannot take pickups until your documents are renewed',
+    message: `These documents have expired: ${documentLabels}. Upload renewed copies to take pickups again.`,
+    metadata: { lapsedDocumentTypes }
+  }, {
+    content: {
+      email: {
+        template: 'volunteer_documents_lapsed',
+        variables: { documentLabels, applicationUrl: APPLICATION_URL() }
+      }
+    },
+    requiredChannels: ['email']
+  });
+
+  const reviewers = await findAdminsWithPermission('users:verify');
+  await notify(reviewers.map(reviewer => reviewer._id), {
+    type: 'documents_lapsed',
+    title: `${volunteer.name} was suspended from pickups`,
+    message: `Documents held by volunteer ${volunteer.name} have expired: ${documentLabels}.`,
+    actor: volunteer._id,
+    metadata: { userId: volunteer._id, lapsedDocumentTypes }
+  });
+};
+
+/**
+ * Recalculate a volunteer's document standing and store it on the volunteer.
+ * Suspends volunteers whose required documents have lapsed and lifts the suspension
+ * once renewals are accepted; both are recorded in the verification history.
+ * @param {string} volunteerId
+ * @param {Object} options
+ * @param {Date} options.now
+ * @param {boolean} options.remind - Also send any reminders that are due
+ * @param {Object} options.actor - User whose action caused the check, if any
+ * @returns {Promise<Object|null>} - The new documentCompliance, or null if there is no such volunteer
+ */
+export const refreshVolunteerCompliance = async (volunteerId, { now = new Date(), remind = false, actor } = {}) => {
+  const volunteer = await Volunteer.findById(volunteerId)
+    .select('name email transportationMode verificationStatus verificationDocuments documentCompliance')
+    .lean();
+  if (!volunteer) return null;
+
+  const documents = await Document.find({ _id: { $in: volunteer.verificationDocuments || [] } }).lean();
+  const { status, lapsedDocumentTypes, expiringDocuments, nextExpiryAt } = evaluateCompliance(volunteer, documents, now);
+  const wasLapsed = volunteer.documentCompliance?.status === 'lapsed';
+  const lapsed = status === 'lapsed';
+
+  const documentCompliance = {
+    status,
+    lapsedDocumentTypes,
+    ...(nextExpiryAt && { nextExpiryAt }),
+    checkedAt: now,
+    ...(lapsed && { suspendedAt: volunteer.documentCompliance?.suspendedAt || now })
+  };
+  await Volunteer.updateOne({ _id: volunteer._id }, { $set: { documentCompliance } });
+
+  if (lapsed !== wasLapsed) {
+    await VerificationEvent.create({
+      user: volunteer._id,
+      action: lapsed ? 'documents_lapsed' : 'reinstated',
+      fromStatus: volunteer.verificationStatus,
+      toStatus: volunteer.verificationStatus,
+      actor: actor?._id,
+      reason: lapsed ? `Expired: ${lapsedDocumentTypes.map(labelFor).join(', ')}` : undefined
+    });
+  }
+
+  // Unverified volunteers cannot take pickups anyway; their review covers the documents
+  if (volunteer.verificationStatus !== 'verified') {
+    return documentCompliance;
+  }
+
+  // The standing is saved; a failed notification must not undo it
+  try {
+    if (lapsed && !wasLapsed) {
+      await notifyLapsed(volunteer, lapsedDocumentTypes);
+    } else if (wasLapsed && !lapsed) {
+      await notify(volunteer._id, {
+        type: 'documents_reinstated',
+        title: 'You can take pickups again',
+        message: 'Your renewed documents were accepted.',
+        actor: actor?._id
+      });
+    }
+    if (remind) {
+      await sendReminders(volunteer, expiringDocuments, now);
+    }
+  } catch (error) {
+    console.error(`Failed to send document expiry notifications to volunteer ${volunteer._id}:`, error);
+  }
+
+  return documentCompliance;
+};
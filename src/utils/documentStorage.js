@@ -0,0 +1,374 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { mkdir, stat, unlink, writeFile } from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import Document from '../models/Document.js';
+import { VERIFICATION_DOCUMENT_TYPES } from '../config/documentTypes.js';
+
+/**
+ * Storage for uploaded verification documents.
+ * Files are written under random keys to a storage backend chosen with
+ * DOCUMENT_STORAGE: 'local' (a directory outside the public uploads folder) or
+ * 's3' (any S3-compatible service, signed with AWS Signature V4). Each file gets
+ * a Document record; the files are only served through /api/documents, either
+ * to an authenticated owner or admin or through a signed, expiring URL.
+ */
+
+export const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES, 10) || 10 * 1024 * 1024;
+export const DOCUMENT_MAX_FILES = parseInt(process.env.DOCUMENT_MAX_FILES, 10) || 5;
+const SIGNED_URL_TTL_SECONDS = parseInt(process.env.DOCUMENT_URL_TTL_SECONDS, 10) || 5 * 60;
+
+// The file contents must start with the signature of the type they claim to be
+const DOCUMENT_TYPES = {
+  'application/pdf': { extension: '.pdf', signature: Buffer.from('%PDF-') },
+  'image/jpeg': { extension: '.jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+  'image/png': { extension: '.png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+};
+
+export const DOCUMENT_MIME_TYPES = Object.keys(DOCUMENT_TYPES);
+
+const invalidDocument = (message) => Object.assign(new Error(message), { invalidDocument: true });
+const notFound = (key) => Object.assign(new Error(`Stored file ${key} not found`), { code: 'NOT_FOUND' });
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+const localDir = () => process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'storage', 'documents');
+
+const localPath = (key) => {
+  const root = path.resolve(localDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const localBackend = {
+  name: 'local',
+
+  isConfigured: () => true,
+
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await mkdir(path.dirname(filePath), { recursive: true });
+    await writeFile(filePath, buffer, { flag: 'wx', mode: 0o600 });
+  },
+
+  async get(key) {
+    const filePath = localPath(key);
+    try {
+      await stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound(key);
+      throw error;
+    }
+    return createReadStream(filePath);
+  },
+
+  async remove(key) {
+    await unlink(localPath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+};
+
+const s3Config = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION || 'us-east-1',
+  // Set for MinIO, DigitalOcean Spaces and other S3-compatible services; path-style URLs are used then
+  endpoint: process.env.S3_ENDPOINT,
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+});
+
+// Sign and send one S3 request (AWS Signature Version 4)
+const s3Request = async (method, key, { body, contentType } = {}) => {
+  const { bucket, region, endpoint, accessKeyId, secretAccessKey } = s3Config();
+  const objectPath = key.split('/').map(encodeURIComponent).join('/');
+  const url = endpoint
+    ? new URL(`${endpoint.replace(/\/$/, '')}/${bucket}/${objectPath}`)
+    : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${objectPath}`);
+
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const date = amzDate.slice(0, 8);
+  const payloadHash = sha256(body || '');
+
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate,
+    ...(contentType && { 'content-type': contentType })
+  };
+  const signedHeaders = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    signedHeaders.map(name => `${name}:${headers[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (signingKey, part) => hmac(signingKey, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, date), region)
+  );
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...headers,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`
+    },
+    body,
+    timeout: 30000
+  });
+
+  if (response.status === 404) throw notFound(key);
+  if (!response.ok) {
+    const detail = await response.text().catch(() => '');
+    throw new Error(`S3 ${method} ${key} failed: ${response.status} ${response.statusText} ${detail.slice(0, 200)}`.trim());
+  }
+  return response;
+};
+
+const s3Backend = {
+  name: 's3',
+
+  isConfigured: () => {
+    const { bucket, accessKeyId, secretAccessKey } = s3Config();
+    return Boolean(bucket && accessKeyId && secretAccessKey);
+  },
+
+  async put(key, buffer, { contentType } = {}) {
+    await s3Request('PUT', key, { body: buffer, contentType });
+  },
+
+  async get(key) {
+    const response = await s3Request('GET', key);
+    return response.body;
+  },
+
+  async remove(key) {
+    await s3Request('DELETE', key).catch(error => {
+      if (error.code !== 'NOT_FOUND') throw error;
+    });
+  }
+};
+
+const backends = { local: localBackend, s3: s3Backend };
+
+/**
+ * Get a storage backend
+ * @param {string} name - 'local' or 's3'; defaults to DOCUMENT_STORAGE
+ * @returns {Object} - `{ name, isConfigured(), put(key, buffer, { contentType }), get(key), remove(key) }`
+ */
+export const getStorageBackend = (name = process.env.DOCUMENT_STORAGE || 'local') => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown document storage backend: ${name}`);
+  }
+  if (!backend.isConfigured()) {
+    throw new Error(`Document storage backend '${name}' is not configured`);
+  }
+  return backend;
+};
+
+/**
+ * Work out a file's type from its contents
+ * @param {Buffer} buffer
+ * @returns {string|null} - One of DOCUMENT_MIME_TYPES, or null if it is none of them
+ */
+export const detectDocumentType = (buffer) => DOCUMENT_MIME_TYPES.find(mimeType => {
+  const { signature } = DOCUMENT_TYPES[mimeType];
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}) || null;
+
+const cleanFilename = (name = '') => path.basename(name).replace(/[^\p{L}\p{N}._\- ]+/gu, '_').slice(0, 200);
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+/**
+ * Read the type and expiry date of each uploaded file from a multipart body.
+ * `documentTypes` and `expiresAt` are repeated fields, given in the same order as the files.
+ * @param {Object} body - req.body
+ * @param {number} count - Number of uploaded files
+ * @returns {Array<Object>} - `{ documentType, expiresAt }` for each file
+ * @throws {Error} - With `invalidDocument: true` for unknown types and missing, invalid or past expiry dates
+ */
+export const parseDocumentDetails = (body = {}, count) => {
+  const types = asList(body.documentTypes);
+  const expiryDates = asList(body.expiresAt);
+
+  return Array.from({ length: count }, (_, index) => {
+    const documentType = types[index] || 'other';
+    const definition = VERIFICATION_DOCUMENT_TYPES[documentType];
+    if (!definition) {
+      throw invalidDocument(`Unknown document type '${documentType}'. Use one of: ${Object.keys(VERIFICATION_DOCUMENT_TYPES).join(', ')}`);
+    }
+
+    const value = expiryDates[index];
+    if (!value) {
+      if (definition.expires) {
+        throw invalidDocument(`Please give the expiry date of your ${definition.label.toLowerCase()}`);
+      }
+      return { documentType };
+    }
+
+    const expiresAt = new Date(value);
+    if (Number.isNaN(expiresAt.getTime())) {
+      throw invalidDocument(`'${value}' is not a valid expiry date`);
+    }
+    if (expiresAt <= new Date()) {
+      throw invalidDocument(`Your ${definition.label.toLowerCase()} has already expired`);
+    }
+    return { documentType, expiresAt };
+  });
+};
+
+/**
+ * Validate and store one uploaded file
+ * @param {Object} file - `{ buffer, originalname }` as produced by multer's memory storage
+ * @param {Object} options
+ * @param {string} options.owner - User the document belongs to
+ * @param {string} options.purpose - Document purpose, e.g. 'charity_verification'
+ * @param {string} options.uploadedBy - Defaults to the owner
+ * @param {string} options.documentType - One of VERIFICATION_DOCUMENT_TYPES; defaults to 'other'
+ * @param {Date} options.expiresAt - When the document stops being valid
+ * @returns {Promise<Object>} - The saved Document
+ * @throws {Error} - With `invalidDocument: true` for empty, oversized or unsupported files
+ */
+export const storeDocument = async (file, { owner, purpose, uploadedBy = owner, documentType, expiresAt }) => {
+  const { buffer, originalname } = file;
+
+  if (!buffer || buffer.length === 0) {
+    throw invalidDocument(`${originalname || 'The file'} is empty`);
+  }
+  if (buffer.length > DOCUMENT_MAX_BYTES) {
+    throw invalidDocument(`${originalname} is larger than ${Math.round(DOCUMENT_MAX_BYTES / 1024 / 1024)} MB`);
+  }
+
+  const mimeType = detectDocumentType(buffer);
+  if (!mimeType) {
+    throw invalidDocument(`${originalname || 'The file'} is not a PDF, JPEG or PNG file`);
+  }
+
+  const backend = getStorageBackend();
+  const now = new Date();
+  const key = [
+    'documents',
+    now.getUTCFullYear(),
+    String(now.getUTCMonth() + 1).padStart(2, '0'),
+    `${crypto.randomUUID()}${DOCUMENT_TYPES[mimeType].extension}`
+  ].join('/');
+
+  await backend.put(key, buffer, { contentType: mimeType });
+
+  try {
+    return await Document.create({
+      owner,
+      purpose,
+      storage: backend.name,
+      key,
+      originalName: cleanFilename(originalname),
+      mimeType,
+      size: buffer.length,
+      checksum: sha256(buffer),
+      uploadedBy,
+      documentType,
+      expiresAt
+    });
+  } catch (error) {
+    await backend.remove(key).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Store several uploaded files; if one fails, the ones already stored are removed
+ * @param {Array<Object>} files - multer files
+ * @param {Object} options - As for storeDocument
+ * @param {Array<Object>} details - Per-file `{ documentType, expiresAt }`, see parseDocumentDetails
+ * @returns {Promise<Array<Object>>} - The saved Documents
+ */
+export const storeDocuments = async (files = [], options, details = []) => {
+  const documents = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      documents.push(await storeDocument(file, { ...options, ...details[index] }));
+    }
+    return documents;
+  } catch (error) {
+    await deleteDocuments(documents);
+    throw error;
+  }
+};
+
+/**
+ * Open a stored document for reading
+ * @param {Object} document - Document record
+ * @returns {Promise<stream.Readable>}
+ * @throws {Error} - With `code: 'NOT_FOUND'` if the file is missing from storage
+ */
+export const openDocument = (document) => backends[document.storage].get(document.key);
+
+/**
+ * Delete documents and their stored files; files that are already gone are ignored
+ * @param {Array<Object|string>} documents - Document records or IDs
+ */
+export const deleteDocuments = async (documents = []) => {
+  const records = documents.every(document => document?.key)
+    ? documents
+    : await Document.find({ _id: { $in: documents.map(document => document?._id || document) } });
+
+  for (const document of records) {
+    try {
+      await backends[document.storage].remove(document.key);
+      await Document.deleteOne({ _id: document._id });
+    } catch (error) {
+      console.error(`Failed to delete document ${document._id}:`, error.message);
+    }
+  }
+};
+
+const urlSecret = () => process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+
+const signatureFor = (documentId, expires) =>
+  crypto.createHmac('sha256', urlSecret()).update(`${documentId}:${expires}`).digest('hex');
+
+/**
+ * Create a URL that downloads a document without an access token until it expires
+ * @param {string} documentId
+ * @param {number} ttlSeconds - Defaults to DOCUMENT_URL_TTL_SECONDS (5 minutes)
+ * @returns {Object} - `{ url, expiresAt }`
+ */
+export const createSignedDocumentUrl = (documentId, ttlSeconds = SIGNED_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    url: `/api/documents/${documentId}/signed?expires=${expires}&signature=${signatureFor(documentId, expires)}`,
+    expiresAt: new Date(expires * 1000)
+  };
+};
+
+/**
+ * Check a signed document URL
+ * @param {string} documentId
+ * @param {string} expires - Unix time in seconds from the URL
+ * @param {string} signature - Hex signature from the URL
+ * @returns {boolean}
+ */
+export const verifyDocumentSignature = (documentId, expires, signature) => {
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signatureFor(documentId, expiresAt), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
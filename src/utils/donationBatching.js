@@ -0,0 +1,187 @@
+import PickupRequest from '../models/PickupRequest.js';
+import Donation from '../models/Donation.js';
+import { calculateDistance } from './geocoding.js';
+import { resolvePickupWindow } from './volunteerMatching.js';
+import { buildStatusHistoryEntry, donationStatusFor } from './pickupStatus.js';
+import { notifyPickupStatusChange } from './notifications.js';
+
+/**
+ * Donation batching.
+ * Groups open pickup requests going to the same charity from the same
+ * neighbourhood within a compatible time window, and keeps the member pickup
+ * requests and donations in sync with their batch.
+ */
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2 };
+
+const toLatLon = (point) => [point.coordinates[1], point.coordinates[0]];
+
+const round = (value, places = 6) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Cluster pickup requests into batch candidates
+ * @param {Array<Object>} pickupRequests - Open pickup requests with `donation` populated
+ * @param {Object} options
+ * @param {number} options.radiusKm - Maximum distance between a batch's seed and any member
+ * @param {number} options.windowHours - Maximum spread between members' preferred pickup times
+ * @param {number} options.minSize - Smallest group worth batching
+ * @param {number} options.maxSize - Largest batch one volunteer should carry
+ * @returns {Array<Object>} - `{ charity, members, centroid, radiusKm, window, priority }`
+ */
+export const clusterPickupRequests = (pickupRequests, {
+  radiusKm = 2,
+  windowHours = 24,
+  minSize = 2,
+  maxSize = 8
+} = {}) => {
+  const byCharity = new Map();
+  for (const request of pickupRequests) {
+    if (!request.pickupCoordinates?.coordinates?.length) continue;
+    const key = request.charity.toString();
+    if (!byCharity.has(key)) byCharity.set(key, []);
+    byCharity.get(key).push({
+      request,
+      location: toLatLon(request.pickupCoordinates),
+      window: resolvePickupWindow(request.donation)
+    });
+  }
+
+  const maxSpreadMs = windowHours * 60 * 60 * 1000;
+  const clusters = [];
+
+  for (const [charity, entries] of byCharity) {
+    // Seed clusters from the earliest fixed windows; flexible requests fill in afterwards
+    entries.sort((a, b) => (a.window.flexible - b.window.flexible) || (a.window.start - b.window.start));
+    const used = new Set();
+
+    for (const seed of entries) {
+      if (used.has(seed)) continue;
+
+      const members = [seed];
+      const fixedStarts = seed.window.flexible ? [] : [seed.window.start.getTime()];
+
+      const neighbours = entries
+        .filter(entry => entry !== seed && !used.has(entry))
+        .map(entry => ({ entry, distance: calculateDistance(seed.location, entry.location) }))
+        .filter(({ distance }) => distance <= radiusKm)
+        .sort((a, b) => a.distance - b.distance);
+
+      for (const { entry } of neighbours) {
+        if (members.length >= maxSize) break;
+
+        if (!entry.window.flexible) {
+          const starts = [...fixedStarts, entry.window.start.getTime()];
+          if (Math.max(...starts) - Math.min(...starts) > maxSpreadMs) continue;
+          fixedStarts.push(entry.window.start.getTime());
+        }
+
+        members.push(entry);
+      }
+
+      if (members.length < minSize) continue;
+      members.forEach(member => used.add(member));
+
+      const centroidLatLon = [
+        members.reduce((sum, { location }) => sum + location[0], 0) / members.length,
+        members.reduce((sum, { location }) => sum + location[1], 0) / members.length
+      ];
+      const fixed = members.filter(({ window }) => !window.flexible);
+
+      clusters.push({
+        charity,
+        members: members.map(({ request }) => request),
+        centroid: [round(centroidLatLon[1]), round(centroidLatLon[0])],
+        radiusKm: Math.max(...members.map(({ location }) => calculateDistance(centroidLatLon, location))),
+        window: fixed.length > 0
+          ? {
+              start: new Date(Math.min(...fixed.map(({ window }) => window.start.getTime()))),
+              end: new Date(Math.max(...fixed.map(({ window }) => window.end.getTime())))
+            }
+          : null,
+        priority: members
+          .map(({ request }) => request.priority || 'medium')
+          .reduce((highest, priority) => PRIORITY_RANK[priority] > PRIORITY_RANK[highest] ? priority : highest, 'low')
+      });
+    }
+  }
+
+  return clusters;
+};
+
+/**
+ * Find open, unbatched pickup requests and cluster them
+ * @param {Object} options - Clustering options, plus an optional `charity` ID to restrict to
+ * @returns {Promise<Array<Object>>}
+ */
+export const findBatchCandidates = async ({ charity, ...options } = {}) => {
+  const query = { status: 'available', volunteer: null, batch: null, donation: { $ne: null } };
+  if (charity) {
+    query.charity = charity;
+  }
+
+  const pickupRequests = await PickupRequest.find(query)
+    .select('-statusHistory')
+    .populate('donation', 'preferredDate preferredTimeStart preferredTimeEnd')
+    .lean();
+
+  return clusterPickupRequests(pickupRequests, options);
+};
+
+/**
+ * Move every member of a batch that is still at `fromStatus` to `toStatus`,
+ * recording the change in each pickup's history and updating the donations
+ * @param {Object} params
+ * @param {Object} params.batch - BatchPickup document
+ * @param {string} params.fromStatus - Status members are expected to be in
+ * @param {string} params.toStatus - New status
+ * @param {Object} params.user - User triggering the change
+ * @param {string} params.notes - Optional notes
+ * @param {Object} params.set - Extra fields to set on each member
+ * @param {Array<string>} params.unset - Fields to remove from each member
+ * @returns {Promise<number>} - Number of member pickup requests updated
+ */
+export const syncBatchMembers = async ({ batch, fromStatus, toStatus, user, notes, set = {}, unset = [] }) => {
+  const members = await PickupRequest.find({ batch: batch._id, status: fromStatus })
+    .select('_id donation charity volunteer pickupAddress')
+    .lean();
+  if (members.length === 0) return 0;
+
+  const update = {
+    $set: { status: toStatus, ...set },
+    $push: {
+      statusHistory: buildStatusHistoryEntry({
+        fromStatus,
+        toStatus,
+        user,
+        notes: notes ? `Batch ${batch._id}: ${notes}` : `Batch ${batch._id}`
+      })
+    }
+  };
+
+  if (unset.length > 0) {
+    update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+  }
+
+  if (toStatus === 'delivered') {
+    update.$set['metadata.completedAt'] = new Date();
+  }
+
+  await PickupRequest.updateMany({ _id: { $in: members.map(({ _id }) => _id) }, status: fromStatus }, update);
+  await Donation.updateMany(
+    { _id: { $in: members.map(({ donation }) => donation) } },
+    { status: donationStatusFor(toStatus) }
+  );
+
+  for (const member of members) {
+    await notifyPickupStatusChange({
+      pickupRequest: { ...member, volunteer: 'volunteer' in set ? set.volunteer : member.volunteer },
+      fromStatus,
+      toStatus,
+      actor: user,
+      notes,
+      previousVolunteer: member.volunteer
+    });
+  }
+
+  return members.length;
+};
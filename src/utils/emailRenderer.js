@@ -0,0 +1,161 @@
+import EmailTemplate from '../models/EmailTemplate.js';
+import emailTemplates from '../config/emailTemplates.js';
+
+/**
+ * Email template rendering.
+ * Looks up a template (admin-edited copy first, then the built-in default) in the
+ * requested locale, falling back to English, fills in its variables and wraps it
+ * in its layout.
+ */
+
+export const EMAIL_LOCALES = ['en', 'sw'];
+export const DEFAULT_LOCALE = 'en';
+
+const MAX_LAYOUT_DEPTH = 3;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (variables, path) =>
+  path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+
+/**
+ * Fill `{{var}}` (escaped when `escape` is set) and `{{{var}}}` (raw) placeholders.
+ * Runs in a single pass, so placeholders inside substituted values are never expanded.
+ * @param {string} template - Template string
+ * @param {Object} variables - Values; dotted paths are supported
+ * @param {Object} options
+ * @param {boolean} options.escape - HTML-escape `{{var}}` values
+ * @returns {string}
+ */
+export const renderString = (template = '', variables = {}, { escape = false } = {}) => template
+  .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawPath, path) => {
+    const value = String(lookup(variables, rawPath || path) ?? '');
+    return escape && !rawPath ? escapeHtml(value) : value;
+  });
+
+/**
+ * Derive a plain-text fallback from HTML
+ * @param {string} html
+ * @returns {string}
+ */
+export const htmlToText = (html = '') => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|h[1-6]|blockquote|li)>/gi, '\n\n')
+  .replace(/<a [^>]*href="([^"]+)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Variables every template can use
+export const getGlobalVariables = () => ({
+  appName: 'Generous Hands',
+  supportEmail: process.env.SUPPORT_EMAIL || 'jannyjonyo1@gmail.com',
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  year: new Date().getFullYear()
+});
+
+/**
+ * Get a template in one locale, preferring the admin-edited copy
+ * @param {string} key - Template key
+ * @param {string} locale - Locale code
+ * @returns {Promise<Object|null>} - `{ key, locale, subject, html, text, layout, source }`
+ */
+export const getTemplate = async (key, locale) => {
+  const stored = await EmailTemplate.findOne({ key, locale }).lean();
+  if (stored) {
+    return { ...stored, source: 'custom' };
+  }
+
+  const builtIn = emailTemplates[key]?.locales[locale];
+  if (builtIn) {
+    return { key, locale, ...builtIn, layout: emailTemplates[key].layout, source: 'default' };
+  }
+
+  return null;
+};
+
+const resolveTemplate = async (key, locale) =>
+  (await getTemplate(key, locale)) || (locale !== DEFAULT_LOCALE ? getTemplate(key, DEFAULT_LOCALE) : null);
+
+/**
+ * Render an email from a template
+ * @param {string} key - Template key, e.g. 'donation_thank_you'
+ * @param {Object} options
+ * @param {string} options.locale - Preferred locale; falls back to English
+ * @param {Object} options.variables - Template variables
+ * @param {Object} options.draft - Unsaved `{ subject, html, text, layout }` to render instead of the stored template
+ * @returns {Promise<Object>} - `{ subject, html, text, locale }`
+ */
+export const renderEmail = async (key, { locale = DEFAULT_LOCALE, variables = {}, draft } = {}) => {
+  const template = draft
+    ? { ...(await resolveTemplate(key, locale)), ...draft, locale }
+    : await resolveTemplate(key, EMAIL_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE);
+
+  if (!template?.html) {
+    throw new Error(`Email template '${key}' not found`);
+  }
+
+  const values = { ...getGlobalVariables(), ...variables };
+  let html = renderString(template.html, values, { escape: true });
+  let text = template.text ? renderString(template.text, values) : htmlToText(html);
+
+  let layoutKey = template.layout;
+  for (let depth = 0; layoutKey && depth < MAX_LAYOUT_DEPTH; depth++) {
+    const layout = await resolveTemplate(layoutKey, template.locale);
+    if (!layout) break;
+
+    html = renderString(layout.html, { ...values, body: html }, { escape: true });
+    text = layout.text
+      ? renderString(layout.text, { ...values, body: text })
+      : htmlToText(html);
+    layoutKey = layout.layout;
+  }
+
+  return {
+    subject: renderString(template.subject, values),
+    html: html.trim(),
+    text: text.trim(),
+    locale: template.locale
+  };
+};
+
+/**
+ * List every known template key with the locales that are customised
+ * @returns {Promise<Array<Object>>}
+ */
+export const listTemplates = async () => {
+  const stored = await EmailTemplate.find().select('key locale updatedAt updatedBy').lean();
+  const keys = [...new Set([...Object.keys(emailTemplates), ...stored.map(({ key }) => key)])];
+
+  return keys.map(key => ({
+    key,
+    description: emailTemplates[key]?.description || null,
+    variables: emailTemplates[key]?.variables || [],
+    layout: emailTemplates[key]?.layout ?? null,
+    locales: EMAIL_LOCALES.map(locale => {
+      const custom = stored.find(template => template.key === key && template.locale === locale);
+      return {
+        locale,
+        source: custom ? 'custom' : emailTemplates[key]?.locales[locale] ? 'default' : 'missing',
+        updatedAt: custom?.updatedAt || null
+      };
+    })
+  }));
+};
+
+export const getSampleVariables = (key) => emailTemplates[key]?.sample || {};
+
+export const isBuiltInTemplate = (key) => Boolean(emailTemplates[key]);
@@ -0,0 +1,93 @@
+/**
+ * Errors controllers and middleware throw instead of building error responses themselves.
+ * The error handler in middleware/errorMiddleware.js turns them into the error envelope:
+ *
+ *   { success: false, message, code, requestId, ...details }
+ *
+ * `code` is a stable, machine-readable name for the error (e.g. NOT_FOUND, ACCOUNT_LOCKED);
+ * `details` adds fields clients act on, e.g. `{ retryAfter: 30 }`. Anything thrown that is
+ * not an AppError is answered with a generic 500 and logged.
+ */
+
+export class AppError extends Error {
+  /**
+   * @param {string} message - Safe to show to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='INTERNAL_ERROR']
+   * @param {Object} [options.details] - Extra fields for the response body
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'BAD_REQUEST', ...options, status: 400 });
+  }
+}
+
+// Input that is not valid; errors list each problem, e.g. `{ location, field, message }` from validate()
+export class ValidationError extends AppError {
+  constructor(message, errors = [], options = {}) {
+    super(message, { code: 'VALIDATION_ERROR', ...options, status: 400 });
+    this.details = { ...this.details, errors };
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized', options = {}) {
+    super(message, { code: 'UNAUTHORIZED', ...options, status: 401 });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Not allowed', options = {}) {
+    super(message, { code: 'FORBIDDEN', ...options, status: 403 });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options, status: 404 });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFLICT', ...options, status: 409 });
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', options = {}) {
+    super(message, { code: 'RATE_LIMITED', ...options, status: 429 });
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError
+};
+
+/**
+ * The error for a status reported by a helper, e.g. `{ error: { code: 409, message } }`
+ * from applyVerificationAction
+ * @param {number} status
+ * @param {string} message
+ * @param {Object} [options] - `{ code, details }`, as for AppError
+ * @returns {AppError}
+ */
+export const errorForStatus = (status, message, options = {}) => {
+  const ErrorClass = ERRORS_BY_STATUS[status];
+  return ErrorClass ? new ErrorClass(message, options) : new AppError(message, { ...options, status });
+};
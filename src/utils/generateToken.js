@@ -1,10 +1,13 @@
 import jwt from 'jsonwebtoken';
 
-const generateToken = (userId, userRole) => {
+// Access tokens are short-lived; clients renew them with the session's refresh token
+export const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+
+const generateToken = (userId, userRole, sessionId) => {
     return jwt.sign(
-        { id: userId, role: userRole },
+        { id: userId, role: userRole, sid: sessionId },
         process.env.JWT_SECRET,
-        { expiresIn: '30d' }
+        { expiresIn: ACCESS_TOKEN_EXPIRE }
     );
 };
 
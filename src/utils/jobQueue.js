@@ -0,0 +1,274 @@
+import os from 'os';
+import Job from '../models/Job.js';
+
+/**
+ * MongoDB-backed background job queue.
+ * Handlers are registered by name; `enqueueJob` stores a job and the worker
+ * started with `startJobWorker` claims due jobs atomically, so any number of
+ * API or worker processes can share the queue. Failed jobs are retried with
+ * exponential backoff and moved to the dead-letter state ('dead') once they run
+ * out of attempts. Recurring jobs re-queue themselves after each run.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const DEFAULTS = {
+  maxAttempts: 5,
+  backoffMs: 30000,
+  timeoutMs: 5 * 60 * 1000,
+  concurrency: 2
+};
+
+// Running jobs whose worker went away are re-queued after this long
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 15 * 60 * 1000;
+
+const handlers = new Map();
+const schedules = new Map();
+
+const worker = {
+  timer: null,
+  running: new Map(),
+  polling: false,
+  lastRecovery: 0
+};
+
+/**
+ * Register the function that runs jobs with this name
+ * @param {string} name - Job name, e.g. 'notification.deliver'
+ * @param {Function} handler - `async (payload, job) => result`; throw to fail the attempt,
+ *   with `error.retryable = false` to skip remaining retries
+ * @param {Object} options - `{ maxAttempts, backoffMs, timeoutMs, concurrency }` defaults for this job
+ */
+export const registerJobHandler = (name, handler, options = {}) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job handler for '${name}' must be a function`);
+  }
+  handlers.set(name, { handler, options: { ...DEFAULTS, ...options } });
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} name - Job name
+ * @param {Object} payload - Data passed to the handler; must be JSON-serialisable
+ * @param {Object} options
+ * @param {Date} options.runAt - Earliest time to run
+ * @param {number} options.delayMs - Alternative to runAt
+ * @param {number} options.priority - Higher runs first
+ * @param {number} options.maxAttempts - Overrides the handler default
+ * @param {number} options.backoffMs - Overrides the handler default
+ * @param {string} options.uniqueKey - Skip enqueueing while an active job with this key exists
+ * @param {number} options.repeatEveryMs - Re-queue the job this long after each run
+ * @param {string} options.createdBy - User ID
+ * @returns {Promise<Object>} - The queued job (or the existing one for a duplicate uniqueKey)
+ */
+export const enqueueJob = async (name, payload = {}, options = {}) => {
+  const defaults = handlers.get(name)?.options || DEFAULTS;
+  const runAt = options.runAt || new Date(Date.now() + (options.delayMs || 0));
+
+  try {
+    return await Job.create({
+      name,
+      payload,
+      runAt,
+      priority: options.priority || 0,
+      maxAttempts: options.maxAttempts || defaults.maxAttempts,
+      backoffMs: options.backoffMs || defaults.backoffMs,
+      uniqueKey: options.uniqueKey,
+      repeatEveryMs: options.repeatEveryMs,
+      createdBy: options.createdBy
+    });
+  } catch (error) {
+    if (error.code === 11000 && options.uniqueKey) {
+      return Job.findOne({ uniqueKey: options.uniqueKey });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Run a job on a fixed interval. The first run is queued when the worker starts.
+ * @param {string} name - Job name (needs a registered handler)
+ * @param {Object} options
+ * @param {number} options.everyMs - Interval between runs
+ * @param {Object} options.payload - Payload for every run
+ */
+export const scheduleRecurringJob = (name, { everyMs, payload = {} }) => {
+  if (!everyMs || everyMs <= 0) {
+    throw new Error(`Recurring job '${name}' needs a positive interval`);
+  }
+  schedules.set(name, { everyMs, payload });
+};
+
+const withTimeout = (promise, ms, name) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Job '${name}' timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const queueNextRun = async (job) => {
+  if (!job.repeatEveryMs) return;
+  await enqueueJob(job.name, job.payload, {
+    uniqueKey: `schedule:${job.name}`,
+    repeatEveryMs: job.repeatEveryMs,
+    delayMs: job.repeatEveryMs
+  });
+};
+
+const runJob = async (job) => {
+  const { handler, options } = handlers.get(job.name);
+
+  try {
+    const result = await withTimeout(Promise.resolve(handler(job.payload, job)), options.timeoutMs, job.name);
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: { status: 'completed', result, completedAt: new Date() },
+        $unset: { lockedBy: '', lockedAt: '', uniqueKey: '' }
+      }
+    );
+    await queueNextRun(job);
+  } catch (error) {
+    const retry = error.retryable !== false && job.attempts < job.maxAttempts;
+    const failure = { attempt: job.attempts, message: error.message, at: new Date() };
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        $set: retry
+          ? {
+              status: 'queued',
+              lastError: error.message,
+              runAt: new Date(Date.now() + job.backoffMs * 2 ** (job.attempts - 1))
+            }
+          : { status: 'dead', lastError: error.message, completedAt: new Date() },
+        $push: { failures: { $each: [failure], $slice: -20 } },
+        $unset: retry ? { lockedBy: '', lockedAt: '' } : { lockedBy: '', lockedAt: '', uniqueKey: '' }
+      }
+    );
+
+    if (!retry) {
+      console.error(`Job ${job.name} (${job._id}) moved to dead-letter after ${job.attempts} attempt(s):`, error.message);
+      await queueNextRun(job);
+    }
+  }
+};
+
+// Put jobs from crashed workers back in the queue
+const recoverStaleJobs = async () => {
+  await Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    {
+      $set: { status: 'queued', lastError: 'Worker stopped responding; job re-queued' },
+      $unset: { lockedBy: '', lockedAt: '' }
+    }
+  );
+};
+
+const claimNextJob = async (names) => Job.findOneAndUpdate(
+  { status: 'queued', name: { $in: names }, runAt: { $lte: new Date() } },
+  {
+    $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: new Date(), startedAt: new Date() },
+    $inc: { attempts: 1 }
+  },
+  { sort: { priority: -1, runAt: 1 }, new: true }
+).lean();
+
+const poll = async (concurrency) => {
+  if (worker.polling) return;
+  worker.polling = true;
+
+  try {
+    if (Date.now() - worker.lastRecovery > LOCK_TIMEOUT_MS / 2) {
+      worker.lastRecovery = Date.now();
+      await recoverStaleJobs();
+    }
+
+    while (worker.running.size < concurrency) {
+      // Only claim job types that still have a free slot in this process
+      const busy = [...worker.running.values()];
+      const names = [...handlers.entries()]
+        .filter(([name, { options }]) => busy.filter(running => running === name).length < options.concurrency)
+        .map(([name]) => name);
+      if (names.length === 0) break;
+
+      const job = await claimNextJob(names);
+      if (!job) break;
+
+      const id = job._id.toString();
+      worker.running.set(id, job.name);
+      runJob(job)
+        .catch(error => console.error(`Job ${job.name} (${id}) could not be finalised:`, error))
+        .finally(() => worker.running.delete(id));
+    }
+  } catch (error) {
+    console.error('Job worker poll failed:', error.message);
+  } finally {
+    worker.polling = false;
+  }
+};
+
+/**
+ * Start processing jobs in this process
+ * @param {Object} options
+ * @param {number} options.pollIntervalMs - How often to look for due jobs
+ * @param {number} options.concurrency - Maximum jobs running at once in this process
+ */
+export const startJobWorker = async ({
+  pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000,
+  concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 4
+} = {}) => {
+  if (worker.timer) return;
+
+  for (const [name, { everyMs, payload }] of schedules) {
+    await enqueueJob(name, payload, { uniqueKey: `schedule:${name}`, repeatEveryMs: everyMs });
+  }
+
+  worker.timer = setInterval(() => poll(concurrency), pollIntervalMs);
+  console.log(`Job worker ${WORKER_ID} started (${handlers.size} job types, concurrency ${concurrency})`);
+};
+
+/**
+ * Stop claiming new jobs and wait for running ones to finish
+ * @returns {Promise<void>}
+ */
+export const stopJobWorker = async () => {
+  clearInterval(worker.timer);
+  worker.timer = null;
+
+  while (worker.running.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+};
+
+/**
+ * Put a dead or cancelled job back in the queue with fresh attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - The re-queued job, or null if it cannot be retried
+ */
+export const retryJob = async (id) => Job.findOneAndUpdate(
+  { _id: id, status: { $in: ['dead', 'cancelled'] } },
+  {
+    $set: { status: 'queued', attempts: 0, runAt: new Date() },
+    $unset: { completedAt: '', lockedBy: '', lockedAt: '' }
+  },
+  { new: true }
+);
+
+/**
+ * Cancel a job that has not started yet
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} - The cancelled job, or null if it is no longer queued
+ */
+export const cancelJob = async (id) => Job.findOneAndUpdate(
+  { _id: id, status: 'queued' },
+  { $set: { status: 'cancelled', completedAt: new Date() }, $unset: { uniqueKey: '' } },
+  { new: true }
+);
+
+export const getRegisteredJobNames = () => [...handlers.keys()];
+
+export const getRecurringSchedules = () =>
+  [...schedules.entries()].map(([name, { everyMs }]) => ({ name, everyMs }));
@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { sendTemplateEmail } from './sendEmail.js';
+import { getRateLimitStore } from './rateLimitStore.js';
+
+/**
+ * Progressive lockout after repeated failed logins.
+ * LOGIN_LOCKOUT_THRESHOLD failures within LOGIN_FAILURE_WINDOW_MINUTES lock the account.
+ * The first lockout lasts LOGIN_LOCKOUT_MINUTES and each further one in a row twice as
+ * long, up to LOGIN_LOCKOUT_MAX_MINUTES. The owner is emailed a link that unlocks the
+ * account straight away; a successful login, the unlock link or a password reset starts
+ * the count again. Logins to a locked account are refused without checking the password.
+ *
+ * Emails without an account are locked after the same failures for the same time, so the
+ * lockout does not reveal which emails are registered. Their counts are kept in the rate
+ * limit store rather than on a user.
+ */
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+const MINUTE = 60 * 1000;
+// Lockouts in a row of accounts are only reset by a login, which an unknown email never has
+const UNKNOWN_EMAIL_LOCKOUTS_WINDOW_MS = 30 * 24 * 60 * MINUTE;
+
+// Fields that clear the failure count, the lock and the unlock link, for an update
+export const LOCKOUT_RESET = {
+  $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockouts': 0 },
+  $unset: {
+    'loginLockout.lastFailedAt': '',
+    'loginLockout.lockedUntil': '',
+    accountUnlockToken: '',
+    accountUnlockExpires: ''
+  }
+};
+
+const formatDateTime = (date) => `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+/**
+ * Whether logins to an account are refused for now
+ * @param {Object} user
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isLocked = (user, now = new Date()) => Boolean(user.loginLockout?.lockedUntil && user.loginLockout.lockedUntil > now);
+
+/**
+ * How long the next lockout lasts
+ * @param {number} previousLockouts - Lockouts in a row so far
+ * @returns {number} - Minutes
+ */
+export const lockoutMinutes = (previousLockouts = 0) =>
+  Math.min(LOCKOUT_MINUTES * 2 ** Math.min(previousLockouts, 16), MAX_LOCKOUT_MINUTES);
+
+const sendLockoutEmail = async (userId, lockedUntil) => {
+  const user = await User.findById(userId);
+  const token = user.createAccountUnlockToken(Math.ceil((lockedUntil - Date.now()) / MINUTE));
+  await user.save({ validateBeforeSave: false });
+
+  await sendTemplateEmail(user, 'account_locked', {
+    lockedUntil: formatDateTime(lockedUntil),
+    unlockUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unlock-account?token=${token}`
+  });
+};
+
+/**
+ * Count a failed login and lock the account once there have been too many
+ * @param {Object} user - Account the login was for
+ * @returns {Promise<Object>} - `{ locked, lockedUntil }`
+ */
+export const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE);
+
+  // Failures spread out over longer than the window do not add up
+  const updated = await User.findOneAndUpdate({ _id: user._id }, [{
+    $set: {
+      'loginLockout.failedAttempts': {
+        $cond: [
+          { $gt: ['$loginLockout.lastFailedAt', windowStart] },
+          { $add: [{ $ifNull: ['$loginLockout.failedAttempts', 0] }, 1] },
+          1
+        ]
+      },
+      'loginLockout.lastFailedAt': now
+    }
+  }], { new: true }).lean();
+
+  if (!updated || updated.loginLockout.failedAttempts < LOCKOUT_THRESHOLD) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + lockoutMinutes(updated.loginLockout.lockouts) * MINUTE);
+  // Conditional on the count, so concurrent failures lock the account only once
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, 'loginLockout.failedAttempts': { $gte: LOCKOUT_THRESHOLD } },
+    {
+      $set: { 'loginLockout.failedAttempts': 0, 'loginLockout.lockedUntil': lockedUntil },
+      $inc: { 'loginLockout.lockouts': 1 }
+    },
+    { new: true }
+  ).lean();
+  if (!locked) {
+    // A concurrent failed login locked it first
+    const current = await User.findById(user._id).select('loginLockout').lean();
+    return { locked: true, lockedUntil: current?.loginLockout?.lockedUntil };
+  }
+
+  // The account is locked either way; a failed email must not undo it
+  try {
+    await sendLockoutEmail(user._id, lockedUntil);
+  } catch (error) {
+    console.error(`Failed to send lockout email to user ${user._id}:`, error.message);
+  }
+
+  return { locked: true, lockedUntil };
+};
+
+// Buckets are keyed on a hash so the store never holds email addresses
+const unknownEmailKeys = (email) => {
+  const hash = crypto.createHash('sha256').update(String(email).toLowerCase().trim()).digest('hex');
+  return {
+    failures: `loginLockout:failures:${hash}`,
+    locked: `loginLockout:locked:${hash}`,
+    lockouts: `loginLockout:lockouts:${hash}`
+  };
+};
+
+/**
+ * When logins with an email that has no account are refused until, as for a locked account
+ * @param {string} email
+ * @param {Object} [store] - Rate limit store
+ * @returns {Promise<Date|null>}
+ */
+export const unknownEmailLockedUntil = async (email, store = getRateLimitStore()) => {
+  const locked = await store.get(unknownEmailKeys(email).locked);
+  return locked ? locked.resetAt : null;
+};
+
+/**
+ * Count a failed login with an email that has no account, locking it as recordFailedLogin would
+ * @param {string} email
+ * @param {Object} [store] - Rate limit store
+ * @returns {Promise<Object>} - `{ locked, lockedUntil }`
+ */
+export const recordUnknownEmailFailure = async (email, store = getRateLimitStore()) => {
+  const keys = unknownEmailKeys(email);
+
+  const { count } = await store.hit(keys.failures, FAILURE_WINDOW_MINUTES * MINUTE);
+  if (count < LOCKOUT_THRESHOLD) {
+    return { locked: false };
+  }
+
+  await store.reset(keys.failures);
+  const { count: lockouts } = await store.hit(keys.lockouts, UNKNOWN_EMAIL_LOCKOUTS_WINDOW_MS);
+  const { resetAt } = await store.hit(keys.locked, lockoutMinutes(lockouts - 1) * MINUTE);
+  return { locked: true, lockedUntil: resetAt };
+};
+
+/**
+ * Start the count again after a successful login
+ * @param {Object} user
+ */
+export const clearFailedLogins = async (user) => {
+  if (!user.loginLockout?.failedAttempts && !user.loginLockout?.lockouts) return;
+  await User.updateOne({ _id: user._id }, LOCKOUT_RESET);
+};
+
+/**
+ * Unlock an account with the token from the lockout email. The token is single-use.
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<Object|null>} - The user, or null if the token is invalid or expired
+ */
+export const unlockWithToken = (token) => User.findOneAndUpdate(
+  { accountUnlockToken: User.hashToken(token), accountUnlockExpires: { $gt: new Date() } },
+  LOCKOUT_RESET,
+  { new: true }
+).lean();
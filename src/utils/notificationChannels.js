@@ -0,0 +1,223 @@
+import { appendFile, mkdir } from 'fs/promises';
+import path from 'path';
+import fetch from 'node-fetch';
+import webpush from 'web-push';
+import { User } from '../models/User.js';
+import { sendEmail, isEmailConfigured } from './sendEmail.js';
+import { renderEmail } from './emailRenderer.js';
+
+/**
+ * Channel adapters used by the notification dispatcher.
+ * An adapter exposes `isConfigured()` and `send({ user, notification, content })`,
+ * resolving to `{ destination, providerMessageId }`. Errors are retried unless
+ * they carry `retryable: false`.
+ *
+ * Each channel (email, sms, push) has a live adapter. Set
+ * NOTIFICATION_TRANSPORT=console to deliver every channel through the console
+ * adapter instead, which logs and appends to NOTIFICATION_LOG_FILE.
+ */
+
+const SMS_MAX_LENGTH = 320;
+
+const permanentError = (message) => Object.assign(new Error(message), { retryable: false });
+
+// Notifications without their own template use the generic one
+const buildEmail = (user, notification, content = {}) => renderEmail(content.template || 'notification', {
+  locale: user.preferredLanguage,
+  variables: {
+    name: user.name,
+    title: notification.title,
+    message: notification.message,
+    ...content.variables
+  }
+});
+
+const smtpAdapter = {
+  name: 'smtp',
+  channel: 'email',
+
+  isConfigured: isEmailConfigured,
+
+  async send({ user, notification, content = {} }) {
+    if (!user.email) {
+      throw permanentError('User has no email address');
+    }
+
+    const email = await buildEmail(user, notification, content);
+
+    const info = await sendEmail({
+      to: user.email,
+      subject: email.subject,
+      text: email.text,
+      html: email.html
+    });
+
+    return { destination: user.email, providerMessageId: info?.messageId };
+  }
+};
+
+// Generic HTTP SMS gateway: POST { to, from, message } with a bearer API key
+const smsGatewayAdapter = {
+  name: 'sms_gateway',
+  channel: 'sms',
+
+  isConfigured: () => Boolean(process.env.SMS_GATEWAY_URL),
+
+  async send({ user, notification, content = {} }) {
+    if (!user.phoneNumber) {
+      throw permanentError('User has no phone number');
+    }
+
+    const message = (content.text || `${notification.title}: ${notification.message}`).slice(0, SMS_MAX_LENGTH);
+
+    const response = await fetch(process.env.SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(process.env.SMS_GATEWAY_API_KEY && { 'Authorization': `Bearer ${process.env.SMS_GATEWAY_API_KEY}` })
+      },
+      body: JSON.stringify({
+        to: user.phoneNumber,
+        from: process.env.SMS_SENDER_ID,
+        message
+      }),
+      timeout: 10000
+    });
+
+    if (!response.ok) {
+      const error = new Error(`SMS gateway error: ${response.status} ${response.statusText}`);
+      // Client errors (bad number, bad request) will not succeed on retry
+      error.retryable = response.status >= 500 || response.status === 429;
+      throw error;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    return { destination: user.phoneNumber, providerMessageId: data.id || data.messageId };
+  }
+};
+
+const webPushAdapter = {
+  name: 'web_push',
+  channel: 'push',
+
+  isConfigured: () => Boolean(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+
+  async send({ user, notification }) {
+    const subscriptions = user.pushSubscriptions || [];
+    if (subscriptions.length === 0) {
+      throw permanentError('User has no push subscriptions');
+    }
+
+    webpush.setVapidDetails(
+      process.env.VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM || process.env.EMAIL_USER}`,
+      process.env.VAPID_PUBLIC_KEY,
+      process.env.VAPID_PRIVATE_KEY
+    );
+
+    const payload = JSON.stringify({
+      title: notification.title,
+      body: notification.message,
+      data: {
+        notificationId: notification._id,
+        type: notification.type,
+        donation: notification.donation,
+        pickupRequest: notification.pickupRequest
+      }
+    });
+
+    const expired = [];
+    let delivered = 0;
+    let lastError;
+
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification(subscription, payload, { TTL: 24 * 60 * 60 });
+        delivered++;
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          expired.push(subscription.endpoint);
+        } else {
+          lastError = error;
+        }
+      }
+    }
+
+    // Browsers revoke subscriptions; stop sending to them
+    if (expired.length > 0) {
+      await User.updateOne({ _id: user._id }, { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } });
+    }
+
+    if (delivered === 0) {
+      if (lastError) throw lastError;
+      throw permanentError('All push subscriptions have expired');
+    }
+
+    return { destination: `${delivered} subscription(s)` };
+  }
+};
+
+const consoleAdapter = {
+  name: 'console',
+  channel: '*',
+
+  isConfigured: () => true,
+
+  async send({ channel, user, notification, content = {} }) {
+    const destination = channel === 'email' ? user.email : channel === 'sms' ? user.phoneNumber : `user:${user._id}`;
+    const email = channel === 'email' ? await buildEmail(user, notification, content) : null;
+    const entry = {
+      at: new Date().toISOString(),
+      channel,
+      to: destination,
+      type: notification.type,
+      subject: email?.subject || notification.title,
+      text: email?.text || content.text || notification.message
+    };
+
+    console.log(`[notification:${channel}] -> ${destination}: ${entry.subject}`);
+
+    const logFile = process.env.NOTIFICATION_LOG_FILE || path.join(process.cwd(), 'logs', 'notifications.log');
+    await mkdir(path.dirname(logFile), { recursive: true });
+    await appendFile(logFile, `${JSON.stringify(entry)}\n`);
+
+    return { destination };
+  }
+};
+
+const adapters = new Map([
+  ['email', smtpAdapter],
+  ['sms', smsGatewayAdapter],
+  ['push', webPushAdapter]
+]);
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms', 'push'];
+
+/**
+ * Replace the live adapter for a channel, e.g. to use a different SMS provider
+ * @param {string} channel - 'email', 'sms' or 'push'
+ * @param {Object} adapter - Object with a `name`, `isConfigured()` and an async `send(params)`
+ */
+export const registerChannelAdapter = (channel, adapter) => {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  if (!adapter?.name || typeof adapter.send !== 'function' || typeof adapter.isConfigured !== 'function') {
+    throw new Error('A channel adapter needs a name, an isConfigured function and a send function');
+  }
+  adapters.set(channel, adapter);
+};
+
+/**
+ * Get the adapter that delivers a channel, honouring NOTIFICATION_TRANSPORT=console
+ * @param {string} channel - 'email', 'sms' or 'push'
+ * @returns {Object|null}
+ */
+export const getChannelAdapter = (channel) => {
+  if (process.env.NOTIFICATION_TRANSPORT === 'console') {
+    return consoleAdapter;
+  }
+  return adapters.get(channel) || null;
+};
+
+export const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
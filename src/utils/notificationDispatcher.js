@@ -0,0 +1,167 @@
+import { User } from '../models/User.js';
+import Donation from '../models/Donation.js';
+import Notification from '../models/Notification.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import { getChannelAdapter, NOTIFICATION_CHANNELS } from './notificationChannels.js';
+import { enqueueJob } from './jobQueue.js';
+
+/**
+ * Multi-channel notification dispatcher.
+ * Routes each in-app notification to the recipient's chosen outbound channels
+ * and records every delivery in the NotificationDelivery log. Sends run as
+ * 'notification.deliver' jobs, which the job queue retries with exponential backoff.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 3;
+const BASE_BACKOFF_MS = parseInt(process.env.NOTIFICATION_BACKOFF_MS, 10) || 2000;
+
+// Donation contact preferences expressed as outbound channels; we text rather than call
+const CONTACT_PREFERENCE_CHANNELS = {
+  email: 'email',
+  sms: 'sms',
+  phone: 'sms'
+};
+
+/**
+ * Work out which outbound channels a notification goes to for a user
+ * @param {Object} user - Recipient with notificationPreferences
+ * @param {Object} notification - Notification document
+ * @param {Object} options
+ * @param {string} options.contactPreference - The donor's contact preference for the donation this is about
+ * @param {Array<string>} options.requiredChannels - Channels to use regardless of preferences
+ * @returns {Array<string>}
+ */
+export const resolveChannels = (user, notification, { contactPreference, requiredChannels = [] } = {}) => {
+  const preferences = user.notificationPreferences || {};
+  const muted = (preferences.mutedTypes || []).includes(notification.type);
+
+  let channels = muted ? [] : [...(preferences.channels || ['email'])];
+
+  // A donor's per-donation contact preference replaces their email/SMS choice for that donation
+  if (!muted && contactPreference && CONTACT_PREFERENCE_CHANNELS[contactPreference]) {
+    channels = [
+      ...channels.filter(channel => channel === 'push'),
+      CONTACT_PREFERENCE_CHANNELS[contactPreference]
+    ];
+  }
+
+  return [...new Set([...channels, ...requiredChannels])]
+    .filter(channel => NOTIFICATION_CHANNELS.includes(channel));
+};
+
+/**
+ * Send one logged delivery; runs as the 'notification.deliver' job
+ * @param {Object} payload - `{ deliveryId, content }`
+ * @param {Object} job - The running job (attempts, maxAttempts, backoffMs)
+ * @returns {Promise<Object>} - `{ status, destination }`
+ */
+export const processDelivery = async ({ deliveryId, content }, job) => {
+  const delivery = await NotificationDelivery.findById(deliveryId);
+  if (!delivery || delivery.status === 'sent') {
+    return { status: delivery?.status || 'missing' };
+  }
+
+  const [notification, user] = await Promise.all([
+    Notification.findById(delivery.notification).lean(),
+    User.findById(delivery.recipient)
+      .select('+pushSubscriptions email phoneNumber name preferredLanguage')
+      .lean()
+  ]);
+
+  const adapter = getChannelAdapter(delivery.channel);
+  if (!notification || !user || !adapter) {
+    delivery.set({ status: 'skipped', lastError: 'Notification, recipient or channel no longer available' });
+    await delivery.save();
+    return { status: delivery.status };
+  }
+
+  try {
+    const result = await adapter.send({ channel: delivery.channel, user, notification, content });
+    delivery.set({
+      status: 'sent',
+      attempts: job.attempts,
+      adapter: adapter.name,
+      destination: result?.destination,
+      providerMessageId: result?.providerMessageId,
+      sentAt: new Date(),
+      nextAttemptAt: undefined,
+      lastError: undefined
+    });
+    await delivery.save();
+    return { status: delivery.status, destination: delivery.destination };
+  } catch (error) {
+    const retry = error.retryable !== false && job.attempts < job.maxAttempts;
+    delivery.set({
+      status: retry ? 'pending' : 'failed',
+      attempts: job.attempts,
+      lastError: error.message,
+      nextAttemptAt: retry ? new Date(Date.now() + job.backoffMs * 2 ** (job.attempts - 1)) : undefined
+    });
+    await delivery.save();
+    throw error;
+  }
+};
+
+/**
+ * Deliver notifications over each recipient's outbound channels
+ * @param {Array<Object>} notifications - Saved Notification documents
+ * @param {Object} options
+ * @param {Object} options.content - Per-channel content overrides, e.g. `{ email: { template, variables }, sms: { text } }`
+ * @param {Array<string>} options.requiredChannels - Channels to use regardless of preferences
+ * @returns {Promise<Array<Object>>} - Delivery log entries, queued for sending
+ */
+export const dispatchNotifications = async (notifications, { content = {}, requiredChannels = [] } = {}) => {
+  if (notifications.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: notifications.map(({ recipient }) => recipient) } })
+    .select('+pushSubscriptions email phoneNumber name preferredLanguage notificationPreferences isActive')
+    .lean();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const donationIds = [...new Set(notifications.filter(({ donation }) => donation).map(({ donation }) => donation.toString()))];
+  const donations = donationIds.length > 0
+    ? await Donation.find({ _id: { $in: donationIds } }).select('donorId contactPreference').lean()
+    : [];
+  const donationsById = new Map(donations.map(donation => [donation._id.toString(), donation]));
+
+  const deliveries = [];
+
+  for (const notification of notifications) {
+    const user = usersById.get(notification.recipient.toString());
+    if (!user || user.isActive === false) continue;
+
+    const donation = notification.donation && donationsById.get(notification.donation.toString());
+    const isDonor = donation?.donorId?.toString() === user._id.toString();
+
+    const channels = resolveChannels(user, notification, {
+      contactPreference: isDonor ? donation.contactPreference : undefined,
+      requiredChannels
+    });
+
+    for (const channel of channels) {
+      const adapter = getChannelAdapter(channel);
+      const delivery = new NotificationDelivery({
+        notification: notification._id,
+        recipient: user._id,
+        channel,
+        adapter: adapter?.name
+      });
+
+      if (!adapter || !adapter.isConfigured()) {
+        delivery.set({ status: 'skipped', lastError: `No ${channel} provider is configured` });
+        await delivery.save();
+        deliveries.push(delivery);
+        continue;
+      }
+
+      await delivery.save();
+      await enqueueJob('notification.deliver', { deliveryId: delivery._id, content: content[channel] }, {
+        maxAttempts: MAX_ATTEMPTS,
+        backoffMs: BASE_BACKOFF_MS
+      });
+      deliveries.push(delivery);
+    }
+  }
+
+  return deliveries;
+};
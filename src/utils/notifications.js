@@ -0,0 +1,131 @@
+import Notification from '../models/Notification.js';
+import Donation from '../models/Donation.js';
+import { dispatchNotifications } from './notificationDispatcher.js';
+
+/**
+ * In-app notifications.
+ * Every notification is stored for the notification centre and then handed to
+ * the dispatcher for the recipient's outbound channels. Notifications are best
+ * effort: failures are logged and never fail the request that triggered them.
+ */
+
+const PICKUP_STATUS_MESSAGES = {
+  available: {
+    type: 'pickup_released',
+    title: 'Pickup reopened',
+    message: (address) => `The pickup from ${address} is waiting for a new volunteer.`
+  },
+  accepted: {
+    type: 'pickup_accepted',
+    title: 'Pickup accepted',
+    message: (address) => `A volunteer has accepted the pickup from ${address}.`
+  },
+  en_route_pickup: {
+    type: 'pickup_status',
+    title: 'Volunteer on the way',
+    message: (address) => `The volunteer is on the way to collect the donation from ${address}.`
+  },
+  arrived_pickup: {
+    type: 'pickup_status',
+    title: 'Volunteer has arrived',
+    message: (address) => `The volunteer has arrived at ${address}.`
+  },
+  picked_up: {
+    type: 'pickup_status',
+    title: 'Donation picked up',
+    message: (address) => `The donation from ${address} has been picked up.`
+  },
+  en_route_delivery: {
+    type: 'pickup_status',
+    title: 'Donation on its way',
+    message: () => 'The donation is on its way to the charity.'
+  },
+  delivered: {
+    type: 'donation_delivered',
+    title: 'Donation delivered',
+    message: () => 'The donation has been delivered to the charity.'
+  },
+  cancelled: {
+    type: 'pickup_cancelled',
+    title: 'Pickup cancelled',
+    message: (address) => `The pickup from ${address} has been cancelled.`
+  }
+};
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(id => id.toString()))];
+
+/**
+ * Create the same notification for each recipient and dispatch it to their outbound channels
+ * @param {Array<string>|string} recipients - User IDs
+ * @param {Object} notification - `{ type, title, message, donation, pickupRequest, actor, metadata }`
+ * @param {Object} options - Dispatch options (`content`, `requiredChannels`), see dispatchNotifications
+ * @returns {Promise<Array<Object>>} - Created notifications (empty on failure)
+ */
+export const notify = async (recipients, notification, options = {}) => {
+  const ids = uniqueIds([].concat(recipients));
+  if (ids.length === 0) return [];
+
+  let created;
+  try {
+    created = await Notification.insertMany(ids.map(recipient => ({ ...notification, recipient })));
+  } catch (error) {
+    console.error(`Failed to create '${notification.type}' notifications:`, error);
+    return [];
+  }
+
+  // Outbound sends are queued as background jobs, so this only records the deliveries
+  try {
+    await dispatchNotifications(created, options);
+  } catch (error) {
+    console.error(`Failed to dispatch '${notification.type}' notifications:`, error);
+  }
+
+  return created;
+};
+
+/**
+ * Notify the donor, charity and volunteer(s) involved in a pickup about a status change.
+ * The user who made the change is not notified.
+ * @param {Object} params
+ * @param {Object} params.pickupRequest - Pickup request (needs donation, charity, volunteer, pickupAddress)
+ * @param {string} params.fromStatus - Previous status
+ * @param {string} params.toStatus - New status
+ * @param {Object} params.actor - User who made the change
+ * @param {string} params.notes - Optional notes shown with the message
+ * @param {string} params.previousVolunteer - Volunteer who held the pickup before the change, if different
+ * @returns {Promise<Array<Object>>}
+ */
+export const notifyPickupStatusChange = async ({ pickupRequest, fromStatus, toStatus, actor, notes, previousVolunteer }) => {
+  const template = PICKUP_STATUS_MESSAGES[toStatus];
+  if (!template) return [];
+
+  try {
+    const donationId = pickupRequest.donation?._id || pickupRequest.donation;
+    const donation = pickupRequest.donation?.donorId
+      ? pickupRequest.donation
+      : await Donation.findById(donationId).select('donorId').lean();
+
+    const actorId = actor?._id?.toString();
+    const recipients = uniqueIds([
+      donation?.donorId,
+      pickupRequest.charity?._id || pickupRequest.charity,
+      pickupRequest.volunteer?._id || pickupRequest.volunteer,
+      previousVolunteer
+    ]).filter(id => id !== actorId);
+
+    const message = template.message(pickupRequest.pickupAddress || 'the donor');
+
+    return await notify(recipients, {
+      type: template.type,
+      title: template.title,
+      message: notes ? `${message} Note: ${notes}` : message,
+      donation: donationId,
+      pickupRequest: pickupRequest._id,
+      actor: actor?._id,
+      metadata: { fromStatus, status: toStatus }
+    });
+  } catch (error) {
+    console.error(`Failed to notify status change for pickup ${pickupRequest._id}:`, error);
+    return [];
+  }
+};
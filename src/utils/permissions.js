@@ -0,0 +1,102 @@
+import AdminRole from '../models/AdminRole.js';
+import { Admin } from '../models/User.js';
+import {
+  PERMISSION_KEYS,
+  BUILT_IN_ROLES,
+  SUPER_ADMIN_LEVEL,
+  DEFAULT_ADMIN_ROLE
+} from '../config/permissions.js';
+
+/**
+ * Resolve role keys (built-in or custom) to role definitions
+ * @param {Array<string>} keys - Role keys
+ * @returns {Promise<Array<Object>>} - `{ key, name, description, permissions, builtIn }`; unknown keys are dropped
+ */
+export const resolveRoles = async (keys = []) => {
+  const builtIn = keys
+    .filter(key => BUILT_IN_ROLES[key])
+    .map(key => ({ key, ...BUILT_IN_ROLES[key], builtIn: true }));
+
+  const customKeys = keys.filter(key => !BUILT_IN_ROLES[key]);
+  const custom = customKeys.length > 0
+    ? (await AdminRole.find({ key: { $in: customKeys } }).lean()).map(role => ({ ...role, builtIn: false }))
+    : [];
+
+  return [...builtIn, ...custom];
+};
+
+/**
+ * Work out the permissions an admin holds
+ * @param {Object} user - User document
+ * @returns {Promise<Array<string>>} - Permission keys; empty for non-admins
+ */
+export const getAdminPermissions = async (user) => {
+  if (user?.role !== 'admin') return [];
+  if ((user.permissionsLevel || 0) >= SUPER_ADMIN_LEVEL) return [...PERMISSION_KEYS];
+
+  const roleKeys = user.roles?.length > 0 ? user.roles : [DEFAULT_ADMIN_ROLE];
+  const roles = await resolveRoles(roleKeys);
+
+  return [...new Set(roles.flatMap(role => role.permissions))];
+};
+
+/**
+ * Find the active admins who hold a permission, e.g. to notify reviewers
+ * @param {string} permission - Permission key
+ * @returns {Promise<Array<Object>>} - Admin users (lean)
+ */
+export const findAdminsWithPermission = async (permission) => {
+  const admins = await Admin.find({ isActive: { $ne: false } })
+    .select('name email role roles permissionsLevel')
+    .lean();
+
+  const permissions = await Promise.all(admins.map(getAdminPermissions));
+  return admins.filter((admin, index) => permissions[index].includes(permission));
+};
+
+/**
+ * Check a permission on a user that passed through `protect`
+ * @param {Object} user - req.user
+ * @param {string} permission - Permission key
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) =>
+  Boolean(user?.$locals?.permissions?.includes(permission));
+
+/**
+ * Check that an admin may hand out a set of roles and a permissions level,
+ * either to another admin or through an invitation. Nobody can grant more
+ * than they hold themselves.
+ * @param {Object} actor - req.user of the granting admin
+ * @param {Object} grant
+ * @param {Array<string>} grant.roles - Role keys
+ * @param {number} grant.permissionsLevel - Level to assign
+ * @returns {Promise<string|null>} - Reason the grant is refused, or null
+ */
+export const checkGrant = async (actor, { roles = [], permissionsLevel = 1 }) => {
+  if (!Array.isArray(roles) || roles.some(role => typeof role !== 'string')) {
+    return 'roles must be an array of role keys';
+  }
+  if (!Number.isInteger(permissionsLevel) || permissionsLevel < 1) {
+    return 'permissionsLevel must be a whole number of at least 1';
+  }
+  if (permissionsLevel > (actor.permissionsLevel || 1)) {
+    return 'You cannot assign a permissions level above your own';
+  }
+
+  const resolved = await resolveRoles([...new Set(roles)]);
+  const unknown = roles.filter(key => !resolved.some(role => role.key === key));
+  if (unknown.length > 0) {
+    return `Unknown role(s): ${unknown.join(', ')}`;
+  }
+
+  const granted = permissionsLevel >= SUPER_ADMIN_LEVEL
+    ? PERMISSION_KEYS
+    : resolved.length > 0 ? resolved.flatMap(role => role.permissions) : BUILT_IN_ROLES[DEFAULT_ADMIN_ROLE].permissions;
+  const beyond = [...new Set(granted)].filter(permission => !hasPermission(actor, permission));
+  if (beyond.length > 0) {
+    return `You cannot grant permissions you do not hold: ${beyond.join(', ')}`;
+  }
+
+  return null;
+};
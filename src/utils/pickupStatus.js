@@ -0,0 +1,167 @@
+import { hasPermission } from './permissions.js';
+import { canTakePickups } from './documentCompliance.js';
+
+/**
+ * Pickup request status state machine.
+ * Declares which status changes are allowed, who may trigger each one, and how
+ * a pickup status maps onto the status of its donation.
+ */
+
+export const PICKUP_STATUSES = [
+  'available', 'accepted', 'en_route_pickup', 'arrived_pickup',
+  'picked_up', 'en_route_delivery', 'delivered', 'cancelled'
+];
+
+// Actors allowed to trigger a transition:
+//   assignedVolunteer - the volunteer currently assigned to the pickup
+//   anyVolunteer      - any verified volunteer whose documents have not lapsed (used for claiming)
+//   charity           - the charity the pickup is destined for
+//   admin             - an administrator with the donations:override permission
+// Admins assign volunteers through the auto-assign endpoint rather than by accepting.
+const TRANSITIONS = {
+  available: {
+    accepted: ['anyVolunteer'],
+    cancelled: ['charity', 'admin']
+  },
+  accepted: {
+    en_route_pickup: ['assignedVolunteer'],
+    available: ['assignedVolunteer', 'admin'],
+    cancelled: ['charity', 'admin']
+  },
+  en_route_pickup: {
+    arrived_pickup: ['assignedVolunteer'],
+    cancelled: ['charity', 'admin']
+  },
+  arrived_pickup: {
+    picked_up: ['assignedVolunteer'],
+    cancelled: ['charity', 'admin']
+  },
+  picked_up: {
+    en_route_delivery: ['assignedVolunteer'],
+    cancelled: ['charity', 'admin']
+  },
+  en_route_delivery: {
+    delivered: ['assignedVolunteer'],
+    cancelled: ['charity', 'admin']
+  },
+  delivered: {},
+  cancelled: {
+    available: ['admin']
+  }
+};
+
+const DONATION_STATUS_FOR_PICKUP = {
+  available: 'submitted',
+  accepted: 'assigned',
+  en_route_pickup: 'assigned',
+  arrived_pickup: 'assigned',
+  picked_up: 'picked_up',
+  en_route_delivery: 'picked_up',
+  delivered: 'delivered',
+  cancelled: 'cancelled'
+};
+
+/**
+ * List the statuses a pickup may move to from its current status
+ * @param {string} status - Current pickup status
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (status) => Object.keys(TRANSITIONS[status] || {});
+
+/**
+ * Work out which actor roles the user plays for this pickup
+ * @param {Object} pickupRequest - PickupRequest document
+ * @param {Object} user - Authenticated user
+ * @returns {Array<string>}
+ */
+const resolveActors = (pickupRequest, user) => {
+  const actors = [];
+  const userId = user._id.toString();
+
+  if (user.role === 'admin' && hasPermission(user, 'donations:override')) actors.push('admin');
+  if (user.role === 'volunteer' && canTakePickups(user)) actors.push('anyVolunteer');
+  if (user.role === 'volunteer' && pickupRequest.volunteer?.toString() === userId) {
+    actors.push('assignedVolunteer');
+  }
+  if (user.role === 'charity' && pickupRequest.charity?.toString() === userId) {
+    actors.push('charity');
+  }
+
+  return actors;
+};
+
+/**
+ * Check whether a user may move a pickup request to a new status
+ * @param {Object} pickupRequest - PickupRequest document
+ * @param {string} toStatus - Requested status
+ * @param {Object} user - Authenticated user
+ * @returns {{ allowed: boolean, code?: number, message?: string }}
+ */
+export const checkTransition = (pickupRequest, toStatus, user) => {
+  const fromStatus = pickupRequest.status;
+
+  if (!PICKUP_STATUSES.includes(toStatus)) {
+    return { allowed: false, code: 400, message: 'Invalid status provided' };
+  }
+
+  const allowedActors = TRANSITIONS[fromStatus]?.[toStatus];
+  if (!allowedActors) {
+    const next = getAllowedTransitions(fromStatus);
+    return {
+      allowed: false,
+      code: 400,
+      message: `Cannot change status from '${fromStatus}' to '${toStatus}'. ` +
+        (next.length > 0 ? `Allowed next statuses: ${next.join(', ')}.` : `'${fromStatus}' is a final status.`)
+    };
+  }
+
+  const actors = resolveActors(pickupRequest, user);
+  if (!allowedActors.some(actor => actors.includes(actor))) {
+    return {
+      allowed: false,
+      code: 403,
+      message: `You are not authorized to change this pickup from '${fromStatus}' to '${toStatus}'`
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Map a pickup status to the matching donation status
+ * @param {string} status - Pickup status
+ * @returns {string}
+ */
+export const donationStatusFor = (status) => DONATION_STATUS_FOR_PICKUP[status] || 'submitted';
+
+/**
+ * Build an entry for the append-only PickupRequest.statusHistory array
+ * @param {Object} params
+ * @param {string|null} params.fromStatus - Status before the change
+ * @param {string} params.toStatus - Status after the change
+ * @param {Object} params.user - User who triggered the change
+ * @param {string} params.notes - Optional notes
+ * @param {Object} params.location - Optional { lat, lng } where the change happened
+ * @returns {Object}
+ */
+export const buildStatusHistoryEntry = ({ fromStatus, toStatus, user, notes, location }) => {
+  const entry = {
+    fromStatus,
+    status: toStatus,
+    actor: user?._id,
+    actorRole: user?.role,
+    timestamp: new Date()
+  };
+
+  if (notes) {
+    entry.notes = notes;
+  }
+
+  const lat = parseFloat(location?.lat);
+  const lng = parseFloat(location?.lng);
+  if (!Number.isNaN(lat) && !Number.isNaN(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180) {
+    entry.location = { type: 'Point', coordinates: [lng, lat] };
+  }
+
+  return entry;
+};
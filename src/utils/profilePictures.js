@@ -0,0 +1,113 @@
+import { mkdir, unlink } from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+
+/**
+ * Profile picture processing.
+ * Uploads are decoded with sharp, which also rejects files that only claim to
+ * be images, then cropped square and stored as WebP in several sizes under
+ * uploads/profilePictures. Users without a picture get a generated SVG avatar.
+ */
+
+const PICTURE_DIR = path.join('uploads', 'profilePictures');
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Square edge in pixels for each stored size; `large` is the profilePictureUrl
+export const PROFILE_PICTURE_SIZES = {
+  large: 512,
+  medium: 256,
+  thumb: 64
+};
+
+const AVATAR_COLORS = ['#005AA7', '#2E7D32', '#C62828', '#6A1B9A', '#EF6C00', '#00838F', '#AD1457', '#4E342E'];
+
+const fileUrl = (filename) => `/${PICTURE_DIR.split(path.sep).join('/')}/${filename}`;
+
+/**
+ * Resize an uploaded image into every profile picture size
+ * @param {Buffer} buffer - Uploaded file contents
+ * @param {string} userId - Owner, used in the file names
+ * @returns {Promise<Object>} - `{ large, medium, thumb }` URLs
+ * @throws {Error} - With `invalidImage: true` if the file is not a readable image
+ */
+export const saveProfilePicture = async (buffer, userId) => {
+  let image;
+  try {
+    image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, animated: false });
+    await image.metadata();
+  } catch (error) {
+    throw Object.assign(new Error('The file is not a valid image'), { invalidImage: true });
+  }
+
+  await mkdir(PICTURE_DIR, { recursive: true });
+  const stamp = Date.now();
+  const urls = {};
+
+  try {
+    for (const [size, edge] of Object.entries(PROFILE_PICTURE_SIZES)) {
+      const filename = `${userId}-${stamp}-${size}.webp`;
+      // rotate() applies the EXIF orientation; metadata (including location) is not copied
+      await image.clone()
+        .rotate()
+        .resize(edge, edge, { fit: 'cover', position: 'attention' })
+        .webp({ quality: 82 })
+        .toFile(path.join(PICTURE_DIR, filename));
+      urls[size] = fileUrl(filename);
+    }
+  } catch (error) {
+    await removeProfilePicture(urls);
+    if (/unsupported image format|corrupt|bad seek|Input buffer/i.test(error.message)) {
+      throw Object.assign(new Error('The file is not a valid image'), { invalidImage: true });
+    }
+    throw error;
+  }
+
+  return urls;
+};
+
+/**
+ * Delete stored profile picture files; missing files are ignored
+ * @param {Object} urls - `{ large, medium, thumb }` URLs as returned by saveProfilePicture
+ */
+export const removeProfilePicture = async (urls = {}) => {
+  await Promise.all(Object.values(urls)
+    // Only ever delete files inside the profile picture directory
+    .filter(url => typeof url === 'string' && url.startsWith(fileUrl('')))
+    .map(url => unlink(path.join(PICTURE_DIR, path.basename(url))).catch(error => {
+      if (error.code !== 'ENOENT') console.error(`Failed to delete profile picture ${url}:`, error.message);
+    })));
+};
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[char]
+));
+
+/**
+ * Build the default avatar: the user's initials on a colour derived from their ID
+ * @param {Object} user - `{ _id, name }`
+ * @param {number} size - Edge length in pixels
+ * @returns {string} - SVG markup
+ */
+export const renderDefaultAvatar = (user, size = PROFILE_PICTURE_SIZES.large) => {
+  const initials = (user.name || '?')
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map(part => (part.match(/[\p{L}\p{N}]/u)?.[0] || '').toUpperCase())
+    .join('') || '?';
+
+  const seed = String(user._id).split('').reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  const color = AVATAR_COLORS[seed % AVATAR_COLORS.length];
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 100 100">` +
+    `<rect width="100" height="100" fill="${color}"/>` +
+    `<text x="50" y="50" dy=".35em" text-anchor="middle" font-family="sans-serif" font-size="40" fill="#fff">${escapeXml(initials)}</text>` +
+    '</svg>';
+};
+
+/**
+ * URL to show for a user's avatar: their picture, or the generated default
+ * @param {Object} user - User with _id and profilePictureUrl
+ * @returns {string}
+ */
+export const avatarUrlFor = (user) => user.profilePictureUrl || `/api/auth/users/${user._id}/avatar`;
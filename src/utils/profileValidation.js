@@ -0,0 +1,134 @@
+/**
+ * Rules for the fields users may change on their own profile (PUT /api/auth/me).
+ * Everything not listed here - role, email, password, verification and
+ * account state - can only change through its dedicated flow.
+ */
+
+const TRANSPORTATION_MODES = ['car', 'bicycle', 'motorcycle', 'public_transport', 'walking', 'other'];
+const PHONE_PATTERN = /^\+?[\d\s()-]{7,20}$/;
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+const text = (maxLength, { required = false, pattern, patternMessage } = {}) => (value, field) => {
+  if (value === null || value === '') {
+    return required ? { error: `${field} cannot be empty` } : { value: undefined };
+  }
+  if (typeof value !== 'string') return { error: `${field} must be a string` };
+
+  const trimmed = value.trim();
+  if (required && !trimmed) return { error: `${field} cannot be empty` };
+  if (trimmed.length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+  if (pattern && trimmed && !pattern.test(trimmed)) return { error: patternMessage || `${field} is not valid` };
+  return { value: trimmed };
+};
+
+const oneOf = (values) => (value, field) => (
+  value === null || values.includes(value)
+    ? { value: value ?? undefined }
+    : { error: `${field} must be one of: ${values.join(', ')}` }
+);
+
+const stringList = (maxItems, maxLength) => (value, field) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    return { error: `${field} must be an array of strings` };
+  }
+  const items = [...new Set(value.map(item => item.trim()).filter(Boolean))];
+  if (items.length > maxItems) return { error: `${field} can have at most ${maxItems} entries` };
+  if (items.some(item => item.length > maxLength)) return { error: `Each ${field} entry must be at most ${maxLength} characters` };
+  return { value: items };
+};
+
+// GeoJSON point, [longitude, latitude], as stored on the user
+const location = (value, field) => {
+  if (value === null) return { value: undefined };
+
+  const coordinates = value?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(Number.isFinite)) {
+    return { error: `${field} must be { type: 'Point', coordinates: [longitude, latitude] }` };
+  }
+  const [lng, lat] = coordinates;
+  if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+    return { error: `${field} coordinates are out of range` };
+  }
+  return { value: { type: 'Point', coordinates: [lng, lat] } };
+};
+
+const COMMON_FIELDS = {
+  name: text(100, { required: true }),
+  phoneNumber: text(20, { pattern: PHONE_PATTERN, patternMessage: 'phoneNumber must be a valid phone number' }),
+  address: text(300),
+  location
+};
+
+const ROLE_FIELDS = {
+  donor: {},
+  admin: {},
+  volunteer: {
+    availability: text(200),
+    transportationMode: oneOf(TRANSPORTATION_MODES),
+    skills: stringList(30, 50)
+  },
+  charity: {
+    charityName: text(150, { required: true }),
+    category: text(100),
+    description: text(2000),
+    contactFirstName: text(100),
+    contactLastName: text(100),
+    contactEmail: text(254, { pattern: EMAIL_PATTERN, patternMessage: 'contactEmail must be a valid email address' }),
+    contactPhone: text(20, { pattern: PHONE_PATTERN, patternMessage: 'contactPhone must be a valid phone number' })
+  }
+};
+
+// Fields that belong to another role, so the error can say why they are refused
+const ROLE_OF_FIELD = Object.fromEntries(
+  Object.entries(ROLE_FIELDS).flatMap(([role, fields]) => Object.keys(fields).map(field => [field, role]))
+);
+
+const DEDICATED_FLOWS = {
+  email: 'Email addresses cannot be changed here',
+  password: 'Use PUT /api/auth/me/password to change your password',
+  profilePictureUrl: 'Use PUT /api/auth/me/profile-picture to change your picture',
+  preferredLanguage: 'Use PUT /api/notifications/preferences to change your language',
+  notificationPreferences: 'Use PUT /api/notifications/preferences to change notification settings',
+  neededCategories: 'Use PUT /api/charity/needs to change your needs',
+  needsStatement: 'Use PUT /api/charity/needs to change your needs'
+};
+
+/**
+ * Validate a profile update for a user's role
+ * @param {string} role - The user's role
+ * @param {Object} body - Request body
+ * @returns {{ set: Object, unset: Array<string>, errors: Array<string> }}
+ *   `set` and `unset` are ready for a $set/$unset update; fields sent as null or '' are unset
+ */
+export const validateProfileUpdate = (role, body = {}) => {
+  const rules = { ...COMMON_FIELDS, ...(ROLE_FIELDS[role] || {}) };
+  const set = {};
+  const unset = [];
+  const errors = [];
+
+  for (const [field, value] of Object.entries(body)) {
+    const rule = rules[field];
+
+    if (!rule) {
+      if (DEDICATED_FLOWS[field]) {
+        errors.push(DEDICATED_FLOWS[field]);
+      } else if (ROLE_OF_FIELD[field]) {
+        errors.push(`${field} can only be set by ${ROLE_OF_FIELD[field]} accounts`);
+      } else {
+        errors.push(`${field} cannot be changed`);
+      }
+      continue;
+    }
+
+    const result = rule(value, field);
+    if (result.error) {
+      errors.push(result.error);
+    } else if (result.value === undefined) {
+      unset.push(field);
+    } else {
+      set[field] = result.value;
+    }
+  }
+
+  return { set, unset, errors };
+};
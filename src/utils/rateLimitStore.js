@@ -0,0 +1,101 @@
+import RateLimitBucket from '../models/RateLimitBucket.js';
+
+/**
+ * Fixed-window request counters for the rate limiter.
+ * The in-memory store is the default and counts per process. Set RATE_LIMIT_STORE=mongodb
+ * when several API processes run behind a load balancer, so they share the counts.
+ * Both stores expose:
+ *   hit(key, windowMs)  - count a request; resolves `{ count, resetAt }`
+ *   get(key)            - the current window without counting; resolves `{ count, resetAt }` or null
+ *   undo(key)           - take back a counted request
+ *   reset(key)          - forget the bucket
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryStore = () => {
+  const buckets = new Map();
+
+  // Drop finished windows so the map does not grow with every address seen
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count++;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+    async get(key) {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= Date.now()) return null;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+    async undo(key) {
+      const bucket = buckets.get(key);
+      if (bucket && bucket.count > 0) bucket.count--;
+    },
+    async reset(key) {
+      buckets.delete(key);
+    }
+  };
+};
+
+export const createMongoStore = () => ({
+  async hit(key, windowMs, attempt = 1) {
+    const now = new Date();
+    try {
+      // One atomic update: restart the window if it is over, otherwise count the request
+      const bucket = await RateLimitBucket.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+      return { count: bucket.count, resetAt: bucket.resetAt };
+    } catch (error) {
+      // Two first requests for the same key can both try to insert it; the loser retries as an update
+      if (error.code === 11000 && attempt === 1) {
+        return this.hit(key, windowMs, 2);
+      }
+      throw error;
+    }
+  },
+  async get(key) {
+    const bucket = await RateLimitBucket.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+    return bucket && { count: bucket.count, resetAt: bucket.resetAt };
+  },
+  async undo(key) {
+    await RateLimitBucket.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  },
+  async reset(key) {
+    await RateLimitBucket.deleteOne({ key });
+  }
+});
+
+let defaultStore;
+
+/**
+ * The store chosen by RATE_LIMIT_STORE (`memory` or `mongodb`)
+ * @returns {Object}
+ */
+export const getRateLimitStore = () => {
+  if (!defaultStore) {
+    defaultStore = process.env.RATE_LIMIT_STORE === 'mongodb' ? createMongoStore() : createMemoryStore();
+  }
+  return defaultStore;
+};
@@ -0,0 +1,218 @@
+import { getTravelMatrix } from './routingProviders.js';
+
+/**
+ * Multi-stop route planner for volunteers.
+ * Orders pickup and drop-off stops so every donation is collected before it is
+ * delivered, using a nearest-neighbour tour improved with precedence-aware 2-opt.
+ */
+
+// Minutes spent at each stop loading or unloading
+const DEFAULT_SERVICE_MINUTES = 10;
+
+const MAX_IMPROVEMENT_PASSES = 50;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Check that every drop-off in the sequence comes after its pickup
+ * @param {Array<number>} sequence - Node indexes (start node excluded)
+ * @param {Array<Object>} nodes - Route nodes
+ * @returns {boolean}
+ */
+const respectsPrecedence = (sequence, nodes) => {
+  const collected = new Set(nodes.filter(node => node.type === 'dropoff' && node.alreadyPickedUp).map(node => node.jobId));
+
+  for (const index of sequence) {
+    const node = nodes[index];
+    if (node.type === 'pickup') {
+      collected.add(node.jobId);
+    } else if (!collected.has(node.jobId)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+const tourCost = (sequence, durations, returnToStart) => {
+  let cost = 0;
+  let previous = 0;
+
+  for (const index of sequence) {
+    cost += durations[previous][index];
+    previous = index;
+  }
+
+  if (returnToStart) {
+    cost += durations[previous][0];
+  }
+
+  return cost;
+};
+
+// Greedy tour: always drive to the closest stop that may be visited next
+const nearestNeighbourTour = (nodes, durations) => {
+  const sequence = [];
+  const visited = new Set([0]);
+  const collected = new Set(nodes.filter(node => node.alreadyPickedUp).map(node => node.jobId));
+  let current = 0;
+
+  while (visited.size < nodes.length) {
+    let next = null;
+
+    nodes.forEach((node, index) => {
+      if (visited.has(index)) return;
+      if (node.type === 'dropoff' && !collected.has(node.jobId)) return;
+      if (next === null || durations[current][index] < durations[current][next]) {
+        next = index;
+      }
+    });
+
+    sequence.push(next);
+    visited.add(next);
+    if (nodes[next].type === 'pickup') {
+      collected.add(nodes[next].jobId);
+    }
+    current = next;
+  }
+
+  return sequence;
+};
+
+// Reverse segments of the tour while that shortens it and keeps pickups before drop-offs
+const improveTour = (sequence, nodes, durations, returnToStart) => {
+  let best = sequence;
+  let bestCost = tourCost(best, durations, returnToStart);
+
+  for (let pass = 0; pass < MAX_IMPROVEMENT_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let k = i + 1; k < best.length; k++) {
+        const candidate = [...best.slice(0, i), ...best.slice(i, k + 1).reverse(), ...best.slice(k + 1)];
+        if (!respectsPrecedence(candidate, nodes)) continue;
+
+        const cost = tourCost(candidate, durations, returnToStart);
+        if (cost < bestCost) {
+          best = candidate;
+          bestCost = cost;
+          improved = true;
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return best;
+};
+
+/**
+ * Plan an ordered route through a volunteer's pickups and drop-offs
+ * @param {Object} params
+ * @param {Array<number>} params.start - Start location as [lat, lon]
+ * @param {Array<Object>} params.jobs - `{ id, pickedUp, pickup: { coordinates, address }, dropoff: { coordinates, address } }` with [lat, lon] coordinates
+ * @param {string} params.transportationMode - Volunteer's transportation mode
+ * @param {string} params.provider - Routing provider name (defaults to ROUTING_PROVIDER or haversine)
+ * @param {number} params.serviceMinutes - Minutes spent at each stop
+ * @param {boolean} params.returnToStart - Whether the route ends back at the start
+ * @param {Date} params.departAt - Departure time used for arrival estimates
+ * @returns {Promise<Object>} - Ordered stops with per-leg distance and time, plus totals
+ */
+export const planRoute = async ({
+  start,
+  jobs,
+  transportationMode = 'car',
+  provider,
+  serviceMinutes = DEFAULT_SERVICE_MINUTES,
+  returnToStart = false,
+  departAt = new Date()
+}) => {
+  const nodes = [{ type: 'start', coordinates: start }];
+  const unroutable = [];
+
+  for (const job of jobs) {
+    if (!job.dropoff?.coordinates) {
+      unroutable.push({ pickupRequestId: job.id, reason: 'Drop-off location unknown' });
+      continue;
+    }
+    if (!job.pickedUp && !job.pickup?.coordinates) {
+      unroutable.push({ pickupRequestId: job.id, reason: 'Pickup location unknown' });
+      continue;
+    }
+
+    if (!job.pickedUp) {
+      nodes.push({ type: 'pickup', jobId: job.id, ...job.pickup });
+    }
+    nodes.push({ type: 'dropoff', jobId: job.id, alreadyPickedUp: job.pickedUp, ...job.dropoff });
+  }
+
+  if (nodes.length === 1) {
+    return {
+      provider: null,
+      transportationMode,
+      stops: [],
+      totals: { distanceKm: 0, travelMinutes: 0, serviceMinutes: 0, totalMinutes: 0 },
+      unroutable
+    };
+  }
+
+  const matrix = await getTravelMatrix(nodes.map(node => node.coordinates), { provider, transportationMode });
+  const { distances, durations } = matrix;
+
+  const sequence = improveTour(nearestNeighbourTour(nodes, durations), nodes, durations, returnToStart);
+  if (returnToStart) {
+    sequence.push(0);
+  }
+
+  let previous = 0;
+  let distanceKm = 0;
+  let travelMinutes = 0;
+  let stopMinutes = 0;
+
+  const stops = sequence.map((index, position) => {
+    const node = nodes[index];
+    const leg = {
+      distanceKm: distances[previous][index],
+      durationMinutes: durations[previous][index]
+    };
+
+    distanceKm += leg.distanceKm;
+    travelMinutes += leg.durationMinutes;
+    // Minutes from departure until arrival at this stop
+    const elapsedMinutes = travelMinutes + stopMinutes;
+    if (node.type !== 'start') {
+      stopMinutes += serviceMinutes;
+    }
+    previous = index;
+
+    return {
+      sequence: position + 1,
+      type: node.type === 'start' ? 'return' : node.type,
+      pickupRequestId: node.jobId,
+      address: node.address,
+      // Respond in the same [longitude, latitude] order the API stores
+      coordinates: [node.coordinates[1], node.coordinates[0]],
+      leg,
+      cumulative: {
+        distanceKm: round(distanceKm),
+        durationMinutes: elapsedMinutes
+      },
+      estimatedArrival: new Date(departAt.getTime() + elapsedMinutes * 60000)
+    };
+  });
+
+  return {
+    provider: matrix.provider,
+    ...(matrix.fallbackFrom && { fallbackFrom: matrix.fallbackFrom }),
+    transportationMode,
+    stops,
+    totals: {
+      distanceKm: round(distanceKm),
+      travelMinutes,
+      serviceMinutes: stopMinutes,
+      totalMinutes: travelMinutes + stopMinutes
+    },
+    unroutable
+  };
+};
@@ -1,20 +1,57 @@
 import nodemailer from 'nodemailer';
+import { renderEmail } from './emailRenderer.js';
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER, 
-    pass: process.env.EMAIL_PASS 
-  }
-});
+// Use a generic SMTP server when SMTP_HOST is set, otherwise the original Gmail account
+const transporter = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  : nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+      }
+    });
+
+export const isEmailConfigured = () =>
+  Boolean(process.env.SMTP_HOST || (process.env.EMAIL_USER && process.env.EMAIL_PASS));
 
 export const sendEmail = async ({ to, subject, text, html }) => {
   const mailOptions = {
-    from: process.env.EMAIL_USER,
+    from: process.env.EMAIL_FROM || process.env.SMTP_USER || process.env.EMAIL_USER,
     to,
     subject,
     text,
     html
   };
-  await transporter.sendMail(mailOptions);
+  return transporter.sendMail(mailOptions);
+};
+
+/**
+ * Render an email template in the user's language and send it straight away.
+ * For account emails that carry secrets (reset and verification links), which
+ * must not be stored in the notification or job collections.
+ * @param {Object} user - Recipient with email, name and preferredLanguage
+ * @param {string} template - Email template key
+ * @param {Object} variables - Template variables; `name` defaults to the user's name
+ */
+export const sendTemplateEmail = async (user, template, variables = {}) => {
+  const email = await renderEmail(template, {
+    locale: user.preferredLanguage,
+    variables: { name: user.name, ...variables }
+  });
+
+  // Local development: print the email (including its link) instead of sending it
+  if (process.env.NOTIFICATION_TRANSPORT === 'console') {
+    console.log(`[email] -> ${user.email}: ${email.subject}\n${email.text}`);
+    return { messageId: 'console' };
+  }
+
+  return sendEmail({ to: user.email, subject: email.subject, text: email.text, html: email.html });
 };
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import Session from '../models/Session.js';
+import generateToken, { ACCESS_TOKEN_EXPIRE } from './generateToken.js';
+
+/**
+ * Server-side sessions backing refresh tokens.
+ * A refresh token is `<sessionId>.<secret>`; only a hash of the secret is stored.
+ * Every refresh swaps the secret for a new one. Presenting a secret that was
+ * already swapped out means the token leaked, so the whole session is revoked.
+ */
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+const MAX_PREVIOUS_HASHES = 20;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const clientDetails = (req) => ({
+  userAgent: req?.get?.('user-agent')?.slice(0, 300),
+  ip: req?.ip
+});
+
+const buildTokens = (user, session, secret) => ({
+  token: generateToken(user._id, user.role, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRE,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a session for a user who just signed in
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, for the user agent and IP
+ * @returns {Promise<Object>} - `{ token, refreshToken, expiresIn, refreshTokenExpiresAt }`
+ */
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashSecret(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    ...clientDetails(req)
+  });
+
+  return buildTokens(user, session, secret);
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Token from the client
+ * @param {Function} loadUser - `async (userId) => user`, so callers decide which users may refresh
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - `{ tokens, user }` on success or `{ error }` with a reason
+ */
+export const rotateSession = async (refreshToken, loadUser, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const oldHash = hashSecret(parsed.secret);
+  const secret = newSecret();
+
+  // Atomic swap: of two concurrent refreshes with the same token only one succeeds
+  const session = await Session.findOneAndUpdate(
+    { _id: parsed.sessionId, tokenHash: oldHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: { tokenHash: hashSecret(secret), lastUsedAt: new Date(), ...clientDetails(req) },
+      $push: { previousTokenHashes: { $each: [oldHash], $slice: -MAX_PREVIOUS_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { _id: parsed.sessionId, previousTokenHashes: oldHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'token_reuse' } }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+      return { error: 'reused' };
+    }
+    return { error: 'invalid' };
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(session._id, 'account_deactivated');
+    return { error: 'inactive' };
+  }
+
+  return { tokens: buildTokens(user, session, secret), user };
+};
+
+/**
+ * Check that the session an access token belongs to is still active
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) return false;
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Revoke one session, e.g. on logout
+ * @param {string} sessionId
+ * @param {string} reason - Session.revokedReason value
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke the session a refresh token belongs to; the token must be the current one
+ * @param {string} refreshToken - Token from the client
+ * @returns {Promise<boolean>} - Whether an active session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, tokenHash: hashSecret(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId
+ * @param {string} reason - Session.revokedReason value
+ * @param {Object} options
+ * @param {string} options.exceptSessionId - Keep this session signed in
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all', { exceptSessionId } = {}) => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * List a user's active sessions
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listActiveSessions = async (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+})
+  .select('userAgent ip lastUsedAt createdAt expiresAt')
+  .sort({ lastUsedAt: -1 })
+  .lean();
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User } from '../models/User.js';
+
+/**
+ * Two-factor authentication with time-based one-time passwords (RFC 6238: SHA-1,
+ * six digits, 30-second steps), as shown by authenticator apps, plus single-use
+ * recovery codes. Secrets are stored encrypted; recovery codes only as hashes.
+ * Admins must use it, and so must every role listed in TWO_FACTOR_REQUIRED_ROLES
+ * (e.g. `charity`); everyone else can turn it on.
+ *
+ * When it applies, logging in with the password only returns a challenge token.
+ * The session is created once the code is sent with that token to /api/auth/login/2fa.
+ */
+
+const ISSUER = 'Generous Hands';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Codes from one step either side are accepted, for clocks that are slightly off
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two_factor';
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+
+export const TWO_FACTOR_REQUIRED_ROLES = [...new Set([
+  'admin',
+  ...(process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(role => role.trim()).filter(Boolean)
+])];
+
+// Fields needed to check a code; hidden from normal queries
+export const TWO_FACTOR_SECRET_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  return (bits.match(/.{1,5}/g) || [])
+    .map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)])
+    .join('');
+};
+
+const base32Decode = (text) => {
+  const bits = text.replace(/=+$/, '').toUpperCase().split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// AES-256-GCM with a key derived from TWO_FACTOR_ENCRYPTION_KEY, or JWT_SECRET if it is not set
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z\d]/g, ''))
+  .digest('hex');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, stored: codes.map(code => ({ hash: hashRecoveryCode(code) })) };
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * The one-time password for a secret at a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Number of 30-second steps since the Unix epoch
+ * @returns {string}
+ */
+export const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** CODE_DIGITS;
+  return String(value).padStart(CODE_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options
+ * @param {number} options.afterStep - Only accept steps after this one, so a code cannot be used twice
+ * @param {number} options.now - Time in milliseconds
+ * @returns {number|null} - The step, or null if the code is wrong
+ */
+export const matchTotp = (secret, code, { afterStep = -1, now = Date.now() } = {}) => {
+  const normalized = String(code ?? '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+  const step = currentStep(now);
+  for (let drift = -ALLOWED_DRIFT_STEPS; drift <= ALLOWED_DRIFT_STEPS; drift++) {
+    const candidate = step + drift;
+    if (candidate > afterStep && crypto.timingSafeEqual(Buffer.from(generateTotp(secret, candidate)), Buffer.from(normalized))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Whether a user has to use two-factor authentication
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) => TWO_FACTOR_REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Challenge returned by the first login step instead of the session tokens
+ * @param {Object} user
+ * @returns {Object} - `{ twoFactorRequired, twoFactorSetupRequired, challengeToken, challengeExpiresIn }`
+ */
+export const createTwoFactorChallenge = (user) => ({
+  twoFactorRequired: true,
+  // Users who must have it but have not set it up do so before the login completes
+  twoFactorSetupRequired: !user.twoFactor?.enabled,
+  challengeToken: jwt.sign({ id: user._id, purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE }),
+  challengeExpiresIn: CHALLENGE_EXPIRE
+});
+
+/**
+ * Check a challenge token from the first login step
+ * @param {string} token
+ * @returns {string|null} - The user id, or null if the token is invalid or expired
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === CHALLENGE_PURPOSE ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Start setting up two-factor authentication with a new secret. It is only turned on
+ * once a code from the authenticator app is confirmed with enableTwoFactor.
+ * @param {Object} user
+ * @returns {Promise<Object>} - `{ secret, otpauthUrl }` for the authenticator app
+ */
+export const beginTwoFactorSetup = async (user) => {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  // Authenticator apps expect %20 for spaces rather than the + URLSearchParams writes
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}` };
+};
+
+/**
+ * Turn on two-factor authentication by confirming a code for the pending secret
+ * @param {Object} user - Loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {string} code
+ * @returns {Promise<Array<string>|null>} - New recovery codes, or null if the code is wrong or there is no pending setup
+ */
+export const enableTwoFactor = async (user, code) => {
+  const pendingSecret = user.twoFactor?.pendingSecret;
+  if (!pendingSecret) return null;
+
+  const step = matchTotp(decryptSecret(pendingSecret), code);
+  if (step === null) return null;
+
+  const { codes, stored } = generateRecoveryCodes();
+  // Conditional on the pending secret, so a second setup started meanwhile is not enabled by mistake
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.pendingSecret': pendingSecret },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.recoveryCodes': stored,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+  return result.modifiedCount > 0 ? codes : null;
+};
+
+/**
+ * Check the second factor of a user who has two-factor authentication turned on.
+ * Each code and recovery code works only once.
+ * @param {Object} user - Loaded with TWO_FACTOR_SECRET_FIELDS
+ * @param {Object} factor - `{ code }` from the authenticator app or `{ recoveryCode }`
+ * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null if it was wrong
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: { $exists: false } } } },
+      { $set: { 'twoFactor.recoveryCodes.$[entry].usedAt': new Date() } },
+      { arrayFilters: [{ 'entry.hash': hash }] }
+    );
+    return result.modifiedCount > 0 ? 'recovery_code' : null;
+  }
+
+  const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+  const step = matchTotp(decryptSecret(user.twoFactor.secret), code, { afterStep: lastUsedStep });
+  if (step === null) return null;
+
+  // Conditional on the last step, so the same code cannot be used by two requests at once
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+  return result.modifiedCount > 0 ? 'totp' : null;
+};
+
+/**
+ * Replace the recovery codes; the old ones stop working
+ * @param {string} userId
+ * @returns {Promise<Array<string>>} - The new codes
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const { codes, stored } = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.recoveryCodes': stored } });
+  return codes;
+};
+
+/**
+ * Number of recovery codes not used yet
+ * @param {Object} user - Loaded with TWO_FACTOR_SECRET_FIELDS
+ * @returns {number}
+ */
+export const remainingRecoveryCodes = (user) =>
+  (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length;
+
+/**
+ * Turn off two-factor authentication and forget the secret and recovery codes
+ * @param {string} userId
+ */
+export const disableTwoFactor = async (userId) => {
+  await User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': '',
+      'twoFactor.pendingSecret': '',
+      'twoFactor.lastUsedStep': '',
+      'twoFactor.recoveryCodes': '',
+      'twoFactor.enabledAt': ''
+    }
+  });
+};
@@ -0,0 +1,230 @@
+/**
+ * Request validation against schemas written in a subset of OpenAPI, so the same
+ * definitions also document the request in Swagger (see toOpenApiSchema).
+ *
+ * Supported keywords:
+ *   type                  string, number, integer, boolean, array or object
+ *   string                enum, minLength, maxLength, pattern, format (email, date, date-time, objectId)
+ *   number, integer       enum, minimum, maximum
+ *   array                 items, minItems, maxItems
+ *   object                properties, required (names), additionalProperties (a schema for free-form
+ *                         keys, or true to pass undeclared fields through untouched)
+ *   any type              nullable, default, description, example
+ * and three that only affect validation: `trim` and `lowercase` for strings, and `separator`
+ * for arrays sent as one delimited string, e.g. `?ids=a,b,c`.
+ *
+ * Fields not declared in an object's properties are dropped. Values are converted to
+ * the declared type where that is unambiguous, since query strings, path parameters and
+ * multipart forms only carry strings: '3' becomes 3, 'true' becomes true, a single value
+ * becomes a one-element array and a JSON string becomes an object or array.
+ */
+
+const OBJECT_ID = /^[a-f\d]{24}$/i;
+const EMAIL = /^\w+([.+-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,})+$/;
+// Dates may carry a time as well, as clients often send the full ISO string
+const DATE = /^\d{4}-\d{2}-\d{2}/;
+
+// Keywords that only matter here, left out of the OpenAPI output
+const VALIDATION_ONLY_KEYWORDS = ['trim', 'lowercase', 'separator'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+};
+
+const describe = (schema) => {
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if (schema.format === 'objectId') return 'a valid id';
+  if (schema.format === 'email') return 'a valid email address';
+  if (schema.format === 'date' || schema.format === 'date-time') return 'a valid date';
+  return schema.type === 'integer' ? 'a whole number' : `a ${schema.type}`;
+};
+
+const checkString = (schema, value, fail) => {
+  let text = value;
+  if (typeof text === 'number' || typeof text === 'boolean') text = String(text);
+  if (typeof text !== 'string') return fail(`must be ${describe(schema)}`);
+
+  if (schema.trim) text = text.trim();
+  if (schema.lowercase) text = text.toLowerCase();
+
+  if (schema.minLength !== undefined && text.length < schema.minLength) {
+    return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+  }
+  if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+    return fail(`must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.enum && !schema.enum.includes(text)) return fail(`must be ${describe(schema)}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(text)) return fail('has an invalid format');
+
+  switch (schema.format) {
+    case 'objectId':
+      if (!OBJECT_ID.test(text)) return fail(`must be ${describe(schema)}`);
+      break;
+    case 'email':
+      if (!EMAIL.test(text)) return fail(`must be ${describe(schema)}`);
+      break;
+    case 'date':
+    case 'date-time':
+      if ((schema.format === 'date' && !DATE.test(text)) || Number.isNaN(new Date(text).getTime())) {
+        return fail(`must be ${describe(schema)}`);
+      }
+      break;
+    default:
+      break;
+  }
+  return text;
+};
+
+const checkNumber = (schema, value, fail) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return fail(`must be ${describe(schema)}`);
+  if (schema.type === 'integer' && !Number.isInteger(number)) return fail(`must be ${describe(schema)}`);
+  if (schema.enum && !schema.enum.includes(number)) return fail(`must be ${describe(schema)}`);
+  if (schema.minimum !== undefined && number < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && number > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+  return number;
+};
+
+const checkBoolean = (value, fail) => {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1' || value === 1) return true;
+  if (value === 'false' || value === '0' || value === 0) return false;
+  return fail('must be true or false');
+};
+
+/**
+ * Validate and clean a value
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path - Name of the value in error messages, e.g. 'donationItems[0].quantity'
+ * @param {Array<Object>} errors - Collects `{ field, message }`
+ * @returns {*} - The cleaned value; undefined if the value was missing or invalid
+ */
+const check = (schema, value, path, errors) => {
+  const fail = (message) => {
+    errors.push({ field: path, message });
+    return undefined;
+  };
+
+  if (value === null) {
+    return schema.nullable ? null : fail('must not be null');
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return checkString(schema, value, fail);
+    case 'number':
+    case 'integer':
+      return checkNumber(schema, value, fail);
+    case 'boolean':
+      return checkBoolean(value, fail);
+    case 'array': {
+      let list = value;
+      if (typeof list === 'string' && list.trim().startsWith('[')) list = parseJson(list) ?? list;
+      if (typeof list === 'string' && schema.separator) {
+        list = list.split(schema.separator).map(item => item.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(list)) list = [list];
+
+      if (schema.minItems !== undefined && list.length < schema.minItems) {
+        return fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+      }
+      if (schema.maxItems !== undefined && list.length > schema.maxItems) {
+        return fail(`must have at most ${schema.maxItems} items`);
+      }
+      return schema.items
+        ? list.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors))
+        : list;
+    }
+    case 'object':
+    default: {
+      let object = value;
+      if (typeof object === 'string' && object.trim().startsWith('{')) object = parseJson(object) ?? object;
+      if (!isPlainObject(object)) return fail('must be an object');
+      return checkObject(schema, object, path, errors);
+    }
+  }
+};
+
+// Forms and query strings send '' for fields left blank. Only a free-text string that is
+// optional keeps it, so that it can be cleared; anywhere else it counts as not given.
+const isBlank = (property, required) => required || property.type !== 'string' ||
+  Boolean(property.enum || property.format || property.pattern || property.minLength);
+
+const checkObject = (schema, object, path, errors) => {
+  const result = {};
+  const prefix = path ? `${path}.` : '';
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const value = object[name];
+    const required = schema.required?.includes(name);
+    if (value === undefined || (value === '' && isBlank(property, required))) {
+      if (required) {
+        errors.push({ field: `${prefix}${name}`, message: 'is required' });
+      } else if (property.default !== undefined) {
+        result[name] = structuredClone(property.default);
+      }
+      continue;
+    }
+
+    const cleaned = check(property, value, `${prefix}${name}`, errors);
+    if (cleaned !== undefined) result[name] = cleaned;
+  }
+
+  // Free-form maps, e.g. template variables, or bodies a controller checks field by field itself
+  if (schema.additionalProperties) {
+    for (const [name, value] of Object.entries(object)) {
+      if (schema.properties?.[name] || name === '__proto__' || name === 'constructor' || name === 'prototype') continue;
+      const cleaned = schema.additionalProperties === true
+        ? value
+        : check(schema.additionalProperties, value, `${prefix}${name}`, errors);
+      if (cleaned !== undefined) result[name] = cleaned;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validate one part of a request against an object schema
+ * @param {Object} schema - Object schema; `type: 'object'` may be left out
+ * @param {Object} value - e.g. req.body
+ * @returns {Object} - `{ value, errors }`; errors are `{ field, message }`
+ */
+export const validateObject = (schema, value = {}) => {
+  const errors = [];
+  const cleaned = check({ type: 'object', ...schema }, value ?? {}, '', errors);
+  return { value: cleaned ?? {}, errors };
+};
+
+/**
+ * The OpenAPI form of a schema, for the Swagger components
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export const toOpenApiSchema = (schema) => {
+  const openApi = {};
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (VALIDATION_ONLY_KEYWORDS.includes(keyword)) continue;
+    if (keyword === 'properties') {
+      openApi.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property)])
+      );
+    } else if ((keyword === 'items' || keyword === 'additionalProperties') && isPlainObject(value)) {
+      openApi[keyword] = toOpenApiSchema(value);
+    } else if (keyword === 'format' && value === 'objectId') {
+      openApi.pattern = OBJECT_ID.source;
+      openApi.description = openApi.description || schema.description || 'MongoDB id';
+    } else {
+      openApi[keyword] = value;
+    }
+  }
+  if (schema.properties && !schema.type) openApi.type = 'object';
+  return openApi;
+};
@@ -0,0 +1,282 @@
+import { Volunteer, Charity } from '../models/User.js';
+import Document from '../models/Document.js';
+import VerificationEvent from '../models/VerificationEvent.js';
+import { notify } from './notifications.js';
+import { findAdminsWithPermission } from './permissions.js';
+import { refreshVolunteerCompliance } from './documentCompliance.js';
+
+/**
+ * Charity and volunteer verification workflow.
+ * Declares the review actions, the statuses each one applies to and who may
+ * take it. Every step is recorded as a VerificationEvent, which makes up the
+ * applicant's verification history.
+ */
+
+export const VERIFICATION_STATUSES = ['pending', 'in_progress', 'documents_requested', 'verified', 'rejected'];
+
+// Applicants can add documents until they are verified
+export const OPEN_VERIFICATION_STATUSES = ['pending', 'in_progress', 'documents_requested', 'rejected'];
+
+// Verified volunteers can also upload renewals of documents that expire
+export const documentUploadStatuses = (role) =>
+  (role === 'volunteer' ? [...OPEN_VERIFICATION_STATUSES, 'verified'] : OPEN_VERIFICATION_STATUSES);
+
+// Actors:
+//   reviewer  - an admin with the users:verify permission
+//   applicant - the charity or volunteer being verified
+// `note` records an internal reviewer note without changing the status.
+const ACTIONS = {
+  start_review: {
+    from: ['pending'],
+    to: 'in_progress',
+    actor: 'reviewer',
+    event: 'review_started'
+  },
+  request_documents: {
+    from: ['pending', 'in_progress'],
+    to: 'documents_requested',
+    actor: 'reviewer',
+    event: 'documents_requested',
+    requiresReason: true
+  },
+  approve: {
+    from: ['pending', 'in_progress', 'documents_requested', 'rejected'],
+    to: 'verified',
+    actor: 'reviewer',
+    event: 'approved'
+  },
+  reject: {
+    from: ['pending', 'in_progress', 'documents_requested'],
+    to: 'rejected',
+    actor: 'reviewer',
+    event: 'rejected',
+    requiresReason: true
+  },
+  note: {
+    from: VERIFICATION_STATUSES,
+    to: null,
+    actor: 'reviewer',
+    event: 'note'
+  },
+  resubmit: {
+    from: ['documents_requested', 'rejected'],
+    to: 'pending',
+    actor: 'applicant',
+    event: 'resubmitted'
+  }
+};
+
+export const REVIEW_ACTIONS = Object.keys(ACTIONS).filter(action => ACTIONS[action].actor === 'reviewer');
+
+// What an applicant is told about their application in each status
+export const VERIFICATION_STATUS_MESSAGES = {
+  pending: 'Your account is pending approval. Please wait for an administrator to verify your account.',
+  in_progress: 'Your account verification is in progress. Please wait for completion.',
+  documents_requested: 'We need more information to verify your account. Please upload the requested documents and resubmit your application.',
+  rejected: 'Your application was not approved. You can update it, add documents and resubmit it.',
+  verified: 'Your account is verified.'
+};
+
+const APPLICATION_URL = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/verification`;
+
+const modelFor = (role) => (role === 'volunteer' ? Volunteer : role === 'charity' ? Charity : null);
+
+/**
+ * List the actions an actor can take on an application in its current status
+ * @param {string} status - Current verification status
+ * @param {string} actor - 'reviewer' or 'applicant'
+ * @returns {Array<string>}
+ */
+export const getAllowedActions = (status, actor = 'reviewer') => Object.entries(ACTIONS)
+  .filter(([, definition]) => definition.actor === actor && definition.from.includes(status))
+  .map(([action]) => action);
+
+/**
+ * Record a verification event without changing the status
+ * @param {Object} applicant - Charity or volunteer
+ * @param {string} action - VerificationEvent action
+ * @param {Object} details - `{ actor, reason, note, documents }`
+ * @returns {Promise<Object>} - The event
+ */
+export const recordVerificationEvent = (applicant, action, { actor, reason, note, documents = [] } = {}) =>
+  VerificationEvent.create({
+    user: applicant._id,
+    action,
+    fromStatus: applicant.verificationStatus,
+    toStatus: applicant.verificationStatus,
+    actor: actor || applicant._id,
+    reason,
+    note,
+    documents
+  });
+
+const notifyApplicant = async (applicant, action, { reason, actor }) => {
+  const role = applicant.role;
+
+  switch (action) {
+    case 'start_review':
+      return notify(applicant._id, {
+        type: 'verification_in_progress',
+        title: 'Your application is being reviewed',
+        message: 'An administrator has started reviewing your application.',
+        actor
+      });
+    case 'request_documents':
+      return notify(applicant._id, {
+        type: 'verification_documents_requested',
+        title: 'More information needed for your application',
+        message: `Please upload additional documents and resubmit your application: ${reason}`,
+        actor
+      }, {
+        content: {
+          email: {
+            template: 'verification_documents_requested',
+            variables: { reason, applicationUrl: APPLICATION_URL() }
+          }
+        },
+        requiredChannels: ['email']
+      });
+    case 'approve':
+    case 'reject': {
+      const approved = action === 'approve';
+      // Always email the decision: the applicant may not be signed in to see it in-app
+      return notify(applicant._id, {
+        type: approved ? 'verification_approved' : 'verification_rejected',
+        title: approved ? 'Your account has been verified' : 'Your verification was not approved',
+        message: approved
+          ? 'Your account has been approved. You now have full access to Generous Hands.'
+          : `Your verification was not approved: ${reason} You can update your application and resubmit it.`,
+        actor
+      }, {
+        content: {
+          email: {
+            template: `${role}_verification_${approved ? 'approved' : 'rejected'}`,
+            variables: { charityName: applicant.charityName, reason, applicationUrl: APPLICATION_URL() }
+          }
+        },
+        requiredChannels: ['email']
+      });
+    }
+    default:
+      return [];
+  }
+};
+
+const notifyReviewers = async (applicant, { reason }) => {
+  const reviewers = await findAdminsWithPermission('users:verify');
+  const name = applicant.charityName || applicant.name;
+
+  return notify(reviewers.map(reviewer => reviewer._id), {
+    type: 'verification_resubmitted',
+    title: `${name} resubmitted their application`,
+    message: reason
+      ? `The ${applicant.role} application from ${name} is ready for review again: ${reason}`
+      : `The ${applicant.role} application from ${name} is ready for review again.`,
+    actor: applicant._id,
+    metadata: { userId: applicant._id }
+  });
+};
+
+/**
+ * Take a verification action on a charity or volunteer application
+ * @param {Object} applicant - Charity or volunteer (needs _id, role and verificationStatus)
+ * @param {string} action - One of the workflow actions, e.g. 'request_documents'
+ * @param {Object} options
+ * @param {Object} options.actor - User taking the action
+ * @param {string} options.reason - Shown to the applicant; required to request documents or reject
+ * @param {string} options.note - Internal reviewer note
+ * @returns {Promise<Object>} - `{ user, event }`, or `{ error: { code, message } }`
+ */
+export const applyVerificationAction = async (applicant, action, { actor, reason, note } = {}) => {
+  const definition = ACTIONS[action];
+  const Model = modelFor(applicant.role);
+  const fromStatus = applicant.verificationStatus;
+
+  if (!definition) {
+    return { error: { code: 400, message: `Unknown action '${action}'. Use one of: ${Object.keys(ACTIONS).join(', ')}` } };
+  }
+  if (!Model) {
+    return { error: { code: 400, message: 'Only volunteers and charities require verification' } };
+  }
+
+  reason = typeof reason === 'string' ? reason.trim() : undefined;
+  note = typeof note === 'string' ? note.trim() : undefined;
+
+  if (definition.requiresReason && !reason) {
+    return { error: { code: 400, message: `A reason for the applicant is required to ${action.replace('_', ' ')}` } };
+  }
+  if (action === 'note' && !note) {
+    return { error: { code: 400, message: 'Please provide the note to record' } };
+  }
+
+  if (!definition.from.includes(fromStatus)) {
+    const allowed = getAllowedActions(fromStatus, definition.actor);
+    return {
+      error: {
+        code: 400,
+        message: `Cannot ${action.replace('_', ' ')} an application that is '${fromStatus}'. ` +
+          (allowed.length > 0 ? `Allowed actions: ${allowed.join(', ')}.` : 'No actions are available.')
+      }
+    };
+  }
+
+  let user = applicant;
+  if (definition.to) {
+    const set = { verificationStatus: definition.to, verificationUpdatedAt: new Date() };
+    const unset = {};
+
+    if (action === 'approve') {
+      Object.assign(set, { isVerified: true, verifiedBy: actor._id });
+      unset.verificationReason = '';
+    } else if (action === 'reject' || action === 'request_documents') {
+      Object.assign(set, { isVerified: false, verificationReason: reason });
+    } else if (action === 'resubmit') {
+      unset.verificationReason = '';
+    }
+
+    // Conditional on the status we checked, so two reviewers cannot both act on the same state
+    user = await Model.findOneAndUpdate(
+      { _id: applicant._id, verificationStatus: fromStatus },
+      { $set: set, ...(Object.keys(unset).length > 0 && { $unset: unset }) },
+      { new: true }
+    ).lean();
+
+    if (!user) {
+      return { error: { code: 409, message: 'The application was changed by someone else. Reload it and try again.' } };
+    }
+  }
+
+  // Approving an application accepts the documents it was approved on
+  if (action === 'approve') {
+    await Document.updateMany(
+      { _id: { $in: user.verificationDocuments || [] }, reviewedAt: { $exists: false } },
+      { $set: { reviewedAt: new Date(), reviewedBy: actor._id } }
+    );
+    if (user.role === 'volunteer') {
+      await refreshVolunteerCompliance(user._id, { actor });
+    }
+  }
+
+  const event = await VerificationEvent.create({
+    user: applicant._id,
+    action: definition.event,
+    fromStatus,
+    toStatus: definition.to || fromStatus,
+    actor: actor._id,
+    reason: definition.actor === 'applicant' || definition.requiresReason ? reason : undefined,
+    note: definition.actor === 'reviewer' ? note : undefined
+  });
+
+  // The action is recorded; a failed notification must not undo it
+  try {
+    if (definition.actor === 'applicant') {
+      await notifyReviewers(user, { reason });
+    } else {
+      await notifyApplicant(user, action, { reason, actor: actor._id });
+    }
+  } catch (error) {
+    console.error(`Failed to send notifications for verification action '${action}':`, error);
+  }
+
+  return { user, event };
+};
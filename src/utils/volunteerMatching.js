@@ -0,0 +1,311 @@
+import Availability from '../models/Availability.js';
+import PickupRequest from '../models/PickupRequest.js';
+import { calculateDistance } from './geocoding.js';
+import { canTakePickups } from './documentCompliance.js';
+
+/**
+ * Volunteer matching service.
+ * Scores every active volunteer against a pickup request and returns a ranked
+ * list of candidates, each with a per-criterion score breakdown.
+ */
+
+// Relative weight of each criterion in the final score (sums to 1)
+const WEIGHTS = {
+  distance: 0.4,
+  availability: 0.3,
+  capacity: 0.15,
+  transport: 0.15
+};
+
+// Pickups beyond this distance (km) score zero on the distance criterion
+const DEFAULT_MAX_DISTANCE_KM = 25;
+
+// Rough carrying capacity (kg) for each transportation mode
+const TRANSPORT_CAPACITY_KG = {
+  car: 200,
+  motorcycle: 30,
+  bicycle: 15,
+  public_transport: 10,
+  walking: 5,
+  other: 20
+};
+
+// Modes that cannot reasonably keep items cold
+const NO_REFRIGERATION_MODES = ['bicycle', 'public_transport', 'walking'];
+
+// Modes where fragile items are at risk
+const FRAGILE_RISK_MODES = ['bicycle', 'motorcycle', 'walking'];
+
+const ACTIVE_PICKUP_STATUSES = ['accepted', 'en_route_pickup', 'arrived_pickup', 'picked_up', 'en_route_delivery'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Parse a free-text weight such as "15 kg", "about 20kg" or "500g" into kilograms
+ * @param {string} totalWeight - Weight as entered by the donor
+ * @returns {number|null} - Weight in kilograms, or null if it cannot be parsed
+ */
+export const parseWeightKg = (totalWeight) => {
+  if (!totalWeight) return null;
+
+  const match = String(totalWeight).toLowerCase().match(/(\d+(?:\.\d+)?)\s*(kg|kgs|kilograms?|g|grams?|lbs?|pounds?)?/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const unit = match[2] || 'kg';
+
+  if (unit.startsWith('g')) return value / 1000;
+  if (unit.startsWith('lb') || unit.startsWith('pound')) return value * 0.4536;
+  return value;
+};
+
+/**
+ * Convert a GeoJSON point ([longitude, latitude]) to the [lat, lon] order used by calculateDistance
+ * @param {Object} point - GeoJSON point
+ * @returns {Array<number>|null}
+ */
+const toLatLon = (point) => {
+  const coordinates = point?.coordinates;
+  if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+  return [coordinates[1], coordinates[0]];
+};
+
+/**
+ * Resolve the time window in which the donor wants the pickup to happen.
+ * Flexible donations without a preferred date are matched against the current time.
+ * @param {Object} donation - Donation document
+ * @param {Date} now - Reference time
+ * @returns {{ start: Date, end: Date, flexible: boolean }}
+ */
+export const resolvePickupWindow = (donation, now = new Date()) => {
+  if (!donation?.preferredDate) {
+    return { start: now, end: now, flexible: true };
+  }
+
+  const withTime = (time, fallback) => {
+    const date = new Date(donation.preferredDate);
+    const [hours, minutes] = (time || fallback).split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  };
+
+  const start = withTime(donation.preferredTimeStart, '09:00');
+  const end = withTime(donation.preferredTimeEnd, donation.preferredTimeStart || '17:00');
+
+  return { start, end: end < start ? start : end, flexible: false };
+};
+
+const sampleWindow = ({ start, end }) => {
+  if (start.getTime() === end.getTime()) return [start];
+  const middle = new Date((start.getTime() + end.getTime()) / 2);
+  return [start, middle, end];
+};
+
+const scoreDistance = (volunteerLocation, pickupLocation, maxDistanceKm) => {
+  if (!volunteerLocation || !pickupLocation) {
+    return { score: 0, km: null, inRange: false, reason: 'Volunteer location unknown' };
+  }
+
+  const km = calculateDistance(volunteerLocation, pickupLocation);
+  // Range is decided on the distance itself: just inside it, the rounded score is already 0
+  const inRange = km <= maxDistanceKm;
+
+  return {
+    score: round(Math.max(0, 1 - km / maxDistanceKm)),
+    km,
+    inRange,
+    ...(!inRange && { reason: `More than ${maxDistanceKm} km away` })
+  };
+};
+
+const scoreAvailability = (availability, window) => {
+  const checkedAt = sampleWindow(window);
+  const availableAt = checkedAt.filter(dateTime => availability.isAvailableAt(dateTime));
+  const score = availableAt.length / checkedAt.length;
+
+  return {
+    score: round(score),
+    checkedAt,
+    availableAt,
+    ...(score === 0 && { reason: 'Not available during the pickup window' })
+  };
+};
+
+const scoreCapacity = (assignedCount, maxPickupsPerDay) => {
+  const remaining = maxPickupsPerDay - assignedCount;
+
+  return {
+    score: remaining > 0 ? round(remaining / maxPickupsPerDay) : 0,
+    assignedCount,
+    maxPickupsPerDay,
+    ...(remaining <= 0 && { reason: 'Daily pickup limit reached' })
+  };
+};
+
+const scoreTransport = (mode, { weightKg, fragileItems, requiresRefrigeration }) => {
+  const transportationMode = mode || 'other';
+  const capacityKg = TRANSPORT_CAPACITY_KG[transportationMode] ?? TRANSPORT_CAPACITY_KG.other;
+  const reasons = [];
+  let score = 1;
+  let suitable = true;
+
+  if (weightKg !== null) {
+    if (weightKg > capacityKg) {
+      suitable = false;
+      reasons.push(`${weightKg} kg exceeds ${transportationMode} capacity of ${capacityKg} kg`);
+    } else {
+      // Prefer vehicles that are not loaded to their limit
+      score -= 0.5 * (weightKg / capacityKg);
+    }
+  }
+
+  if (requiresRefrigeration && NO_REFRIGERATION_MODES.includes(transportationMode)) {
+    suitable = false;
+    reasons.push(`Refrigerated items cannot be carried by ${transportationMode}`);
+  } else if (requiresRefrigeration && transportationMode !== 'car') {
+    score -= 0.3;
+    reasons.push('Refrigerated items are best carried by car');
+  }
+
+  if (fragileItems && FRAGILE_RISK_MODES.includes(transportationMode)) {
+    score -= 0.3;
+    reasons.push(`Fragile items are at risk on ${transportationMode}`);
+  }
+
+  return {
+    score: suitable ? round(Math.max(0, score)) : 0,
+    mode: transportationMode,
+    capacityKg,
+    weightKg,
+    suitable,
+    ...(reasons.length > 0 && { reasons })
+  };
+};
+
+/**
+ * Count the pickups each volunteer holds on the day of the pickup window, so that
+ * maxPickupsPerDay is a limit per day: claims for other days do not count against it.
+ * A pickup belongs to the donor's preferred date, or to the day it was accepted when the
+ * donor is flexible.
+ * @param {Array} volunteerIds - Volunteer ObjectIds
+ * @param {Date} day - Any time on the target day
+ * @returns {Promise<Map<string, number>>}
+ */
+const countAssignedPickups = async (volunteerIds, day) => {
+  const dayStart = new Date(day);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+
+  const counts = await PickupRequest.aggregate([
+    {
+      $match: {
+        volunteer: { $in: volunteerIds },
+        status: { $in: [...ACTIVE_PICKUP_STATUSES, 'delivered'] }
+      }
+    },
+    {
+      $lookup: {
+        from: 'donations',
+        localField: 'donation',
+        foreignField: '_id',
+        as: 'donation'
+      }
+    },
+    {
+      $set: {
+        scheduledAt: {
+          $ifNull: [
+            { $arrayElemAt: ['$donation.preferredDate', 0] },
+            { $ifNull: ['$metadata.acceptedAt', '$createdAt'] }
+          ]
+        }
+      }
+    },
+    { $match: { scheduledAt: { $gte: dayStart, $lt: dayEnd } } },
+    { $group: { _id: '$volunteer', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Rank volunteers for a pickup request
+ * @param {Object} pickupRequest - PickupRequest document with `donation` populated
+ * @param {Object} options
+ * @param {number} options.maxDistanceKm - Distance at which the distance score drops to zero; volunteers
+ *   further away, or without a known location, are ineligible
+ * @param {boolean} options.includeIneligible - Also return volunteers that fail a hard constraint
+ * @param {number} options.limit - Maximum number of candidates to return
+ * @returns {Promise<Object>} - Pickup window and ranked candidates with score breakdowns
+ */
+export const findMatchingVolunteers = async (pickupRequest, {
+  maxDistanceKm = DEFAULT_MAX_DISTANCE_KM,
+  includeIneligible = false,
+  limit = 10
+} = {}) => {
+  const donation = pickupRequest.donation;
+  const window = resolvePickupWindow(donation);
+  const pickupLocation = toLatLon(pickupRequest.pickupCoordinates);
+
+  const load = {
+    weightKg: parseWeightKg(pickupRequest.metadata?.totalWeight ?? donation?.totalWeight),
+    fragileItems: Boolean(pickupRequest.metadata?.fragileItems ?? donation?.fragileItems),
+    requiresRefrigeration: Boolean(pickupRequest.metadata?.requiresRefrigeration ?? donation?.requiresRefrigeration)
+  };
+
+  const availabilities = await Availability.find({ isActive: true })
+    .populate('volunteer', 'name email phoneNumber location transportationMode role isVerified isActive documentCompliance');
+
+  const usable = availabilities.filter(({ volunteer }) =>
+    volunteer && volunteer.role === 'volunteer' && volunteer.isVerified && volunteer.isActive !== false &&
+    canTakePickups(volunteer)
+  );
+
+  const assignedCounts = await countAssignedPickups(usable.map(({ volunteer }) => volunteer._id), window.start);
+
+  const candidates = usable.map(availability => {
+    const { volunteer, preferences } = availability;
+
+    const breakdown = {
+      distance: scoreDistance(toLatLon(volunteer.location), pickupLocation, maxDistanceKm),
+      availability: scoreAvailability(availability, window),
+      capacity: scoreCapacity(assignedCounts.get(volunteer._id.toString()) || 0, preferences?.maxPickupsPerDay || 1),
+      transport: scoreTransport(preferences?.transportationMode || volunteer.transportationMode, load)
+    };
+
+    // A volunteer whose location is unknown or out of range cannot be sent to the pickup
+    const eligible = breakdown.distance.inRange &&
+      breakdown.availability.score > 0 &&
+      breakdown.capacity.score > 0 &&
+      breakdown.transport.suitable;
+
+    const score = Object.entries(WEIGHTS)
+      .reduce((total, [criterion, weight]) => total + breakdown[criterion].score * weight, 0);
+
+    return {
+      volunteer: {
+        _id: volunteer._id,
+        name: volunteer.name,
+        email: volunteer.email,
+        phoneNumber: volunteer.phoneNumber
+      },
+      availabilityId: availability._id,
+      eligible,
+      score: round(score * 100, 1),
+      breakdown
+    };
+  });
+
+  const ranked = candidates
+    .filter(candidate => includeIneligible || candidate.eligible)
+    .sort((a, b) => Number(b.eligible) - Number(a.eligible) || b.score - a.score)
+    .slice(0, limit);
+
+  return {
+    window,
+    load,
+    weights: WEIGHTS,
+    candidates: ranked
+  };
+};
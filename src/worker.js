@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+import connectDB from './config/db.js';
+import { registerJobs } from './jobs/index.js';
+import { startJobWorker, stopJobWorker } from './utils/jobQueue.js';
+
+// Standalone job worker; run with `npm run worker` alongside API processes started with JOB_WORKER_ENABLED=false
+
+await connectDB();
+registerJobs();
+await startJobWorker();
+
+const shutdown = async (signal) => {
+    console.log(`${signal} received, finishing running jobs...`);
+    await stopJobWorker();
+    await mongoose.disconnect();
+    process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
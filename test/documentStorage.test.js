@@ -0,0 +1,132 @@
+import { describe, it, before, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectDocumentType,
+  parseDocumentDetails,
+  createSignedDocumentUrl,
+  verifyDocumentSignature
+} from '../src/utils/documentStorage.js';
+
+const DOCUMENT_ID = '65f1c2d3e4a5b6c7d8e9f012';
+
+const PDF = Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+const nextYear = () => new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString();
+
+// Pull expires and signature back out of a signed URL
+const parseSignedUrl = (url) => {
+  const params = new URL(url, 'http://localhost').searchParams;
+  return { expires: params.get('expires'), signature: params.get('signature') };
+};
+
+describe('detectDocumentType', () => {
+  it('recognises PDF, JPEG and PNG files by their contents', () => {
+    assert.equal(detectDocumentType(PDF), 'application/pdf');
+    assert.equal(detectDocumentType(JPEG), 'image/jpeg');
+    assert.equal(detectDocumentType(PNG), 'image/png');
+  });
+
+  it('ignores the name or type a file claims', () => {
+    assert.equal(detectDocumentType(Buffer.from('<html><script>alert(1)</script>')), null);
+    assert.equal(detectDocumentType(Buffer.from('MZ\x90\x00', 'latin1')), null);
+  });
+
+  it('rejects files shorter than a signature', () => {
+    assert.equal(detectDocumentType(Buffer.from([0x89, 0x50])), null);
+    assert.equal(detectDocumentType(Buffer.alloc(0)), null);
+  });
+});
+
+describe('parseDocumentDetails', () => {
+  it('pairs types and expiry dates with the files in order', () => {
+    const expiresAt = nextYear();
+    const details = parseDocumentDetails({ documentTypes: ['national_id', 'driving_licence'], expiresAt: ['', expiresAt] }, 2);
+
+    assert.deepEqual(details, [
+      { documentType: 'national_id' },
+      { documentType: 'driving_licence', expiresAt: new Date(expiresAt) }
+    ]);
+  });
+
+  it('accepts a single value for a single file and defaults to other', () => {
+    assert.deepEqual(parseDocumentDetails({ documentTypes: 'national_id' }, 1), [{ documentType: 'national_id' }]);
+    assert.deepEqual(parseDocumentDetails({}, 2), [{ documentType: 'other' }, { documentType: 'other' }]);
+  });
+
+  it('rejects unknown types', () => {
+    assert.throws(() => parseDocumentDetails({ documentTypes: 'selfie' }, 1), {
+      invalidDocument: true,
+      message: /Unknown document type 'selfie'/
+    });
+  });
+
+  it('needs an expiry date for documents that expire', () => {
+    assert.throws(() => parseDocumentDetails({ documentTypes: 'background_check' }, 1), {
+      invalidDocument: true,
+      message: /expiry date of your certificate of good conduct/
+    });
+  });
+
+  it('rejects invalid and past expiry dates', () => {
+    assert.throws(() => parseDocumentDetails({ documentTypes: 'driving_licence', expiresAt: 'soon' }, 1), { invalidDocument: true });
+    assert.throws(() => parseDocumentDetails({ documentTypes: 'driving_licence', expiresAt: '2020-01-01' }, 1), {
+      invalidDocument: true,
+      message: /already expired/
+    });
+  });
+});
+
+describe('signed document URLs', () => {
+  before(() => {
+    process.env.DOCUMENT_URL_SECRET = 'test-document-url-secret';
+  });
+
+  afterEach(() => mock.timers.reset());
+
+  it('accept their own signature until they expire', () => {
+    const { url, expiresAt } = createSignedDocumentUrl(DOCUMENT_ID, 60);
+    const { expires, signature } = parseSignedUrl(url);
+
+    assert.ok(url.startsWith(`/api/documents/${DOCUMENT_ID}/signed?`));
+    assert.equal(expiresAt.getTime(), Number(expires) * 1000);
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, signature), true);
+  });
+
+  it('stop working once expired', () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { expires, signature } = parseSignedUrl(createSignedDocumentUrl(DOCUMENT_ID, 60).url);
+
+    mock.timers.tick(61 * 1000);
+
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, signature), false);
+  });
+
+  it('cannot be moved to another document or given a later expiry', () => {
+    const { expires, signature } = parseSignedUrl(createSignedDocumentUrl(DOCUMENT_ID, 60).url);
+
+    assert.equal(verifyDocumentSignature('65f1c2d3e4a5b6c7d8e9f013', expires, signature), false);
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, String(Number(expires) + 3600), signature), false);
+  });
+
+  it('reject malformed signatures', () => {
+    const { expires, signature } = parseSignedUrl(createSignedDocumentUrl(DOCUMENT_ID, 60).url);
+
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, signature.slice(0, -2)), false);
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, 'not-hex'), false);
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, undefined), false);
+    assert.equal(verifyDocumentSignature(DOCUMENT_ID, 'never', signature), false);
+  });
+
+  it('depend on the secret', () => {
+    const { expires, signature } = parseSignedUrl(createSignedDocumentUrl(DOCUMENT_ID, 60).url);
+
+    process.env.DOCUMENT_URL_SECRET = 'rotated-secret';
+    try {
+      assert.equal(verifyDocumentSignature(DOCUMENT_ID, expires, signature), false);
+    } finally {
+      process.env.DOCUMENT_URL_SECRET = 'test-document-url-secret';
+    }
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PickupRequest from '../src/models/PickupRequest.js';
+import Donation from '../src/models/Donation.js';
+import Notification from '../src/models/Notification.js';
+import { clusterPickupRequests, syncBatchMembers } from '../src/utils/donationBatching.js';
+
+// Streets a few hundred metres apart in Westlands, Nairobi, and one across town
+const WESTLANDS = [36.8065, -1.2676];
+const WESTLANDS_NEARBY = [36.8080, -1.2660];
+const WESTLANDS_CORNER = [36.8050, -1.2690];
+const KAREN = [36.7073, -1.3197];
+
+let nextId = 0;
+const pickupRequest = (coordinates, { charity = 'charity-1', preferredDate, preferredTimeStart, priority } = {}) => ({
+  _id: `pickup-${++nextId}`,
+  charity,
+  priority,
+  pickupCoordinates: { type: 'Point', coordinates },
+  donation: { preferredDate, preferredTimeStart }
+});
+
+const ids = (cluster) => cluster.members.map(member => member._id).sort();
+
+describe('clusterPickupRequests', () => {
+  it('groups nearby pickups going to the same charity', () => {
+    const requests = [pickupRequest(WESTLANDS), pickupRequest(WESTLANDS_NEARBY), pickupRequest(WESTLANDS_CORNER)];
+
+    const clusters = clusterPickupRequests(requests);
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(ids(clusters[0]), requests.map(request => request._id).sort());
+    assert.equal(clusters[0].charity, 'charity-1');
+    assert.ok(clusters[0].radiusKm < 1);
+  });
+
+  it('leaves out pickups beyond the radius', () => {
+    const requests = [pickupRequest(WESTLANDS), pickupRequest(WESTLANDS_NEARBY), pickupRequest(KAREN)];
+
+    const clusters = clusterPickupRequests(requests, { radiusKm: 2 });
+
+    assert.equal(clusters.length, 1);
+    assert.ok(!ids(clusters[0]).includes(requests[2]._id));
+  });
+
+  it('never mixes charities', () => {
+    const requests = [
+      pickupRequest(WESTLANDS, { charity: 'charity-1' }),
+      pickupRequest(WESTLANDS_NEARBY, { charity: 'charity-2' })
+    ];
+
+    assert.deepEqual(clusterPickupRequests(requests), []);
+  });
+
+  it('keeps fixed pickup times within the window', () => {
+    const requests = [
+      pickupRequest(WESTLANDS, { preferredDate: '2026-03-02', preferredTimeStart: '09:00' }),
+      pickupRequest(WESTLANDS_NEARBY, { preferredDate: '2026-03-02', preferredTimeStart: '15:00' }),
+      pickupRequest(WESTLANDS_CORNER, { preferredDate: '2026-03-05', preferredTimeStart: '09:00' })
+    ];
+
+    const clusters = clusterPickupRequests(requests, { windowHours: 24 });
+
+    assert.equal(clusters.length, 1);
+    assert.deepEqual(ids(clusters[0]), [requests[0]._id, requests[1]._id].sort());
+    assert.equal(clusters[0].window.start.getHours(), 9);
+    assert.equal(clusters[0].window.end.getHours(), 15);
+  });
+
+  it('lets flexible pickups join any batch and has no window when all are flexible', () => {
+    const requests = [pickupRequest(WESTLANDS), pickupRequest(WESTLANDS_NEARBY)];
+
+    const [cluster] = clusterPickupRequests(requests);
+
+    assert.equal(cluster.window, null);
+  });
+
+  it('respects the minimum and maximum batch size', () => {
+    const requests = [pickupRequest(WESTLANDS), pickupRequest(WESTLANDS_NEARBY), pickupRequest(WESTLANDS_CORNER)];
+
+    assert.deepEqual(clusterPickupRequests(requests, { minSize: 4 }), []);
+
+    const clusters = clusterPickupRequests(requests, { maxSize: 2 });
+    assert.equal(clusters.length, 1);
+    assert.equal(clusters[0].members.length, 2);
+  });
+
+  it('gives the batch the highest priority of its members', () => {
+    const requests = [pickupRequest(WESTLANDS, { priority: 'low' }), pickupRequest(WESTLANDS_NEARBY, { priority: 'high' })];
+
+    assert.equal(clusterPickupRequests(requests)[0].priority, 'high');
+  });
+
+  it('returns the centroid as a GeoJSON [longitude, latitude] pair', () => {
+    const [cluster] = clusterPickupRequests([pickupRequest(WESTLANDS), pickupRequest(WESTLANDS_NEARBY)]);
+
+    assert.deepEqual(cluster.centroid, [36.80725, -1.2668]);
+  });
+
+  it('skips pickups without coordinates', () => {
+    const requests = [pickupRequest(WESTLANDS), { ...pickupRequest(WESTLANDS_NEARBY), pickupCoordinates: undefined }];
+
+    assert.deepEqual(clusterPickupRequests(requests), []);
+  });
+});
+
+describe('syncBatchMembers', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('removes the fields it is asked to unset, as releasing a single pickup does', async () => {
+    const volunteer = { _id: new mongoose.Types.ObjectId(), role: 'volunteer' };
+    const member = { _id: new mongoose.Types.ObjectId(), donation: new mongoose.Types.ObjectId(), volunteer: volunteer._id };
+    const updates = [];
+    mock.method(PickupRequest, 'find', () => ({ select: () => ({ lean: async () => [member] }) }));
+    mock.method(PickupRequest, 'updateMany', async (filter, update) => updates.push(update));
+    mock.method(Donation, 'updateMany', async () => {});
+    mock.method(Donation, 'findById', () => ({ select: () => ({ lean: async () => null }) }));
+    mock.method(Notification, 'insertMany', async () => []);
+
+    const count = await syncBatchMembers({
+      batch: { _id: 'batch-1' },
+      fromStatus: 'accepted',
+      toStatus: 'available',
+      user: volunteer,
+      set: { volunteer: null },
+      unset: ['metadata.acceptedAt']
+    });
+
+    assert.equal(count, 1);
+    assert.deepEqual(updates[0].$set, { status: 'available', volunteer: null });
+    assert.deepEqual(updates[0].$unset, { 'metadata.acceptedAt': '' });
+  });
+});
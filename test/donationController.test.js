@@ -0,0 +1,185 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Donation from '../src/models/Donation.js';
+import PickupRequest from '../src/models/PickupRequest.js';
+import Notification from '../src/models/Notification.js';
+import {
+  getPickupRequests,
+  getPickupStatusHistory,
+  claimPickupRequest,
+  getMyDonations,
+  searchAddresses
+} from '../src/controllers/donationController.js';
+
+// Top-level fields a success response may have; the result itself always goes in data
+const ENVELOPE_FIELDS = ['success', 'message', 'data', 'count', 'total', 'pages'];
+
+const id = () => new mongoose.Types.ObjectId();
+
+const volunteer = { _id: id(), role: 'volunteer', name: 'Ada' };
+const otherVolunteer = { _id: id(), role: 'volunteer', name: 'Grace' };
+
+// Run a handler against a response that records what it was sent
+const respond = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await handler({ params: {}, query: {}, body: {}, ...req }, res);
+  return res;
+};
+
+const assertEnvelope = (body) => {
+  assert.equal(body.success, true);
+  assert.ok('data' in body, 'the result is in data');
+  for (const field of Object.keys(body)) {
+    assert.ok(ENVELOPE_FIELDS.includes(field), `unexpected top-level field '${field}'`);
+  }
+};
+
+// A query that resolves to the given result whatever is chained onto it
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => result
+  };
+  return chain;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('donation responses', () => {
+  it('put the status history in data', async () => {
+    const pickupRequest = { _id: id(), status: 'accepted', volunteer: volunteer._id, statusHistory: [{ status: 'accepted' }] };
+    mock.method(PickupRequest, 'findById', () => query(pickupRequest));
+
+    const { body } = await respond(getPickupStatusHistory, { params: { id: pickupRequest._id }, user: volunteer });
+
+    assertEnvelope(body);
+    assert.equal(body.data.currentStatus, 'accepted');
+    assert.deepEqual(body.data.history, [{ status: 'accepted' }]);
+  });
+
+  it('put the claimed pickup request in data', async () => {
+    const claimed = {
+      _id: id(),
+      status: 'accepted',
+      volunteer: volunteer._id,
+      donation: { _id: id(), donorId: id() },
+      metadata: { acceptedAt: new Date() }
+    };
+    mock.method(PickupRequest, 'findOneAndUpdate', async () => claimed);
+    mock.method(Donation, 'findByIdAndUpdate', async () => null);
+    mock.method(Notification, 'insertMany', async () => []);
+
+    const { body } = await respond(claimPickupRequest, { params: { id: claimed._id }, user: volunteer });
+
+    assertEnvelope(body);
+    assert.equal(body.data.id, claimed._id);
+    assert.equal(body.data.status, 'accepted');
+  });
+
+  it('put lists in data with their count next to it', async () => {
+    mock.method(Donation, 'find', () => query([]));
+
+    const { body } = await respond(getMyDonations, { user: { _id: id(), role: 'donor' } });
+
+    assertEnvelope(body);
+    assert.deepEqual(body.data, []);
+    assert.equal(body.count, 0);
+  });
+
+  it('put address suggestions in data', async () => {
+    const { body } = await respond(searchAddresses, { query: { q: 'Na' } });
+
+    assertEnvelope(body);
+    assert.deepEqual(body.data, []);
+  });
+});
+
+describe('claimPickupRequest', () => {
+  // One pickup request in memory; the update only applies while the filter still matches, as in MongoDB
+  const usePickupRequest = (fields = {}) => {
+    const pickupRequest = {
+      _id: id(),
+      status: 'available',
+      volunteer: null,
+      batch: null,
+      donation: { _id: id(), donorId: id() },
+      metadata: {},
+      ...fields
+    };
+    mock.method(PickupRequest, 'findOneAndUpdate', async (filter, update) => {
+      const stillMatches = Object.entries(filter).every(([field, value]) =>
+        field === '_id' || String(pickupRequest[field]) === String(value)
+      );
+      if (!stillMatches) return null;
+      Object.assign(pickupRequest, { status: update.$set.status, volunteer: update.$set.volunteer });
+      pickupRequest.metadata.acceptedAt = update.$set['metadata.acceptedAt'];
+      return { ...pickupRequest };
+    });
+    mock.method(PickupRequest, 'findById', () => query(pickupRequest));
+    mock.method(Donation, 'findByIdAndUpdate', async () => null);
+    mock.method(Notification, 'insertMany', async () => []);
+    return pickupRequest;
+  };
+
+  it('rejects a second claim of the same pickup request', async () => {
+    const pickupRequest = usePickupRequest();
+
+    await respond(claimPickupRequest, { params: { id: pickupRequest._id }, user: volunteer });
+
+    await assert.rejects(respond(claimPickupRequest, { params: { id: pickupRequest._id }, user: otherVolunteer }), {
+      status: 409,
+      message: 'This pickup request has already been claimed or is no longer available'
+    });
+    assert.equal(pickupRequest.volunteer, volunteer._id);
+  });
+
+  it('lets only one of two simultaneous claims through', async () => {
+    const pickupRequest = usePickupRequest();
+
+    const results = await Promise.allSettled([
+      respond(claimPickupRequest, { params: { id: pickupRequest._id }, user: volunteer }),
+      respond(claimPickupRequest, { params: { id: pickupRequest._id }, user: otherVolunteer })
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+    assert.equal(results[1].reason.status, 409);
+    assert.equal(pickupRequest.volunteer, volunteer._id);
+  });
+
+  it('tells volunteers when they already hold the pickup', async () => {
+    const pickupRequest = usePickupRequest({ status: 'accepted', volunteer: volunteer._id });
+
+    await assert.rejects(respond(claimPickupRequest, { params: { id: pickupRequest._id }, user: volunteer }), {
+      status: 409,
+      message: 'You have already claimed this pickup request'
+    });
+  });
+});
+
+describe('getPickupRequests', () => {
+  it('rejects a location with only one coordinate', async () => {
+    const find = mock.method(PickupRequest, 'find', () => query([]));
+
+    for (const [given, missing] of [[{ lat: -1.29 }, 'lng'], [{ lng: 36.82 }, 'lat']]) {
+      await assert.rejects(respond(getPickupRequests, { query: { ...given, limit: 20 } }), {
+        status: 400,
+        code: 'VALIDATION_ERROR',
+        details: { errors: [{ location: 'query', field: missing, message: `is required when ${Object.keys(given)[0]} is given` }] }
+      });
+    }
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
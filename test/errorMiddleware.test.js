@@ -0,0 +1,71 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { errorHandler } from '../src/middleware/errorMiddleware.js';
+import { AppError, ConflictError, ValidationError } from '../src/utils/errors.js';
+
+// Run the error handler and return the status and body it sent
+const handle = (error) => {
+  const res = {
+    headersSent: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  errorHandler(error, { id: 'req-1', method: 'GET', originalUrl: '/api/test' }, res, () => {});
+  return res;
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('errorHandler', () => {
+  it('answers with the error envelope and the details next to it', () => {
+    const { statusCode, body } = handle(new ConflictError('Claim the batch instead', { details: { batchId: 'batch-1' } }));
+
+    assert.equal(statusCode, 409);
+    assert.deepEqual(body, {
+      success: false,
+      message: 'Claim the batch instead',
+      code: 'CONFLICT',
+      batchId: 'batch-1',
+      requestId: 'req-1'
+    });
+  });
+
+  it('never lets details replace the fields every error has', () => {
+    const error = new AppError('Locked', {
+      status: 423,
+      code: 'ACCOUNT_LOCKED',
+      details: { success: true, message: 'fine', code: 'OK', requestId: 'forged' }
+    });
+
+    const { body } = handle(error);
+
+    assert.equal(body.success, false);
+    assert.equal(body.message, 'Locked');
+    assert.equal(body.code, 'ACCOUNT_LOCKED');
+    assert.equal(body.requestId, 'req-1');
+  });
+
+  it('lists validation errors', () => {
+    const { statusCode, body } = handle(new ValidationError('email is required', [{ field: 'email', message: 'is required' }]));
+
+    assert.equal(statusCode, 400);
+    assert.deepEqual(body.errors, [{ field: 'email', message: 'is required' }]);
+  });
+
+  it('hides the message of unexpected errors', () => {
+    mock.method(console, 'error', () => {});
+
+    const { statusCode, body } = handle(new Error('connection string with a password in it'));
+
+    assert.equal(statusCode, 500);
+    assert.equal(body.message, 'Server error');
+    assert.equal(body.code, 'INTERNAL_ERROR');
+    assert.equal(body.error, undefined);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { User } from '../src/models/User.js';
+import { createMemoryStore } from '../src/utils/rateLimitStore.js';
+import {
+  LOCKOUT_RESET,
+  isLocked,
+  lockoutMinutes,
+  recordFailedLogin,
+  unknownEmailLockedUntil,
+  recordUnknownEmailFailure,
+  clearFailedLogins
+} from '../src/utils/loginLockout.js';
+
+const MINUTE = 60 * 1000;
+const NOW = 1767225600000;
+
+const failTimes = async (times, email, store) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await recordUnknownEmailFailure(email, store);
+  }
+  return result;
+};
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('isLocked', () => {
+  it('holds until lockedUntil has passed', () => {
+    const user = { loginLockout: { lockedUntil: new Date(NOW + 15 * MINUTE) } };
+
+    assert.equal(isLocked(user), true);
+    assert.equal(isLocked(user, new Date(NOW + 15 * MINUTE + 1)), false);
+    assert.equal(isLocked({}), false);
+  });
+});
+
+describe('lockoutMinutes', () => {
+  it('doubles with each lockout in a row, up to a day', () => {
+    assert.deepEqual([0, 1, 2, 3].map(lockoutMinutes), [15, 30, 60, 120]);
+    assert.equal(lockoutMinutes(7), 24 * 60);
+    assert.equal(lockoutMinutes(1000), 24 * 60);
+  });
+});
+
+describe('recordFailedLogin', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  it('counts failures below the threshold without locking', async () => {
+    const updates = [];
+    mock.method(User, 'findOneAndUpdate', (filter, update) => {
+      updates.push(update);
+      return { lean: async () => ({ loginLockout: { failedAttempts: 4, lockouts: 0 } }) };
+    });
+
+    assert.deepEqual(await recordFailedLogin(user), { locked: false });
+    assert.equal(updates.length, 1);
+  });
+
+  it('locks the account on the fifth failure, for longer after each lockout in a row', async () => {
+    const updates = [];
+    mock.method(User, 'findOneAndUpdate', (filter, update) => {
+      updates.push({ filter, update });
+      return { lean: async () => ({ loginLockout: { failedAttempts: 5, lockouts: 2 } }) };
+    });
+    // The lockout email is best effort; leave it to fail
+    mock.method(User, 'findById', async () => {
+      throw new Error('no database');
+    });
+    mock.method(console, 'error', () => {});
+
+    const result = await recordFailedLogin(user);
+
+    assert.deepEqual(result, { locked: true, lockedUntil: new Date(NOW + 60 * MINUTE) });
+    assert.deepEqual(updates[1].filter, { _id: user._id, 'loginLockout.failedAttempts': { $gte: 5 } });
+    assert.deepEqual(updates[1].update.$inc, { 'loginLockout.lockouts': 1 });
+  });
+
+  it('reports the existing lock when a concurrent failure locked the account first', async () => {
+    const lockedUntil = new Date(NOW + 15 * MINUTE);
+    let calls = 0;
+    mock.method(User, 'findOneAndUpdate', () => ({
+      lean: async () => (++calls === 1 ? { loginLockout: { failedAttempts: 5, lockouts: 0 } } : null)
+    }));
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ loginLockout: { lockedUntil } }) }) }));
+
+    assert.deepEqual(await recordFailedLogin(user), { locked: true, lockedUntil });
+  });
+});
+
+describe('clearFailedLogins', () => {
+  it('starts the count again after a successful login', async () => {
+    const updates = [];
+    mock.method(User, 'updateOne', async (filter, update) => updates.push({ filter, update }));
+    const user = { _id: new mongoose.Types.ObjectId(), loginLockout: { failedAttempts: 3, lockouts: 1 } };
+
+    await clearFailedLogins(user);
+
+    assert.deepEqual(updates, [{ filter: { _id: user._id }, update: LOCKOUT_RESET }]);
+  });
+
+  it('leaves accounts without failures alone', async () => {
+    const updateOne = mock.method(User, 'updateOne', async () => {});
+
+    await clearFailedLogins({ _id: 'user-1', loginLockout: { failedAttempts: 0, lockouts: 0 } });
+    await clearFailedLogins({ _id: 'user-2' });
+
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+});
+
+describe('unknown emails', () => {
+  it('lock after the same number of failures as accounts', async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(await failTimes(4, 'nobody@example.com', store), { locked: false });
+    assert.equal(await unknownEmailLockedUntil('nobody@example.com', store), null);
+
+    const result = await recordUnknownEmailFailure('nobody@example.com', store);
+
+    assert.deepEqual(result, { locked: true, lockedUntil: new Date(NOW + 15 * MINUTE) });
+    assert.deepEqual(await unknownEmailLockedUntil('nobody@example.com', store), result.lockedUntil);
+  });
+
+  it('share the lock whatever the case or surrounding spaces', async () => {
+    const store = createMemoryStore();
+    await failTimes(5, 'nobody@example.com', store);
+
+    assert.ok(await unknownEmailLockedUntil(' Nobody@Example.com ', store));
+    assert.equal(await unknownEmailLockedUntil('somebody@example.com', store), null);
+  });
+
+  it('unlock once the lockout is over, and lock for longer the next time', async () => {
+    const store = createMemoryStore();
+    await failTimes(5, 'nobody@example.com', store);
+
+    mock.timers.tick(15 * MINUTE);
+    assert.equal(await unknownEmailLockedUntil('nobody@example.com', store), null);
+
+    const result = await failTimes(5, 'nobody@example.com', store);
+    assert.deepEqual(result.lockedUntil, new Date(Date.now() + 30 * MINUTE));
+  });
+
+  it('do not add up failures spread over more than the window', async () => {
+    const store = createMemoryStore();
+    await failTimes(4, 'nobody@example.com', store);
+
+    mock.timers.tick(60 * MINUTE);
+
+    assert.deepEqual(await recordUnknownEmailFailure('nobody@example.com', store), { locked: false });
+  });
+});
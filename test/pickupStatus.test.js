@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import {
+  PICKUP_STATUSES,
+  getAllowedTransitions,
+  checkTransition,
+  donationStatusFor,
+  buildStatusHistoryEntry
+} from '../src/utils/pickupStatus.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+const volunteer = { _id: id(), role: 'volunteer' };
+const otherVolunteer = { _id: id(), role: 'volunteer' };
+const lapsedVolunteer = { _id: id(), role: 'volunteer', documentCompliance: { status: 'lapsed' } };
+const charity = { _id: id(), role: 'charity' };
+const donor = { _id: id(), role: 'donor' };
+const admin = { _id: id(), role: 'admin', $locals: { permissions: ['donations:override'] } };
+const readOnlyAdmin = { _id: id(), role: 'admin', $locals: { permissions: ['donations:read'] } };
+
+const pickup = (status, overrides = {}) => ({
+  status,
+  volunteer: ['available', 'cancelled'].includes(status) ? null : volunteer._id,
+  charity: charity._id,
+  ...overrides
+});
+
+describe('getAllowedTransitions', () => {
+  it('follows the pickup from claim to delivery', () => {
+    const path = ['available', 'accepted', 'en_route_pickup', 'arrived_pickup', 'picked_up', 'en_route_delivery', 'delivered'];
+    for (let i = 0; i < path.length - 1; i++) {
+      assert.ok(getAllowedTransitions(path[i]).includes(path[i + 1]), `${path[i]} -> ${path[i + 1]}`);
+    }
+  });
+
+  it('has no way out of delivered', () => {
+    assert.deepEqual(getAllowedTransitions('delivered'), []);
+  });
+
+  it('lets every open status be cancelled', () => {
+    for (const status of PICKUP_STATUSES.filter(status => !['delivered', 'cancelled'].includes(status))) {
+      assert.ok(getAllowedTransitions(status).includes('cancelled'), status);
+    }
+  });
+
+  it('knows nothing of unknown statuses', () => {
+    assert.deepEqual(getAllowedTransitions('lost'), []);
+  });
+});
+
+describe('checkTransition', () => {
+  it('lets any volunteer in good standing claim an available pickup', () => {
+    assert.deepEqual(checkTransition(pickup('available'), 'accepted', otherVolunteer), { allowed: true });
+  });
+
+  it('refuses claims from volunteers whose documents have lapsed', () => {
+    const result = checkTransition(pickup('available'), 'accepted', lapsedVolunteer);
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 403);
+  });
+
+  it('only lets the assigned volunteer move the pickup along', () => {
+    assert.equal(checkTransition(pickup('accepted'), 'en_route_pickup', volunteer).allowed, true);
+
+    const result = checkTransition(pickup('accepted'), 'en_route_pickup', otherVolunteer);
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 403);
+  });
+
+  it('lets the charity cancel only its own pickups', () => {
+    assert.equal(checkTransition(pickup('picked_up'), 'cancelled', charity).allowed, true);
+    assert.equal(checkTransition(pickup('picked_up', { charity: id() }), 'cancelled', charity).allowed, false);
+  });
+
+  it('needs the donations:override permission for admins', () => {
+    assert.equal(checkTransition(pickup('cancelled'), 'available', admin).allowed, true);
+    assert.equal(checkTransition(pickup('cancelled'), 'available', readOnlyAdmin).code, 403);
+  });
+
+  it('never lets a donor change the status', () => {
+    assert.equal(checkTransition(pickup('available'), 'cancelled', donor).code, 403);
+  });
+
+  it('rejects skipped steps and names the allowed next statuses', () => {
+    const result = checkTransition(pickup('accepted'), 'delivered', volunteer);
+    assert.equal(result.allowed, false);
+    assert.equal(result.code, 400);
+    assert.match(result.message, /Allowed next statuses: en_route_pickup, available, cancelled/);
+  });
+
+  it('explains that delivered is final', () => {
+    const result = checkTransition(pickup('delivered'), 'cancelled', admin);
+    assert.equal(result.code, 400);
+    assert.match(result.message, /'delivered' is a final status/);
+  });
+
+  it('rejects unknown statuses', () => {
+    assert.deepEqual(checkTransition(pickup('accepted'), 'teleported', volunteer), {
+      allowed: false,
+      code: 400,
+      message: 'Invalid status provided'
+    });
+  });
+});
+
+describe('donationStatusFor', () => {
+  it('maps pickup statuses onto donation statuses', () => {
+    assert.equal(donationStatusFor('available'), 'submitted');
+    assert.equal(donationStatusFor('arrived_pickup'), 'assigned');
+    assert.equal(donationStatusFor('en_route_delivery'), 'picked_up');
+    assert.equal(donationStatusFor('delivered'), 'delivered');
+    assert.equal(donationStatusFor('cancelled'), 'cancelled');
+  });
+
+  it('falls back to submitted', () => {
+    assert.equal(donationStatusFor(undefined), 'submitted');
+  });
+});
+
+describe('buildStatusHistoryEntry', () => {
+  it('records who changed the status and when', () => {
+    const entry = buildStatusHistoryEntry({ fromStatus: 'accepted', toStatus: 'en_route_pickup', user: volunteer, notes: 'On my way' });
+
+    assert.equal(entry.fromStatus, 'accepted');
+    assert.equal(entry.status, 'en_route_pickup');
+    assert.equal(entry.actor, volunteer._id);
+    assert.equal(entry.actorRole, 'volunteer');
+    assert.equal(entry.notes, 'On my way');
+    assert.ok(entry.timestamp instanceof Date);
+  });
+
+  it('stores the location as a GeoJSON point', () => {
+    const entry = buildStatusHistoryEntry({ fromStatus: 'accepted', toStatus: 'en_route_pickup', user: volunteer, location: { lat: '-1.29', lng: '36.82' } });
+    assert.deepEqual(entry.location, { type: 'Point', coordinates: [36.82, -1.29] });
+  });
+
+  it('drops locations that are missing or out of range', () => {
+    for (const location of [undefined, { lat: 'north' }, { lat: 91, lng: 0 }, { lat: 0, lng: 181 }]) {
+      assert.equal(buildStatusHistoryEntry({ fromStatus: 'accepted', toStatus: 'available', user: volunteer, location }).location, undefined);
+    }
+  });
+});
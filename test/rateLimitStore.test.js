@@ -0,0 +1,114 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import RateLimitBucket from '../src/models/RateLimitBucket.js';
+import { createMemoryStore, createMongoStore } from '../src/utils/rateLimitStore.js';
+
+const MINUTE = 60 * 1000;
+const NOW = 1767225600000;
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('memory store', () => {
+  it('counts hits within a window', async () => {
+    const store = createMemoryStore();
+
+    assert.deepEqual(await store.hit('login:1.2.3.4', MINUTE), { count: 1, resetAt: new Date(NOW + MINUTE) });
+    mock.timers.tick(30 * 1000);
+    assert.deepEqual(await store.hit('login:1.2.3.4', MINUTE), { count: 2, resetAt: new Date(NOW + MINUTE) });
+    assert.deepEqual(await store.get('login:1.2.3.4'), { count: 2, resetAt: new Date(NOW + MINUTE) });
+  });
+
+  it('starts a new window once the last one is over', async () => {
+    const store = createMemoryStore();
+    await store.hit('login:1.2.3.4', MINUTE);
+    await store.hit('login:1.2.3.4', MINUTE);
+
+    mock.timers.tick(MINUTE);
+
+    assert.equal(await store.get('login:1.2.3.4'), null);
+    assert.deepEqual(await store.hit('login:1.2.3.4', MINUTE), { count: 1, resetAt: new Date(NOW + 2 * MINUTE) });
+  });
+
+  it('keeps keys apart', async () => {
+    const store = createMemoryStore();
+    await store.hit('login:1.2.3.4', MINUTE);
+
+    assert.equal(await store.get('login:5.6.7.8'), null);
+  });
+
+  it('takes back a hit with undo and forgets the key with reset', async () => {
+    const store = createMemoryStore();
+    await store.hit('login:1.2.3.4', MINUTE);
+    await store.hit('login:1.2.3.4', MINUTE);
+
+    await store.undo('login:1.2.3.4');
+    assert.equal((await store.get('login:1.2.3.4')).count, 1);
+
+    await store.reset('login:1.2.3.4');
+    assert.equal(await store.get('login:1.2.3.4'), null);
+  });
+});
+
+describe('MongoDB store', () => {
+  it('counts a hit with one upsert and returns the bucket', async () => {
+    const calls = [];
+    mock.method(RateLimitBucket, 'findOneAndUpdate', (filter, update, options) => {
+      calls.push({ filter, update, options });
+      return { lean: async () => ({ count: 3, resetAt: new Date(NOW + MINUTE) }) };
+    });
+
+    const result = await createMongoStore().hit('login:1.2.3.4', MINUTE);
+
+    assert.deepEqual(result, { count: 3, resetAt: new Date(NOW + MINUTE) });
+    assert.deepEqual(calls[0].filter, { key: 'login:1.2.3.4' });
+    assert.deepEqual(calls[0].options, { upsert: true, new: true });
+  });
+
+  it('retries once as an update when a concurrent first hit inserted the key', async () => {
+    let calls = 0;
+    mock.method(RateLimitBucket, 'findOneAndUpdate', () => ({
+      lean: async () => {
+        if (++calls === 1) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+        return { count: 2, resetAt: new Date(NOW + MINUTE) };
+      }
+    }));
+
+    assert.equal((await createMongoStore().hit('login:1.2.3.4', MINUTE)).count, 2);
+    assert.equal(calls, 2);
+  });
+
+  it('gives up after a second duplicate key error', async () => {
+    mock.method(RateLimitBucket, 'findOneAndUpdate', () => ({
+      lean: async () => {
+        throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      }
+    }));
+
+    await assert.rejects(createMongoStore().hit('login:1.2.3.4', MINUTE), { code: 11000 });
+  });
+
+  it('reads only buckets whose window is still open', async () => {
+    const filters = [];
+    mock.method(RateLimitBucket, 'findOne', (filter) => {
+      filters.push(filter);
+      return { lean: async () => null };
+    });
+
+    assert.equal(await createMongoStore().get('login:1.2.3.4'), null);
+    assert.deepEqual(filters[0], { key: 'login:1.2.3.4', resetAt: { $gt: new Date(NOW) } });
+  });
+
+  it('never takes a count below zero', async () => {
+    const filters = [];
+    mock.method(RateLimitBucket, 'updateOne', async (filter) => filters.push(filter));
+
+    await createMongoStore().undo('login:1.2.3.4');
+
+    assert.deepEqual(filters[0], { key: 'login:1.2.3.4', count: { $gt: 0 } });
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} from '../src/utils/sessions.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 1767225600000;
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'donor' };
+const loadUser = async () => user;
+
+// Sessions kept in memory, answering the handful of queries sessions.js makes the way MongoDB would
+const useSessionStore = () => {
+  const sessions = [];
+
+  const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = session[field];
+    if (condition === null) return value == null;
+    if (condition?.$gt !== undefined) return value > condition.$gt;
+    if (condition?.$ne !== undefined) return String(value) !== String(condition.$ne);
+    if (Array.isArray(value)) return value.includes(condition);
+    return String(value) === String(condition);
+  });
+
+  const apply = (session, { $set = {}, $push = {} }) => {
+    Object.assign(session, $set);
+    for (const [field, { $each, $slice }] of Object.entries($push)) {
+      session[field] = [...session[field], ...$each].slice($slice);
+    }
+  };
+
+  mock.method(Session, 'create', async (fields) => {
+    const session = { _id: new mongoose.Types.ObjectId(), previousTokenHashes: [], revokedAt: null, ...fields };
+    sessions.push(session);
+    return { ...session };
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (!session) return null;
+    apply(session, update);
+    return { ...session };
+  });
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (session) apply(session, update);
+    return { modifiedCount: session ? 1 : 0 };
+  });
+  mock.method(Session, 'updateMany', async (filter, update) => {
+    const matched = sessions.filter(candidate => matches(candidate, filter));
+    matched.forEach(session => apply(session, update));
+    return { modifiedCount: matched.length };
+  });
+  mock.method(Session, 'exists', async (filter) => sessions.some(candidate => matches(candidate, filter)));
+
+  return sessions;
+};
+
+// The session id that access tokens for the session carry
+const sessionIdOf = ({ token }) => jwt.verify(token, process.env.JWT_SECRET).sid;
+
+before(() => {
+  process.env.JWT_SECRET = 'test-jwt-secret';
+});
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: NOW }));
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('createSession', () => {
+  it('stores only a hash of the refresh token secret', async () => {
+    const sessions = useSessionStore();
+
+    const tokens = await createSession(user, null);
+    const [sessionId, secret] = tokens.refreshToken.split('.');
+
+    assert.equal(sessionId, String(sessions[0]._id));
+    assert.equal(sessionIdOf(tokens), sessionId);
+    assert.notEqual(sessions[0].tokenHash, secret);
+    assert.deepEqual(tokens.refreshTokenExpiresAt, new Date(NOW + 30 * DAY));
+  });
+});
+
+describe('rotateSession', () => {
+  it('swaps the refresh token for a new one in the same session', async () => {
+    useSessionStore();
+    const first = await createSession(user, null);
+
+    const { tokens, user: refreshedUser } = await rotateSession(first.refreshToken, loadUser, null);
+
+    assert.equal(refreshedUser, user);
+    assert.notEqual(tokens.refreshToken, first.refreshToken);
+    assert.equal(sessionIdOf(tokens), sessionIdOf(first));
+    assert.ok((await rotateSession(tokens.refreshToken, loadUser, null)).tokens);
+  });
+
+  it('revokes the whole session when a rotated-out token is used again', async () => {
+    const sessions = useSessionStore();
+    mock.method(console, 'warn', () => {});
+    const first = await createSession(user, null);
+    const { tokens: second } = await rotateSession(first.refreshToken, loadUser, null);
+
+    assert.deepEqual(await rotateSession(first.refreshToken, loadUser, null), { error: 'reused' });
+
+    assert.equal(sessions[0].revokedReason, 'token_reuse');
+    assert.equal(await isSessionActive(sessionIdOf(second)), false);
+    // The token the legitimate client holds dies with the session
+    assert.deepEqual(await rotateSession(second.refreshToken, loadUser, null), { error: 'invalid' });
+  });
+
+  it('rejects malformed, unknown and expired tokens', async () => {
+    useSessionStore();
+    const { refreshToken } = await createSession(user, null);
+    const [sessionId] = refreshToken.split('.');
+
+    assert.deepEqual(await rotateSession('not-a-token', loadUser, null), { error: 'invalid' });
+    assert.deepEqual(await rotateSession(`${sessionId}.wrong-secret`, loadUser, null), { error: 'invalid' });
+
+    mock.timers.tick(31 * DAY);
+    assert.deepEqual(await rotateSession(refreshToken, loadUser, null), { error: 'invalid' });
+  });
+
+  it('revokes the session when the user may no longer sign in', async () => {
+    const sessions = useSessionStore();
+    const { refreshToken } = await createSession(user, null);
+
+    assert.deepEqual(await rotateSession(refreshToken, async () => null, null), { error: 'inactive' });
+    assert.equal(sessions[0].revokedReason, 'account_deactivated');
+  });
+});
+
+describe('logging out', () => {
+  it('revokes the session of the current refresh token', async () => {
+    const sessions = useSessionStore();
+    const tokens = await createSession(user, null);
+
+    assert.equal(await revokeSessionByRefreshToken(tokens.refreshToken), true);
+
+    assert.equal(sessions[0].revokedReason, 'logout');
+    assert.equal(await isSessionActive(sessionIdOf(tokens)), false);
+    assert.deepEqual(await rotateSession(tokens.refreshToken, loadUser, null), { error: 'invalid' });
+  });
+
+  it('does nothing with a token that was already rotated out', async () => {
+    useSessionStore();
+    const first = await createSession(user, null);
+    await rotateSession(first.refreshToken, loadUser, null);
+
+    assert.equal(await revokeSessionByRefreshToken(first.refreshToken), false);
+    assert.equal(await isSessionActive(sessionIdOf(first)), true);
+  });
+
+  it('everywhere revokes every session but the one kept', async () => {
+    useSessionStore();
+    const phone = await createSession(user, null);
+    const laptop = await createSession(user, null);
+    const tablet = await createSession(user, null);
+
+    assert.equal(await revokeAllSessions(user._id, 'logout_all', { exceptSessionId: sessionIdOf(laptop) }), 2);
+
+    assert.equal(await isSessionActive(sessionIdOf(phone)), false);
+    assert.equal(await isSessionActive(sessionIdOf(laptop)), true);
+    assert.equal(await isSessionActive(sessionIdOf(tablet)), false);
+  });
+});
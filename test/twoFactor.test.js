@@ -0,0 +1,201 @@
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { User } from '../src/models/User.js';
+import {
+  generateTotp,
+  matchTotp,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  beginTwoFactorSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  remainingRecoveryCodes
+} from '../src/utils/twoFactor.js';
+
+// The SHA-1 secret of the RFC 6238 test vectors, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+const stepAt = (now) => Math.floor(now / STEP_MS);
+
+// Two-factor state lives on the user; record what would be written and report it as one change
+const captureUpdates = (modifiedCount = 1) => {
+  const updates = [];
+  mock.method(User, 'updateOne', async (filter, update) => {
+    updates.push({ filter, update });
+    return { modifiedCount };
+  });
+  return updates;
+};
+
+// Set up two-factor authentication for a user the way the setup endpoints do
+const enrolledUser = async () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: 'ada@example.com' };
+  const updates = captureUpdates();
+
+  const { secret } = await beginTwoFactorSetup(user);
+  user.twoFactor = { pendingSecret: updates[0].update.$set['twoFactor.pendingSecret'] };
+  const recoveryCodes = await enableTwoFactor(user, generateTotp(secret));
+  const { $set } = updates[1].update;
+  user.twoFactor = {
+    enabled: true,
+    secret: $set['twoFactor.secret'],
+    lastUsedStep: $set['twoFactor.lastUsedStep'],
+    recoveryCodes: $set['twoFactor.recoveryCodes']
+  };
+
+  mock.restoreAll();
+  return { user, secret, recoveryCodes };
+};
+
+before(() => {
+  process.env.JWT_SECRET = 'test-jwt-secret';
+});
+
+// A fixed clock, so a test never sees the code change at a step boundary
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 1767225600000 }));
+
+afterEach(() => {
+  mock.restoreAll();
+  mock.timers.reset();
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(generateTotp(RFC_SECRET, stepAt(59 * 1000)), '287082');
+    assert.equal(generateTotp(RFC_SECRET, stepAt(1111111109 * 1000)), '081804');
+    assert.equal(generateTotp(RFC_SECRET, stepAt(1234567890 * 1000)), '005924');
+    assert.equal(generateTotp(RFC_SECRET, stepAt(2000000000 * 1000)), '279037');
+  });
+});
+
+describe('matchTotp', () => {
+  const now = 1234567890 * 1000;
+  const step = stepAt(now);
+
+  it('returns the step of the current code', () => {
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { now }), step);
+  });
+
+  it('allows one step of clock drift either way, and no more', () => {
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now }), step + 1);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }), null);
+    assert.equal(matchTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now }), null);
+  });
+
+  it('refuses a code from a step already used', () => {
+    const code = generateTotp(RFC_SECRET, step);
+    assert.equal(matchTotp(RFC_SECRET, code, { now, afterStep: step }), null);
+    assert.equal(matchTotp(RFC_SECRET, code, { now, afterStep: step - 1 }), step);
+  });
+
+  it('ignores spaces and rejects anything that is not six digits', () => {
+    assert.equal(matchTotp(RFC_SECRET, '005 924', { now }), step);
+    for (const code of ['', '05924', '0059245', 'abcdef', undefined]) {
+      assert.equal(matchTotp(RFC_SECRET, code, { now }), null);
+    }
+  });
+});
+
+describe('login challenges', () => {
+  it('carry the user id and tell whether setup is still needed', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), twoFactor: { enabled: false } };
+    const challenge = createTwoFactorChallenge(user);
+
+    assert.equal(challenge.twoFactorRequired, true);
+    assert.equal(challenge.twoFactorSetupRequired, true);
+    assert.equal(verifyTwoFactorChallenge(challenge.challengeToken), user._id.toString());
+  });
+
+  it('are not interchangeable with access tokens', () => {
+    const accessToken = jwt.sign({ id: 'someone' }, process.env.JWT_SECRET);
+    assert.equal(verifyTwoFactorChallenge(accessToken), null);
+    assert.equal(verifyTwoFactorChallenge('not-a-token'), null);
+  });
+});
+
+describe('setting up two-factor authentication', () => {
+  it('stores the secret encrypted and returns an otpauth URL', async () => {
+    const updates = captureUpdates();
+
+    const { secret, otpauthUrl } = await beginTwoFactorSetup({ _id: 'user-1', email: 'ada@example.com' });
+    const stored = updates[0].update.$set['twoFactor.pendingSecret'];
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.ok(!stored.includes(secret));
+    assert.ok(otpauthUrl.startsWith('otpauth://totp/Generous%20Hands%3Aada%40example.com?'));
+    assert.ok(otpauthUrl.includes(`secret=${secret}`));
+  });
+
+  it('turns on with a valid code and hands out ten recovery codes', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(remainingRecoveryCodes(user), 10);
+    assert.ok(user.twoFactor.recoveryCodes.every(entry => !recoveryCodes.includes(entry.hash)));
+  });
+
+  it('stays off with a wrong code', async () => {
+    const updates = captureUpdates();
+    const { secret } = await beginTwoFactorSetup({ _id: 'user-1', email: 'ada@example.com' });
+    const user = { _id: 'user-1', twoFactor: { pendingSecret: updates[0].update.$set['twoFactor.pendingSecret'] } };
+
+    const wrongCode = String((Number(generateTotp(secret)) + 1) % 1000000).padStart(6, '0');
+    assert.equal(await enableTwoFactor(user, wrongCode), null);
+    assert.equal(updates.length, 1);
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts the current code once and records its step', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactor.lastUsedStep -= 2;
+    const updates = captureUpdates();
+
+    assert.equal(await verifySecondFactor(user, { code: generateTotp(secret) }), 'totp');
+    assert.equal(updates[0].update.$set['twoFactor.lastUsedStep'], stepAt(Date.now()));
+  });
+
+  it('refuses a code that was already used', async () => {
+    const { user, secret } = await enrolledUser();
+    const updates = captureUpdates();
+
+    // enrolledUser confirmed the current code while turning it on
+    assert.equal(await verifySecondFactor(user, { code: generateTotp(secret) }), null);
+    assert.equal(updates.length, 0);
+  });
+
+  it('refuses a code a concurrent request used first', async () => {
+    const { user, secret } = await enrolledUser();
+    user.twoFactor.lastUsedStep -= 2;
+    captureUpdates(0);
+
+    assert.equal(await verifySecondFactor(user, { code: generateTotp(secret) }), null);
+  });
+
+  it('accepts an unused recovery code in any case, with or without the dash', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const updates = captureUpdates();
+
+    assert.equal(await verifySecondFactor(user, { recoveryCode: recoveryCodes[0].toUpperCase().replace('-', '') }), 'recovery_code');
+    const { hash } = updates[0].filter['twoFactor.recoveryCodes'].$elemMatch;
+    assert.equal(hash, user.twoFactor.recoveryCodes[0].hash);
+  });
+
+  it('refuses a recovery code that is unknown or used', async () => {
+    const { user } = await enrolledUser();
+    captureUpdates(0);
+
+    assert.equal(await verifySecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' }), null);
+  });
+
+  it('refuses everything while two-factor authentication is off', async () => {
+    const updates = captureUpdates();
+
+    assert.equal(await verifySecondFactor({ _id: 'user-1', twoFactor: { enabled: false } }, { code: '123456' }), null);
+    assert.equal(updates.length, 0);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateObject, toOpenApiSchema } from '../src/utils/validation.js';
+
+const OBJECT_ID = '65f1c2d3e4a5b6c7d8e9f012';
+
+const fields = (errors) => errors.map(error => error.field);
+
+describe('validateObject', () => {
+  it('reports missing required fields and drops undeclared ones', () => {
+    const schema = { properties: { name: { type: 'string' }, role: { type: 'string' } }, required: ['name'] };
+
+    assert.deepEqual(validateObject(schema, { role: 'donor', isAdmin: true }), {
+      value: { role: 'donor' },
+      errors: [{ field: 'name', message: 'is required' }]
+    });
+  });
+
+  it('converts query string values to the declared type', () => {
+    const schema = {
+      properties: {
+        page: { type: 'integer', minimum: 1 },
+        urgent: { type: 'boolean' },
+        ids: { type: 'array', items: { type: 'string', format: 'objectId' }, separator: ',' },
+        filters: { type: 'object', properties: { city: { type: 'string' } } }
+      }
+    };
+
+    const { value, errors } = validateObject(schema, {
+      page: '3',
+      urgent: 'false',
+      ids: `${OBJECT_ID}, ${OBJECT_ID}`,
+      filters: '{"city":"Nairobi"}'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { page: 3, urgent: false, ids: [OBJECT_ID, OBJECT_ID], filters: { city: 'Nairobi' } });
+  });
+
+  it('turns a single value into a one-element array', () => {
+    const schema = { properties: { tags: { type: 'array', items: { type: 'string' } } } };
+    assert.deepEqual(validateObject(schema, { tags: 'fragile' }).value, { tags: ['fragile'] });
+  });
+
+  it('trims and lowercases strings before checking them', () => {
+    const schema = { properties: { email: { type: 'string', format: 'email', trim: true, lowercase: true } } };
+    assert.deepEqual(validateObject(schema, { email: '  Ada@Example.COM ' }), { value: { email: 'ada@example.com' }, errors: [] });
+  });
+
+  it('checks formats, enums, lengths and ranges', () => {
+    const schema = {
+      properties: {
+        id: { type: 'string', format: 'objectId' },
+        email: { type: 'string', format: 'email' },
+        date: { type: 'string', format: 'date' },
+        status: { type: 'string', enum: ['open', 'closed'] },
+        code: { type: 'string', pattern: '^\\d{6}$' },
+        note: { type: 'string', maxLength: 5 },
+        quantity: { type: 'integer', minimum: 1, maximum: 10 }
+      }
+    };
+
+    const { value, errors } = validateObject(schema, {
+      id: 'abc',
+      email: 'not-an-email',
+      date: 'tomorrow',
+      status: 'pending',
+      code: '12ab56',
+      note: 'far too long',
+      quantity: 2.5
+    });
+
+    assert.deepEqual(value, {});
+    assert.deepEqual(errors, [
+      { field: 'id', message: 'must be a valid id' },
+      { field: 'email', message: 'must be a valid email address' },
+      { field: 'date', message: 'must be a valid date' },
+      { field: 'status', message: 'must be one of: open, closed' },
+      { field: 'code', message: 'has an invalid format' },
+      { field: 'note', message: 'must be at most 5 characters' },
+      { field: 'quantity', message: 'must be a whole number' }
+    ]);
+  });
+
+  it('names nested fields by their path', () => {
+    const schema = {
+      properties: {
+        donationItems: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'object', properties: { quantity: { type: 'number', minimum: 1 } }, required: ['quantity'] }
+        }
+      }
+    };
+
+    const { errors } = validateObject(schema, { donationItems: [{ quantity: 2 }, { quantity: 0 }, {}] });
+
+    assert.deepEqual(errors, [
+      { field: 'donationItems[1].quantity', message: 'must be at least 1' },
+      { field: 'donationItems[2].quantity', message: 'is required' }
+    ]);
+    assert.deepEqual(fields(validateObject(schema, { donationItems: [] }).errors), ['donationItems']);
+  });
+
+  it('only keeps blank strings for optional free text', () => {
+    const schema = {
+      properties: {
+        notes: { type: 'string' },
+        status: { type: 'string', enum: ['open', 'closed'] },
+        limit: { type: 'integer', default: 20 }
+      }
+    };
+
+    assert.deepEqual(validateObject(schema, { notes: '', status: '', limit: '' }), {
+      value: { notes: '', limit: 20 },
+      errors: []
+    });
+  });
+
+  it('fills in defaults without sharing them between requests', () => {
+    const schema = { properties: { tags: { type: 'array', default: [] } } };
+
+    const first = validateObject(schema, {}).value;
+    first.tags.push('changed');
+
+    assert.deepEqual(validateObject(schema, {}).value, { tags: [] });
+  });
+
+  it('allows null only where the schema says so', () => {
+    const schema = { properties: { expiresAt: { type: 'string', format: 'date', nullable: true }, name: { type: 'string' } } };
+
+    const { value, errors } = validateObject(schema, { expiresAt: null, name: null });
+
+    assert.deepEqual(value, { expiresAt: null });
+    assert.deepEqual(errors, [{ field: 'name', message: 'must not be null' }]);
+  });
+
+  it('checks free-form keys against additionalProperties and ignores prototype keys', () => {
+    const schema = { additionalProperties: { type: 'string', maxLength: 10 } };
+    const body = JSON.parse('{"firstName":"Ada","city":"far too long a name","__proto__":{"isAdmin":true}}');
+
+    const { value, errors } = validateObject(schema, body);
+
+    assert.deepEqual(value, { firstName: 'Ada' });
+    assert.equal(value.isAdmin, undefined);
+    assert.deepEqual(fields(errors), ['city']);
+  });
+
+  it('passes undeclared fields through untouched with additionalProperties: true', () => {
+    const schema = { properties: { name: { type: 'string' } }, additionalProperties: true };
+    assert.deepEqual(validateObject(schema, { name: 'Ada', extra: { nested: 1 } }).value, { name: 'Ada', extra: { nested: 1 } });
+  });
+});
+
+describe('toOpenApiSchema', () => {
+  it('leaves out validation-only keywords at every level', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        email: { type: 'string', trim: true, lowercase: true },
+        ids: { type: 'array', separator: ',', items: { type: 'string', trim: true } }
+      }
+    };
+
+    assert.deepEqual(toOpenApiSchema(schema), {
+      type: 'object',
+      properties: {
+        email: { type: 'string' },
+        ids: { type: 'array', items: { type: 'string' } }
+      }
+    });
+  });
+
+  it('writes objectId as a pattern with a description', () => {
+    assert.deepEqual(toOpenApiSchema({ type: 'string', format: 'objectId' }), {
+      type: 'string',
+      pattern: '^[a-f\\d]{24}$',
+      description: 'MongoDB id'
+    });
+    assert.equal(toOpenApiSchema({ type: 'string', format: 'objectId', description: 'The charity' }).description, 'The charity');
+  });
+
+  it('adds the object type when a schema only lists properties', () => {
+    assert.equal(toOpenApiSchema({ properties: { name: { type: 'string' } } }).type, 'object');
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Availability from '../src/models/Availability.js';
+import PickupRequest from '../src/models/PickupRequest.js';
+import { parseWeightKg, resolvePickupWindow, findMatchingVolunteers } from '../src/utils/volunteerMatching.js';
+import { calculateDistance } from '../src/utils/geocoding.js';
+
+// GeoJSON points are [longitude, latitude]; central Nairobi and places around it
+const point = (coordinates) => ({ type: 'Point', coordinates });
+const PICKUP = point([36.8219, -1.2921]);
+const NEARBY = point([36.83, -1.29]);
+const FAR_AWAY = point([37.5, -1.29]);
+
+const volunteer = (name, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  role: 'volunteer',
+  isVerified: true,
+  isActive: true,
+  location: NEARBY,
+  transportationMode: 'car',
+  ...overrides
+});
+
+const availability = (volunteerDoc, { available = true, preferences = {} } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  volunteer: volunteerDoc,
+  preferences: { maxPickupsPerDay: 2, ...preferences },
+  isAvailableAt: () => available
+});
+
+const pickupRequest = (metadata = {}) => ({
+  pickupCoordinates: PICKUP,
+  donation: { preferredDate: null },
+  metadata
+});
+
+// Matching reads the active availabilities and each volunteer's assigned pickups; serve both from memory
+const useVolunteers = (availabilities, assigned = []) => {
+  mock.method(Availability, 'find', () => ({ populate: async () => availabilities }));
+  mock.method(PickupRequest, 'aggregate', async () => assigned);
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('parseWeightKg', () => {
+  it('reads kilograms, grams and pounds from free text', () => {
+    assert.equal(parseWeightKg('15 kg'), 15);
+    assert.equal(parseWeightKg('about 20kg'), 20);
+    assert.equal(parseWeightKg('500g'), 0.5);
+    assert.equal(parseWeightKg('10 lbs'), 4.536);
+  });
+
+  it('treats a bare number as kilograms', () => {
+    assert.equal(parseWeightKg('12'), 12);
+  });
+
+  it('returns null when there is no number', () => {
+    assert.equal(parseWeightKg(''), null);
+    assert.equal(parseWeightKg('a few boxes'), null);
+  });
+});
+
+describe('resolvePickupWindow', () => {
+  it('is flexible and starts now without a preferred date', () => {
+    const now = new Date('2026-03-02T08:00:00');
+    assert.deepEqual(resolvePickupWindow({}, now), { start: now, end: now, flexible: true });
+  });
+
+  it('spans the preferred times on the preferred date', () => {
+    const window = resolvePickupWindow({
+      preferredDate: '2026-03-02',
+      preferredTimeStart: '10:30',
+      preferredTimeEnd: '12:00'
+    });
+    assert.equal(window.flexible, false);
+    assert.deepEqual([window.start.getHours(), window.start.getMinutes()], [10, 30]);
+    assert.deepEqual([window.end.getHours(), window.end.getMinutes()], [12, 0]);
+  });
+
+  it('never ends before it starts', () => {
+    const window = resolvePickupWindow({
+      preferredDate: '2026-03-02',
+      preferredTimeStart: '15:00',
+      preferredTimeEnd: '09:00'
+    });
+    assert.equal(window.end.getTime(), window.start.getTime());
+  });
+});
+
+describe('findMatchingVolunteers', () => {
+  it('ranks eligible volunteers by score, closest first', async () => {
+    const close = volunteer('Close', { location: point([36.822, -1.2921]) });
+    const further = volunteer('Further', { location: point([36.9, -1.2921]) });
+    useVolunteers([availability(further), availability(close)]);
+
+    const { candidates } = await findMatchingVolunteers(pickupRequest());
+
+    assert.deepEqual(candidates.map(candidate => candidate.volunteer.name), ['Close', 'Further']);
+    assert.ok(candidates.every(candidate => candidate.eligible));
+    assert.ok(candidates[0].score > candidates[1].score);
+  });
+
+  it('treats volunteers out of range or without a location as ineligible', async () => {
+    const farAway = volunteer('FarAway', { location: FAR_AWAY });
+    const unknown = volunteer('Unknown', { location: undefined });
+    useVolunteers([availability(farAway), availability(unknown)]);
+
+    const { candidates } = await findMatchingVolunteers(pickupRequest());
+    assert.deepEqual(candidates, []);
+
+    const all = await findMatchingVolunteers(pickupRequest(), { includeIneligible: true });
+    assert.equal(all.candidates.length, 2);
+    assert.ok(all.candidates.every(candidate => !candidate.eligible && candidate.breakdown.distance.score === 0));
+  });
+
+  it('takes a wider maxDistanceKm into account', async () => {
+    useVolunteers([availability(volunteer('FarAway', { location: FAR_AWAY }))]);
+
+    const { candidates } = await findMatchingVolunteers(pickupRequest(), { maxDistanceKm: 100 });
+
+    assert.equal(candidates.length, 1);
+    assert.equal(candidates[0].eligible, true);
+  });
+
+  it('keeps a volunteer just inside maxDistanceKm eligible even though the distance score rounds to 0', async () => {
+    const edge = volunteer('Edge', { location: point([36.9, -1.2921]) });
+    useVolunteers([availability(edge)]);
+    const km = calculateDistance([-1.2921, 36.9], [-1.2921, 36.8219]);
+
+    const inside = await findMatchingVolunteers(pickupRequest(), { maxDistanceKm: km + 0.01 });
+    assert.equal(inside.candidates.length, 1);
+    assert.equal(inside.candidates[0].breakdown.distance.score, 0);
+    assert.equal(inside.candidates[0].eligible, true);
+
+    const outside = await findMatchingVolunteers(pickupRequest(), { maxDistanceKm: km - 0.1, includeIneligible: true });
+    assert.equal(outside.candidates[0].eligible, false);
+    assert.equal(outside.candidates[0].breakdown.distance.inRange, false);
+  });
+
+  it('excludes volunteers who are unavailable, at their daily limit or cannot carry the load', async () => {
+    const unavailable = volunteer('Unavailable');
+    const busy = volunteer('Busy');
+    const cyclist = volunteer('Cyclist', { transportationMode: 'bicycle' });
+    useVolunteers(
+      [availability(unavailable, { available: false }), availability(busy), availability(cyclist)],
+      [{ _id: busy._id, count: 2 }]
+    );
+
+    const { candidates } = await findMatchingVolunteers(pickupRequest({ totalWeight: '40 kg' }), { includeIneligible: true });
+    const byName = Object.fromEntries(candidates.map(candidate => [candidate.volunteer.name, candidate]));
+
+    assert.equal(byName.Unavailable.eligible, false);
+    assert.equal(byName.Unavailable.breakdown.availability.score, 0);
+    assert.equal(byName.Busy.eligible, false);
+    assert.equal(byName.Busy.breakdown.capacity.reason, 'Daily pickup limit reached');
+    assert.equal(byName.Cyclist.eligible, false);
+    assert.equal(byName.Cyclist.breakdown.transport.suitable, false);
+  });
+
+  it('counts only the pickups scheduled on the day of the pickup against the daily limit', async () => {
+    const pipelines = [];
+    mock.method(Availability, 'find', () => ({ populate: async () => [availability(volunteer('Ready'))] }));
+    mock.method(PickupRequest, 'aggregate', async (pipeline) => {
+      pipelines.push(pipeline);
+      return [];
+    });
+
+    await findMatchingVolunteers({ ...pickupRequest(), donation: { preferredDate: '2026-03-02', preferredTimeStart: '14:00' } });
+
+    const { scheduledAt } = pipelines[0].at(-2).$match;
+    assert.deepEqual(scheduledAt, { $gte: new Date(2026, 2, 2), $lt: new Date(2026, 2, 3) });
+  });
+
+  it('leaves out volunteers who are not verified or whose documents have lapsed', async () => {
+    useVolunteers([
+      availability(volunteer('Unverified', { isVerified: false })),
+      availability(volunteer('Lapsed', { documentCompliance: { status: 'lapsed' } })),
+      availability(volunteer('Ready'))
+    ]);
+
+    const { candidates } = await findMatchingVolunteers(pickupRequest(), { includeIneligible: true });
+
+    assert.deepEqual(candidates.map(candidate => candidate.volunteer.name), ['Ready']);
+  });
+});